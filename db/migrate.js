@@ -0,0 +1,123 @@
+// migrate.js
+//
+// Applies the SQL files in db/migrations to a libSQL/SQLite database.
+// Usage: deno run -A db/migrate.js [database-url]
+// The URL defaults to TURSO_URL (with TURSO_AUTH_TOKEN); use a file: URL such
+// as file:local.db for local development.
+
+import { createClient } from "npm:@libsql/client@0.6.0/node";
+
+const MIGRATIONS_DIR = new URL("./migrations/", import.meta.url);
+const MIGRATION_FILE = /^(\d{4})_[\w-]+\.sql$/;
+
+/**
+ * Creates the table that records applied migrations.
+ * @param {Object} client - libSQL client.
+ * @returns {Promise<void>}
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+};
+
+/**
+ * Lists the migration files, ordered by version.
+ * @param {URL} [dir] - Directory holding the migration files.
+ * @returns {Promise<Array<{version: number, name: string, url: URL}>>} Migrations.
+ * @throws {Error} If two files share a version number.
+ */
+export const listMigrations = async (dir = MIGRATIONS_DIR) => {
+  const migrations = [];
+  for await (const entry of Deno.readDir(dir)) {
+    const match = entry.isFile && entry.name.match(MIGRATION_FILE);
+    if (match) {
+      migrations.push({
+        version: Number(match[1]),
+        name: entry.name,
+        url: new URL(entry.name, dir),
+      });
+    }
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+/**
+ * Applies every pending migration, each one in its own transaction.
+ * @param {Object} client - libSQL client.
+ * @param {URL} [dir] - Directory holding the migration files.
+ * @returns {Promise<string[]>} Names of the migrations applied by this run.
+ */
+export const runMigrations = async (client, dir = MIGRATIONS_DIR) => {
+  await ensureMigrationsTable(client);
+
+  const appliedResponse = await client.execute(
+    "SELECT version FROM schema_migrations"
+  );
+  const applied = new Set(
+    appliedResponse.rows.map((row) => Number(row.version))
+  );
+
+  const appliedNow = [];
+
+  for (const migration of await listMigrations(dir)) {
+    if (applied.has(migration.version)) continue;
+
+    const sql = await Deno.readTextFile(migration.url);
+    const tx = await client.transaction("write");
+    try {
+      await tx.executeMultiple(sql);
+      await tx.execute({
+        sql: "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+        args: [migration.version, migration.name],
+      });
+      await tx.commit();
+    } catch (error) {
+      await tx.rollback();
+      throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+    }
+
+    console.log(`[INFO] Applied migration ${migration.name}`);
+    appliedNow.push(migration.name);
+  }
+
+  return appliedNow;
+};
+
+if (import.meta.main) {
+  const url = Deno.args[0] || Deno.env.get("TURSO_URL");
+  if (!url) {
+    console.error("[ERROR] Pass a database URL or set TURSO_URL");
+    Deno.exit(1);
+  }
+
+  const client = createClient({
+    url,
+    authToken: Deno.env.get("TURSO_AUTH_TOKEN"),
+  });
+
+  try {
+    const applied = await runMigrations(client);
+    if (!applied.length) {
+      console.log("[INFO] Database is up to date.");
+    }
+  } catch (error) {
+    console.error("[ERROR]", error.message);
+    Deno.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
@@ -0,0 +1,121 @@
+-- 0001_initial_schema.sql
+-- Tables used by the edge functions at the time the schema was first
+-- checked in. Dates are stored as UTC text, the same format as datetime('now').
+
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL UNIQUE, -- Forumotion user ID
+  credits REAL NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  edited_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS users_audit (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  action_type TEXT NOT NULL,
+  old_values TEXT,
+  new_values TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS categories (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  image TEXT,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  is_deleted INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  edited_at TEXT NOT NULL DEFAULT (datetime('now')),
+  created_by INTEGER,
+  edited_by INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS categories_audit (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  category_id INTEGER NOT NULL,
+  user_id INTEGER,
+  action_type TEXT NOT NULL,
+  old_values TEXT,
+  new_values TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  description TEXT NOT NULL,
+  price REAL NOT NULL DEFAULT 0,
+  image TEXT,
+  is_active INTEGER NOT NULL DEFAULT 1,
+  is_deleted INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  edited_at TEXT NOT NULL DEFAULT (datetime('now')),
+  created_by INTEGER,
+  edited_by INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS items_audit (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  item_id INTEGER NOT NULL,
+  user_id INTEGER,
+  action_type TEXT NOT NULL,
+  old_values TEXT,
+  new_values TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS item_categories (
+  item_id INTEGER NOT NULL REFERENCES items (id),
+  category_id INTEGER NOT NULL REFERENCES categories (id),
+  PRIMARY KEY (item_id, category_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_categories_category
+  ON item_categories (category_id);
+
+CREATE TABLE IF NOT EXISTS inventory (
+  user_id INTEGER NOT NULL,
+  item_id INTEGER NOT NULL REFERENCES items (id),
+  total_quantity INTEGER NOT NULL DEFAULT 0,
+  quantity_in_bag INTEGER NOT NULL DEFAULT 0,
+  last_updated TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (user_id, item_id)
+);
+
+CREATE TABLE IF NOT EXISTS purchase_transactions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  credits_before REAL NOT NULL,
+  credits_after REAL NOT NULL,
+  total_credits_spent REAL NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_transactions_user
+  ON purchase_transactions (user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS purchase_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id INTEGER NOT NULL REFERENCES purchase_transactions (id),
+  item_id INTEGER NOT NULL REFERENCES items (id),
+  quantity INTEGER NOT NULL,
+  item_price REAL NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_items_transaction
+  ON purchase_items (transaction_id);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_items_item
+  ON purchase_items (item_id);
+
+CREATE TABLE IF NOT EXISTS purchases_audit (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  credits_before REAL NOT NULL,
+  credits_after REAL NOT NULL,
+  total_credits_spent REAL NOT NULL,
+  items_purchased TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
@@ -0,0 +1,4 @@
+-- 0002_item_stock.sql
+-- Optional stock per item. NULL means unlimited supply.
+
+ALTER TABLE items ADD COLUMN stock INTEGER DEFAULT NULL;
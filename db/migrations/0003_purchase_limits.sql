@@ -0,0 +1,6 @@
+-- 0003_purchase_limits.sql
+-- Per-user purchase limits ('day', 'week' or 'lifetime') and cooldowns.
+
+ALTER TABLE items ADD COLUMN purchase_limit INTEGER DEFAULT NULL;
+ALTER TABLE items ADD COLUMN limit_period TEXT DEFAULT NULL;
+ALTER TABLE items ADD COLUMN cooldown_seconds INTEGER DEFAULT NULL;
@@ -0,0 +1,116 @@
+-- 0004_credit_ledger.sql
+-- Append-only history of every credit change. users.credits stays as the
+-- cached balance; each row stores the delta and the balance it left behind.
+-- user_id and actor_id are Forumotion user IDs.
+
+CREATE TABLE IF NOT EXISTS credit_ledger (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  delta REAL NOT NULL,
+  balance_after REAL NOT NULL,
+  reason TEXT NOT NULL,
+  actor_id INTEGER,
+  reference_type TEXT,
+  reference_id INTEGER,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_user
+  ON credit_ledger (user_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_reference
+  ON credit_ledger (reference_type, reference_id);
+
+CREATE TRIGGER IF NOT EXISTS credit_ledger_no_update
+BEFORE UPDATE ON credit_ledger
+BEGIN
+  SELECT RAISE(ABORT, 'credit_ledger is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS credit_ledger_no_delete
+BEFORE DELETE ON credit_ledger
+BEGIN
+  SELECT RAISE(ABORT, 'credit_ledger is append-only');
+END;
+
+-- Carry over the history recorded so far: registrations and balance
+-- overwrites from users_audit, and purchases.
+-- Registrations stored the Forumotion ID in users_audit.user_id, while
+-- update-credits stored users.id.
+INSERT INTO credit_ledger (
+  user_id, delta, balance_after, reason, actor_id,
+  reference_type, reference_id, created_at
+)
+SELECT
+  user_id,
+  delta,
+  SUM(delta) OVER (
+    PARTITION BY user_id
+    ORDER BY created_at, source, source_id
+    ROWS UNBOUNDED PRECEDING
+  ),
+  reason,
+  NULL,
+  reference_type,
+  source_id,
+  created_at
+FROM (
+  SELECT
+    json_extract(ua.new_values, '$.user_id') AS user_id,
+    json_extract(ua.new_values, '$.credits') AS delta,
+    'registration' AS reason,
+    'users_audit' AS reference_type,
+    1 AS source,
+    ua.id AS source_id,
+    ua.created_at
+  FROM users_audit ua
+  WHERE ua.action_type = 'INSERT'
+    AND json_extract(ua.new_values, '$.credits') IS NOT NULL
+
+  UNION ALL
+
+  SELECT
+    u.user_id,
+    json_extract(ua.new_values, '$.credits')
+      - json_extract(ua.old_values, '$.credits'),
+    'adjustment',
+    'users_audit',
+    2,
+    ua.id,
+    ua.created_at
+  FROM users_audit ua
+  INNER JOIN users u ON u.id = ua.user_id
+  WHERE ua.action_type = 'UPDATE'
+    AND json_extract(ua.new_values, '$.credits') IS NOT NULL
+    AND json_extract(ua.old_values, '$.credits') IS NOT NULL
+
+  UNION ALL
+
+  SELECT
+    pt.user_id,
+    -pt.total_credits_spent,
+    'purchase',
+    'purchase',
+    3,
+    pt.id,
+    pt.created_at
+  FROM purchase_transactions pt
+)
+ORDER BY created_at, source, source_id;
+
+-- Whatever the history does not explain (changes made straight in the
+-- database, or lost to concurrent overwrites) becomes one reconciliation
+-- entry, so the ledger adds up to users.credits for every user.
+INSERT INTO credit_ledger (user_id, delta, balance_after, reason)
+SELECT
+  u.user_id,
+  u.credits - COALESCE(l.total, 0),
+  u.credits,
+  'reconciliation'
+FROM users u
+LEFT JOIN (
+  SELECT user_id, SUM(delta) AS total
+  FROM credit_ledger
+  GROUP BY user_id
+) l ON l.user_id = u.user_id
+WHERE u.credits <> COALESCE(l.total, 0);
@@ -0,0 +1,19 @@
+-- 0005_credit_transfers.sql
+-- Credits sent from one forum user to another. The matching credit_ledger
+-- entries reference these rows with reference_type 'transfer'.
+
+CREATE TABLE IF NOT EXISTS credit_transfers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  from_user_id INTEGER NOT NULL, -- Forumotion user ID
+  to_user_id INTEGER NOT NULL, -- Forumotion user ID
+  amount REAL NOT NULL,
+  fee REAL NOT NULL DEFAULT 0,
+  note TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_transfers_from
+  ON credit_transfers (from_user_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_credit_transfers_to
+  ON credit_transfers (to_user_id, created_at);
@@ -0,0 +1,58 @@
+-- 0006_gifts_and_trades.sql
+-- Items moving between users. User IDs are Forumotion user IDs.
+
+-- One row per change to a user's inventory, with the record behind it
+-- (reference_type 'gift' or 'trade').
+CREATE TABLE IF NOT EXISTS inventory_audit (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  item_id INTEGER NOT NULL,
+  delta INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  actor_id INTEGER,
+  reference_type TEXT,
+  reference_id INTEGER,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_audit_user
+  ON inventory_audit (user_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_audit_reference
+  ON inventory_audit (reference_type, reference_id);
+
+CREATE TABLE IF NOT EXISTS item_gifts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  from_user_id INTEGER NOT NULL,
+  to_user_id INTEGER NOT NULL,
+  note TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- status: 'pending', 'accepted', 'rejected', 'cancelled' or 'expired'.
+CREATE TABLE IF NOT EXISTS trades (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  from_user_id INTEGER NOT NULL,
+  to_user_id INTEGER NOT NULL,
+  offered_credits REAL NOT NULL DEFAULT 0,
+  requested_credits REAL NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending',
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  resolved_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_trades_from
+  ON trades (from_user_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_trades_to
+  ON trades (to_user_id, status);
+
+-- side: 'offer' (from from_user_id) or 'request' (from to_user_id).
+CREATE TABLE IF NOT EXISTS trade_items (
+  trade_id INTEGER NOT NULL REFERENCES trades (id),
+  side TEXT NOT NULL,
+  item_id INTEGER NOT NULL REFERENCES items (id),
+  quantity INTEGER NOT NULL,
+  PRIMARY KEY (trade_id, side, item_id)
+);
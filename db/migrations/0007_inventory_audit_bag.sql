@@ -0,0 +1,5 @@
+-- 0007_inventory_audit_bag.sql
+-- Bag moves change quantity_in_bag without changing total_quantity, so the
+-- audit keeps both deltas.
+
+ALTER TABLE inventory_audit ADD COLUMN bag_delta INTEGER NOT NULL DEFAULT 0;
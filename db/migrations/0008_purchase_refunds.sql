@@ -0,0 +1,15 @@
+-- 0008_purchase_refunds.sql
+-- Staff refunds. A transaction is 'completed' until some of its lines are
+-- refunded ('partially_refunded') or all of them are ('refunded').
+
+ALTER TABLE purchase_transactions
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'completed';
+
+ALTER TABLE purchase_items
+  ADD COLUMN refunded_quantity INTEGER NOT NULL DEFAULT 0;
+
+-- Audit rows were all purchases until now
+ALTER TABLE purchases_audit
+  ADD COLUMN action TEXT NOT NULL DEFAULT 'purchase';
+ALTER TABLE purchases_audit ADD COLUMN actor_id INTEGER;
+ALTER TABLE purchases_audit ADD COLUMN reason TEXT;
@@ -0,0 +1,6 @@
+-- 0009_sell_back.sql
+-- Share of the price paid when an item is sold back to the shop, as a
+-- percentage. NULL falls back to the category, then to SELL_BACK_PERCENT.
+
+ALTER TABLE items ADD COLUMN sell_back_percent REAL DEFAULT NULL;
+ALTER TABLE categories ADD COLUMN sell_back_percent REAL DEFAULT NULL;
@@ -0,0 +1,53 @@
+-- 0010_catalog_tombstones.sql
+-- Snapshots of items and categories removed by db/purge.js. Purchase history
+-- and audit rows keep pointing at the purged IDs, and the snapshot is what
+-- they resolve to afterwards.
+
+CREATE TABLE IF NOT EXISTS catalog_tombstones (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity TEXT NOT NULL,
+  entity_id INTEGER NOT NULL,
+  snapshot TEXT NOT NULL,
+  deleted_at TEXT,
+  purged_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (entity, entity_id)
+);
+
+-- History tables drop their foreign key to items so a purged item can still
+-- be referenced. SQLite cannot drop a constraint, so the tables are rebuilt.
+CREATE TABLE purchase_items_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id INTEGER NOT NULL REFERENCES purchase_transactions (id),
+  item_id INTEGER NOT NULL,
+  quantity INTEGER NOT NULL,
+  item_price REAL NOT NULL,
+  refunded_quantity INTEGER NOT NULL DEFAULT 0
+);
+
+INSERT INTO purchase_items_new
+  (id, transaction_id, item_id, quantity, item_price, refunded_quantity)
+SELECT id, transaction_id, item_id, quantity, item_price, refunded_quantity
+FROM purchase_items;
+
+DROP TABLE purchase_items;
+ALTER TABLE purchase_items_new RENAME TO purchase_items;
+
+CREATE INDEX IF NOT EXISTS idx_purchase_items_transaction
+  ON purchase_items (transaction_id);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_items_item
+  ON purchase_items (item_id);
+
+CREATE TABLE trade_items_new (
+  trade_id INTEGER NOT NULL REFERENCES trades (id),
+  side TEXT NOT NULL,
+  item_id INTEGER NOT NULL,
+  quantity INTEGER NOT NULL,
+  PRIMARY KEY (trade_id, side, item_id)
+);
+
+INSERT INTO trade_items_new (trade_id, side, item_id, quantity)
+SELECT trade_id, side, item_id, quantity FROM trade_items;
+
+DROP TABLE trade_items;
+ALTER TABLE trade_items_new RENAME TO trade_items;
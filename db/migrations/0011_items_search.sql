@@ -0,0 +1,35 @@
+-- 0011_items_search.sql
+-- Full-text index over item names and descriptions for get-items ?q=.
+-- The index reads from items and triggers keep it up to date.
+
+CREATE VIRTUAL TABLE IF NOT EXISTS items_fts USING fts5 (
+  name,
+  description,
+  content = 'items',
+  content_rowid = 'id'
+);
+
+INSERT INTO items_fts (items_fts) VALUES ('rebuild');
+
+CREATE TRIGGER IF NOT EXISTS items_fts_insert
+AFTER INSERT ON items
+BEGIN
+  INSERT INTO items_fts (rowid, name, description)
+  VALUES (new.id, new.name, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS items_fts_delete
+AFTER DELETE ON items
+BEGIN
+  INSERT INTO items_fts (items_fts, rowid, name, description)
+  VALUES ('delete', old.id, old.name, old.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS items_fts_update
+AFTER UPDATE OF name, description ON items
+BEGIN
+  INSERT INTO items_fts (items_fts, rowid, name, description)
+  VALUES ('delete', old.id, old.name, old.description);
+  INSERT INTO items_fts (rowid, name, description)
+  VALUES (new.id, new.name, new.description);
+END;
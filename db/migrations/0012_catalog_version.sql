@@ -0,0 +1,94 @@
+-- 0012_catalog_version.sql
+-- Version of the catalog read by get-items and get-categories for their ETag
+-- and Last-Modified headers. Triggers bump it on every change to the tables
+-- behind those responses, so cached copies go stale as soon as anything is
+-- written, whichever route or script writes it. purchase_items counts because
+-- it drives the popularity sort.
+
+CREATE TABLE IF NOT EXISTS catalog_version (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  version INTEGER NOT NULL,
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+INSERT OR IGNORE INTO catalog_version (id, version) VALUES (1, 1);
+
+CREATE TRIGGER IF NOT EXISTS catalog_version_items_insert
+AFTER INSERT ON items
+BEGIN
+  UPDATE catalog_version
+  SET version = version + 1, updated_at = datetime('now')
+  WHERE id = 1;
+END;
+
+CREATE TRIGGER IF NOT EXISTS catalog_version_items_update
+AFTER UPDATE ON items
+BEGIN
+  UPDATE catalog_version
+  SET version = version + 1, updated_at = datetime('now')
+  WHERE id = 1;
+END;
+
+CREATE TRIGGER IF NOT EXISTS catalog_version_items_delete
+AFTER DELETE ON items
+BEGIN
+  UPDATE catalog_version
+  SET version = version + 1, updated_at = datetime('now')
+  WHERE id = 1;
+END;
+
+CREATE TRIGGER IF NOT EXISTS catalog_version_categories_insert
+AFTER INSERT ON categories
+BEGIN
+  UPDATE catalog_version
+  SET version = version + 1, updated_at = datetime('now')
+  WHERE id = 1;
+END;
+
+CREATE TRIGGER IF NOT EXISTS catalog_version_categories_update
+AFTER UPDATE ON categories
+BEGIN
+  UPDATE catalog_version
+  SET version = version + 1, updated_at = datetime('now')
+  WHERE id = 1;
+END;
+
+CREATE TRIGGER IF NOT EXISTS catalog_version_categories_delete
+AFTER DELETE ON categories
+BEGIN
+  UPDATE catalog_version
+  SET version = version + 1, updated_at = datetime('now')
+  WHERE id = 1;
+END;
+
+CREATE TRIGGER IF NOT EXISTS catalog_version_item_categories_insert
+AFTER INSERT ON item_categories
+BEGIN
+  UPDATE catalog_version
+  SET version = version + 1, updated_at = datetime('now')
+  WHERE id = 1;
+END;
+
+CREATE TRIGGER IF NOT EXISTS catalog_version_item_categories_delete
+AFTER DELETE ON item_categories
+BEGIN
+  UPDATE catalog_version
+  SET version = version + 1, updated_at = datetime('now')
+  WHERE id = 1;
+END;
+
+CREATE TRIGGER IF NOT EXISTS catalog_version_purchase_items_insert
+AFTER INSERT ON purchase_items
+BEGIN
+  UPDATE catalog_version
+  SET version = version + 1, updated_at = datetime('now')
+  WHERE id = 1;
+END;
+
+CREATE TRIGGER IF NOT EXISTS catalog_version_purchase_items_update
+AFTER UPDATE ON purchase_items
+BEGIN
+  UPDATE catalog_version
+  SET version = version + 1, updated_at = datetime('now')
+  WHERE id = 1;
+END;
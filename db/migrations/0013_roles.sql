@@ -0,0 +1,59 @@
+-- 0013_roles.sql
+-- Roles for the staff routes. A role is held by a forum user or by every
+-- member of a Forumotion group named in the user token, and grants the
+-- permissions the routes check. Assign roles with plain SQL, e.g.
+-- INSERT INTO role_assignments (role, user_id) VALUES ('admin', 1);
+
+CREATE TABLE IF NOT EXISTS roles (
+  name TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role TEXT NOT NULL REFERENCES roles (name),
+  permission TEXT NOT NULL,
+  PRIMARY KEY (role, permission)
+);
+
+CREATE TABLE IF NOT EXISTS role_assignments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  role TEXT NOT NULL REFERENCES roles (name),
+  user_id INTEGER,
+  group_id INTEGER,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  CHECK ((user_id IS NULL) <> (group_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_role_assignments_user
+  ON role_assignments (user_id, role) WHERE user_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_role_assignments_group
+  ON role_assignments (group_id, role) WHERE group_id IS NOT NULL;
+
+INSERT OR IGNORE INTO roles (name, description) VALUES
+  ('admin', 'Everything staff can do'),
+  ('shop_manager', 'Manages items and categories'),
+  ('moderator', 'Adjusts credits and refunds purchases'),
+  ('member', 'Regular forum member, no staff permissions');
+
+INSERT OR IGNORE INTO role_permissions (role, permission) VALUES
+  ('admin', 'items.create'),
+  ('admin', 'items.update'),
+  ('admin', 'items.delete'),
+  ('admin', 'items.restore'),
+  ('admin', 'categories.create'),
+  ('admin', 'categories.update'),
+  ('admin', 'categories.delete'),
+  ('admin', 'categories.restore'),
+  ('admin', 'credits.update'),
+  ('admin', 'purchases.refund'),
+  ('shop_manager', 'items.create'),
+  ('shop_manager', 'items.update'),
+  ('shop_manager', 'items.delete'),
+  ('shop_manager', 'items.restore'),
+  ('shop_manager', 'categories.create'),
+  ('shop_manager', 'categories.update'),
+  ('shop_manager', 'categories.delete'),
+  ('shop_manager', 'categories.restore'),
+  ('moderator', 'credits.update'),
+  ('moderator', 'purchases.refund');
@@ -0,0 +1,11 @@
+-- 0014_rate_limits.sql
+-- Token buckets of the rate limiter's database store, one per route and user
+-- or IP. tokens is what was left at updated_at (Unix seconds); the bucket
+-- refills from there. A bucket that has been idle long enough is full, the
+-- same as a missing row, so old rows can be deleted at any time.
+
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+  key TEXT PRIMARY KEY,
+  tokens REAL NOT NULL,
+  updated_at REAL NOT NULL
+);
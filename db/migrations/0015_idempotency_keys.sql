@@ -0,0 +1,17 @@
+-- 0015_idempotency_keys.sql
+-- Idempotency-Key headers seen by the routes that write, scoped to the route
+-- and the user of the token. request_hash tells a retry from a different
+-- request reusing the key; response_status and response_body stay NULL while
+-- the first request runs and then hold what it answered. created_at is in
+-- Unix seconds. Rows older than the replay window are never read again and
+-- can be deleted at any time.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  scope TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  response_status INTEGER,
+  response_body TEXT,
+  created_at REAL NOT NULL,
+  PRIMARY KEY (scope, idempotency_key)
+);
@@ -0,0 +1,21 @@
+-- 0016_record_versions.sql
+-- Version of each item and category for optimistic concurrency. Every staff
+-- write sets edited_at, so a trigger on it bumps the version; stock changes
+-- from purchases, refunds and sell-backs are not edits and leave it alone.
+-- update-item and update-category reject a write based on an older version.
+
+ALTER TABLE items ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE categories ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TRIGGER IF NOT EXISTS items_version_edited
+AFTER UPDATE OF edited_at ON items
+BEGIN
+  UPDATE items SET version = OLD.version + 1 WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS categories_version_edited
+AFTER UPDATE OF edited_at ON categories
+BEGIN
+  UPDATE categories SET version = OLD.version + 1 WHERE id = NEW.id;
+END;
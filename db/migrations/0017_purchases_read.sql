@@ -0,0 +1,7 @@
+-- 0017_purchases_read.sql
+-- Staff permission to read the purchase history of every user. Users can
+-- always read their own purchases with a token issued to them.
+
+INSERT OR IGNORE INTO role_permissions (role, permission) VALUES
+  ('admin', 'purchases.read'),
+  ('moderator', 'purchases.read');
@@ -0,0 +1,6 @@
+-- 0018_audit_read.sql
+-- Staff permission to browse the audit log through get-audit-log.
+
+INSERT OR IGNORE INTO role_permissions (role, permission) VALUES
+  ('admin', 'audit.read'),
+  ('moderator', 'audit.read');
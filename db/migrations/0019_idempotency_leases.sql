@@ -0,0 +1,15 @@
+-- 0019_idempotency_leases.sql
+-- response_headers keeps the headers of the stored response, such as ETag,
+-- as a JSON list of [name, value] pairs so a replay sends them again.
+-- lease_expires_at (Unix seconds) is how long the request that claimed a key
+-- holds it; the request extends it while it runs, so only a request that
+-- stopped without finishing loses its key to a retry. Keys claimed before
+-- this migration keep the 60 seconds they had.
+
+ALTER TABLE idempotency_keys ADD COLUMN response_headers TEXT;
+
+ALTER TABLE idempotency_keys ADD COLUMN lease_expires_at REAL;
+
+UPDATE idempotency_keys
+SET lease_expires_at = created_at + 60
+WHERE response_status IS NULL;
@@ -0,0 +1,274 @@
+// purge.js
+//
+// Permanently removes items and categories that were soft deleted a while
+// ago, leaving a snapshot of each one in catalog_tombstones.
+// Usage: deno run -A db/purge.js [--dry-run] [--days=90] [database-url]
+// The URL defaults to TURSO_URL (with TURSO_AUTH_TOKEN).
+
+import { createClient } from "npm:@libsql/client@0.6.0/node";
+
+/**
+ * Days a record stays soft deleted before it can be purged.
+ */
+export const DEFAULT_PURGE_AFTER_DAYS = 90;
+
+/**
+ * Finds the soft deleted items old enough to purge, with everything that
+ * still references them.
+ * @param {Object} tx - libSQL transaction.
+ * @param {string} cutoff - Modifier for datetime('now'), e.g. "-90 days".
+ * @returns {Promise<Object[]>} Item snapshots.
+ */
+const findPurgeableItems = async (tx, cutoff) => {
+  const itemsResponse = await tx.execute({
+    sql: `SELECT * FROM items
+          WHERE is_deleted = 1 AND edited_at <= datetime('now', ?)
+          ORDER BY id`,
+    args: [cutoff],
+  });
+
+  const snapshots = [];
+  for (const item of itemsResponse.rows) {
+    const categoriesResponse = await tx.execute({
+      sql: "SELECT category_id FROM item_categories WHERE item_id = ?",
+      args: [item.id],
+    });
+    const holdersResponse = await tx.execute({
+      sql: `SELECT user_id, total_quantity, quantity_in_bag
+            FROM inventory WHERE item_id = ? ORDER BY user_id`,
+      args: [item.id],
+    });
+    const purchasesResponse = await tx.execute({
+      sql: "SELECT COUNT(*) AS lines FROM purchase_items WHERE item_id = ?",
+      args: [item.id],
+    });
+
+    snapshots.push({
+      ...item,
+      categories: categoriesResponse.rows.map((row) => row.category_id),
+      holders: holdersResponse.rows.map((row) => ({ ...row })),
+      purchase_lines: Number(purchasesResponse.rows[0].lines),
+    });
+  }
+
+  return snapshots;
+};
+
+/**
+ * Finds the soft deleted categories old enough to purge.
+ * @param {Object} tx - libSQL transaction.
+ * @param {string} cutoff - Modifier for datetime('now'), e.g. "-90 days".
+ * @returns {Promise<Object[]>} Category snapshots.
+ */
+const findPurgeableCategories = async (tx, cutoff) => {
+  const categoriesResponse = await tx.execute({
+    sql: `SELECT * FROM categories
+          WHERE is_deleted = 1 AND edited_at <= datetime('now', ?)
+          ORDER BY id`,
+    args: [cutoff],
+  });
+
+  return categoriesResponse.rows.map((category) => ({ ...category }));
+};
+
+/**
+ * Stores the snapshot of a purged record.
+ * @param {Object} tx - libSQL transaction.
+ * @param {string} entity - "item" or "category".
+ * @param {Object} snapshot - Record and its references.
+ * @returns {Promise<void>}
+ */
+const writeTombstone = async (tx, entity, snapshot) => {
+  await tx.execute({
+    sql: `INSERT INTO catalog_tombstones (entity, entity_id, snapshot, deleted_at)
+          VALUES (?, ?, ?, ?)`,
+    args: [entity, snapshot.id, JSON.stringify(snapshot), snapshot.edited_at],
+  });
+};
+
+/**
+ * Purges the items and categories soft deleted more than some days ago.
+ * Item links and inventory rows are removed with the item and recorded in
+ * its tombstone; purchase history is kept and resolves to the tombstone.
+ * @param {Object} client - libSQL client.
+ * @param {Object} [options] - Purge options.
+ * @param {number} [options.olderThanDays=DEFAULT_PURGE_AFTER_DAYS] - Minimum days since the deletion.
+ * @param {boolean} [options.dryRun=false] - Report without removing anything.
+ * @returns {Promise<Object>} What was (or would be) purged.
+ */
+export const purgeDeleted = async (
+  client,
+  { olderThanDays = DEFAULT_PURGE_AFTER_DAYS, dryRun = false } = {}
+) => {
+  if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+    throw new Error("olderThanDays must be a non-negative integer");
+  }
+
+  const cutoff = `-${olderThanDays} days`;
+  const tx = await client.transaction("write");
+
+  try {
+    const items = await findPurgeableItems(tx, cutoff);
+    const categories = await findPurgeableCategories(tx, cutoff);
+
+    if (!dryRun) {
+      for (const item of items) {
+        await writeTombstone(tx, "item", item);
+
+        for (const holder of item.holders) {
+          await tx.execute({
+            sql: `INSERT INTO inventory_audit
+                  (user_id, item_id, delta, bag_delta, reason, reference_type)
+                  VALUES (?, ?, ?, ?, 'purge', 'tombstone')`,
+            args: [
+              holder.user_id,
+              item.id,
+              -holder.total_quantity,
+              -holder.quantity_in_bag,
+            ],
+          });
+        }
+
+        await tx.execute({
+          sql: "DELETE FROM inventory WHERE item_id = ?",
+          args: [item.id],
+        });
+        await tx.execute({
+          sql: "DELETE FROM item_categories WHERE item_id = ?",
+          args: [item.id],
+        });
+        await tx.execute({
+          sql: "DELETE FROM items WHERE id = ?",
+          args: [item.id],
+        });
+      }
+
+      for (const category of categories) {
+        await writeTombstone(tx, "category", category);
+
+        await tx.execute({
+          sql: "DELETE FROM item_categories WHERE category_id = ?",
+          args: [category.id],
+        });
+        await tx.execute({
+          sql: "DELETE FROM categories WHERE id = ?",
+          args: [category.id],
+        });
+      }
+    }
+
+    if (dryRun) {
+      await tx.rollback();
+    } else {
+      await tx.commit();
+    }
+
+    return {
+      dry_run: dryRun,
+      older_than_days: olderThanDays,
+      items: items.map((item) => ({
+        id: item.id,
+        name: item.name,
+        deleted_at: item.edited_at,
+        holders: item.holders.length,
+        purchase_lines: item.purchase_lines,
+      })),
+      categories: categories.map((category) => ({
+        id: category.id,
+        name: category.name,
+        deleted_at: category.edited_at,
+      })),
+    };
+  } catch (error) {
+    if (!tx.closed) await tx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Command line usage, printed when the arguments are not understood.
+ */
+const USAGE =
+  "Usage: deno run -A db/purge.js [--dry-run] [--days=90] [database-url]";
+
+/**
+ * Parses the command line arguments. Unknown flags and a --days without a
+ * value are rejected rather than ignored, so a typo cannot turn a dry run
+ * into a real purge.
+ * @param {string[]} args - Arguments, e.g. Deno.args.
+ * @returns {{url: string|null, olderThanDays: number, dryRun: boolean}} Options.
+ * @throws {Error} If an argument is not valid; the message includes the usage.
+ */
+export const parsePurgeArgs = (args) => {
+  const options = {
+    url: null,
+    olderThanDays: DEFAULT_PURGE_AFTER_DAYS,
+    dryRun: false,
+  };
+
+  for (const arg of args) {
+    if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg.startsWith("--days=")) {
+      const days = arg.slice("--days=".length);
+      if (!/^\d+$/.test(days)) {
+        throw new Error(`--days must be a whole number of days\n${USAGE}`);
+      }
+      options.olderThanDays = Number(days);
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown argument: ${arg}\n${USAGE}`);
+    } else if (options.url === null) {
+      options.url = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}\n${USAGE}`);
+    }
+  }
+
+  return options;
+};
+
+if (import.meta.main) {
+  let options;
+  try {
+    options = parsePurgeArgs(Deno.args);
+  } catch (error) {
+    console.error("[ERROR]", error.message);
+    Deno.exit(2);
+  }
+
+  const url = options.url || Deno.env.get("TURSO_URL");
+  if (!url) {
+    console.error("[ERROR] Pass a database URL or set TURSO_URL");
+    Deno.exit(1);
+  }
+
+  const client = createClient({
+    url,
+    authToken: Deno.env.get("TURSO_AUTH_TOKEN"),
+  });
+
+  try {
+    const result = await purgeDeleted(client, {
+      olderThanDays: options.olderThanDays,
+      dryRun: options.dryRun,
+    });
+
+    const verb = result.dry_run ? "Would purge" : "Purged";
+    for (const item of result.items) {
+      console.log(
+        `[INFO] ${verb} item ${item.id} (${item.name}): ${item.holders} holder(s), ${item.purchase_lines} purchase line(s)`
+      );
+    }
+    for (const category of result.categories) {
+      console.log(`[INFO] ${verb} category ${category.id} (${category.name})`);
+    }
+    console.log(
+      `[INFO] ${verb} ${result.items.length} item(s) and ${result.categories.length} category(ies) deleted more than ${result.older_than_days} days ago.`
+    );
+  } catch (error) {
+    console.error("[ERROR]", error.message);
+    Deno.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
@@ -0,0 +1,72 @@
+// auth.js
+
+import { ForbiddenError, UnauthorizedError } from "./errors.js";
+import { verifyUserToken } from "./tokens.js";
+
+/**
+ * Validates the API key provided in the headers.
+ * @param {string|null} apiKey - API key to validate.
+ * @param {string} [envName="API_KEY"] - Environment variable holding the expected key.
+ * @throws {ForbiddenError} If the API key is missing or not valid.
+ */
+export const validateApiKey = (apiKey, envName = "API_KEY") => {
+  if (!apiKey) {
+    throw new ForbiddenError("API key is required");
+  }
+  if (apiKey !== Deno.env.get(envName)) {
+    throw new ForbiddenError("Invalid API key");
+  }
+};
+
+/**
+ * Reads the token sent as "Authorization: Bearer <token>".
+ * @param {Request} request - Incoming request object.
+ * @returns {string|null} Token, or null if none was sent.
+ */
+export const readBearerToken = (request) => {
+  const [scheme, token] = (request.headers.get("Authorization") || "").split(
+    " "
+  );
+  return scheme === "Bearer" && token ? token : null;
+};
+
+/**
+ * Reads the user of a valid user token, if the request has one, for the
+ * checks that run before the route verifies the token itself.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<number|null>} Forumotion user ID.
+ */
+export const readTokenUserId = async (request) => {
+  const token = readBearerToken(request);
+  if (!token) return null;
+
+  try {
+    return (await verifyUserToken(token)).userId;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Verifies the user token sent as "Authorization: Bearer <token>" and that it
+ * was issued to the user the request acts for. Routes call it once the body
+ * is validated, before trusting any user ID in it.
+ * @param {Request} request - Incoming request object.
+ * @param {number} userId - Forumotion user ID the request acts for.
+ * @returns {Promise<{userId: number, groupIds: number[]}>} Claims of the token.
+ * @throws {UnauthorizedError} If the token is missing, not valid or expired.
+ * @throws {ForbiddenError} If the token was issued to another user.
+ */
+export const authorizeUser = async (request, userId) => {
+  const token = readBearerToken(request);
+  if (!token) {
+    throw new UnauthorizedError("User token is required");
+  }
+
+  const claims = await verifyUserToken(token);
+  if (claims.userId !== userId) {
+    throw new ForbiddenError(`User token was not issued to user ${userId}`);
+  }
+
+  return claims;
+};
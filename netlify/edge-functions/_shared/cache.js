@@ -0,0 +1,76 @@
+// cache.js
+
+/**
+ * Reads the catalog version that triggers bump on every catalog write, with
+ * the database clock so both times come from the same source.
+ * @param {Object} turso - Turso client.
+ * @returns {Promise<{version: number, updated_at: string, now: string}>} Version, when it last changed and the current time.
+ */
+export const getCatalogVersion = async (turso) => {
+  const response = await turso.execute(
+    `SELECT version, updated_at, datetime('now') AS now
+     FROM catalog_version WHERE id = 1`
+  );
+  return response.rows[0];
+};
+
+/**
+ * Builds the caching headers of a catalog read. Browsers and Netlify's edge
+ * cache keep the response but revalidate it on every request, so a write is
+ * seen right away while unchanged data is answered with a 304. The edge cache
+ * is keyed on the API key so it never serves a response to a request the route
+ * would reject. Last-Modified only has whole seconds, so it is left out while
+ * the catalog changed in the current second: another write in that second
+ * would keep the same Last-Modified and If-Modified-Since would then answer
+ * 304 to a stale copy. The ETag covers those responses.
+ * @param {{version: number, updated_at: string, now: string}} catalogVersion - From getCatalogVersion.
+ * @returns {Object} ETag, Last-Modified and Cache-Control headers.
+ */
+export const catalogCacheHeaders = ({ version, updated_at, now }) => {
+  return {
+    ETag: `"catalog-${version}"`,
+    ...(updated_at < now && {
+      "Last-Modified": new Date(
+        `${updated_at.replace(" ", "T")}Z`
+      ).toUTCString(),
+    }),
+    "Cache-Control": "public, max-age=0, must-revalidate",
+    "Netlify-CDN-Cache-Control": "public, max-age=0, must-revalidate",
+    "Netlify-Vary": "header=X-API-KEY",
+  };
+};
+
+/**
+ * Checks the conditional headers of a request against the current ETag and
+ * Last-Modified. If-Modified-Since is only used without If-None-Match, and
+ * never matches while Last-Modified is left out.
+ * @param {Request} request - Incoming request object.
+ * @param {Object} headers - Headers from catalogCacheHeaders.
+ * @returns {boolean} True if the client already has the current data.
+ */
+export const isNotModified = (request, headers) => {
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  if (ifNoneMatch !== null) {
+    return ifNoneMatch
+      .split(",")
+      .map((tag) => tag.trim().replace(/^W\//, ""))
+      .some((tag) => tag === "*" || tag === headers.ETag);
+  }
+
+  if (!headers["Last-Modified"]) return false;
+
+  const ifModifiedSince = Date.parse(request.headers.get("If-Modified-Since"));
+  return (
+    !isNaN(ifModifiedSince) &&
+    Date.parse(headers["Last-Modified"]) <= ifModifiedSince
+  );
+};
+
+/**
+ * Builds an empty 304 response.
+ * @param {Object} headers - Headers from catalogCacheHeaders.
+ * @returns {Response} Not Modified response.
+ */
+export const notModifiedResponse = (headers) => {
+  return new Response(null, { status: 304, headers });
+};
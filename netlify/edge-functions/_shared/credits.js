@@ -0,0 +1,111 @@
+// credits.js
+
+import { BadRequestError, NotFoundError } from "./errors.js";
+
+/**
+ * Credits granted to a user when they are registered.
+ */
+export const INITIAL_CREDITS = 100;
+
+/**
+ * Adds a signed amount to a user's balance and appends the change to the
+ * credit ledger. Must run inside the caller's transaction so the balance and
+ * the ledger entry are written together.
+ * @param {Object} tx - Turso transaction.
+ * @param {Object} change - Credit change.
+ * @param {number} change.userId - Forumotion user ID.
+ * @param {number} change.delta - Credits to add; negative to subtract.
+ * @param {string} change.reason - Why the balance changed.
+ * @param {number|null} [change.actorId=null] - User who made the change.
+ * @param {string|null} [change.referenceType=null] - Kind of record behind the change, e.g. "purchase".
+ * @param {number|null} [change.referenceId=null] - ID of that record.
+ * @returns {Promise<Object>} The ledger entry, including balance_after.
+ * @throws {NotFoundError} If the user does not exist.
+ * @throws {BadRequestError} If the balance would go below zero.
+ */
+export const applyCreditDelta = async (
+  tx,
+  {
+    userId,
+    delta,
+    reason,
+    actorId = null,
+    referenceType = null,
+    referenceId = null,
+  }
+) => {
+  // The balance check is part of the update so concurrent changes cannot
+  // overdraw the account.
+  const updateResponse = await tx.execute({
+    sql: `UPDATE users
+          SET credits = credits + ?, edited_at = datetime('now')
+          WHERE user_id = ? AND credits + ? >= 0`,
+    args: [delta, userId, delta],
+  });
+
+  if (updateResponse.rowsAffected === 0) {
+    const userResponse = await tx.execute({
+      sql: "SELECT id FROM users WHERE user_id = ?",
+      args: [userId],
+    });
+    if (!userResponse.rows.length) {
+      throw new NotFoundError("User not found");
+    }
+    throw new BadRequestError("Insufficient credits");
+  }
+
+  const balanceResponse = await tx.execute({
+    sql: "SELECT credits FROM users WHERE user_id = ?",
+    args: [userId],
+  });
+  const balanceAfter = Number(balanceResponse.rows[0].credits);
+
+  const ledgerResponse = await tx.execute({
+    sql: `INSERT INTO credit_ledger
+          (user_id, delta, balance_after, reason, actor_id, reference_type, reference_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    args: [
+      userId,
+      delta,
+      balanceAfter,
+      reason,
+      actorId,
+      referenceType,
+      referenceId,
+    ],
+  });
+
+  return {
+    id: Number(ledgerResponse.lastInsertRowid),
+    user_id: userId,
+    delta,
+    balance_after: balanceAfter,
+    reason,
+    actor_id: actorId,
+    reference_type: referenceType,
+    reference_id: referenceId,
+  };
+};
+
+/**
+ * Writes a users_audit UPDATE row for a balance change, so it shows up for
+ * the user in get-audit-log next to their registration. The ledger entries
+ * hold the reason and the actor.
+ * @param {Object} tx - Turso transaction.
+ * @param {Object} change - Balance change.
+ * @param {number} change.userId - Forumotion user ID.
+ * @param {number} change.before - Balance before the change.
+ * @param {number} change.after - Balance after the change.
+ * @returns {Promise<void>}
+ */
+export const auditCreditChange = async (tx, { userId, before, after }) => {
+  await tx.execute({
+    sql: `INSERT INTO users_audit (user_id, action_type, old_values, new_values)
+          VALUES (?, 'UPDATE', ?, ?)`,
+    args: [
+      userId,
+      JSON.stringify({ credits: before }),
+      JSON.stringify({ credits: after }),
+    ],
+  });
+};
@@ -0,0 +1,98 @@
+// errors.js
+
+/**
+ * Base class for errors that map to an HTTP status.
+ * Any details are merged into the JSON error body next to the message.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Error message returned to the client.
+   * @param {number} status - HTTP status code.
+   * @param {Object} [details] - Extra fields for the error body.
+   */
+  constructor(message, status = 500, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Invalid or incomplete request data (400).
+ */
+export class BadRequestError extends HttpError {
+  constructor(message, details) {
+    super(message, 400, details);
+  }
+}
+
+/**
+ * Missing, invalid or expired user token (401).
+ */
+export class UnauthorizedError extends HttpError {
+  constructor(message, details) {
+    super(message, 401, details);
+  }
+}
+
+/**
+ * Missing or invalid credentials (403).
+ */
+export class ForbiddenError extends HttpError {
+  constructor(message, details) {
+    super(message, 403, details);
+  }
+}
+
+/**
+ * Requested record does not exist (404).
+ */
+export class NotFoundError extends HttpError {
+  constructor(message, details) {
+    super(message, 404, details);
+  }
+}
+
+/**
+ * HTTP method not supported by the route (405).
+ */
+export class MethodNotAllowedError extends HttpError {
+  constructor(message = "Method not allowed", details) {
+    super(message, 405, details);
+  }
+}
+
+/**
+ * Request conflicts with the current state of the data (409).
+ */
+export class ConflictError extends HttpError {
+  constructor(message, details) {
+    super(message, 409, details);
+  }
+}
+
+/**
+ * Caller went over a rate limit (429). Retry-After tells them when to try
+ * again.
+ */
+export class TooManyRequestsError extends HttpError {
+  /**
+   * @param {string} message - Error message returned to the client.
+   * @param {number} retryAfter - Seconds until the request would be allowed.
+   * @param {Object} [details] - Extra fields for the error body.
+   */
+  constructor(message, retryAfter, details) {
+    super(message, 429, { retry_after: retryAfter, ...details });
+    this.headers = { "Retry-After": String(retryAfter) };
+  }
+}
+
+/**
+ * An upstream service such as ImageKit failed (502).
+ */
+export class UpstreamError extends HttpError {
+  constructor(message, details) {
+    super(message, 502, details);
+  }
+}
@@ -0,0 +1,140 @@
+// http.js
+
+import { validateApiKey } from "./auth.js";
+import { BadRequestError, HttpError, MethodNotAllowedError } from "./errors.js";
+import { withIdempotency } from "./idempotency.js";
+import { enforceRateLimit } from "./rate-limit.js";
+import { closeTursoClient, createTursoClient } from "./turso.js";
+
+/**
+ * Obtains the necessary CORS headers for responses.
+ * @param {string[]} methods - HTTP methods the route accepts.
+ * @param {string} [originEnv="FORUM_URL"] - Environment variable holding the allowed origin.
+ * @returns {Object} CORS headers.
+ */
+export const getCorsHeaders = (methods, originEnv = "FORUM_URL") => {
+  return {
+    "Access-Control-Allow-Origin": Deno.env.get(originEnv),
+    "Access-Control-Allow-Methods": [...methods, "OPTIONS"].join(", "),
+    "Access-Control-Allow-Headers":
+      "Content-Type, X-API-KEY, Authorization, Idempotency-Key",
+    "Access-Control-Expose-Headers": "Retry-After, Idempotent-Replayed",
+  };
+};
+
+/**
+ * Builds a JSON response.
+ * @param {*} body - Data to serialize.
+ * @param {number} [status=200] - HTTP status code.
+ * @param {Object} [headers] - Extra headers.
+ * @returns {Response} JSON response.
+ */
+export const jsonResponse = (body, status = 200, headers = {}) => {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      ...headers,
+      "Content-Type": "application/json",
+    },
+  });
+};
+
+/**
+ * Parses the JSON body of a request.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<*>} Parsed body.
+ * @throws {BadRequestError} If the body is not valid JSON.
+ */
+export const readJsonBody = async (request) => {
+  try {
+    return await request.json();
+  } catch {
+    throw new BadRequestError("Invalid request data");
+  }
+};
+
+/**
+ * Builds the JSON response for a thrown error. HttpError instances keep their
+ * status, details and headers; anything else is reported as a 500.
+ * @param {Error} error - Thrown error.
+ * @param {Object} [headers] - Extra headers.
+ * @returns {Response} JSON error response.
+ */
+export const errorResponse = (error, headers = {}) => {
+  if (error instanceof HttpError) {
+    return jsonResponse(
+      { error: error.message, ...error.details },
+      error.status,
+      { ...error.headers, ...headers }
+    );
+  }
+  return jsonResponse({ error: error.message }, 500, headers);
+};
+
+/**
+ * Wraps an edge function with the lifecycle every route shares: CORS
+ * preflight, method and API key checks, rate limits, idempotency keys, a
+ * Turso client that is always closed, and mapping of thrown errors to JSON
+ * responses.
+ * @param {Object} options - Handler options.
+ * @param {string} options.name - Route name used in logs.
+ * @param {string[]} options.methods - HTTP methods the route accepts.
+ * @param {Function} options.handler - Receives { request, turso } and returns a Response.
+ * @param {string} [options.originEnv="FORUM_URL"] - Environment variable holding the allowed origin.
+ * @param {string} [options.apiKeyEnv="API_KEY"] - Environment variable holding the API key.
+ * @param {Object} [options.rateLimit] - Per user and per IP limits, see enforceRateLimit.
+ * @param {boolean} [options.idempotent=false] - Accept Idempotency-Key, see withIdempotency.
+ * @returns {Function} Edge function handler.
+ */
+export const createEdgeHandler = ({
+  name,
+  methods,
+  handler,
+  originEnv = "FORUM_URL",
+  apiKeyEnv = "API_KEY",
+  rateLimit = null,
+  idempotent = false,
+}) => {
+  return async (request, context) => {
+    const corsHeaders = getCorsHeaders(methods, originEnv);
+
+    if (request.method === "OPTIONS") {
+      return new Response(null, { headers: corsHeaders });
+    }
+
+    let turso;
+
+    try {
+      if (!methods.includes(request.method)) {
+        throw new MethodNotAllowedError();
+      }
+
+      validateApiKey(request.headers.get("X-API-KEY"), apiKeyEnv);
+
+      turso = createTursoClient();
+      if (rateLimit) {
+        await enforceRateLimit(turso, request, context, {
+          route: name,
+          limits: rateLimit,
+        });
+      }
+
+      const run = () => handler({ request, turso });
+      const response = idempotent
+        ? await withIdempotency(turso, request, name, run)
+        : await run();
+
+      for (const [header, value] of Object.entries(corsHeaders)) {
+        response.headers.set(header, value);
+      }
+      return response;
+    } catch (error) {
+      console.error(`[ERROR] ${name} failed:`, error);
+      return errorResponse(error, corsHeaders);
+    } finally {
+      if (turso) {
+        await closeTursoClient(turso);
+      }
+    }
+  };
+};
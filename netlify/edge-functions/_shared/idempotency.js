@@ -0,0 +1,235 @@
+// idempotency.js
+
+import { readTokenUserId } from "./auth.js";
+import { BadRequestError, ConflictError } from "./errors.js";
+
+/**
+ * How long a stored response is replayed for a repeated key.
+ */
+export const IDEMPOTENCY_WINDOW_SECONDS = 24 * 60 * 60;
+
+/**
+ * How long a claimed key stays locked without being renewed. A running
+ * request renews it every LEASE_RENEWAL_SECONDS, so however slow it is, a
+ * retry only takes the key over once the request has stopped, e.g. because
+ * its instance was shut down.
+ */
+const LEASE_SECONDS = 30;
+
+/**
+ * How often a running request renews the lease on its key.
+ */
+const LEASE_RENEWAL_SECONDS = 10;
+
+const encoder = new TextEncoder();
+
+/**
+ * Hashes bytes with SHA-256.
+ * @param {BufferSource} bytes - Bytes to hash.
+ * @returns {Promise<string>} Hex digest.
+ */
+const sha256 = async (bytes) => {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+};
+
+/**
+ * Hashes the method and body of a request. Multipart bodies are hashed by
+ * their fields, since every retry is sent with a new boundary.
+ * @param {Request} request - Incoming request object, left unread.
+ * @returns {Promise<string>} Hex digest.
+ */
+const hashRequest = async (request) => {
+  const copy = request.clone();
+  const contentType = request.headers.get("Content-Type") || "";
+
+  if (!contentType.startsWith("multipart/form-data")) {
+    const body = await copy.text();
+    return sha256(encoder.encode(`${request.method}\n${body}`));
+  }
+
+  const fields = [];
+  for (const [name, value] of await copy.formData()) {
+    fields.push([
+      name,
+      value instanceof File
+        ? {
+            name: value.name,
+            type: value.type,
+            hash: await sha256(await value.arrayBuffer()),
+          }
+        : value,
+    ]);
+  }
+  return sha256(encoder.encode(`${request.method}\n${JSON.stringify(fields)}`));
+};
+
+/**
+ * Reads and checks the Idempotency-Key header.
+ * @param {Request} request - Incoming request object.
+ * @returns {string|null} Key, or null if none was sent.
+ * @throws {BadRequestError} If the key is empty, too long or not printable.
+ */
+const readIdempotencyKey = (request) => {
+  const key = request.headers.get("Idempotency-Key");
+  if (key === null) return null;
+
+  if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+    throw new BadRequestError(
+      "Idempotency-Key must be 1 to 255 printable characters"
+    );
+  }
+  return key;
+};
+
+/**
+ * Keeps renewing the lease on a claimed key while its request runs.
+ * @param {Object} turso - Turso client.
+ * @param {string} scope - Scope of the key.
+ * @param {string} key - Idempotency key.
+ * @returns {Function} Stops renewing; resolves once a renewal in flight is done.
+ */
+const holdLease = (turso, scope, key) => {
+  let renewal = Promise.resolve();
+  const timer = setInterval(() => {
+    renewal = turso
+      .execute({
+        sql: `UPDATE idempotency_keys SET lease_expires_at = ?
+              WHERE scope = ? AND idempotency_key = ?
+              AND response_status IS NULL`,
+        args: [Date.now() / 1000 + LEASE_SECONDS, scope, key],
+      })
+      .catch((error) => {
+        console.error("[ERROR] Failed to renew an idempotency lease:", error);
+      });
+  }, LEASE_RENEWAL_SECONDS * 1000);
+
+  return async () => {
+    clearInterval(timer);
+    await renewal;
+  };
+};
+
+/**
+ * Runs a write at most once per Idempotency-Key. The first request with a key
+ * runs and, if it succeeds, its response is stored; a retry with the same key
+ * and body within IDEMPOTENCY_WINDOW_SECONDS gets that response again, with
+ * its headers and an Idempotent-Replayed header, instead of running a second
+ * time. Failed requests change nothing, so their key is released for the
+ * retry. Requests without the header, and reads, run as usual.
+ * @param {Object} turso - Turso client.
+ * @param {Request} request - Incoming request object.
+ * @param {string} route - Route name, part of the key's scope.
+ * @param {Function} run - Runs the route and returns its Response.
+ * @returns {Promise<Response>} Response of the route, or the stored one.
+ * @throws {BadRequestError} If the key is not valid.
+ * @throws {ConflictError} If the key was used for another request or its first request is still running.
+ */
+export const withIdempotency = async (turso, request, route, run) => {
+  const key = request.method === "GET" ? null : readIdempotencyKey(request);
+  if (key === null) {
+    return run();
+  }
+
+  const scope = `${route}:${(await readTokenUserId(request)) ?? "anonymous"}`;
+  const requestHash = await hashRequest(request);
+  const now = Date.now() / 1000;
+
+  // Claims the key unless a live request holds it
+  const claimResponse = await turso.execute({
+    sql: `INSERT INTO idempotency_keys
+          (scope, idempotency_key, request_hash, created_at, lease_expires_at)
+          VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT (scope, idempotency_key) DO UPDATE
+          SET request_hash = excluded.request_hash,
+              response_status = NULL,
+              response_body = NULL,
+              response_headers = NULL,
+              created_at = excluded.created_at,
+              lease_expires_at = excluded.lease_expires_at
+          WHERE created_at < ?
+          OR (response_status IS NULL AND lease_expires_at < ?)
+          RETURNING scope`,
+    args: [
+      scope,
+      key,
+      requestHash,
+      now,
+      now + LEASE_SECONDS,
+      now - IDEMPOTENCY_WINDOW_SECONDS,
+      now,
+    ],
+  });
+
+  if (!claimResponse.rows.length) {
+    const storedResponse = await turso.execute({
+      sql: `SELECT request_hash, response_status, response_body,
+                   response_headers
+            FROM idempotency_keys
+            WHERE scope = ? AND idempotency_key = ?`,
+      args: [scope, key],
+    });
+    const stored = storedResponse.rows[0];
+
+    if (stored.request_hash !== requestHash) {
+      throw new ConflictError(
+        "Idempotency-Key was already used for a different request"
+      );
+    }
+    if (stored.response_status === null) {
+      throw new ConflictError(
+        "A request with this Idempotency-Key is still in progress"
+      );
+    }
+
+    console.log(`[INFO] Replaying ${route} response for a repeated key`);
+    const headers = new Headers(
+      stored.response_headers
+        ? JSON.parse(stored.response_headers)
+        : { "Content-Type": "application/json" }
+    );
+    headers.set("Idempotent-Replayed", "true");
+    return new Response(stored.response_body, {
+      status: stored.response_status,
+      headers,
+    });
+  }
+
+  const release = () =>
+    turso.execute({
+      sql: "DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?",
+      args: [scope, key],
+    });
+
+  const stopRenewing = holdLease(turso, scope, key);
+  let response;
+  try {
+    response = await run();
+  } catch (error) {
+    await stopRenewing();
+    await release();
+    throw error;
+  }
+  await stopRenewing();
+
+  if (!response.ok) {
+    await release();
+    return response;
+  }
+
+  await turso.execute({
+    sql: `UPDATE idempotency_keys
+          SET response_status = ?, response_body = ?, response_headers = ?
+          WHERE scope = ? AND idempotency_key = ?`,
+    args: [
+      response.status,
+      await response.clone().text(),
+      JSON.stringify([...response.headers]),
+      scope,
+      key,
+    ],
+  });
+  return response;
+};
@@ -0,0 +1,62 @@
+// imagekit.js
+
+import { BadRequestError, UpstreamError } from "./errors.js";
+
+const ALLOWED_TYPES = [
+  "image/jpeg",
+  "image/jpg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+];
+
+const MAX_SIZE = 1 * 1024 * 1024; // 1 MB
+
+/**
+ * Uploads an image to ImageKit and returns the image URL.
+ * @param {File} imageFile - Image file to upload.
+ * @param {Object} options - Upload options.
+ * @param {string} options.prefix - File name prefix, e.g. "itm" or "cat".
+ * @param {string} options.transformation - ImageKit pre-transformation.
+ * @returns {Promise<string>} URL of the uploaded image.
+ * @throws {BadRequestError} If the file type or size is not allowed.
+ * @throws {UpstreamError} If ImageKit rejects the upload.
+ */
+export const uploadImageToImageKit = async (
+  imageFile,
+  { prefix, transformation }
+) => {
+  if (!ALLOWED_TYPES.includes(imageFile.type)) {
+    throw new BadRequestError("Unsupported image type");
+  }
+
+  if (imageFile.size > MAX_SIZE) {
+    throw new BadRequestError("Image size exceeds the maximum limit of 1MB");
+  }
+
+  const formData = new FormData();
+  formData.append("file", imageFile);
+  formData.append("fileName", `${prefix}_${imageFile.name}`);
+  formData.append("transformation", JSON.stringify({ pre: transformation }));
+
+  const response = await fetch(Deno.env.get("IMAGEKIT_UPLOAD_URL"), {
+    method: "POST",
+    headers: {
+      Authorization: `Basic ${btoa(
+        Deno.env.get("IMAGEKIT_PRIVATE_KEY") + ":"
+      )}`,
+    },
+    body: formData,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error("ImageKit Response:", errorText);
+    throw new UpstreamError(
+      `Error uploading image to ImageKit: ${response.statusText} - ${errorText}`
+    );
+  }
+
+  const data = await response.json();
+  return data.url;
+};
@@ -0,0 +1,234 @@
+// inventory.js
+
+import { BadRequestError, ConflictError } from "./errors.js";
+
+/**
+ * Validates a list of { item_id, quantity } entries.
+ * @param {*} items - List sent by the client.
+ * @param {string} field - Field name used in error messages.
+ * @param {Object} [options] - Validation options.
+ * @param {boolean} [options.allowEmpty=false] - Accept an empty list.
+ * @returns {Array<{item_id: number, quantity: number}>} Sanitized entries.
+ * @throws {BadRequestError} If the list or any entry is not valid.
+ */
+export const sanitizeItemList = (items, field, { allowEmpty = false } = {}) => {
+  if (items === undefined && allowEmpty) return [];
+
+  if (!Array.isArray(items) || (!items.length && !allowEmpty)) {
+    throw new BadRequestError(`${field} must be a non-empty array`);
+  }
+
+  const seen = new Set();
+  return items.map((item, index) => {
+    const itemId = Number(item?.item_id);
+    const quantity = Number(item?.quantity);
+
+    if (!Number.isInteger(itemId) || itemId < 1) {
+      throw new BadRequestError(
+        `Invalid item_id in ${field} at position ${index}`
+      );
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new BadRequestError(
+        `Invalid quantity in ${field} at position ${index}`
+      );
+    }
+    if (seen.has(itemId)) {
+      throw new BadRequestError(`Duplicate item ${itemId} in ${field}`);
+    }
+    seen.add(itemId);
+
+    return { item_id: itemId, quantity };
+  });
+};
+
+/**
+ * Adds a signed quantity of an item to a user's inventory and records it in
+ * inventory_audit. Removals only take from units that are not in the bag.
+ * Must run inside the caller's transaction.
+ * @param {Object} tx - Turso transaction.
+ * @param {Object} change - Inventory change.
+ * @param {number} change.userId - Forumotion user ID.
+ * @param {number} change.itemId - Item ID.
+ * @param {number} change.delta - Units to add; negative to remove.
+ * @param {string} change.reason - Why the inventory changed.
+ * @param {number|null} [change.actorId=null] - User who made the change.
+ * @param {string|null} [change.referenceType=null] - Kind of record behind the change, e.g. "gift".
+ * @param {number|null} [change.referenceId=null] - ID of that record.
+ * @returns {Promise<void>}
+ * @throws {ConflictError} If the user does not have enough free units.
+ */
+export const applyInventoryDelta = async (
+  tx,
+  {
+    userId,
+    itemId,
+    delta,
+    reason,
+    actorId = null,
+    referenceType = null,
+    referenceId = null,
+  }
+) => {
+  if (delta > 0) {
+    await tx.execute({
+      sql: `INSERT INTO inventory
+            (user_id, item_id, total_quantity, quantity_in_bag, last_updated)
+            VALUES (?, ?, ?, 0, datetime('now'))
+            ON CONFLICT (user_id, item_id) DO UPDATE
+            SET total_quantity = total_quantity + excluded.total_quantity,
+                last_updated = datetime('now')`,
+      args: [userId, itemId, delta],
+    });
+  } else {
+    const updateResponse = await tx.execute({
+      sql: `UPDATE inventory
+            SET total_quantity = total_quantity + ?,
+                last_updated = datetime('now')
+            WHERE user_id = ? AND item_id = ?
+            AND total_quantity - quantity_in_bag >= ?`,
+      args: [delta, userId, itemId, -delta],
+    });
+
+    if (updateResponse.rowsAffected === 0) {
+      throw new ConflictError(
+        `User ${userId} does not have ${-delta} of item ${itemId} available`
+      );
+    }
+
+    await tx.execute({
+      sql: `DELETE FROM inventory
+            WHERE user_id = ? AND item_id = ? AND total_quantity = 0`,
+      args: [userId, itemId],
+    });
+  }
+
+  await tx.execute({
+    sql: `INSERT INTO inventory_audit
+          (user_id, item_id, delta, reason, actor_id, reference_type, reference_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    args: [userId, itemId, delta, reason, actorId, referenceType, referenceId],
+  });
+};
+
+/**
+ * Moves units of an item into the bag (positive delta) or back out of it
+ * (negative delta) and records it in inventory_audit. The bag can never hold
+ * more than total_quantity. Must run inside the caller's transaction.
+ * @param {Object} tx - Turso transaction.
+ * @param {Object} change - Bag change, with the same fields as applyInventoryDelta.
+ * @returns {Promise<void>}
+ * @throws {ConflictError} If the user does not have enough units to move.
+ */
+export const applyBagDelta = async (
+  tx,
+  {
+    userId,
+    itemId,
+    delta,
+    reason,
+    actorId = null,
+    referenceType = null,
+    referenceId = null,
+  }
+) => {
+  const updateResponse = await tx.execute({
+    sql: `UPDATE inventory
+          SET quantity_in_bag = quantity_in_bag + ?,
+              last_updated = datetime('now')
+          WHERE user_id = ? AND item_id = ?
+          AND quantity_in_bag + ? BETWEEN 0 AND total_quantity`,
+    args: [delta, userId, itemId, delta],
+  });
+
+  if (updateResponse.rowsAffected === 0) {
+    throw new ConflictError(
+      delta > 0
+        ? `User ${userId} does not have ${delta} of item ${itemId} outside the bag`
+        : `User ${userId} does not have ${-delta} of item ${itemId} in the bag`
+    );
+  }
+
+  await tx.execute({
+    sql: `INSERT INTO inventory_audit
+          (user_id, item_id, delta, bag_delta, reason, actor_id, reference_type, reference_id)
+          VALUES (?, ?, 0, ?, ?, ?, ?, ?)`,
+    args: [userId, itemId, delta, reason, actorId, referenceType, referenceId],
+  });
+};
+
+/**
+ * Reads the inventory rows of some items for a user.
+ * @param {Object} tx - Turso client or transaction.
+ * @param {number} userId - Forumotion user ID.
+ * @param {number[]} itemIds - Item IDs.
+ * @returns {Promise<Object[]>} item_id, total_quantity and quantity_in_bag, 0 for items the user no longer has.
+ */
+export const getInventoryRows = async (tx, userId, itemIds) => {
+  const response = await tx.execute({
+    sql: `SELECT item_id, total_quantity, quantity_in_bag
+          FROM inventory
+          WHERE user_id = ? AND item_id IN (${itemIds
+            .map(() => "?")
+            .join(",")})`,
+    args: [userId, ...itemIds],
+  });
+
+  return itemIds.map((itemId) => {
+    const row = response.rows.find((entry) => entry.item_id === itemId);
+    return {
+      item_id: itemId,
+      total_quantity: row ? row.total_quantity : 0,
+      quantity_in_bag: row ? row.quantity_in_bag : 0,
+    };
+  });
+};
+
+/**
+ * Moves units of several items from one user to another.
+ * @param {Object} tx - Turso transaction.
+ * @param {Object} move - Inventory move.
+ * @param {number} move.fromUserId - User giving the items.
+ * @param {number} move.toUserId - User receiving the items.
+ * @param {Array<{item_id: number, quantity: number}>} move.items - Items to move.
+ * @param {string} move.reason - Recorded as "<reason>_sent" and "<reason>_received".
+ * @param {number|null} [move.actorId=null] - User who made the change.
+ * @param {string} move.referenceType - Kind of record behind the move.
+ * @param {number} move.referenceId - ID of that record.
+ * @returns {Promise<void>}
+ * @throws {ConflictError} If the giver does not have enough free units.
+ */
+export const moveInventoryItems = async (
+  tx,
+  {
+    fromUserId,
+    toUserId,
+    items,
+    reason,
+    actorId = null,
+    referenceType,
+    referenceId,
+  }
+) => {
+  for (const item of items) {
+    const reference = {
+      itemId: item.item_id,
+      actorId,
+      referenceType,
+      referenceId,
+    };
+
+    await applyInventoryDelta(tx, {
+      userId: fromUserId,
+      delta: -item.quantity,
+      reason: `${reason}_sent`,
+      ...reference,
+    });
+    await applyInventoryDelta(tx, {
+      userId: toUserId,
+      delta: item.quantity,
+      reason: `${reason}_received`,
+      ...reference,
+    });
+  }
+};
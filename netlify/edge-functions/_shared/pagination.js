@@ -0,0 +1,195 @@
+// pagination.js
+
+import { BadRequestError } from "./errors.js";
+import { parsePageParams } from "./params.js";
+
+/**
+ * Parameters that turn on pagination in the routes where it is optional.
+ */
+export const PAGINATION_PARAMS = ["page", "limit", "cursor"];
+
+/**
+ * Encodes a cursor as an opaque base64url token.
+ * @param {Object} cursor - Sort name, direction and sort key values.
+ * @returns {string} Token.
+ */
+const encodeCursor = (cursor) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(cursor));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+/**
+ * Decodes a cursor token.
+ * @param {string} token - Token from next_cursor or prev_cursor.
+ * @returns {{s: string, d: string, k: Array<string|number>}} Sort name, direction and sort key values.
+ * @throws {BadRequestError} If the token is not a cursor.
+ */
+const decodeCursor = (token) => {
+  try {
+    const binary = atob(token.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    const cursor = JSON.parse(new TextDecoder().decode(bytes));
+
+    if (
+      typeof cursor?.s === "string" &&
+      ["next", "prev"].includes(cursor.d) &&
+      Array.isArray(cursor.k) &&
+      cursor.k.every((value) => ["string", "number"].includes(typeof value))
+    ) {
+      return cursor;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new BadRequestError("Invalid cursor");
+};
+
+/**
+ * Parses the cursor, page and limit parameters. A cursor takes the place of
+ * the page.
+ * @param {URL} url - Request URL.
+ * @param {Object} options - Page size rules.
+ * @param {number} options.defaultLimit - Limit when none is sent.
+ * @param {number} options.maxLimit - Largest limit accepted.
+ * @returns {{page: number|null, limit: number, cursor: Object|null}} Pagination.
+ * @throws {BadRequestError} If any value is not valid.
+ */
+export const parsePaginationParams = (url, { defaultLimit, maxLimit }) => {
+  const { page, limit } = parsePageParams(url, { defaultLimit, maxLimit });
+  const token = url.searchParams.get("cursor");
+  if (token === null || token === "") {
+    return { page, limit, cursor: null };
+  }
+
+  if (url.searchParams.has("page")) {
+    throw new BadRequestError("cursor and page cannot be combined");
+  }
+  return { page: null, limit, cursor: decodeCursor(token) };
+};
+
+/**
+ * Builds the condition that keeps the rows after (or, reading backwards,
+ * before) a position in the order.
+ * @param {Array<[string, string]>} orderBy - Sort expressions and directions.
+ * @param {Array<string|number>} values - Sort key values at the position.
+ * @param {boolean} backwards - Keep the rows before the position.
+ * @returns {{condition: string, args: Array}} Condition and its arguments.
+ */
+const keysetCondition = (orderBy, values, backwards) => {
+  const branches = [];
+  const args = [];
+
+  orderBy.forEach(([expression, direction], index) => {
+    const after = (direction === "ASC") !== backwards;
+    const equals = orderBy
+      .slice(0, index)
+      .map(([previous]) => `${previous} = ?`);
+
+    branches.push(
+      `(${[...equals, `${expression} ${after ? ">" : "<"} ?`].join(" AND ")})`
+    );
+    args.push(...values.slice(0, index + 1));
+  });
+
+  return { condition: `(${branches.join(" OR ")})`, args };
+};
+
+/**
+ * Reads one page of a list query. Without a cursor the page is read with
+ * OFFSET, so page links keep working; with one, the rows are read from the
+ * position it points at, so rows added or removed meanwhile do not shift
+ * the page. Both ways return the cursors of the pages around it.
+ * @param {Object} turso - Turso client.
+ * @param {Object} query - List query.
+ * @param {string} query.select - Result columns, without placeholders.
+ * @param {string} query.from - Tables and joins.
+ * @param {string[]} [query.conditions=[]] - WHERE conditions.
+ * @param {Array} [query.args=[]] - Arguments of the joins and conditions.
+ * @param {Array<[string, string]>} query.orderBy - Sort expressions and "ASC" or "DESC". None may be NULL and the last must be unique, such as the ID.
+ * @param {string} [query.sort=""] - Name of the order, so cursors from another order are rejected.
+ * @param {Object} pagination - Pagination from parsePaginationParams.
+ * @returns {Promise<{rows: Object[], pagination: Object}>} Rows of the page and pagination.
+ * @throws {BadRequestError} If the cursor belongs to another order.
+ */
+export const paginate = async (
+  turso,
+  { select, from, conditions = [], args = [], orderBy, sort = "" },
+  { page, limit, cursor }
+) => {
+  if (cursor && (cursor.s !== sort || cursor.k.length !== orderBy.length)) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  const where = (list) => (list.length ? `WHERE ${list.join(" AND ")}` : "");
+
+  const totalResponse = await turso.execute({
+    sql: `SELECT COUNT(*) AS total FROM ${from} ${where(conditions)}`,
+    args,
+  });
+  const total = Number(totalResponse.rows[0].total);
+
+  const backwards = cursor?.d === "prev";
+  const pageConditions = [...conditions];
+  const pageArgs = [...args];
+  if (cursor) {
+    const keyset = keysetCondition(orderBy, cursor.k, backwards);
+    pageConditions.push(keyset.condition);
+    pageArgs.push(...keyset.args);
+  }
+
+  const sortKeys = orderBy
+    .map(([expression], index) => `${expression} AS sort_key_${index}`)
+    .join(", ");
+  const order = orderBy
+    .map(([expression, direction]) => {
+      const reversed = direction === "ASC" ? "DESC" : "ASC";
+      return `${expression} ${backwards ? reversed : direction}`;
+    })
+    .join(", ");
+
+  // One extra row tells whether there is another page
+  const response = await turso.execute({
+    sql: `SELECT ${select}, ${sortKeys}
+          FROM ${from}
+          ${where(pageConditions)}
+          ORDER BY ${order}
+          LIMIT ? OFFSET ?`,
+    args: [...pageArgs, limit + 1, cursor ? 0 : (page - 1) * limit],
+  });
+
+  const hasMore = response.rows.length > limit;
+  const rows = response.rows.slice(0, limit);
+  if (backwards) rows.reverse();
+
+  const cursorAt = (row, direction) =>
+    encodeCursor({
+      s: sort,
+      d: direction,
+      k: orderBy.map((_, index) => row[`sort_key_${index}`]),
+    });
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const hasNext = backwards || hasMore;
+  const hasPrev = backwards ? hasMore : cursor !== null || page > 1;
+
+  const columns = response.columns.filter(
+    (column) => !column.startsWith("sort_key_")
+  );
+
+  return {
+    rows: rows.map((row) =>
+      Object.fromEntries(columns.map((column) => [column, row[column]]))
+    ),
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      next_cursor: last && hasNext ? cursorAt(last, "next") : null,
+      prev_cursor: first && hasPrev ? cursorAt(first, "prev") : null,
+    },
+  };
+};
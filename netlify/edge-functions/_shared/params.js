@@ -0,0 +1,122 @@
+// params.js
+
+import validator from "https://esm.sh/validator@13.7.0";
+import { BadRequestError } from "./errors.js";
+
+/**
+ * Rejects query parameters the route does not know.
+ * @param {URL} url - Request URL.
+ * @param {string[]} allowed - Accepted parameter names.
+ * @throws {BadRequestError} If any other parameter is sent.
+ */
+export const assertAllowedParams = (url, allowed) => {
+  for (const param of url.searchParams.keys()) {
+    if (!allowed.includes(param)) {
+      throw new BadRequestError(`Invalid parameter: ${param}`);
+    }
+  }
+};
+
+/**
+ * Parses an optional positive integer ID parameter.
+ * @param {URL} url - Request URL.
+ * @param {string} name - Parameter name.
+ * @returns {number|null} ID, null if not sent.
+ * @throws {BadRequestError} If the value is not an ID.
+ */
+export const parseIdParam = (url, name) => {
+  const value = url.searchParams.get(name);
+  if (value === null || value === "") return null;
+
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new BadRequestError(`Invalid ${name}`);
+  }
+  return id;
+};
+
+/**
+ * Parses an optional numeric parameter.
+ * @param {URL} url - Request URL.
+ * @param {string} name - Parameter name.
+ * @returns {number|null} Number, null if not sent.
+ * @throws {BadRequestError} If the value is not a number.
+ */
+export const parseNumberParam = (url, name) => {
+  const value = url.searchParams.get(name);
+  if (value === null || value === "") return null;
+
+  const number = Number(value);
+  if (isNaN(number)) {
+    throw new BadRequestError(`Invalid ${name}`);
+  }
+  return number;
+};
+
+/**
+ * Parses an optional ISO 8601 date parameter.
+ * @param {URL} url - Request URL.
+ * @param {string} name - Parameter name.
+ * @returns {string|null} Date, null if not sent.
+ * @throws {BadRequestError} If the value is not a date.
+ */
+export const parseDateParam = (url, name) => {
+  const value = url.searchParams.get(name);
+  if (value === null || value === "") return null;
+
+  if (!validator.isISO8601(value, { strict: true })) {
+    throw new BadRequestError(`Invalid ${name} date`);
+  }
+  return value;
+};
+
+/**
+ * Parses the page and limit parameters.
+ * @param {URL} url - Request URL.
+ * @param {Object} options - Page size rules.
+ * @param {number} options.defaultLimit - Limit when none is sent.
+ * @param {number} options.maxLimit - Largest limit accepted.
+ * @returns {{page: number, limit: number}} Page and limit.
+ * @throws {BadRequestError} If either value is not valid.
+ */
+export const parsePageParams = (url, { defaultLimit, maxLimit }) => {
+  const page = Number(url.searchParams.get("page") || 1);
+  const limit = Number(url.searchParams.get("limit") || defaultLimit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw new BadRequestError("Invalid page number");
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw new BadRequestError("Invalid limit value");
+  }
+
+  return { page, limit };
+};
+
+/**
+ * Builds the SQL conditions for a date range on a datetime column. A plain
+ * date in `to` includes the whole day.
+ * @param {string} column - Column to filter.
+ * @param {string|null} from - Earliest date, inclusive.
+ * @param {string|null} to - Latest date, inclusive.
+ * @returns {{conditions: string[], args: string[]}} Conditions and their arguments.
+ */
+export const dateRangeConditions = (column, from, to) => {
+  const conditions = [];
+  const args = [];
+
+  if (from !== null) {
+    conditions.push(`${column} >= datetime(?)`);
+    args.push(from);
+  }
+  if (to !== null) {
+    conditions.push(
+      to.length === 10
+        ? `${column} < datetime(?, '+1 day')`
+        : `${column} <= datetime(?)`
+    );
+    args.push(to);
+  }
+
+  return { conditions, args };
+};
@@ -0,0 +1,43 @@
+// permissions.js
+
+import { authorizeUser } from "./auth.js";
+import { ForbiddenError } from "./errors.js";
+
+/**
+ * Verifies the user token like authorizeUser and that its user holds a
+ * permission, through a role assigned to them or to one of the Forumotion
+ * groups in the token.
+ * @param {Object} turso - Turso client.
+ * @param {Request} request - Incoming request object.
+ * @param {number} userId - Forumotion user ID the request acts for.
+ * @param {string} permission - Permission the route requires, e.g. "items.create".
+ * @returns {Promise<void>}
+ * @throws {UnauthorizedError} If the token is missing, not valid or expired.
+ * @throws {ForbiddenError} If the token was issued to another user or the permission is missing.
+ */
+export const authorizePermission = async (
+  turso,
+  request,
+  userId,
+  permission
+) => {
+  const { groupIds } = await authorizeUser(request, userId);
+
+  const response = await turso.execute({
+    sql: `SELECT 1
+          FROM role_assignments ra
+          INNER JOIN role_permissions rp ON rp.role = ra.role
+          WHERE rp.permission = ?
+          AND (ra.user_id = ? OR ra.group_id IN (${groupIds
+            .map(() => "?")
+            .join(",")}))
+          LIMIT 1`,
+    args: [permission, userId, ...groupIds],
+  });
+
+  if (!response.rows.length) {
+    throw new ForbiddenError(`Missing permission: ${permission}`, {
+      permission,
+    });
+  }
+};
@@ -0,0 +1,163 @@
+// rate-limit.js
+
+import { readTokenUserId } from "./auth.js";
+import { TooManyRequestsError } from "./errors.js";
+
+/**
+ * Limits of the routes that write: per user, a burst of 20 requests and then
+ * one a second; per IP, a burst of 60 and then five a second. Each route has
+ * its own buckets.
+ */
+export const WRITE_RATE_LIMIT = {
+  user: { burst: 20, perMinute: 60 },
+  ip: { burst: 60, perMinute: 300 },
+};
+
+/**
+ * Works out how many tokens a bucket holds now.
+ * @param {{tokens: number, updatedAt: number}|undefined} bucket - Stored bucket, if any.
+ * @param {{burst: number, perMinute: number}} limit - Bucket size and refill rate.
+ * @param {number} now - Current Unix time in seconds.
+ * @returns {number} Tokens available.
+ */
+const refill = (bucket, { burst, perMinute }, now) => {
+  if (!bucket) return burst;
+  const elapsed = Math.max(0, now - bucket.updatedAt);
+  return Math.min(burst, bucket.tokens + (elapsed * perMinute) / 60);
+};
+
+/**
+ * Works out when a bucket will hold a whole token again.
+ * @param {number} tokens - Tokens available now.
+ * @param {{perMinute: number}} limit - Refill rate.
+ * @returns {number} Whole seconds to wait, at least 1.
+ */
+const secondsUntilToken = (tokens, { perMinute }) => {
+  return Math.max(1, Math.ceil(((1 - tokens) * 60) / perMinute));
+};
+
+/**
+ * Creates a store that keeps the buckets in the memory of the isolate. Each
+ * isolate counts on its own, so it suits local development and single
+ * instances rather than production.
+ * @returns {{take: Function}} Rate limit store.
+ */
+export const createMemoryStore = () => {
+  const buckets = new Map();
+
+  return {
+    take: (key, limit, now) => {
+      const tokens = refill(buckets.get(key), limit, now);
+      if (tokens < 1) {
+        return { allowed: false, retryAfter: secondsUntilToken(tokens, limit) };
+      }
+
+      buckets.set(key, { tokens: tokens - 1, updatedAt: now });
+      return { allowed: true, retryAfter: 0 };
+    },
+  };
+};
+
+/**
+ * Creates a store that keeps the buckets in rate_limit_buckets, shared by
+ * every isolate. A token is taken with a single upsert, so concurrent
+ * requests cannot both take the last one.
+ * @param {Object} turso - Turso client.
+ * @returns {{take: Function}} Rate limit store.
+ */
+export const createDatabaseStore = (turso) => {
+  return {
+    take: async (key, limit, now) => {
+      const burst = limit.burst;
+      const rate = limit.perMinute / 60;
+      const refilled = `MIN(?, tokens + MAX(0, excluded.updated_at - updated_at) * ?)`;
+
+      const takeResponse = await turso.execute({
+        sql: `INSERT INTO rate_limit_buckets (key, tokens, updated_at)
+              VALUES (?, ?, ?)
+              ON CONFLICT (key) DO UPDATE
+              SET tokens = ${refilled} - 1,
+                  updated_at = MAX(excluded.updated_at, updated_at)
+              WHERE ${refilled} >= 1
+              RETURNING tokens`,
+        args: [key, burst - 1, now, burst, rate, burst, rate],
+      });
+      if (takeResponse.rows.length) {
+        return { allowed: true, retryAfter: 0 };
+      }
+
+      const bucketResponse = await turso.execute({
+        sql: "SELECT tokens, updated_at FROM rate_limit_buckets WHERE key = ?",
+        args: [key],
+      });
+      const [bucket] = bucketResponse.rows;
+      const tokens = refill(
+        { tokens: bucket.tokens, updatedAt: bucket.updated_at },
+        limit,
+        now
+      );
+      return { allowed: false, retryAfter: secondsUntilToken(tokens, limit) };
+    },
+  };
+};
+
+let memoryStore;
+
+/**
+ * Picks the store named by RATE_LIMIT_STORE: "database" (the default) or
+ * "memory". Another store only needs the same take(key, limit, now) method,
+ * returning (or resolving to) { allowed, retryAfter }, to be added here.
+ * @param {Object} turso - Turso client.
+ * @returns {{take: Function}} Rate limit store.
+ */
+export const getRateLimitStore = (turso) => {
+  if (Deno.env.get("RATE_LIMIT_STORE") === "memory") {
+    memoryStore ??= createMemoryStore();
+    return memoryStore;
+  }
+  return createDatabaseStore(turso);
+};
+
+/**
+ * Takes a token from the buckets of the caller's IP and user for a route.
+ * Requests without a valid user token are only limited by IP; the route
+ * rejects them anyway. Reads are not limited.
+ * @param {Object} turso - Turso client.
+ * @param {Request} request - Incoming request object.
+ * @param {Object} [context] - Netlify context, which holds the client IP.
+ * @param {Object} options - Route and its limits.
+ * @param {string} options.route - Route name, part of the bucket keys.
+ * @param {{user?: Object, ip?: Object}} options.limits - Limits like WRITE_RATE_LIMIT.
+ * @returns {Promise<void>}
+ * @throws {TooManyRequestsError} If a bucket is empty.
+ */
+export const enforceRateLimit = async (
+  turso,
+  request,
+  context,
+  { route, limits }
+) => {
+  if (request.method === "GET") return;
+
+  const callers = {
+    ip: context?.ip || request.headers.get("X-Nf-Client-Connection-Ip"),
+    user: limits.user ? await readTokenUserId(request) : null,
+  };
+  const store = getRateLimitStore(turso);
+  const now = Date.now() / 1000;
+
+  for (const scope of ["ip", "user"]) {
+    if (!limits[scope] || !callers[scope]) continue;
+
+    const { allowed, retryAfter } = await store.take(
+      `${route}:${scope}:${callers[scope]}`,
+      limits[scope],
+      now
+    );
+    if (!allowed) {
+      throw new TooManyRequestsError("Too many requests", retryAfter, {
+        limit: scope,
+      });
+    }
+  }
+};
@@ -0,0 +1,36 @@
+// sell-back.js
+
+import { BadRequestError } from "./errors.js";
+
+/**
+ * Share of the price paid for items sold back when SELL_BACK_PERCENT is not
+ * set and no item or category overrides it.
+ */
+export const DEFAULT_SELL_BACK_PERCENT = 50;
+
+/**
+ * Reads the global sell-back share from the environment.
+ * @returns {number} Percentage of the price paid back.
+ */
+export const getSellBackPercent = () => {
+  const percent = Deno.env.get("SELL_BACK_PERCENT");
+  return percent ? Number(percent) : DEFAULT_SELL_BACK_PERCENT;
+};
+
+/**
+ * Sanitizes a sell-back override sent for an item or category.
+ * @param {*} value - Value sent by the client; "default" removes the override.
+ * @returns {number|null|undefined} Percentage, null to use the fallback, undefined if not sent.
+ * @throws {BadRequestError} If the value is not between 0 and 100.
+ */
+export const sanitizeSellBackPercent = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (value === "default") return null;
+
+  const percent = Number(value);
+  if (isNaN(percent) || percent < 0 || percent > 100) {
+    throw new BadRequestError("Invalid sell-back percent");
+  }
+
+  return percent;
+};
@@ -0,0 +1,140 @@
+// tokens.js
+
+import { UnauthorizedError } from "./errors.js";
+
+/**
+ * Lifetime of a user token when the issuer does not ask for another one.
+ */
+export const DEFAULT_TOKEN_TTL_SECONDS = 15 * 60;
+
+/**
+ * Longest lifetime a user token can be issued for.
+ */
+export const MAX_TOKEN_TTL_SECONDS = 60 * 60;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Encodes bytes as base64url without padding.
+ * @param {Uint8Array} bytes - Bytes to encode.
+ * @returns {string} Encoded text.
+ */
+const encodeBase64Url = (bytes) => {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+/**
+ * Decodes base64url text.
+ * @param {string} text - Encoded text.
+ * @returns {Uint8Array} Decoded bytes.
+ * @throws {Error} If the text is not base64url.
+ */
+const decodeBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+/**
+ * Imports the HMAC key from USER_TOKEN_SECRET.
+ * @returns {Promise<CryptoKey>} Key for signing and verifying tokens.
+ * @throws {Error} If USER_TOKEN_SECRET is not set.
+ */
+const getTokenKey = () => {
+  const secret = Deno.env.get("USER_TOKEN_SECRET");
+  if (!secret) {
+    throw new Error("USER_TOKEN_SECRET is not set");
+  }
+
+  return crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"]
+  );
+};
+
+/**
+ * Issues a token bound to a Forumotion user and, optionally, the Forumotion
+ * groups they belong to. Tokens are HS256 JSON Web Tokens, so a relay can
+ * also issue them with any JWT library and the same secret.
+ * @param {number} userId - Forumotion user ID.
+ * @param {number} [ttlSeconds=DEFAULT_TOKEN_TTL_SECONDS] - Seconds until it expires.
+ * @param {number[]} [groupIds=[]] - Forumotion group IDs, sent as the groups claim.
+ * @returns {Promise<{token: string, expires_at: string}>} Token and its expiry.
+ */
+export const signUserToken = async (
+  userId,
+  ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS,
+  groupIds = []
+) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + ttlSeconds;
+  const encodeJson = (value) =>
+    encodeBase64Url(encoder.encode(JSON.stringify(value)));
+
+  const data = `${encodeJson({ alg: "HS256", typ: "JWT" })}.${encodeJson({
+    sub: userId,
+    ...(groupIds.length && { groups: groupIds }),
+    iat: issuedAt,
+    exp: expiresAt,
+  })}`;
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    await getTokenKey(),
+    encoder.encode(data)
+  );
+
+  return {
+    token: `${data}.${encodeBase64Url(new Uint8Array(signature))}`,
+    expires_at: new Date(expiresAt * 1000).toISOString(),
+  };
+};
+
+/**
+ * Checks the signature and expiry of a user token.
+ * @param {string} token - Token from signUserToken.
+ * @returns {Promise<{userId: number, groupIds: number[]}>} User and groups the token was issued to.
+ * @throws {UnauthorizedError} If the token is not valid or has expired.
+ */
+export const verifyUserToken = async (token) => {
+  const key = await getTokenKey();
+  const [header, payload, signature, ...rest] = token.split(".");
+
+  let claims;
+  try {
+    const valid =
+      rest.length === 0 &&
+      JSON.parse(decoder.decode(decodeBase64Url(header))).alg === "HS256" &&
+      (await crypto.subtle.verify(
+        "HMAC",
+        key,
+        decodeBase64Url(signature),
+        encoder.encode(`${header}.${payload}`)
+      ));
+    if (valid) {
+      claims = JSON.parse(decoder.decode(decodeBase64Url(payload)));
+    }
+  } catch {
+    // Reported below
+  }
+
+  const groupIds = claims?.groups ?? [];
+  if (
+    !Number.isInteger(claims?.sub) ||
+    !Number.isFinite(claims?.exp) ||
+    !Array.isArray(groupIds) ||
+    !groupIds.every(Number.isInteger)
+  ) {
+    throw new UnauthorizedError("Invalid user token");
+  }
+  if (claims.exp <= Date.now() / 1000) {
+    throw new UnauthorizedError("User token has expired");
+  }
+
+  return { userId: claims.sub, groupIds };
+};
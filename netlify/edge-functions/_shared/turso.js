@@ -0,0 +1,31 @@
+// turso.js
+
+import { createClient } from "https://esm.sh/@libsql/client@0.6.0/web";
+
+/**
+ * Creates a new Turso client instance.
+ * @returns {Object} Turso client.
+ */
+export const createTursoClient = () => {
+  return createClient({
+    url: Deno.env.get("TURSO_URL"),
+    authToken: Deno.env.get("TURSO_AUTH_TOKEN"),
+  });
+};
+
+/**
+ * Closes a Turso client, logging instead of throwing on failure.
+ * @param {Object} turso - Turso client.
+ * @returns {Promise<void>}
+ */
+export const closeTursoClient = async (turso) => {
+  try {
+    await turso.close();
+    console.log("[INFO] Turso connection closed successfully.");
+  } catch (closeError) {
+    console.error("[ERROR] Failed to close Turso connection:", {
+      name: closeError.name,
+      message: closeError.message,
+    });
+  }
+};
@@ -0,0 +1,40 @@
+// users.js
+
+import { INITIAL_CREDITS, applyCreditDelta } from "./credits.js";
+
+/**
+ * Registers a forum user the first time the shop sees them, granting the
+ * initial credits through the ledger. Does nothing if the user exists.
+ * @param {Object} tx - Turso transaction.
+ * @param {number} userId - Forumotion user ID.
+ * @returns {Promise<boolean>} True if the user was created.
+ */
+export const registerUser = async (tx, userId) => {
+  const insertResponse = await tx.execute({
+    sql: `INSERT INTO users (user_id, credits)
+          SELECT ?, 0
+          WHERE NOT EXISTS (SELECT 1 FROM users WHERE user_id = ?)`,
+    args: [userId, userId],
+  });
+
+  if (insertResponse.rowsAffected === 0) {
+    return false;
+  }
+
+  await applyCreditDelta(tx, {
+    userId,
+    delta: INITIAL_CREDITS,
+    reason: "registration",
+  });
+
+  await tx.execute({
+    sql: `INSERT INTO users_audit (user_id, action_type, new_values)
+          VALUES (?, 'INSERT', ?)`,
+    args: [
+      userId,
+      JSON.stringify({ user_id: userId, credits: INITIAL_CREDITS }),
+    ],
+  });
+
+  return true;
+};
@@ -0,0 +1,54 @@
+// versions.js
+
+import { BadRequestError } from "./errors.js";
+
+/**
+ * Builds the ETag of an item or category, which is its version.
+ * @param {number} version - Version of the record.
+ * @returns {string} Strong ETag.
+ */
+export const versionETag = (version) => {
+  return `"${version}"`;
+};
+
+/**
+ * Reads the version an update was based on, from If-Match (an ETag from
+ * versionETag, or the record's version field quoted) or the version field.
+ * The ETag of get-items and get-categories belongs to the whole catalog and
+ * is rejected here. An update with neither, or with "If-Match: *", overwrites
+ * whatever is stored.
+ * @param {Request} request - Incoming request object.
+ * @param {*} field - Value of the version field, if sent.
+ * @returns {number|null} Expected version.
+ * @throws {BadRequestError} If a value is not a version or the two disagree.
+ */
+export const readExpectedVersion = (request, field) => {
+  const versions = [];
+
+  const ifMatch = (request.headers.get("If-Match") || "").trim();
+  if (ifMatch && ifMatch !== "*") {
+    if (/^(W\/)?"catalog-/.test(ifMatch)) {
+      throw new BadRequestError(
+        'If-Match takes the version of the record, e.g. "3", not the catalog ETag'
+      );
+    }
+    const match = /^"(\d+)"$/.exec(ifMatch);
+    if (!match) {
+      throw new BadRequestError("If-Match must be an ETag of the record");
+    }
+    versions.push(Number(match[1]));
+  }
+
+  if (field !== undefined && field !== null && field !== "") {
+    const version = Number(field);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new BadRequestError("Invalid version");
+    }
+    versions.push(version);
+  }
+
+  if (versions.length === 2 && versions[0] !== versions[1]) {
+    throw new BadRequestError("If-Match and version do not match");
+  }
+  return versions.length ? versions[0] : null;
+};
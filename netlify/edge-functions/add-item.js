@@ -1,51 +1,62 @@
 // add-item.js
 
-import { createClient } from "https://esm.sh/@libsql/client@0.6.0/web";
 import validator from "https://esm.sh/validator@13.7.0";
+import { BadRequestError } from "./_shared/errors.js";
+import { createEdgeHandler, jsonResponse } from "./_shared/http.js";
+import { uploadImageToImageKit } from "./_shared/imagekit.js";
+import { authorizePermission } from "./_shared/permissions.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
+import { sanitizeSellBackPercent } from "./_shared/sell-back.js";
 
 /**
- * Creates a new Turso client instance.
- * @returns {Object} Turso client.
+ * Periods accepted for per-user purchase limits.
  */
-const createTursoClient = () => {
-  return createClient({
-    url: Deno.env.get("TURSO_URL"),
-    authToken: Deno.env.get("TURSO_AUTH_TOKEN"),
-  });
-};
-
-/**
- * Obtains the necessary CORS headers for responses.
- * @returns {Object} CORS headers.
- */
-const getCorsHeaders = () => {
-  const allowedOrigin = Deno.env.get("FORUM_URL");
-  return {
-    "Access-Control-Allow-Origin": allowedOrigin,
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-API-KEY",
-  };
-};
+const LIMIT_PERIODS = ["day", "week", "lifetime"];
 
 /**
- * Validates the API key provided in the headers.
- * @param {string} apiKey - API key to validate.
- * @throws {Error} If the API key is not valid.
+ * Sanitizes the optional per-user purchase rules and sell-back share of an item.
+ * @param {Object} data - Request data.
+ * @returns {Object} Sanitized purchase_limit, limit_period, cooldown_seconds and sell_back_percent.
+ * @throws {BadRequestError} If any rule is not valid.
  */
-const validateApiKey = (apiKey) => {
-  if (!apiKey) {
-    throw new Error("API key is required");
+const sanitizePurchaseRules = (data) => {
+  const isSet = (value) =>
+    value !== undefined && value !== null && value !== "";
+
+  let purchaseLimit = null;
+  let limitPeriod = null;
+  if (isSet(data.purchase_limit)) {
+    purchaseLimit = Number(data.purchase_limit);
+    if (!Number.isInteger(purchaseLimit) || purchaseLimit < 1) {
+      throw new BadRequestError("Invalid purchase limit");
+    }
+    limitPeriod = isSet(data.limit_period) ? data.limit_period : "lifetime";
+    if (!LIMIT_PERIODS.includes(limitPeriod)) {
+      throw new BadRequestError("Invalid limit period");
+    }
   }
-  if (apiKey !== Deno.env.get("API_KEY")) {
-    throw new Error("Invalid API key");
+
+  let cooldownSeconds = null;
+  if (isSet(data.cooldown_seconds)) {
+    cooldownSeconds = Number(data.cooldown_seconds);
+    if (!Number.isInteger(cooldownSeconds) || cooldownSeconds < 0) {
+      throw new BadRequestError("Invalid cooldown");
+    }
   }
+
+  return {
+    purchase_limit: purchaseLimit,
+    limit_period: limitPeriod,
+    cooldown_seconds: cooldownSeconds,
+    sell_back_percent: sanitizeSellBackPercent(data.sell_back_percent) ?? null,
+  };
 };
 
 /**
  * Sanitizes and validates the data received in the request.
  * @param {Object} data - Request data.
  * @returns {Object} Sanitized data.
- * @throws {Error} If the data is not valid.
+ * @throws {BadRequestError} If the data is not valid.
  */
 const sanitizeData = (data) => {
   const sanitizedName = validator.escape(validator.trim(data.name));
@@ -58,16 +69,25 @@ const sanitizeData = (data) => {
     ? data.categories.map((id) => parseInt(id, 10))
     : [parseInt(data.categories, 10)];
 
+  // Stock is optional; null means unlimited supply
+  let sanitizedStock = null;
+  if (data.stock !== undefined && data.stock !== null && data.stock !== "") {
+    sanitizedStock = Number(data.stock);
+    if (!Number.isInteger(sanitizedStock) || sanitizedStock < 0) {
+      throw new BadRequestError("Invalid stock");
+    }
+  }
+
   if (isNaN(sanitizedPrice) || isNaN(sanitizedUserId)) {
-    throw new Error("Invalid price or user ID");
+    throw new BadRequestError("Invalid price or user ID");
   }
 
   if (sanitizedCategories.some((id) => isNaN(id))) {
-    throw new Error("Invalid category ID format");
+    throw new BadRequestError("Invalid category ID format");
   }
 
   if (sanitizedPrice < 0) {
-    throw new Error("Price cannot be negative");
+    throw new BadRequestError("Price cannot be negative");
   }
 
   return {
@@ -75,6 +95,8 @@ const sanitizeData = (data) => {
     description: sanitizedDescription,
     price: sanitizedPrice,
     categories: sanitizedCategories,
+    stock: sanitizedStock,
+    ...sanitizePurchaseRules(data),
     user_id: sanitizedUserId,
   };
 };
@@ -82,11 +104,11 @@ const sanitizeData = (data) => {
 /**
  * Validates the request data.
  * @param {Object} requestData - Request data.
- * @throws {Error} If the data is not valid.
+ * @throws {BadRequestError} If the data is not valid.
  */
 const validateRequestData = (requestData) => {
   if (!requestData || typeof requestData !== "object") {
-    throw new Error("Invalid request data");
+    throw new BadRequestError("Invalid request data");
   }
 
   const { name, description, price, categories, user_id } = requestData;
@@ -99,17 +121,19 @@ const validateRequestData = (requestData) => {
     categories.length === 0 ||
     !user_id
   ) {
-    throw new Error(
+    throw new BadRequestError(
       "All fields are required: name, description, image, price, categories, and user_id"
     );
   }
 
   if (!validator.isLength(name, { min: 1, max: 100 })) {
-    throw new Error("Name must be between 1 and 100 characters");
+    throw new BadRequestError("Name must be between 1 and 100 characters");
   }
 
   if (!validator.isLength(description, { min: 1, max: 500 })) {
-    throw new Error("Description must be between 1 and 500 characters");
+    throw new BadRequestError(
+      "Description must be between 1 and 500 characters"
+    );
   }
 
   // 'price' and 'user_id' have already been validated as numbers in sanitizeData
@@ -119,7 +143,7 @@ const validateRequestData = (requestData) => {
  * Validates that the categories exist in the database.
  * @param {Object} turso - Turso client.
  * @param {number[]} categories - Category IDs.
- * @throws {Error} If any category does not exist.
+ * @throws {BadRequestError} If any category does not exist.
  */
 const validateCategoriesExist = async (turso, categories) => {
   const placeholders = categories.map(() => "?").join(",");
@@ -131,61 +155,8 @@ const validateCategoriesExist = async (turso, categories) => {
   if (response.rows.length !== categories.length) {
     const foundIds = response.rows.map((row) => row.id);
     const missingIds = categories.filter((id) => !foundIds.includes(id));
-    throw new Error(`Categories not found: ${missingIds.join(", ")}`);
-  }
-};
-
-/**
- * Uploads an image to ImageKit and returns the image URL.
- * @param {File} imageFile - Image file to upload.
- * @returns {Promise<string>} URL of the uploaded image.
- * @throws {Error} If an error occurs during the upload.
- */
-const uploadImageToImageKit = async (imageFile) => {
-  const allowedTypes = [
-    "image/jpeg",
-    "image/jpg",
-    "image/png",
-    "image/gif",
-    "image/webp",
-  ];
-  if (!allowedTypes.includes(imageFile.type)) {
-    throw new Error("Unsupported image type");
-  }
-
-  const maxSize = 1 * 1024 * 1024; // 1 MB
-  if (imageFile.size > maxSize) {
-    throw new Error("Image size exceeds the maximum limit of 1MB");
-  }
-
-  const formData = new FormData();
-  formData.append("file", imageFile);
-  formData.append("fileName", `itm_${imageFile.name}`);
-  formData.append(
-    "transformation",
-    JSON.stringify({ pre: "h-200,w-200,c-at_max,q-80" })
-  );
-
-  const response = await fetch(Deno.env.get("IMAGEKIT_UPLOAD_URL"), {
-    method: "POST",
-    headers: {
-      Authorization: `Basic ${btoa(
-        Deno.env.get("IMAGEKIT_PRIVATE_KEY") + ":"
-      )}`,
-    },
-    body: formData,
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("ImageKit Response:", errorText);
-    throw new Error(
-      `Error uploading image to ImageKit: ${response.statusText} - ${errorText}`
-    );
+    throw new BadRequestError(`Categories not found: ${missingIds.join(", ")}`);
   }
-
-  const data = await response.json();
-  return data.url;
 };
 
 /**
@@ -197,6 +168,8 @@ const uploadImageToImageKit = async (imageFile) => {
  * @param {number} price - Item price.
  * @param {number[]} categories - Associated category IDs.
  * @param {number} userId - ID of the user creating the item.
+ * @param {number|null} stock - Units available for sale, null for unlimited.
+ * @param {Object} purchaseRules - Per-user purchase_limit, limit_period and cooldown_seconds, and sell_back_percent.
  * @returns {Promise<Object>} Created item object.
  * @throws {Error} If an error occurs during the transaction.
  */
@@ -207,20 +180,41 @@ const addItem = async (
   imageUrl,
   price,
   categories,
-  userId
+  userId,
+  stock = null,
+  purchaseRules = {}
 ) => {
   const tx = await turso.transaction();
   let newItemId;
+  const {
+    purchase_limit = null,
+    limit_period = null,
+    cooldown_seconds = null,
+    sell_back_percent = null,
+  } = purchaseRules;
 
   try {
     await validateCategoriesExist(turso, categories);
 
     const insertResponse = await tx.execute({
       sql: `INSERT INTO items (
-              name, description, price, image, 
+              name, description, price, image, stock,
+              purchase_limit, limit_period, cooldown_seconds, sell_back_percent,
               is_active, is_deleted, created_by, edited_by
-            ) VALUES (?, ?, ?, ?, 1, 0, ?, ?)`,
-      args: [name, description, price, imageUrl, userId, userId],
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, 0, ?, ?)`,
+      args: [
+        name,
+        description,
+        price,
+        imageUrl,
+        stock,
+        purchase_limit,
+        limit_period,
+        cooldown_seconds,
+        sell_back_percent,
+        userId,
+        userId,
+      ],
     });
 
     newItemId = Number(insertResponse.lastInsertRowid);
@@ -264,6 +258,11 @@ const addItem = async (
           description,
           image: imageUrl,
           price,
+          stock,
+          purchase_limit,
+          limit_period,
+          cooldown_seconds,
+          sell_back_percent,
           is_active: true,
           is_deleted: false,
           categories,
@@ -282,28 +281,15 @@ const addItem = async (
 
 /**
  * Handles incoming requests to add a new item.
- * Applies best practices for Turso connections, error handling, and documentation.
  * @param {Request} request - Incoming request object.
  * @returns {Promise<Response>} HTTP response containing the new item data or an error message.
  */
-export default async (request) => {
-  const corsHeaders = getCorsHeaders();
-
-  if (request.method === "OPTIONS") {
-    return new Response(null, { headers: corsHeaders });
-  }
-
-  let requestData = {}; // Define requestData in the external scope
-  const turso = createTursoClient();
-
-  try {
-    if (request.method !== "POST") {
-      throw new Error("Method not allowed");
-    }
-
-    const apiKey = request.headers.get("X-API-KEY");
-    validateApiKey(apiKey);
-
+export default createEdgeHandler({
+  name: "add-item",
+  methods: ["POST"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
     // Parse the data using FormData
     const formData = await request.formData();
 
@@ -314,6 +300,11 @@ export default async (request) => {
     const categories = formData.getAll("categories"); // Assuming it's an array of IDs
     const user_id = formData.get("user_id");
     const imageFile = formData.get("image");
+    const stock = formData.get("stock");
+    const purchase_limit = formData.get("purchase_limit");
+    const limit_period = formData.get("limit_period");
+    const cooldown_seconds = formData.get("cooldown_seconds");
+    const sell_back_percent = formData.get("sell_back_percent");
 
     // Validate that the fields exist
     if (
@@ -325,31 +316,42 @@ export default async (request) => {
       !user_id ||
       !imageFile
     ) {
-      throw new Error(
+      throw new BadRequestError(
         "All fields are required: name, description, image, price, categories, and user_id"
       );
     }
 
     // Sanitize and validate the data
-    requestData = sanitizeData({
+    const requestData = sanitizeData({
       name,
       description,
       price,
       categories,
+      stock,
+      purchase_limit,
+      limit_period,
+      cooldown_seconds,
+      sell_back_percent,
       user_id,
     });
     validateRequestData(requestData);
+    await authorizePermission(
+      turso,
+      request,
+      requestData.user_id,
+      "items.create"
+    );
 
     // Handle the image file
-    let imageUrl = "";
-    if (imageFile instanceof File) {
-      imageUrl = await uploadImageToImageKit(imageFile);
-    } else {
-      throw new Error("Invalid image file");
+    if (!(imageFile instanceof File)) {
+      throw new BadRequestError("Invalid image file");
     }
 
     // Update the sanitized image with the uploaded URL
-    requestData.image = imageUrl;
+    requestData.image = await uploadImageToImageKit(imageFile, {
+      prefix: "itm",
+      transformation: "h-200,w-200,c-at_max,q-80",
+    });
 
     // Insert the item and wait for the result to get the ID
     const item = await addItem(
@@ -359,7 +361,14 @@ export default async (request) => {
       requestData.image,
       requestData.price,
       requestData.categories,
-      requestData.user_id
+      requestData.user_id,
+      requestData.stock,
+      {
+        purchase_limit: requestData.purchase_limit,
+        limit_period: requestData.limit_period,
+        cooldown_seconds: requestData.cooldown_seconds,
+        sell_back_percent: requestData.sell_back_percent,
+      }
     );
 
     // Return the new item with id and is_active
@@ -369,58 +378,16 @@ export default async (request) => {
       description: item.description,
       image: item.image,
       price: item.price,
+      stock: item.stock,
+      purchase_limit: item.purchase_limit,
+      limit_period: item.limit_period,
+      cooldown_seconds: item.cooldown_seconds,
+      sell_back_percent: item.sell_back_percent,
       is_active: item.is_active,
       is_deleted: item.is_deleted,
       categories: item.categories,
     };
 
-    return new Response(JSON.stringify(newItem), {
-      status: 201,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } catch (error) {
-    console.error("[ERROR] Failed to create item:", {
-      error: error.message,
-      item: requestData.name || "Unknown",
-    });
-
-    let status = 500;
-    const errorMessage = error.message;
-
-    if (errorMessage.includes("Invalid API key")) status = 403;
-    if (errorMessage.includes("All fields are required")) status = 400;
-    if (errorMessage === "Method not allowed") status = 405;
-    if (errorMessage === "Failed to verify item creation") status = 500;
-    if (errorMessage === "Invalid request data") status = 400;
-    if (errorMessage.includes("Categories not found")) status = 400;
-    if (errorMessage === "Invalid price or user ID") status = 400;
-    if (errorMessage === "Invalid category ID format") status = 400;
-    if (errorMessage.includes("Unsupported image type")) status = 400;
-    if (errorMessage.includes("Image size exceeds")) status = 400;
-    if (errorMessage.includes("Invalid image file")) status = 400;
-
-    return new Response(JSON.stringify({ error: errorMessage }), {
-      status,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } finally {
-    if (turso) {
-      try {
-        // Close connection without parameters
-        await turso.close();
-        console.log("[INFO] Turso connection closed successfully.");
-      } catch (closeError) {
-        console.error("[ERROR] Failed to close Turso connection:", {
-          name: closeError.name,
-          message: closeError.message,
-        });
-      }
-    }
-  }
-};
+    return jsonResponse(newItem, 201);
+  },
+});
@@ -1,67 +1,36 @@
 // delete-category.js
 
-import { createClient } from "https://esm.sh/@libsql/client@0.6.0/web";
-
-/**
- * Creates a new Turso client instance.
- * @returns {Object} Turso client.
- */
-const createTursoClient = () => {
-  return createClient({
-    url: Deno.env.get("TURSO_URL"),
-    authToken: Deno.env.get("TURSO_AUTH_TOKEN"),
-  });
-};
-
-/**
- * Obtains the necessary CORS headers for responses.
- * @returns {Object} CORS headers.
- */
-const getCorsHeaders = () => {
-  const allowedOrigin = Deno.env.get("FORUM_URL");
-  return {
-    "Access-Control-Allow-Origin": allowedOrigin,
-    "Access-Control-Allow-Methods": "DELETE, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-API-KEY",
-  };
-};
-
-/**
- * Validates the API key provided in the headers.
- * @param {string} apiKey - API key to validate.
- * @throws {Error} If the API key is not valid.
- */
-const validateApiKey = (apiKey) => {
-  if (!apiKey) {
-    throw new Error("API key is required");
-  }
-  if (apiKey !== Deno.env.get("API_KEY")) {
-    throw new Error("Invalid API key");
-  }
-};
+import { BadRequestError, NotFoundError } from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import { authorizePermission } from "./_shared/permissions.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
 
 /**
  * Validates the request data.
  * @param {Object} requestData - Request data.
  * @returns {Object} Sanitized data.
- * @throws {Error} If the data is not valid.
+ * @throws {BadRequestError} If the data is not valid.
  */
 const validateRequestData = (requestData) => {
   if (!requestData || typeof requestData !== "object") {
-    throw new Error("Invalid request data");
+    throw new BadRequestError("Invalid request data");
   }
 
   const { id, user_id } = requestData;
 
   if (!id || !user_id) {
-    throw new Error("All fields are required: id and user_id");
+    throw new BadRequestError("All fields are required: id and user_id");
   }
 
   const sanitizedId = parseInt(id, 10);
   const sanitizedUserId = parseInt(user_id, 10);
 
   if (isNaN(sanitizedId) || isNaN(sanitizedUserId)) {
-    throw new Error("Invalid ID or user ID");
+    throw new BadRequestError("Invalid ID or user ID");
   }
 
   return { id: sanitizedId, user_id: sanitizedUserId };
@@ -87,14 +56,14 @@ const softDeleteCategory = async (turso, id, userId) => {
     });
 
     if (!oldCategoryResponse?.rows?.length) {
-      throw new Error("Category not found");
+      throw new NotFoundError("Category not found");
     }
 
     const oldCategory = oldCategoryResponse.rows[0];
     console.log("[INFO] Found category:", oldCategory);
 
     if (oldCategory.is_deleted === 1) {
-      throw new Error("Category is already deleted");
+      throw new BadRequestError("Category is already deleted");
     }
 
     // Soft delete the category
@@ -172,11 +141,12 @@ const softDeleteCategory = async (turso, id, userId) => {
             "DELETE",
             JSON.stringify({
               is_active: item.is_active === 1,
-              is_deleted: item.is_deleted === 0,
+              is_deleted: item.is_deleted === 1,
             }),
             JSON.stringify({
               is_active: false,
               is_deleted: true,
+              category_id: id,
             }),
           ],
         });
@@ -184,6 +154,15 @@ const softDeleteCategory = async (turso, id, userId) => {
       console.log("[INFO] Added audit entries for items:", itemIds);
     }
 
+    // Keep the associated items in the audit so restore-category can reattach them
+    const associatedItemsResponse = await tx.execute({
+      sql: "SELECT item_id FROM item_categories WHERE category_id = ? ORDER BY item_id",
+      args: [id],
+    });
+    const associatedItemIds = associatedItemsResponse.rows.map((row) =>
+      Number(row.item_id)
+    );
+
     // Remove all category associations for this category
     await tx.execute({
       sql: `DELETE FROM item_categories WHERE category_id = ?`,
@@ -205,7 +184,7 @@ const softDeleteCategory = async (turso, id, userId) => {
           name: oldCategory.name,
           image: oldCategory.image,
           is_active: oldCategory.is_active === 1,
-          is_deleted: oldCategory.is_deleted === 0,
+          is_deleted: oldCategory.is_deleted === 1,
           created_at: oldCategory.created_at,
           edited_at: oldCategory.edited_at,
           created_by: oldCategory.created_by,
@@ -216,6 +195,7 @@ const softDeleteCategory = async (turso, id, userId) => {
           is_deleted: true,
           edited_by: userId,
           edited_at: new Date().toISOString(),
+          item_ids: associatedItemIds,
         }),
       ],
     });
@@ -233,30 +213,18 @@ const softDeleteCategory = async (turso, id, userId) => {
 
 /**
  * Handles incoming requests to delete a category.
- * Applies best practices for Turso connections, error handling, and documentation.
  * @param {Request} request - Incoming request object.
  * @returns {Promise<Response>} HTTP response containing the updated category data or an error message.
  */
-export default async (request) => {
-  const corsHeaders = getCorsHeaders();
-
-  if (request.method === "OPTIONS") {
-    return new Response(null, { headers: corsHeaders });
-  }
-
-  let requestData;
-  const turso = createTursoClient();
-
-  try {
-    if (request.method !== "DELETE") {
-      throw new Error("Method not allowed");
-    }
-
-    const apiKey = request.headers.get("X-API-KEY");
-    validateApiKey(apiKey);
-
-    requestData = await request.json();
+export default createEdgeHandler({
+  name: "delete-category",
+  methods: ["DELETE"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
+    const requestData = await readJsonBody(request);
     const { id, user_id } = validateRequestData(requestData);
+    await authorizePermission(turso, request, user_id, "categories.delete");
 
     console.log("[INFO] Received delete request:", { id, user_id });
 
@@ -267,48 +235,6 @@ export default async (request) => {
       name: category.name,
     });
 
-    return new Response(JSON.stringify(category), {
-      status: 200,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } catch (error) {
-    console.error("[ERROR] Operation failed:", error);
-
-    let status = 500;
-    if (error.message.includes("API key")) status = 403;
-    if (error.message.includes("All fields are required")) status = 400;
-    if (error.message === "Method not allowed") status = 405;
-    if (error.message === "Category not found") status = 404;
-    if (error.message === "Category is already deleted") status = 400;
-    if (error.message === "Invalid ID or user ID") status = 400;
-
-    console.log(
-      "[ERROR] Delete failed for category ID:",
-      requestData?.id || "Unknown"
-    );
-
-    return new Response(JSON.stringify({ error: error.message }), {
-      status,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } finally {
-    if (turso) {
-      try {
-        // Close connection without parameters
-        await turso.close();
-        console.log("[INFO] Turso connection closed successfully.");
-      } catch (closeError) {
-        console.error("[ERROR] Failed to close Turso connection:", {
-          name: closeError.name,
-          message: closeError.message,
-        });
-      }
-    }
-  }
-};
+    return jsonResponse(category);
+  },
+});
@@ -0,0 +1,223 @@
+// get-audit-log.js
+
+import { readTokenUserId } from "./_shared/auth.js";
+import { BadRequestError } from "./_shared/errors.js";
+import { createEdgeHandler, jsonResponse } from "./_shared/http.js";
+import { paginate, parsePaginationParams } from "./_shared/pagination.js";
+import {
+  assertAllowedParams,
+  dateRangeConditions,
+  parseDateParam,
+  parseIdParam,
+} from "./_shared/params.js";
+import { authorizePermission } from "./_shared/permissions.js";
+
+/**
+ * Query parameters accepted by the route.
+ */
+const ALLOWED_PARAMS = [
+  "entity",
+  "entity_id",
+  "user_id",
+  "action_type",
+  "from",
+  "to",
+  "page",
+  "limit",
+  "cursor",
+];
+
+/**
+ * Largest page the route returns.
+ */
+const MAX_LIMIT = 100;
+
+/**
+ * Audit tables by entity. users_audit has no actor column; its user_id is
+ * the user that changed.
+ */
+const AUDIT_SOURCES = {
+  item: `SELECT 'item' AS entity, id, item_id AS entity_id, user_id,
+                action_type, old_values, new_values, created_at
+         FROM items_audit`,
+  category: `SELECT 'category' AS entity, id, category_id AS entity_id, user_id,
+                    action_type, old_values, new_values, created_at
+             FROM categories_audit`,
+  user: `SELECT 'user' AS entity, id, user_id AS entity_id, NULL AS user_id,
+                action_type, old_values, new_values, created_at
+         FROM users_audit`,
+};
+
+/**
+ * Validates the query parameters and builds the filters.
+ * @param {URL} url - Request URL.
+ * @returns {Object} Filters and pagination.
+ * @throws {BadRequestError} If any parameter is not valid.
+ */
+const parseFilters = (url) => {
+  assertAllowedParams(url, ALLOWED_PARAMS);
+
+  const entity = url.searchParams.get("entity") || null;
+  if (entity !== null && !AUDIT_SOURCES[entity]) {
+    throw new BadRequestError(
+      `entity must be one of: ${Object.keys(AUDIT_SOURCES).join(", ")}`
+    );
+  }
+
+  const entityId = parseIdParam(url, "entity_id");
+  if (entityId !== null && entity === null) {
+    throw new BadRequestError("entity_id requires entity");
+  }
+
+  const actionType = url.searchParams.get("action_type") || null;
+  if (actionType !== null && !/^[A-Za-z_]{1,20}$/.test(actionType)) {
+    throw new BadRequestError("Invalid action_type");
+  }
+
+  return {
+    entity,
+    entityId,
+    userId: parseIdParam(url, "user_id"),
+    actionType: actionType && actionType.toUpperCase(),
+    from: parseDateParam(url, "from"),
+    to: parseDateParam(url, "to"),
+    pagination: parsePaginationParams(url, {
+      defaultLimit: 50,
+      maxLimit: MAX_LIMIT,
+    }),
+  };
+};
+
+/**
+ * Parses the JSON stored in old_values or new_values.
+ * @param {string|null} value - Stored JSON.
+ * @returns {Object|null} Parsed object, null if empty or not an object.
+ */
+const parseValues = (value) => {
+  if (!value) return null;
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Lists the fields that differ between the old and new values. Fields only
+ * present on one side are reported with null on the other.
+ * @param {Object|null} oldValues - Values before the change.
+ * @param {Object|null} newValues - Values after the change.
+ * @returns {Array<{field: string, old: *, new: *}>} Changed fields, sorted by name.
+ */
+const diffValues = (oldValues, newValues) => {
+  const before = oldValues || {};
+  const after = newValues || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .sort()
+    .filter(
+      (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    )
+    .map((field) => ({
+      field,
+      old: before[field] ?? null,
+      new: after[field] ?? null,
+    }));
+};
+
+/**
+ * Retrieves a page of audit entries with their diffs.
+ * @param {Object} turso - Turso client.
+ * @param {Object} filters - Filters from parseFilters.
+ * @returns {Promise<Object>} Entries and pagination.
+ */
+const getAuditLog = async (turso, filters) => {
+  const sources = filters.entity
+    ? [AUDIT_SOURCES[filters.entity]]
+    : Object.values(AUDIT_SOURCES);
+
+  const conditions = [];
+  const args = [];
+
+  if (filters.entityId !== null) {
+    conditions.push("entity_id = ?");
+    args.push(filters.entityId);
+  }
+  if (filters.userId !== null) {
+    conditions.push("user_id = ?");
+    args.push(filters.userId);
+  }
+  if (filters.actionType !== null) {
+    conditions.push("action_type = ?");
+    args.push(filters.actionType);
+  }
+
+  const dateRange = dateRangeConditions("created_at", filters.from, filters.to);
+  conditions.push(...dateRange.conditions);
+  args.push(...dateRange.args);
+
+  // IDs repeat across audit tables, so the entity breaks ties
+  const { rows, pagination } = await paginate(
+    turso,
+    {
+      select: `entity, id, entity_id, user_id, action_type,
+               old_values, new_values, created_at`,
+      from: `(${sources.join(" UNION ALL ")})`,
+      conditions,
+      args,
+      orderBy: [
+        ["created_at", "DESC"],
+        ["id", "DESC"],
+        ["entity", "DESC"],
+      ],
+    },
+    filters.pagination
+  );
+
+  const entries = rows.map((row) => {
+    const oldValues = parseValues(row.old_values);
+    const newValues = parseValues(row.new_values);
+
+    return {
+      entity: row.entity,
+      id: row.id,
+      entity_id: row.entity_id,
+      user_id: row.user_id,
+      action_type: row.action_type,
+      created_at: row.created_at,
+      old_values: oldValues,
+      new_values: newValues,
+      changes: diffValues(oldValues, newValues),
+    };
+  });
+
+  return { entries, pagination };
+};
+
+/**
+ * Handles incoming requests to browse the audit log.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<Response>} HTTP response containing the entries or an error message.
+ */
+export default createEdgeHandler({
+  name: "get-audit-log",
+  methods: ["GET"],
+  handler: async ({ request, turso }) => {
+    const filters = parseFilters(new URL(request.url));
+    // The log is read for nobody in particular, so the token's own user is
+    // checked; a missing or invalid token still answers 401.
+    await authorizePermission(
+      turso,
+      request,
+      await readTokenUserId(request),
+      "audit.read"
+    );
+
+    const result = await getAuditLog(turso, filters);
+
+    return jsonResponse(result);
+  },
+});
@@ -1,43 +1,21 @@
-import { createClient } from "https://esm.sh/@libsql/client@0.6.0/web";
-
-const createTursoClient = () => {
-  return createClient({
-    url: Deno.env.get("TURSO_URL"),
-    authToken: Deno.env.get("TURSO_AUTH_TOKEN"),
-  });
-};
-
-const getCorsHeaders = () => {
-  const allowedOrigin = Deno.env.get("FORUM_URL");
-  return {
-    "Access-Control-Allow-Origin": allowedOrigin,
-    "Access-Control-Allow-Methods": "GET, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-API-KEY",
-  };
-};
-
-const validateApiKey = (apiKey) => {
-  if (!apiKey) {
-    throw new Error("API key is required");
-  }
-  if (apiKey !== Deno.env.get("API_KEY")) {
-    throw new Error("Invalid API key");
-  }
-};
+import { INITIAL_CREDITS } from "./_shared/credits.js";
+import { BadRequestError } from "./_shared/errors.js";
+import { createEdgeHandler, jsonResponse } from "./_shared/http.js";
+import { registerUser } from "./_shared/users.js";
 
 const validateUserId = (userId) => {
   if (!userId || isNaN(Number(userId))) {
-    throw new Error("Invalid user ID");
+    throw new BadRequestError("Invalid user ID");
   }
 };
 
 const validateUserIds = (userIds) => {
   if (!userIds || !Array.isArray(userIds)) {
-    throw new Error("Invalid user IDs format");
+    throw new BadRequestError("Invalid user IDs format");
   }
   userIds.forEach((id) => {
     if (isNaN(Number(id))) {
-      throw new Error("Invalid user ID format");
+      throw new BadRequestError("Invalid user ID format");
     }
   });
 };
@@ -45,24 +23,14 @@ const validateUserIds = (userIds) => {
 const registerNewUser = async (turso, userId) => {
   const tx = await turso.transaction();
   try {
-    // Insert new user with initial 100 credits
-    await tx.execute({
-      sql: `INSERT INTO users (user_id, credits) VALUES (?, 100)`,
-      args: [userId],
-    });
-
-    // Add audit record
-    await tx.execute({
-      sql: `INSERT INTO users_audit (user_id, action_type, new_values)
-            VALUES (?, 'INSERT', ?)`,
-      args: [userId, JSON.stringify({ user_id: userId, credits: 100 })],
-    });
+    // Insert new user with the initial credits
+    await registerUser(tx, userId);
 
     await tx.commit();
 
     return {
       user_id: userId,
-      credits: 100,
+      credits: INITIAL_CREDITS,
       inventory: [],
       bag: [],
     };
@@ -78,30 +46,16 @@ const registerNewUsers = async (turso, userIds) => {
     const newUsers = [];
     for (const userId of userIds) {
       // Attempt to insert new user
-      const insertResponse = await tx.execute({
-        sql: `INSERT INTO users (user_id, credits) 
-              SELECT ?, 100 
-              WHERE NOT EXISTS (SELECT 1 FROM users WHERE user_id = ?)`,
-        args: [userId, userId],
-      });
-
-      if (insertResponse.rowsAffected > 0) {
+      if (await registerUser(tx, userId)) {
         // Obtener datos del usuario recién creado
         await tx.execute({
           sql: `SELECT * FROM users WHERE user_id = ?`,
           args: [userId],
         });
 
-        // Registrar en la auditoría
-        await tx.execute({
-          sql: `INSERT INTO users_audit (user_id, action_type, new_values)
-                VALUES (?, 'INSERT', ?)`,
-          args: [userId, JSON.stringify({ user_id: userId, credits: 100 })],
-        });
-
         newUsers.push({
           user_id: userId,
-          credits: 100,
+          credits: INITIAL_CREDITS,
           inventory: [],
           bag: [],
         });
@@ -142,7 +96,7 @@ const getBag = async (turso, userId) => {
       AND i.is_deleted = 0
       ORDER BY i.name ASC
     `,
-    args: [user.id],
+    args: [user.user_id],
   });
 
   // Get categories for bag items only
@@ -209,7 +163,7 @@ const getBags = async (turso, userIds) => {
         i.id, i.name, i.description, i.price, i.image,
         inv.quantity_in_bag
       FROM users u
-      LEFT JOIN inventory inv ON u.id = inv.user_id
+      LEFT JOIN inventory inv ON u.user_id = inv.user_id
       LEFT JOIN items i ON inv.item_id = i.id
       WHERE u.user_id IN (${userIds.join(",")})
       AND (inv.quantity_in_bag > 0 OR inv.quantity_in_bag IS NULL)
@@ -274,19 +228,10 @@ const getBags = async (turso, userIds) => {
   return result;
 };
 
-export default async (request) => {
-  const corsHeaders = getCorsHeaders();
-  if (request.method === "OPTIONS")
-    return new Response(null, { headers: corsHeaders });
-
-  const turso = createTursoClient();
-
-  try {
-    if (request.method !== "GET") throw new Error("Method not allowed");
-
-    const apiKey = request.headers.get("X-API-KEY");
-    validateApiKey(apiKey);
-
+export default createEdgeHandler({
+  name: "get-bags",
+  methods: ["GET"],
+  handler: async ({ request, turso }) => {
     const url = new URL(request.url);
     const userId = url.searchParams.get("user_id");
     const userIds = url.searchParams.get("user_ids");
@@ -300,44 +245,11 @@ export default async (request) => {
       validateUserIds(ids);
       result = await getBags(turso, ids);
     } else {
-      throw new Error("Either user_id or user_ids parameter is required");
+      throw new BadRequestError(
+        "Either user_id or user_ids parameter is required"
+      );
     }
 
-    return new Response(JSON.stringify(result), {
-      status: 200,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } catch (error) {
-    console.error("[ERROR] Operation failed:", error);
-
-    let status = 500;
-    const errorMessage = error.message;
-
-    if (errorMessage.includes("API key")) status = 403;
-    if (errorMessage === "Method not allowed") status = 405;
-    if (errorMessage.includes("Invalid user ID")) status = 400;
-
-    return new Response(JSON.stringify({ error: errorMessage }), {
-      status,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } finally {
-    if (turso) {
-      try {
-        await turso.close();
-        console.log("[INFO] Turso connection closed successfully.");
-      } catch (closeError) {
-        console.error("[ERROR] Failed to close Turso connection:", {
-          name: closeError.name,
-          message: closeError.message,
-        });
-      }
-    }
-  }
-};
+    return jsonResponse(result);
+  },
+});
@@ -1,54 +1,31 @@
-import { createClient } from "https://esm.sh/@libsql/client@0.6.0/web";
-
-// Duplicar funciones utilitarias necesarias
-const createTursoClient = () => {
-  return createClient({
-    url: Deno.env.get("TURSO_URL"),
-    authToken: Deno.env.get("TURSO_AUTH_TOKEN"),
-  });
-};
-
-const getCorsHeaders = () => {
-  const allowedOrigin = Deno.env.get("FORUM_URL");
-  return {
-    "Access-Control-Allow-Origin": allowedOrigin,
-    "Access-Control-Allow-Methods": "GET, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-API-KEY",
-  };
-};
-
-const validateApiKey = (apiKey) => {
-  if (!apiKey) throw new Error("API key is required");
-  if (apiKey !== Deno.env.get("API_KEY")) throw new Error("Invalid API key");
-};
+import { INITIAL_CREDITS } from "./_shared/credits.js";
+import { BadRequestError } from "./_shared/errors.js";
+import { createEdgeHandler, jsonResponse } from "./_shared/http.js";
+import {
+  PAGINATION_PARAMS,
+  paginate,
+  parsePaginationParams,
+} from "./_shared/pagination.js";
+import { registerUser } from "./_shared/users.js";
 
 const validateUserId = (userId) => {
-  if (!userId || isNaN(Number(userId))) throw new Error("Invalid user ID");
+  if (!userId || isNaN(Number(userId)))
+    throw new BadRequestError("Invalid user ID");
 };
 
 const validateUserIds = (userIds) => {
   if (!userIds || !Array.isArray(userIds))
-    throw new Error("Invalid user IDs format");
+    throw new BadRequestError("Invalid user IDs format");
   userIds.forEach((id) => {
-    if (isNaN(Number(id))) throw new Error("Invalid user ID format");
+    if (isNaN(Number(id))) throw new BadRequestError("Invalid user ID format");
   });
 };
 
 const registerNewUser = async (turso, userId) => {
   const tx = await turso.transaction();
   try {
-    // Insert new user with initial 100 credits
-    await tx.execute({
-      sql: `INSERT INTO users (user_id, credits) VALUES (?, 100)`,
-      args: [userId],
-    });
-
-    // Add audit record
-    await tx.execute({
-      sql: `INSERT INTO users_audit (user_id, action_type, new_values)
-            VALUES (?, 'INSERT', ?)`,
-      args: [userId, JSON.stringify({ user_id: userId, credits: 100 })],
-    });
+    // Insert new user with the initial credits
+    await registerUser(tx, userId);
 
     // Retrieve the newly inserted user
     const userResult = await tx.execute({
@@ -82,21 +59,7 @@ const registerNewUsers = async (turso, userIds) => {
     const newUsers = [];
     for (const userId of userIds) {
       // Attempt to insert new user
-      const insertResponse = await tx.execute({
-        sql: `INSERT INTO users (user_id, credits) 
-              SELECT ?, 100 
-              WHERE NOT EXISTS (SELECT 1 FROM users WHERE user_id = ?)`, // Changed from 1000 to 100
-        args: [userId, userId],
-      });
-
-      if (insertResponse.rowsAffected > 0) {
-        // Add audit record
-        await tx.execute({
-          sql: `INSERT INTO users_audit (user_id, action_type, new_values)
-                VALUES (?, 'INSERT', ?)`,
-          args: [userId, JSON.stringify({ user_id: userId, credits: 100 })],
-        });
-
+      if (await registerUser(tx, userId)) {
         // Obtener datos del usuario recién creado
         await tx.execute({
           sql: `SELECT * FROM users WHERE user_id = ?`,
@@ -105,7 +68,7 @@ const registerNewUsers = async (turso, userIds) => {
 
         newUsers.push({
           user_id: userId,
-          credits: 100,
+          credits: INITIAL_CREDITS,
           inventory: [],
           bag: [],
         });
@@ -120,39 +83,62 @@ const registerNewUsers = async (turso, userIds) => {
   }
 };
 
-const getInventory = async (turso, userId) => {
+// With pagination, each page of the user's items is split into inventory and bag
+const getInventory = async (turso, userId, pagination = null) => {
   let userResult = await turso.execute({
     sql: `SELECT * FROM users WHERE user_id = ?`,
     args: [userId],
   });
 
-  if (!userResult.rows.length) {
-    return await registerNewUser(turso, userId);
+  let user = userResult.rows[0];
+  if (!user) {
+    const newUser = await registerNewUser(turso, userId);
+    if (!pagination) return newUser;
+    user = newUser;
   }
 
-  const user = userResult.rows[0];
-
   // Get all inventory items including bag quantities
-  const inventoryResult = await turso.execute({
-    sql: `
-      SELECT 
-        i.id, i.name, i.description, i.price, i.image,
-        inv.total_quantity, inv.quantity_in_bag
-      FROM items i
-      INNER JOIN inventory inv ON i.id = inv.item_id
-      WHERE inv.user_id = ? 
-      AND i.is_deleted = 0
-      ORDER BY i.name ASC
-    `,
-    args: [user.id],
-  });
+  let inventoryRows;
+  let pageInfo = null;
+  if (pagination) {
+    ({ rows: inventoryRows, pagination: pageInfo } = await paginate(
+      turso,
+      {
+        select: `i.id, i.name, i.description, i.price, i.image,
+                 inv.total_quantity, inv.quantity_in_bag`,
+        from: "items i INNER JOIN inventory inv ON i.id = inv.item_id",
+        conditions: ["inv.user_id = ?", "i.is_deleted = 0"],
+        args: [user.user_id],
+        orderBy: [
+          ["i.name", "ASC"],
+          ["i.id", "ASC"],
+        ],
+      },
+      pagination
+    ));
+  } else {
+    const inventoryResult = await turso.execute({
+      sql: `
+        SELECT 
+          i.id, i.name, i.description, i.price, i.image,
+          inv.total_quantity, inv.quantity_in_bag
+        FROM items i
+        INNER JOIN inventory inv ON i.id = inv.item_id
+        WHERE inv.user_id = ? 
+        AND i.is_deleted = 0
+        ORDER BY i.name ASC
+      `,
+      args: [user.user_id],
+    });
+    inventoryRows = inventoryResult.rows;
+  }
 
-  if (inventoryResult.rows.length === 0) {
+  if (inventoryRows.length === 0) {
     console.warn(`No inventory found for user_id: ${userId}`);
   }
 
   // Get categories for all items
-  const itemIds = inventoryResult.rows.map((item) => item.id);
+  const itemIds = inventoryRows.map((item) => item.id);
   const categoriesResult = itemIds.length
     ? await turso.execute({
         sql: `
@@ -177,7 +163,7 @@ const getInventory = async (turso, userId) => {
   });
 
   // Process all items and calculate available and bag quantities
-  const allItems = inventoryResult.rows.map((item) => ({
+  const allItems = inventoryRows.map((item) => ({
     id: item.id,
     name: item.name,
     description: item.description,
@@ -210,6 +196,7 @@ const getInventory = async (turso, userId) => {
     credits: user.credits,
     inventory,
     bag,
+    ...(pageInfo && { pagination: pageInfo }),
   };
 };
 
@@ -230,69 +217,36 @@ const getInventories = async (turso, userIds) => {
   }, {});
 };
 
-export default async (request) => {
-  const corsHeaders = getCorsHeaders();
-  if (request.method === "OPTIONS")
-    return new Response(null, { headers: corsHeaders });
-
-  const turso = createTursoClient();
-
-  try {
-    if (request.method !== "GET") throw new Error("Method not allowed");
-
-    const apiKey = request.headers.get("X-API-KEY");
-    validateApiKey(apiKey);
-
+export default createEdgeHandler({
+  name: "get-inventories",
+  methods: ["GET"],
+  handler: async ({ request, turso }) => {
     const url = new URL(request.url);
     const userId = url.searchParams.get("user_id");
     const userIds = url.searchParams.get("user_ids");
+    const paginated = PAGINATION_PARAMS.some((param) =>
+      url.searchParams.has(param)
+    );
 
     let result;
     if (userId) {
       validateUserId(userId);
-      result = await getInventory(turso, parseInt(userId));
+      const pagination = paginated
+        ? parsePaginationParams(url, { defaultLimit: 50, maxLimit: 100 })
+        : null;
+      result = await getInventory(turso, parseInt(userId), pagination);
+    } else if (paginated) {
+      throw new BadRequestError("Pagination is only available with user_id");
     } else if (userIds) {
       const ids = userIds.split(",");
       validateUserIds(ids);
       result = await getInventories(turso, ids);
     } else {
-      throw new Error("Either user_id or user_ids parameter is required");
+      throw new BadRequestError(
+        "Either user_id or user_ids parameter is required"
+      );
     }
 
-    const responseData = JSON.stringify(result);
-    console.log("[DEBUG] Response data:", responseData); // Add debug log
-
-    return new Response(responseData, {
-      status: 200,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } catch (error) {
-    console.error("[ERROR] Operation failed:", error);
-    const errorResponse = JSON.stringify({ error: error.message });
-    console.log("[DEBUG] Error response:", errorResponse); // Add debug log
-
-    let status = 500;
-    if (error.message.includes("API key")) status = 403;
-    if (error.message === "Method not allowed") status = 405;
-    if (error.message.includes("Invalid user ID")) status = 400;
-
-    return new Response(JSON.stringify({ error: error.message }), {
-      status,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } finally {
-    if (turso) {
-      try {
-        await turso.close();
-      } catch (closeError) {
-        console.error("[ERROR] Failed to close Turso connection:", closeError);
-      }
-    }
-  }
-};
+    return jsonResponse(result);
+  },
+});
@@ -1,118 +1,235 @@
 // get-items.js
 
-import { createClient } from "https://esm.sh/@libsql/client@0.6.0/web";
+import {
+  catalogCacheHeaders,
+  getCatalogVersion,
+  isNotModified,
+  notModifiedResponse,
+} from "./_shared/cache.js";
+import { BadRequestError, NotFoundError } from "./_shared/errors.js";
+import { createEdgeHandler, jsonResponse } from "./_shared/http.js";
+import { paginate, parsePaginationParams } from "./_shared/pagination.js";
 
 /**
- * Creates a new Turso client instance.
- * @returns {Object} Turso client.
+ * Validates the URL parameters.
+ * @param {URL} url - The URL object containing search parameters.
+ * @throws {BadRequestError} If any parameter is invalid.
  */
-const createTursoClient = () => {
-  return createClient({
-    url: Deno.env.get("TURSO_URL"),
-    authToken: Deno.env.get("TURSO_AUTH_TOKEN"),
-  });
+const validateUrlParams = (url) => {
+  const allowedParams = [
+    "id",
+    "category_id",
+    "category_match",
+    "page",
+    "limit",
+    "cursor",
+    "is_active",
+    "q",
+    "min_price",
+    "max_price",
+    "sort",
+  ];
+  for (const param of url.searchParams.keys()) {
+    if (!allowedParams.includes(param)) {
+      throw new BadRequestError(`Invalid parameter: ${param}`);
+    }
+  }
 };
 
 /**
- * Obtains the necessary CORS headers for responses.
- * @returns {Object} CORS headers.
+ * Validates the item ID parameter.
+ * @param {string|null} itemId - The item ID to validate.
+ * @throws {BadRequestError} If the item ID is invalid.
  */
-const getCorsHeaders = () => {
-  const allowedOrigin = Deno.env.get("FORUM_URL");
-  return {
-    "Access-Control-Allow-Origin": allowedOrigin,
-    "Access-Control-Allow-Methods": "GET, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-API-KEY",
-  };
+const validateItemId = (itemId) => {
+  if (itemId && isNaN(Number(itemId))) {
+    throw new BadRequestError("Invalid item ID");
+  }
 };
 
 /**
- * Validates the API key provided in the headers.
- * @param {string|null} apiKey - API key to validate.
- * @throws {Error} If the API key is not valid.
+ * Validates the category ID parameter, a single ID or a comma-separated list.
+ * @param {string|null} categoryId - The category IDs to validate.
+ * @returns {number[]} Category IDs, empty if none were sent.
+ * @throws {BadRequestError} If any category ID is invalid.
  */
-const validateApiKey = (apiKey) => {
-  if (!apiKey) {
-    throw new Error("API key is required");
+const validateCategoryId = (categoryId) => {
+  if (!categoryId) return [];
+
+  const categoryIds = categoryId.split(",").map((id) => Number(id.trim()));
+  if (categoryIds.some((id) => !Number.isInteger(id) || id < 1)) {
+    throw new BadRequestError("Invalid category ID");
   }
-  if (apiKey !== Deno.env.get("API_KEY")) {
-    throw new Error("Invalid API key");
+
+  return [...new Set(categoryIds)];
+};
+
+/**
+ * Validates how several categories are combined: "any" (default) returns
+ * items in at least one of them, "all" items in every one.
+ * @param {string|null} categoryMatch - The match mode to validate.
+ * @returns {string} Match mode.
+ * @throws {BadRequestError} If the mode is invalid.
+ */
+const validateCategoryMatch = (categoryMatch) => {
+  if (!categoryMatch) return "any";
+
+  if (!["any", "all"].includes(categoryMatch)) {
+    throw new BadRequestError("category_match must be 'any' or 'all'");
   }
+
+  return categoryMatch;
 };
 
 /**
- * Validates the URL parameters.
- * @param {URL} url - The URL object containing search parameters.
- * @throws {Error} If any parameter is invalid.
+ * Validates the price range parameters.
+ * @param {string|null} minPrice - Lowest price.
+ * @param {string|null} maxPrice - Highest price.
+ * @returns {{minPrice: number|null, maxPrice: number|null}} Price range.
+ * @throws {BadRequestError} If either price is invalid or the range is empty.
  */
-const validateUrlParams = (url) => {
-  const allowedParams = ["id", "category_id", "page", "limit", "is_active"];
-  for (const param of url.searchParams.keys()) {
-    if (!allowedParams.includes(param)) {
-      throw new Error(`Invalid parameter: ${param}`);
+const validatePriceRange = (minPrice, maxPrice) => {
+  const parsePrice = (value) => {
+    if (value === null || value === "") return null;
+    const price = Number(value);
+    if (isNaN(price) || price < 0) {
+      throw new BadRequestError("Invalid price range");
     }
+    return price;
+  };
+
+  const range = { minPrice: parsePrice(minPrice), maxPrice: parsePrice(maxPrice) };
+
+  if (range.minPrice !== null && range.maxPrice !== null && range.minPrice > range.maxPrice) {
+    throw new BadRequestError("min_price cannot be greater than max_price");
   }
+
+  return range;
 };
 
 /**
- * Validates the item ID parameter.
- * @param {string|null} itemId - The item ID to validate.
- * @throws {Error} If the item ID is invalid.
+ * Sort expressions and directions for each sort option. Popularity counts the
+ * units sold and not refunded; relevance is only available with a search.
+ * Cursors of these two are best-effort: they hold the sales count or rank of
+ * the last item, so an item whose count or rank moves across it between two
+ * pages is skipped or shown twice.
  */
-const validateItemId = (itemId) => {
-  if (itemId && isNaN(Number(itemId))) {
-    throw new Error("Invalid item ID");
-  }
+const SORT_OPTIONS = {
+  newest: [["items.created_at", "DESC"], ["items.id", "DESC"]],
+  price_asc: [["items.price", "ASC"], ["items.id", "DESC"]],
+  price_desc: [["items.price", "DESC"], ["items.id", "DESC"]],
+  name: [["items.name COLLATE NOCASE", "ASC"], ["items.id", "DESC"]],
+  popularity: [["COALESCE(sales.sold, 0)", "DESC"], ["items.created_at", "DESC"], ["items.id", "DESC"]],
+  relevance: [["items_fts.rank", "ASC"], ["items.id", "DESC"]],
 };
 
 /**
- * Validates the category ID parameter.
- * @param {string|null} categoryId - The category ID to validate.
- * @throws {Error} If the category ID is invalid.
+ * Validates the sort parameter. Searches default to relevance and everything
+ * else to newest first.
+ * @param {string|null} sort - The sort option to validate.
+ * @param {string|null} query - FTS5 query built from q, if any.
+ * @returns {string} Sort option.
+ * @throws {BadRequestError} If the option is invalid.
  */
-const validateCategoryId = (categoryId) => {
-  if (categoryId && isNaN(Number(categoryId))) {
-    throw new Error("Invalid category ID");
+const validateSort = (sort, query) => {
+  if (!sort) return query ? "relevance" : "newest";
+
+  if (!SORT_OPTIONS[sort] || (sort === "relevance" && !query)) {
+    throw new BadRequestError(
+      `sort must be one of: ${Object.keys(SORT_OPTIONS)
+        .filter((option) => query || option !== "relevance")
+        .join(", ")}`
+    );
   }
+
+  return sort;
 };
 
 /**
- * Validates pagination parameters
- * @param {string|null} page - Page number
- * @param {string|null} limit - Items per page
- * @throws {Error} If parameters are invalid
+ * Builds an FTS5 query from the search text. Every word must match, as a
+ * prefix, so operators and quotes typed by users cannot break the query.
+ * @param {string|null} q - Search text.
+ * @returns {string|null} FTS5 query, null if no search was sent.
+ * @throws {BadRequestError} If the text has no searchable words.
  */
-const validatePagination = (page, limit) => {
-  if (page && (isNaN(Number(page)) || Number(page) < 1)) {
-    throw new Error("Invalid page number");
-  }
-  if (
-    limit &&
-    (isNaN(Number(limit)) || Number(limit) < 1 || Number(limit) > 24)
-  ) {
-    throw new Error("Invalid limit value");
+const buildSearchQuery = (q) => {
+  if (q === null) return null;
+
+  const words = q.match(/[\p{L}\p{N}]+/gu) || [];
+  if (!words.length || q.length > 100) {
+    throw new BadRequestError("Invalid search query");
   }
+
+  return words.map((word) => `"${word}"*`).join(" ");
+};
+
+/**
+ * Adds the sold-out flag to an item row. Items without stock are unlimited.
+ * @param {Object} item - Item row including the stock column.
+ * @returns {Object} The same item with sold_out set.
+ */
+const withStockStatus = (item) => {
+  item.sold_out = item.stock !== null && Number(item.stock) <= 0;
+  return item;
+};
+
+/**
+ * Retrieves the categories that are not deleted for several items at once.
+ * @param {Object} turso - Turso client.
+ * @param {number[]} itemIds - Item IDs.
+ * @returns {Promise<Object>} Lists of { id, name, image } keyed by item ID.
+ */
+const getCategoriesByItem = async (turso, itemIds) => {
+  if (!itemIds.length) return {};
+
+  const categoriesResponse = await turso.execute({
+    sql: `
+      SELECT categories.id, categories.name, categories.image, item_categories.item_id
+      FROM categories
+      INNER JOIN item_categories ON categories.id = item_categories.category_id
+      WHERE item_categories.item_id IN (${itemIds.map(() => "?").join(",")})
+      AND categories.is_deleted = 0
+    `,
+    args: itemIds,
+  });
+
+  const categoriesByItem = {};
+  categoriesResponse.rows.forEach((category) => {
+    if (!categoriesByItem[category.item_id]) categoriesByItem[category.item_id] = [];
+    categoriesByItem[category.item_id].push({
+      id: category.id,
+      name: category.name,
+      image: category.image,
+    });
+  });
+
+  return categoriesByItem;
 };
 
 /**
  * Retrieves items and their associated categories from the database.
  * @param {Object} turso - Turso client.
  * @param {string|null} itemId - Specific item ID to retrieve.
- * @param {string|null} categoryId - Specific category ID to filter items.
- * @param {number} page - Page number for pagination.
- * @param {number} limit - Items per page.
- * @param {number|null} isActive - Filter items by active status.
- * @returns {Promise<Object|Object[]>} Single item with categories or an array of items with their categories.
- * @throws {Error} If the item or category is not found or a database error occurs.
+ * @param {Object} filters - List filters.
+ * @param {number[]} filters.categoryIds - Categories to filter items by.
+ * @param {string} filters.categoryMatch - "any" or "all" of the categories.
+ * @param {number|null} filters.isActive - Filter items by active status.
+ * @param {string|null} filters.query - FTS5 query over name and description.
+ * @param {number|null} filters.minPrice - Lowest price.
+ * @param {number|null} filters.maxPrice - Highest price.
+ * @param {string} filters.sort - Key of SORT_OPTIONS.
+ * @param {Object} pagination - Page, limit and cursor from parsePaginationParams.
+ * @returns {Promise<Object|Object[]>} Single item with categories or a page of items with their categories.
+ * @throws {Error} If the item is not found or a database error occurs.
  */
-const getItems = async (turso, itemId, categoryId, page = 1, limit = 24, isActive = null) => {
-  const offset = (page - 1) * limit;
+const getItems = async (turso, itemId, filters, pagination) => {
+  const { isActive } = filters;
   const activeCondition = isActive !== null ? `AND is_active = ${isActive}` : '';
 
   if (itemId) {
     const itemResponse = await turso.execute({
       sql: `
-        SELECT id, name, description, price, image, is_active, is_deleted, created_at, edited_at, created_by, edited_by
+        SELECT id, name, description, price, image, stock, is_active, is_deleted, created_at, edited_at, created_by, edited_by, version
         FROM items
         WHERE id = ? AND is_deleted = 0 ${activeCondition}
       `,
@@ -120,229 +237,142 @@ const getItems = async (turso, itemId, categoryId, page = 1, limit = 24, isActiv
     });
 
     if (!itemResponse?.rows?.length) {
-      throw new Error("Item not found");
+      throw new NotFoundError("Item not found");
     }
 
-    const categoriesResponse = await turso.execute({
-      sql: `
-        SELECT categories.id, categories.name, categories.image
-        FROM categories
-        INNER JOIN item_categories ON categories.id = item_categories.category_id
-        WHERE item_categories.item_id = ? AND categories.is_deleted = 0
-      `,
-      args: [itemId],
-    });
-
-    const item = itemResponse.rows[0];
-    item.categories = categoriesResponse.rows;
+    const item = withStockStatus(itemResponse.rows[0]);
+    const categoriesByItem = await getCategoriesByItem(turso, [item.id]);
+    item.categories = categoriesByItem[item.id] || [];
 
     return item;
-  } else if (categoryId) {
-    // Obtener total de items para la categoría
-    const totalQuery = await turso.execute({
-      sql: `
-        SELECT COUNT(DISTINCT items.id) as total 
-        FROM items
-        INNER JOIN item_categories ON items.id = item_categories.item_id
-        WHERE item_categories.category_id = ? AND items.is_deleted = 0 ${activeCondition}
-      `,
-      args: [categoryId],
-    });
+  }
 
-    if (!totalQuery?.rows?.length) {
-      throw new Error("Category not found");
-    }
+  const joins = [];
+  const conditions = ["items.is_deleted = 0"];
+  const args = [];
 
-    const itemsResponse = await turso.execute({
-      sql: `
-        SELECT DISTINCT items.id, items.name, items.description, items.price, 
-               items.image, items.is_active, items.is_deleted, items.created_at, 
-               items.edited_at, items.created_by, items.edited_by
-        FROM items
-        INNER JOIN item_categories ON items.id = item_categories.item_id
-        WHERE item_categories.category_id = ? AND items.is_deleted = 0 ${activeCondition}
-        ORDER BY items.created_at DESC
-        LIMIT ? OFFSET ?
-      `,
-      args: [categoryId, limit, offset],
-    });
+  if (filters.query) {
+    joins.push("INNER JOIN items_fts ON items_fts.rowid = items.id");
+    conditions.push("items_fts MATCH ?");
+    args.push(filters.query);
+  }
 
-    const items = await Promise.all(
-      itemsResponse.rows.map(async (item) => {
-        const categoriesResponse = await turso.execute({
-          sql: `
-            SELECT categories.id, categories.name, categories.image
-            FROM categories
-            INNER JOIN item_categories ON categories.id = item_categories.category_id
-            WHERE item_categories.item_id = ? AND categories.is_deleted = 0
-          `,
-          args: [item.id],
-        });
-        item.categories = categoriesResponse.rows;
-        return item;
-      })
-    );
+  if (isActive !== null) {
+    conditions.push("items.is_active = ?");
+    args.push(isActive);
+  }
 
-    return {
-      items,
-      pagination: {
-        total: totalQuery.rows[0].total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(totalQuery.rows[0].total / limit),
-      },
-    };
-  } else {
-    // Obtener total de items
-    const totalQuery = await turso.execute({
-      sql: `SELECT COUNT(*) as total FROM items WHERE is_deleted = 0 ${activeCondition}`,
-      args: [], // Añadido args vacío
-    });
+  if (filters.minPrice !== null) {
+    conditions.push("items.price >= ?");
+    args.push(filters.minPrice);
+  }
 
-    if (!totalQuery?.rows?.length) {
-      throw new Error("No items found");
+  if (filters.maxPrice !== null) {
+    conditions.push("items.price <= ?");
+    args.push(filters.maxPrice);
+  }
+
+  if (filters.categoryIds.length) {
+    const placeholders = filters.categoryIds.map(() => "?").join(",");
+    // "all" keeps the items linked to every requested category
+    conditions.push(`items.id IN (
+      SELECT item_id FROM item_categories
+      WHERE category_id IN (${placeholders})
+      GROUP BY item_id
+      ${filters.categoryMatch === "all" ? "HAVING COUNT(DISTINCT category_id) = ?" : ""}
+    )`);
+    args.push(...filters.categoryIds);
+    if (filters.categoryMatch === "all") {
+      args.push(filters.categoryIds.length);
     }
+  }
 
-    const response = await turso.execute({
-      sql: `
-        SELECT id, name, description, price, image, is_active, is_deleted, 
-               created_at, edited_at, created_by, edited_by
-        FROM items
-        WHERE is_deleted = 0 ${activeCondition}
-        ORDER BY created_at DESC
-        LIMIT ? OFFSET ?
-      `,
-      args: [limit, offset],
-    });
+  if (filters.sort === "popularity") {
+    joins.push(`LEFT JOIN (
+      SELECT item_id, SUM(quantity - refunded_quantity) AS sold
+      FROM purchase_items
+      WHERE quantity > 0
+      GROUP BY item_id
+    ) sales ON sales.item_id = items.id`);
+  }
 
-    const items = await Promise.all(
-      response.rows.map(async (item) => {
-        const categoriesResponse = await turso.execute({
-          sql: `
-            SELECT categories.id, categories.name, categories.image
-            FROM categories
-            INNER JOIN item_categories ON categories.id = item_categories.category_id
-            WHERE item_categories.item_id = ? AND categories.is_deleted = 0
-          `,
-          args: [item.id],
-        });
-        item.categories = categoriesResponse.rows;
-        return item;
-      })
-    );
+  const { rows, pagination: pageInfo } = await paginate(
+    turso,
+    {
+      select: `items.id, items.name, items.description, items.price, items.image, items.stock,
+               items.is_active, items.is_deleted, items.created_at, items.edited_at,
+               items.created_by, items.edited_by, items.version`,
+      from: `items ${joins.join(" ")}`,
+      conditions,
+      args,
+      orderBy: SORT_OPTIONS[filters.sort],
+      sort: filters.sort,
+    },
+    pagination
+  );
+
+  // Categories for the whole page in one query
+  const categoriesByItem = await getCategoriesByItem(
+    turso,
+    rows.map((item) => item.id)
+  );
+
+  const items = rows.map((item) => {
+    item.categories = categoriesByItem[item.id] || [];
+    return withStockStatus(item);
+  });
 
-    return {
-      items,
-      pagination: {
-        total: totalQuery.rows[0].total,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(totalQuery.rows[0].total / limit),
-      },
-    };
-  }
+  return { items, pagination: pageInfo };
 };
 
 /**
  * Handles incoming requests to retrieve items.
- * Applies best practices for Turso connections, error handling, and documentation.
  * @param {Request} request - Incoming request object.
  * @returns {Promise<Response>} HTTP response containing items data or an error message.
  */
-export default async (request) => {
-  const corsHeaders = getCorsHeaders();
-
-  if (request.method === "OPTIONS") {
-    return new Response(null, { headers: corsHeaders });
-  }
-
-  const turso = createTursoClient();
-
-  try {
-    if (request.method !== "GET") {
-      throw new Error("Method not allowed");
-    }
-
-    const apiKey = request.headers.get("X-API-KEY");
-    validateApiKey(apiKey);
-
+export default createEdgeHandler({
+  name: "get-items",
+  methods: ["GET"],
+  handler: async ({ request, turso }) => {
     const url = new URL(request.url);
     validateUrlParams(url);
 
     const itemId = url.searchParams.get("id");
     const categoryId = url.searchParams.get("category_id");
-    const page = url.searchParams.get("page") || "1";
-    const limit = url.searchParams.get("limit") || "24";
     const isActive = url.searchParams.get("is_active");
 
     validateItemId(itemId);
-    validateCategoryId(categoryId);
-    validatePagination(page, limit);
-
-    const result = await getItems(
-      turso,
-      itemId,
-      categoryId,
-      parseInt(page),
-      parseInt(limit),
-      isActive === "true" ? 1 : isActive === "false" ? 0 : null
-    );
+    const categoryIds = validateCategoryId(categoryId);
+    const pagination = parsePaginationParams(url, { defaultLimit: 24, maxLimit: 100 });
+    const query = buildSearchQuery(url.searchParams.get("q"));
+
+    const filters = {
+      categoryIds,
+      categoryMatch: validateCategoryMatch(url.searchParams.get("category_match")),
+      isActive: isActive === "true" ? 1 : isActive === "false" ? 0 : null,
+      query,
+      ...validatePriceRange(
+        url.searchParams.get("min_price"),
+        url.searchParams.get("max_price")
+      ),
+      sort: validateSort(url.searchParams.get("sort"), query),
+    };
+
+    const cacheHeaders = catalogCacheHeaders(await getCatalogVersion(turso));
+    if (isNotModified(request, cacheHeaders)) {
+      return notModifiedResponse(cacheHeaders);
+    }
+
+    const result = await getItems(turso, itemId, filters, pagination);
 
     if (itemId) {
       console.log("[INFO] Get successful. Item and its categories retrieved.");
-    } else if (categoryId) {
+    } else if (categoryIds.length) {
       console.log("[INFO] Get successful. Items by category retrieved.");
     } else {
       console.log("[INFO] Get successful. All items retrieved.");
     }
 
-    return new Response(JSON.stringify(result), {
-      status: 200,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } catch (error) {
-    console.error("[ERROR] Operation failed:", error);
-
-    let status = 500;
-    const errorMessage = error.message;
-
-    if (errorMessage.includes("API key")) status = 403;
-    if (errorMessage === "Method not allowed") status = 405;
-    if (errorMessage === "Item not found") status = 404;
-    if (errorMessage === "Category not found") status = 404;
-    if (errorMessage === "No items found") status = 404;
-    if (errorMessage.includes("Invalid parameter")) status = 400;
-    if (
-      errorMessage.includes("Invalid item ID") ||
-      errorMessage.includes("Invalid category ID") ||
-      errorMessage.includes("Invalid page") ||
-      errorMessage.includes("Invalid limit")
-    )
-      status = 400;
-
-    console.log("[INFO] Get failed.");
-
-    return new Response(JSON.stringify({ error: errorMessage }), {
-      status,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } finally {
-    if (turso) {
-      try {
-        await turso.close();
-        console.log("[INFO] Turso connection closed successfully.");
-      } catch (closeError) {
-        console.error("[ERROR] Failed to close Turso connection:", {
-          name: closeError.name,
-          message: closeError.message,
-        });
-      }
-    }
-  }
-};
+    return jsonResponse(result, 200, cacheHeaders);
+  },
+});
@@ -0,0 +1,201 @@
+// get-purchases.js
+
+import { authorizeUser, readTokenUserId } from "./_shared/auth.js";
+import { UnauthorizedError } from "./_shared/errors.js";
+import { createEdgeHandler, jsonResponse } from "./_shared/http.js";
+import { paginate, parsePaginationParams } from "./_shared/pagination.js";
+import {
+  assertAllowedParams,
+  dateRangeConditions,
+  parseDateParam,
+  parseIdParam,
+  parseNumberParam,
+} from "./_shared/params.js";
+import { authorizePermission } from "./_shared/permissions.js";
+
+/**
+ * Query parameters accepted by the route.
+ */
+const ALLOWED_PARAMS = [
+  "id",
+  "user_id",
+  "item_id",
+  "from",
+  "to",
+  "min_amount",
+  "max_amount",
+  "page",
+  "limit",
+  "cursor",
+];
+
+/**
+ * Largest page the route returns.
+ */
+const MAX_LIMIT = 100;
+
+/**
+ * Validates the query parameters and builds the filters.
+ * @param {URL} url - Request URL.
+ * @returns {Object} Filters and pagination.
+ * @throws {BadRequestError} If any parameter is not valid.
+ */
+const parseFilters = (url) => {
+  assertAllowedParams(url, ALLOWED_PARAMS);
+
+  return {
+    id: parseIdParam(url, "id"),
+    userId: parseIdParam(url, "user_id"),
+    itemId: parseIdParam(url, "item_id"),
+    from: parseDateParam(url, "from"),
+    to: parseDateParam(url, "to"),
+    minAmount: parseNumberParam(url, "min_amount"),
+    maxAmount: parseNumberParam(url, "max_amount"),
+    pagination: parsePaginationParams(url, {
+      defaultLimit: 20,
+      maxLimit: MAX_LIMIT,
+    }),
+  };
+};
+
+/**
+ * Checks who may read the purchases asked for. A user reads their own with
+ * user_id set to them; every other read needs the purchases.read permission.
+ * @param {Object} turso - Turso client.
+ * @param {Request} request - Incoming request object.
+ * @param {number|null} userId - user_id filter, if any.
+ * @returns {Promise<void>}
+ * @throws {UnauthorizedError} If the user token is missing, not valid or expired.
+ * @throws {ForbiddenError} If the token is for another user without the permission.
+ */
+const authorizeReader = async (turso, request, userId) => {
+  const readerId = await readTokenUserId(request);
+
+  if (userId !== null && readerId === userId) {
+    await authorizeUser(request, userId);
+    return;
+  }
+  if (readerId === null) {
+    throw new UnauthorizedError("User token is required");
+  }
+  await authorizePermission(turso, request, readerId, "purchases.read");
+};
+
+/**
+ * Builds the WHERE conditions for the filters.
+ * @param {Object} filters - Filters from parseFilters.
+ * @returns {{conditions: string[], args: Array}} SQL conditions and their arguments.
+ */
+const buildConditions = (filters) => {
+  const conditions = [];
+  const args = [];
+
+  if (filters.id !== null) {
+    conditions.push("pt.id = ?");
+    args.push(filters.id);
+  }
+  if (filters.userId !== null) {
+    conditions.push("pt.user_id = ?");
+    args.push(filters.userId);
+  }
+  if (filters.itemId !== null) {
+    conditions.push(
+      "EXISTS (SELECT 1 FROM purchase_items pi WHERE pi.transaction_id = pt.id AND pi.item_id = ?)"
+    );
+    args.push(filters.itemId);
+  }
+
+  const dateRange = dateRangeConditions(
+    "pt.created_at",
+    filters.from,
+    filters.to
+  );
+  conditions.push(...dateRange.conditions);
+  args.push(...dateRange.args);
+
+  if (filters.minAmount !== null) {
+    conditions.push("pt.total_credits_spent >= ?");
+    args.push(filters.minAmount);
+  }
+  if (filters.maxAmount !== null) {
+    conditions.push("pt.total_credits_spent <= ?");
+    args.push(filters.maxAmount);
+  }
+
+  return { conditions, args };
+};
+
+/**
+ * Retrieves a page of purchase transactions with their item lines.
+ * @param {Object} turso - Turso client.
+ * @param {Object} filters - Filters from parseFilters.
+ * @returns {Promise<Object>} Purchases and pagination.
+ */
+const getPurchases = async (turso, filters) => {
+  const { rows, pagination } = await paginate(
+    turso,
+    {
+      select: `pt.id, pt.user_id, pt.credits_before, pt.credits_after,
+               pt.total_credits_spent, pt.status, pt.created_at`,
+      from: "purchase_transactions pt",
+      ...buildConditions(filters),
+      orderBy: [
+        ["pt.created_at", "DESC"],
+        ["pt.id", "DESC"],
+      ],
+    },
+    filters.pagination
+  );
+
+  const purchases = rows.map((transaction) => ({
+    ...transaction,
+    items: [],
+  }));
+
+  if (purchases.length) {
+    const transactionIds = purchases.map((purchase) => purchase.id);
+    const linesResponse = await turso.execute({
+      // Purged items are read from their tombstone
+      sql: `SELECT pi.id, pi.transaction_id, pi.item_id,
+                   COALESCE(i.name, json_extract(t.snapshot, '$.name')) AS name,
+                   COALESCE(i.image, json_extract(t.snapshot, '$.image')) AS image,
+                   pi.quantity, pi.refunded_quantity, pi.item_price
+            FROM purchase_items pi
+            LEFT JOIN items i ON i.id = pi.item_id
+            LEFT JOIN catalog_tombstones t
+              ON t.entity = 'item' AND t.entity_id = pi.item_id
+            WHERE pi.transaction_id IN (${transactionIds
+              .map(() => "?")
+              .join(",")})
+            ORDER BY pi.id`,
+      args: transactionIds,
+    });
+
+    const purchasesById = new Map(
+      purchases.map((purchase) => [purchase.id, purchase])
+    );
+    for (const { transaction_id, ...line } of linesResponse.rows) {
+      purchasesById.get(transaction_id).items.push(line);
+    }
+  }
+
+  return { purchases, pagination };
+};
+
+/**
+ * Handles incoming requests to read the purchase history.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<Response>} HTTP response containing the purchases or an error message.
+ */
+export default createEdgeHandler({
+  name: "get-purchases",
+  methods: ["GET"],
+  handler: async ({ request, turso }) => {
+    const filters = parseFilters(new URL(request.url));
+    await authorizeReader(turso, request, filters.userId);
+
+    const result = await getPurchases(turso, filters);
+
+    return jsonResponse(result);
+  },
+});
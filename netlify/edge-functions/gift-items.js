@@ -0,0 +1,116 @@
+// gift-items.js
+
+import validator from "https://esm.sh/validator@13.7.0";
+import { authorizeUser } from "./_shared/auth.js";
+import { BadRequestError } from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import { moveInventoryItems, sanitizeItemList } from "./_shared/inventory.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
+import { registerUser } from "./_shared/users.js";
+
+/**
+ * Validates and sanitizes the gift request.
+ * @param {Object} data - Request data.
+ * @returns {Object} Sanitized from_user_id, to_user_id, items and note.
+ * @throws {BadRequestError} If the data is not valid.
+ */
+const validateGiftData = (data) => {
+  if (!data || typeof data !== "object") {
+    throw new BadRequestError("Invalid request data");
+  }
+
+  const fromUserId = parseInt(data.from_user_id, 10);
+  const toUserId = parseInt(data.to_user_id, 10);
+
+  if (isNaN(fromUserId) || isNaN(toUserId)) {
+    throw new BadRequestError("Invalid from_user_id or to_user_id");
+  }
+
+  if (fromUserId === toUserId) {
+    throw new BadRequestError("Cannot gift items to yourself");
+  }
+
+  const items = sanitizeItemList(data.items, "items");
+
+  let note = null;
+  if (data.note !== undefined && data.note !== null && data.note !== "") {
+    if (
+      typeof data.note !== "string" ||
+      !validator.isLength(data.note.trim(), { min: 1, max: 255 })
+    ) {
+      throw new BadRequestError("note must be between 1 and 255 characters");
+    }
+    note = validator.escape(data.note.trim());
+  }
+
+  return { from_user_id: fromUserId, to_user_id: toUserId, items, note };
+};
+
+/**
+ * Moves the gifted items to the recipient in a single transaction.
+ * @param {Object} turso - Turso client.
+ * @param {Object} gift - Sanitized gift data.
+ * @returns {Promise<Object>} Gift record.
+ * @throws {Error} If the sender does not have the items or the transaction fails.
+ */
+const processGift = async (turso, gift) => {
+  const { from_user_id, to_user_id, items, note } = gift;
+  const tx = await turso.transaction();
+
+  try {
+    await registerUser(tx, to_user_id);
+
+    const giftResponse = await tx.execute({
+      sql: `INSERT INTO item_gifts (from_user_id, to_user_id, note)
+            VALUES (?, ?, ?)`,
+      args: [from_user_id, to_user_id, note],
+    });
+    const giftId = Number(giftResponse.lastInsertRowid);
+
+    await moveInventoryItems(tx, {
+      fromUserId: from_user_id,
+      toUserId: to_user_id,
+      items,
+      reason: "gift",
+      actorId: from_user_id,
+      referenceType: "gift",
+      referenceId: giftId,
+    });
+
+    await tx.commit();
+
+    console.log(
+      `[INFO] Gift ${giftId}: ${items.length} item(s) from ${from_user_id} to ${to_user_id}`
+    );
+
+    return { id: giftId, from_user_id, to_user_id, items, note };
+  } catch (error) {
+    await tx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Handles incoming requests to gift items to another user.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<Response>} HTTP response containing the gift or an error message.
+ */
+export default createEdgeHandler({
+  name: "gift-items",
+  methods: ["POST"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
+    const data = await readJsonBody(request);
+    const gift = validateGiftData(data);
+    await authorizeUser(request, gift.from_user_id);
+
+    const result = await processGift(turso, gift);
+
+    return jsonResponse(result, 201);
+  },
+});
@@ -0,0 +1,81 @@
+// issue-user-token.js
+
+import { BadRequestError } from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import {
+  DEFAULT_TOKEN_TTL_SECONDS,
+  MAX_TOKEN_TTL_SECONDS,
+  signUserToken,
+} from "./_shared/tokens.js";
+
+/**
+ * Validates and sanitizes the token request.
+ * @param {Object} data - Request data.
+ * @returns {Object} Sanitized user_id, ttl_seconds and group_ids.
+ * @throws {BadRequestError} If the data is not valid.
+ */
+const validateTokenRequest = (data) => {
+  if (!data || typeof data !== "object") {
+    throw new BadRequestError("Invalid request data");
+  }
+
+  const userId = Number(data.user_id);
+  if (!Number.isInteger(userId) || userId < 1) {
+    throw new BadRequestError("Invalid user_id");
+  }
+
+  const ttlSeconds =
+    data.ttl_seconds === undefined
+      ? DEFAULT_TOKEN_TTL_SECONDS
+      : Number(data.ttl_seconds);
+  if (
+    !Number.isInteger(ttlSeconds) ||
+    ttlSeconds < 1 ||
+    ttlSeconds > MAX_TOKEN_TTL_SECONDS
+  ) {
+    throw new BadRequestError(
+      `ttl_seconds must be between 1 and ${MAX_TOKEN_TTL_SECONDS}`
+    );
+  }
+
+  const groupIds = data.group_ids === undefined ? [] : data.group_ids;
+  if (
+    !Array.isArray(groupIds) ||
+    groupIds.length > 50 ||
+    !groupIds.every((id) => Number.isInteger(id) && id > 0)
+  ) {
+    throw new BadRequestError("group_ids must be a list of group IDs");
+  }
+
+  return { user_id: userId, ttl_seconds: ttlSeconds, group_ids: groupIds };
+};
+
+/**
+ * Handles incoming requests to issue a user token. Only the forum's trusted
+ * relay holds TOKEN_ISSUER_KEY, after it has checked who the visitor is.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<Response>} HTTP response containing the token or an error message.
+ */
+export default createEdgeHandler({
+  name: "issue-user-token",
+  methods: ["POST"],
+  apiKeyEnv: "TOKEN_ISSUER_KEY",
+  handler: async ({ request }) => {
+    const data = await readJsonBody(request);
+    const { user_id, ttl_seconds, group_ids } = validateTokenRequest(data);
+
+    const { token, expires_at } = await signUserToken(
+      user_id,
+      ttl_seconds,
+      group_ids
+    );
+
+    console.log(`[INFO] Token issued for user ${user_id} until ${expires_at}`);
+
+    return jsonResponse({ user_id, group_ids, token, expires_at }, 201);
+  },
+});
@@ -0,0 +1,99 @@
+// move-bag-items.js
+
+import { authorizeUser } from "./_shared/auth.js";
+import { BadRequestError } from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import {
+  applyBagDelta,
+  getInventoryRows,
+  sanitizeItemList,
+} from "./_shared/inventory.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
+
+/**
+ * Validates and sanitizes the bag move request.
+ * @param {Object} data - Request data.
+ * @returns {Object} Sanitized user_id, destination and items.
+ * @throws {BadRequestError} If the data is not valid.
+ */
+const validateMoveData = (data) => {
+  if (!data || typeof data !== "object") {
+    throw new BadRequestError("Invalid request data");
+  }
+
+  const userId = parseInt(data.user_id, 10);
+
+  if (isNaN(userId)) {
+    throw new BadRequestError("Invalid user ID");
+  }
+
+  if (!["bag", "inventory"].includes(data.to)) {
+    throw new BadRequestError("to must be 'bag' or 'inventory'");
+  }
+
+  return {
+    user_id: userId,
+    to: data.to,
+    items: sanitizeItemList(data.items, "items"),
+  };
+};
+
+/**
+ * Moves units between the inventory and the bag in a single transaction.
+ * @param {Object} turso - Turso client.
+ * @param {Object} move - Sanitized move data.
+ * @returns {Promise<Object[]>} Updated inventory rows of the moved items.
+ * @throws {Error} If the user does not have the units or the transaction fails.
+ */
+const moveBagItems = async (turso, { user_id, to, items }) => {
+  const tx = await turso.transaction();
+
+  try {
+    for (const item of items) {
+      await applyBagDelta(tx, {
+        userId: user_id,
+        itemId: item.item_id,
+        delta: to === "bag" ? item.quantity : -item.quantity,
+        reason: to === "bag" ? "bag_in" : "bag_out",
+        actorId: user_id,
+      });
+    }
+
+    const rows = await getInventoryRows(
+      tx,
+      user_id,
+      items.map((item) => item.item_id)
+    );
+
+    await tx.commit();
+    return rows;
+  } catch (error) {
+    await tx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Handles incoming requests to move items into or out of the bag.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<Response>} HTTP response containing the updated rows or an error message.
+ */
+export default createEdgeHandler({
+  name: "move-bag-items",
+  methods: ["POST"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
+    const data = await readJsonBody(request);
+    const move = validateMoveData(data);
+    await authorizeUser(request, move.user_id);
+
+    const inventory = await moveBagItems(turso, move);
+
+    return jsonResponse({ user_id: move.user_id, inventory });
+  },
+});
@@ -1,42 +1,17 @@
-import { createClient } from "https://esm.sh/@libsql/client@0.6.0/web";
-
-/**
- * Creates a new Turso client instance.
- * @returns {Object} Turso client.
- */
-const createTursoClient = () => {
-  return createClient({
-    url: Deno.env.get("TURSO_URL"),
-    authToken: Deno.env.get("TURSO_AUTH_TOKEN"),
-  });
-};
-
-/**
- * Obtains the necessary CORS headers for responses.
- * @returns {Object} CORS headers.
- */
-const getCorsHeaders = () => {
-  const allowedOrigin = Deno.env.get("FORUM_URL");
-  return {
-    "Access-Control-Allow-Origin": allowedOrigin,
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-API-KEY",
-  };
-};
-
-/**
- * Validates the API key provided in the headers.
- * @param {string} apiKey - API key to validate.
- * @throws {Error} If the API key is not valid.
- */
-const validateApiKey = (apiKey) => {
-  if (!apiKey) {
-    throw new Error("API key is required");
-  }
-  if (apiKey !== Deno.env.get("API_KEY")) {
-    throw new Error("Invalid API key");
-  }
-};
+import { authorizeUser } from "./_shared/auth.js";
+import { applyCreditDelta } from "./_shared/credits.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
 
 /**
  * Validates the purchase request data.
@@ -45,93 +20,289 @@ const validateApiKey = (apiKey) => {
  */
 const validatePurchaseData = (data) => {
   if (!data || typeof data !== "object") {
-    throw new Error("Invalid request data");
+    throw new BadRequestError("Invalid request data");
   }
 
   const { user_id, items } = data;
 
   if (!user_id || !items || !Array.isArray(items) || items.length === 0) {
-    throw new Error("Invalid purchase data structure");
+    throw new BadRequestError("Invalid purchase data structure");
   }
 
+  const seenItemIds = new Set();
   items.forEach((item, index) => {
-    if (!item.item_id || !item.quantity || !item.price) {
-      throw new Error(`Invalid item data at position ${index}`);
+    if (!item?.item_id || !item.quantity) {
+      throw new BadRequestError(`Invalid item data at position ${index}`);
+    }
+    const itemId = Number(item.item_id);
+    if (!Number.isInteger(itemId) || itemId < 1) {
+      throw new BadRequestError(`Invalid item data at position ${index}`);
     }
-    if (item.quantity <= 0) {
-      throw new Error(`Invalid quantity for item at position ${index}`);
+    // One line per item, so stock, limits and pricing see the whole quantity
+    if (seenItemIds.has(itemId)) {
+      throw new BadRequestError(`Item ${itemId} appears more than once`);
     }
-    if (item.price <= 0) {
-      throw new Error(`Invalid price for item at position ${index}`);
+    seenItemIds.add(itemId);
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new BadRequestError(`Invalid quantity for item at position ${index}`);
+    }
+    // The client price is optional and only used to detect a stale cart
+    if (
+      item.price !== undefined &&
+      item.price !== null &&
+      (isNaN(Number(item.price)) || Number(item.price) < 0)
+    ) {
+      throw new BadRequestError(`Invalid price for item at position ${index}`);
     }
   });
 };
 
 /**
  * Verifies that the user has sufficient credits for the purchase.
- * @param {Object} turso - Turso client instance.
+ * @param {Object} tx - Turso transaction.
  * @param {number} userId - User ID.
  * @param {number} totalAmount - Total purchase amount.
  * @returns {Promise<number>} Current user credits.
  * @throws {Error} If user has insufficient credits.
  */
-const verifyUserCredits = async (turso, userId, totalAmount) => {
-  const userResponse = await turso.execute({
+const verifyUserCredits = async (tx, userId, totalAmount) => {
+  const userResponse = await tx.execute({
     sql: "SELECT credits FROM users WHERE user_id = ?",
     args: [userId],
   });
 
   if (!userResponse.rows.length) {
-    throw new Error("User not found");
+    throw new NotFoundError("User not found");
   }
 
   const userCredits = Number(userResponse.rows[0].credits);
   if (userCredits < totalAmount) {
-    throw new Error("Insufficient credits");
+    throw new BadRequestError("Insufficient credits");
   }
 
   return userCredits;
 };
 
 /**
- * Verifies that all items exist and are active.
- * @param {Object} turso - Turso client instance.
+ * Verifies that all items exist and are active, and prices the cart with the
+ * current database prices. Runs inside the purchase transaction so a price
+ * change cannot land between the check and the charge.
+ * @param {Object} tx - Turso transaction instance.
  * @param {Array} items - Array of items to verify.
- * @throws {Error} If any item is invalid.
+ * @returns {Promise<Array>} Items with the server-side price applied.
+ * @throws {Error} If any item is invalid or a client price is stale.
  */
-const verifyItems = async (turso, items) => {
-  const itemIds = items.map(item => item.item_id);
+const verifyItems = async (tx, items) => {
+  const itemIds = items.map(item => Number(item.item_id));
   const placeholders = itemIds.map(() => "?").join(",");
   
-  const response = await turso.execute({
-    sql: `SELECT id, price, is_active, is_deleted FROM items WHERE id IN (${placeholders})`,
+  const response = await tx.execute({
+    sql: `SELECT id, price, stock, is_active, is_deleted FROM items WHERE id IN (${placeholders})`,
     args: itemIds,
   });
 
   const foundItems = response.rows;
   if (foundItems.length !== itemIds.length) {
-    throw new Error("One or more items not found");
+    throw new NotFoundError("One or more items not found");
   }
 
   foundItems.forEach(item => {
     if (!item.is_active || item.is_deleted) {
-      throw new Error(`Item ${item.id} is not available for purchase`);
+      throw new ConflictError(`Item ${item.id} is not available for purchase`);
     }
   });
+
+  const pricesById = {};
+  foundItems.forEach(item => {
+    pricesById[Number(item.id)] = Number(item.price);
+  });
+
+  // Early stock check; the transaction re-checks while decrementing
+  items.forEach(item => {
+    const found = foundItems.find(row => Number(row.id) === Number(item.item_id));
+    if (found.stock !== null && Number(found.stock) < Number(item.quantity)) {
+      throw new ConflictError(`Insufficient stock for item ${found.id}`);
+    }
+  });
+
+  const pricedItems = items.map(item => ({
+    item_id: Number(item.item_id),
+    quantity: Number(item.quantity),
+    price: pricesById[Number(item.item_id)],
+  }));
+
+  const stale = items.some(
+    (item, index) =>
+      item.price !== undefined &&
+      item.price !== null &&
+      Number(item.price) !== pricedItems[index].price
+  );
+
+  if (stale) {
+    throw new ConflictError("Price changed", {
+      current_prices: pricedItems.map(item => ({
+        item_id: item.item_id,
+        price: item.price,
+      })),
+    });
+  }
+
+  return pricedItems;
+};
+
+/**
+ * Length in days of each purchase limit period. Lifetime limits never reset.
+ */
+const LIMIT_PERIOD_DAYS = { day: 1, week: 7, lifetime: null };
+
+/**
+ * Parses an SQLite datetime, stored in UTC without a timezone, into a Date.
+ * @param {string} value - SQLite datetime string.
+ * @returns {Date} Parsed date.
+ */
+const parseSqliteDate = (value) => new Date(`${value.replace(" ", "T")}Z`);
+
+/**
+ * Creates the error raised when a purchase rule blocks an item.
+ * @param {string} message - Error message.
+ * @param {Date|null} retryAt - When the user can buy again, null if never.
+ * @returns {ForbiddenError} Error carrying retry_at.
+ */
+const createLimitError = (message, retryAt) => {
+  return new ForbiddenError(
+    retryAt ? `${message}, available again at ${retryAt.toISOString()}` : message,
+    { retry_at: retryAt ? retryAt.toISOString() : null }
+  );
+};
+
+/**
+ * Verifies per-user purchase limits and cooldowns against the purchase history.
+ * Runs inside the purchase transaction so concurrent carts cannot both pass.
+ * @param {Object} tx - Turso transaction instance.
+ * @param {number} userId - User ID.
+ * @param {Array} items - Items to purchase.
+ * @throws {Error} If a limit or cooldown blocks the purchase.
+ */
+const verifyPurchaseLimits = async (tx, userId, items) => {
+  const itemIds = items.map(item => item.item_id);
+  const placeholders = itemIds.map(() => "?").join(",");
+
+  const rulesResponse = await tx.execute({
+    sql: `SELECT id, purchase_limit, limit_period, cooldown_seconds 
+          FROM items 
+          WHERE id IN (${placeholders}) 
+          AND (purchase_limit IS NOT NULL OR cooldown_seconds > 0)`,
+    args: itemIds,
+  });
+
+  const now = new Date();
+
+  for (const rule of rulesResponse.rows) {
+    const itemId = Number(rule.id);
+    const quantity = items.find(item => item.item_id === itemId).quantity;
+
+    if (rule.cooldown_seconds > 0) {
+      const lastResponse = await tx.execute({
+        sql: `SELECT MAX(pt.created_at) AS last_purchase
+              FROM purchase_items pi
+              INNER JOIN purchase_transactions pt ON pt.id = pi.transaction_id
+              WHERE pt.user_id = ? AND pi.item_id = ? AND pi.quantity > 0`,
+        args: [userId, itemId],
+      });
+
+      const lastPurchase = lastResponse.rows[0]?.last_purchase;
+      if (lastPurchase) {
+        const retryAt = new Date(
+          parseSqliteDate(lastPurchase).getTime() +
+            Number(rule.cooldown_seconds) * 1000
+        );
+        if (retryAt > now) {
+          throw createLimitError(
+            `Purchase cooldown active for item ${itemId}`,
+            retryAt
+          );
+        }
+      }
+    }
+
+    if (rule.purchase_limit === null) continue;
+
+    const limit = Number(rule.purchase_limit);
+    if (quantity > limit) {
+      throw createLimitError(
+        `Quantity exceeds the purchase limit for item ${itemId}`,
+        null
+      );
+    }
+
+    const periodDays = LIMIT_PERIOD_DAYS[rule.limit_period] ?? null;
+    const historyResponse = await tx.execute({
+      sql: `SELECT pt.created_at, pi.quantity - pi.refunded_quantity AS quantity
+            FROM purchase_items pi
+            INNER JOIN purchase_transactions pt ON pt.id = pi.transaction_id
+            WHERE pt.user_id = ? AND pi.item_id = ?
+            AND pi.quantity > pi.refunded_quantity
+            ${periodDays ? "AND pt.created_at >= datetime('now', ?)" : ""}
+            ORDER BY pt.created_at ASC`,
+      args: periodDays
+        ? [userId, itemId, `-${periodDays} days`]
+        : [userId, itemId],
+    });
+
+    let purchased = historyResponse.rows.reduce(
+      (sum, row) => sum + Number(row.quantity),
+      0
+    );
+    if (purchased + quantity <= limit) continue;
+
+    if (!periodDays) {
+      throw createLimitError(`Purchase limit reached for item ${itemId}`, null);
+    }
+
+    // Find the purchase whose expiry frees enough units for this cart
+    let retryAt = null;
+    for (const row of historyResponse.rows) {
+      purchased -= Number(row.quantity);
+      if (purchased + quantity <= limit) {
+        retryAt = new Date(
+          parseSqliteDate(row.created_at).getTime() +
+            periodDays * 24 * 60 * 60 * 1000
+        );
+        break;
+      }
+    }
+
+    throw createLimitError(`Purchase limit reached for item ${itemId}`, retryAt);
+  }
+};
+
+/**
+ * Calculates the total amount of a priced cart.
+ * @param {Array} items - Items with server-side prices.
+ * @returns {number} Total purchase amount.
+ */
+const calculateTotal = (items) => {
+  return items.reduce((sum, item) => sum + item.price * item.quantity, 0);
 };
 
 /**
  * Processes the purchase transaction.
  * @param {Object} turso - Turso client instance.
  * @param {number} userId - User ID.
- * @param {Array} items - Items to purchase.
- * @param {number} userCredits - Current user credits.
+ * @param {Array} cart - Items to purchase, as sent by the client.
  * @returns {Promise<Object>} Purchase result.
  */
-const processPurchaseTransaction = async (turso, userId, items, userCredits) => {
+const processPurchaseTransaction = async (turso, userId, cart) => {
   const tx = await turso.transaction();
   try {
-    const totalAmount = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const items = await verifyItems(tx, cart);
+    const totalAmount = calculateTotal(items);
+
+    // Read the balance inside the transaction so credits_before is current
+    const userCredits = await verifyUserCredits(tx, userId, totalAmount);
+    await verifyPurchaseLimits(tx, userId, items);
+
     const creditsAfter = userCredits - totalAmount;
 
     // Create purchase transaction
@@ -146,6 +317,24 @@ const processPurchaseTransaction = async (turso, userId, items, userCredits) =>
 
     // Record purchased items and update inventory
     for (const item of items) {
+      // Decrement limited stock; NULL stock means unlimited supply
+      const stockResponse = await tx.execute({
+        sql: `UPDATE items 
+              SET stock = stock - ? 
+              WHERE id = ? AND stock IS NOT NULL AND stock >= ?`,
+        args: [item.quantity, item.item_id, item.quantity],
+      });
+
+      if (stockResponse.rowsAffected === 0) {
+        const stockCheck = await tx.execute({
+          sql: "SELECT stock FROM items WHERE id = ?",
+          args: [item.item_id],
+        });
+        if (stockCheck.rows[0]?.stock !== null) {
+          throw new ConflictError(`Insufficient stock for item ${item.item_id}`);
+        }
+      }
+
       // Registro de items comprados
       await tx.execute({
         sql: `INSERT INTO purchase_items 
@@ -183,10 +372,14 @@ const processPurchaseTransaction = async (turso, userId, items, userCredits) =>
       }
     }
 
-    // Update user credits
-    await tx.execute({
-      sql: "UPDATE users SET credits = ? WHERE user_id = ?",
-      args: [creditsAfter, userId],
+    // Charge the user and record it in the credit ledger
+    await applyCreditDelta(tx, {
+      userId,
+      delta: -totalAmount,
+      reason: "purchase",
+      actorId: userId,
+      referenceType: "purchase",
+      referenceId: transactionId,
     });
 
     // Create audit record
@@ -224,73 +417,22 @@ const processPurchaseTransaction = async (turso, userId, items, userCredits) =>
  * @param {Request} request - The incoming request.
  * @returns {Promise<Response>} The response.
  */
-export default async (request) => {
-  const corsHeaders = getCorsHeaders();
-
-  if (request.method === "OPTIONS") {
-    return new Response(null, { headers: corsHeaders });
-  }
-
-  const turso = createTursoClient();
-
-  try {
-    if (request.method !== "POST") {
-      throw new Error("Method not allowed");
-    }
-
-    validateApiKey(request.headers.get("X-API-KEY"));
-
-    const data = await request.json();
+export default createEdgeHandler({
+  name: "purchase-items",
+  methods: ["POST"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
+    const data = await readJsonBody(request);
     validatePurchaseData(data);
-
-    const totalAmount = data.items.reduce(
-      (sum, item) => sum + item.price * item.quantity,
-      0
-    );
-
-    const userCredits = await verifyUserCredits(turso, data.user_id, totalAmount);
-    await verifyItems(turso, data.items);
+    await authorizeUser(request, Number(data.user_id));
 
     const result = await processPurchaseTransaction(
       turso,
       data.user_id,
-      data.items,
-      userCredits
+      data.items
     );
 
-    return new Response(JSON.stringify(result), {
-      status: 200,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } catch (error) {
-    console.error("[ERROR] Purchase failed:", error);
-
-    let status = 500;
-    if (error.message.includes("Invalid API key")) status = 403;
-    if (error.message.includes("Invalid request data")) status = 400;
-    if (error.message.includes("Insufficient credits")) status = 400;
-    if (error.message.includes("User not found")) status = 404;
-    if (error.message.includes("One or more items not found")) status = 404;
-    if (error.message === "Method not allowed") status = 405;
-
-    return new Response(JSON.stringify({ error: error.message }), {
-      status,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } finally {
-    if (turso) {
-      try {
-        await turso.close();
-        console.log("[INFO] Turso connection closed successfully.");
-      } catch (closeError) {
-        console.error("[ERROR] Failed to close Turso connection:", closeError);
-      }
-    }
-  }
-};
+    return jsonResponse(result);
+  },
+});
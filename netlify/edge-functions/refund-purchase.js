@@ -0,0 +1,300 @@
+// refund-purchase.js
+
+import validator from "https://esm.sh/validator@13.7.0";
+import { applyCreditDelta } from "./_shared/credits.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import { applyInventoryDelta } from "./_shared/inventory.js";
+import { authorizePermission } from "./_shared/permissions.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
+
+/**
+ * Validates and sanitizes the refund request.
+ * @param {Object} data - Request data.
+ * @returns {Object} Sanitized transaction_id, actor_id, reason and lines.
+ * @throws {BadRequestError} If the data is not valid.
+ */
+const validateRefundData = (data) => {
+  if (!data || typeof data !== "object") {
+    throw new BadRequestError("Invalid request data");
+  }
+
+  const transactionId = parseInt(data.transaction_id, 10);
+
+  if (isNaN(transactionId)) {
+    throw new BadRequestError("Invalid transaction_id");
+  }
+
+  const actorId = parseInt(data.actor_id, 10);
+
+  if (isNaN(actorId)) {
+    throw new BadRequestError("Invalid actor_id");
+  }
+
+  if (
+    typeof data.reason !== "string" ||
+    !validator.isLength(data.reason.trim(), { min: 1, max: 255 })
+  ) {
+    throw new BadRequestError("reason must be between 1 and 255 characters");
+  }
+
+  // Without lines the whole transaction is refunded
+  let lines = null;
+  if (data.lines !== undefined) {
+    if (!Array.isArray(data.lines) || !data.lines.length) {
+      throw new BadRequestError("lines must be a non-empty array");
+    }
+
+    const seen = new Set();
+    lines = data.lines.map((line, index) => {
+      const lineId = Number(line?.purchase_item_id);
+      const quantity =
+        line?.quantity === undefined ? null : Number(line.quantity);
+
+      if (!Number.isInteger(lineId) || lineId < 1) {
+        throw new BadRequestError(
+          `Invalid purchase_item_id in lines at position ${index}`
+        );
+      }
+      if (quantity !== null && (!Number.isInteger(quantity) || quantity < 1)) {
+        throw new BadRequestError(
+          `Invalid quantity in lines at position ${index}`
+        );
+      }
+      if (seen.has(lineId)) {
+        throw new BadRequestError(`Duplicate line ${lineId} in lines`);
+      }
+      seen.add(lineId);
+
+      return { purchase_item_id: lineId, quantity };
+    });
+  }
+
+  return {
+    transaction_id: transactionId,
+    actor_id: actorId,
+    reason: validator.escape(data.reason.trim()),
+    lines,
+  };
+};
+
+/**
+ * Works out how many units of each purchase line to refund.
+ * @param {Object[]} purchaseLines - Rows from purchase_items.
+ * @param {Object[]|null} lines - Requested lines, null for everything left.
+ * @returns {Object[]} Lines with item_id, quantity and item_price.
+ * @throws {Error} If a line is not part of the transaction or over-refunded.
+ */
+const selectRefundLines = (purchaseLines, lines) => {
+  if (lines === null) {
+    return purchaseLines
+      .filter((row) => row.quantity > row.refunded_quantity)
+      .map((row) => ({
+        purchase_item_id: row.id,
+        item_id: row.item_id,
+        quantity: row.quantity - row.refunded_quantity,
+        item_price: row.item_price,
+      }));
+  }
+
+  return lines.map((line) => {
+    const row = purchaseLines.find(
+      (entry) => entry.id === line.purchase_item_id
+    );
+
+    if (!row) {
+      throw new NotFoundError(
+        `Line ${line.purchase_item_id} is not part of this transaction`
+      );
+    }
+
+    const refundable = row.quantity - row.refunded_quantity;
+    const quantity = line.quantity ?? refundable;
+
+    if (quantity === 0 || quantity > refundable) {
+      throw new ConflictError(
+        `Line ${row.id} has ${refundable} unit(s) left to refund`
+      );
+    }
+
+    return {
+      purchase_item_id: row.id,
+      item_id: row.item_id,
+      quantity,
+      item_price: row.item_price,
+    };
+  });
+};
+
+/**
+ * Refunds a purchase in a single transaction: credits go back to the user,
+ * the units leave their inventory and limited stock is restored.
+ * @param {Object} turso - Turso client.
+ * @param {Object} refund - Sanitized refund data.
+ * @returns {Promise<Object>} Refund result.
+ * @throws {Error} If the purchase cannot be refunded or the transaction fails.
+ */
+const processRefund = async (turso, refund) => {
+  const { transaction_id, actor_id, reason } = refund;
+  const tx = await turso.transaction();
+
+  try {
+    const transactionResponse = await tx.execute({
+      sql: `SELECT user_id, status, total_credits_spent
+            FROM purchase_transactions
+            WHERE id = ?`,
+      args: [transaction_id],
+    });
+
+    if (!transactionResponse.rows.length) {
+      throw new NotFoundError("Transaction not found");
+    }
+
+    const {
+      user_id: userId,
+      status,
+      total_credits_spent: totalSpent,
+    } = transactionResponse.rows[0];
+
+    if (totalSpent < 0) {
+      throw new ConflictError("Sell-backs cannot be refunded");
+    }
+
+    if (status === "refunded") {
+      throw new ConflictError("Transaction is already refunded");
+    }
+
+    const purchaseLinesResponse = await tx.execute({
+      sql: `SELECT id, item_id, quantity, item_price, refunded_quantity
+            FROM purchase_items
+            WHERE transaction_id = ? AND quantity > 0
+            ORDER BY id`,
+      args: [transaction_id],
+    });
+    const purchaseLines = purchaseLinesResponse.rows;
+
+    const lines = selectRefundLines(purchaseLines, refund.lines);
+    const totalRefunded = lines.reduce(
+      (sum, line) => sum + line.item_price * line.quantity,
+      0
+    );
+
+    for (const line of lines) {
+      await applyInventoryDelta(tx, {
+        userId,
+        itemId: line.item_id,
+        delta: -line.quantity,
+        reason: "refund",
+        actorId: actor_id,
+        referenceType: "purchase",
+        referenceId: transaction_id,
+      });
+
+      await tx.execute({
+        sql: `UPDATE purchase_items
+              SET refunded_quantity = refunded_quantity + ?
+              WHERE id = ?`,
+        args: [line.quantity, line.purchase_item_id],
+      });
+
+      await tx.execute({
+        sql: "UPDATE items SET stock = stock + ? WHERE id = ? AND stock IS NOT NULL",
+        args: [line.quantity, line.item_id],
+      });
+    }
+
+    const ledgerEntry = await applyCreditDelta(tx, {
+      userId,
+      delta: totalRefunded,
+      reason: "refund",
+      actorId: actor_id,
+      referenceType: "purchase",
+      referenceId: transaction_id,
+    });
+
+    const remainingResponse = await tx.execute({
+      sql: `SELECT COALESCE(SUM(quantity - refunded_quantity), 0) AS remaining
+            FROM purchase_items
+            WHERE transaction_id = ? AND quantity > 0`,
+      args: [transaction_id],
+    });
+    const newStatus =
+      Number(remainingResponse.rows[0].remaining) === 0
+        ? "refunded"
+        : "partially_refunded";
+
+    await tx.execute({
+      sql: "UPDATE purchase_transactions SET status = ? WHERE id = ?",
+      args: [newStatus, transaction_id],
+    });
+
+    await tx.execute({
+      sql: `INSERT INTO purchases_audit
+            (transaction_id, user_id, credits_before, credits_after,
+             total_credits_spent, items_purchased, action, actor_id, reason)
+            VALUES (?, ?, ?, ?, ?, ?, 'refund', ?, ?)`,
+      args: [
+        transaction_id,
+        userId,
+        ledgerEntry.balance_after - totalRefunded,
+        ledgerEntry.balance_after,
+        -totalRefunded,
+        JSON.stringify(lines),
+        actor_id,
+        reason,
+      ],
+    });
+
+    await tx.commit();
+
+    console.log(
+      `[INFO] Refunded ${totalRefunded} credits of transaction ${transaction_id} to ${userId}`
+    );
+
+    return {
+      transaction_id,
+      user_id: userId,
+      status: newStatus,
+      credits_refunded: totalRefunded,
+      credits_remaining: ledgerEntry.balance_after,
+      lines,
+    };
+  } catch (error) {
+    await tx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Handles staff requests to refund a purchase, fully or for some lines.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<Response>} HTTP response containing the refund or an error message.
+ */
+export default createEdgeHandler({
+  name: "refund-purchase",
+  methods: ["POST"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
+    const data = await readJsonBody(request);
+    const refund = validateRefundData(data);
+    await authorizePermission(
+      turso,
+      request,
+      refund.actor_id,
+      "purchases.refund"
+    );
+
+    const result = await processRefund(turso, refund);
+
+    return jsonResponse(result);
+  },
+});
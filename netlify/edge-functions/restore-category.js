@@ -0,0 +1,258 @@
+// restore-category.js
+
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import { authorizePermission } from "./_shared/permissions.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
+
+/**
+ * Validates the request data.
+ * @param {Object} requestData - Request data.
+ * @returns {Object} Sanitized data.
+ * @throws {BadRequestError} If the data is not valid.
+ */
+const validateRequestData = (requestData) => {
+  if (!requestData || typeof requestData !== "object") {
+    throw new BadRequestError("Invalid request data");
+  }
+
+  const { id, user_id } = requestData;
+
+  if (!id || !user_id) {
+    throw new BadRequestError("All fields are required: id and user_id");
+  }
+
+  const sanitizedId = parseInt(id, 10);
+  const sanitizedUserId = parseInt(user_id, 10);
+
+  if (isNaN(sanitizedId) || isNaN(sanitizedUserId)) {
+    throw new BadRequestError("Invalid ID or user ID");
+  }
+
+  return { id: sanitizedId, user_id: sanitizedUserId };
+};
+
+/**
+ * Finds the items that were soft deleted together with the category and have
+ * not changed since. Deletions before item_ids was recorded are matched by
+ * the audit rows written in the same transaction.
+ * @param {Object} tx - Turso transaction.
+ * @param {number} id - Category ID.
+ * @param {Object} deletion - The category's DELETE audit row.
+ * @param {boolean} legacy - Whether the audit row predates item_ids.
+ * @returns {Promise<Array<{id: number, is_active: boolean}>>} Items to restore.
+ */
+const findCascadeDeletedItems = async (tx, id, deletion, legacy) => {
+  const response = await tx.execute({
+    sql: `SELECT ia.item_id, json_extract(ia.old_values, '$.is_active') AS was_active
+          FROM items_audit ia
+          INNER JOIN items i ON i.id = ia.item_id AND i.is_deleted = 1
+          WHERE ia.action_type = 'DELETE'
+          AND ia.id = (SELECT MAX(id) FROM items_audit WHERE item_id = ia.item_id)
+          AND ${
+            legacy
+              ? `json_extract(ia.old_values, '$.name') IS NULL
+                 AND json_extract(ia.new_values, '$.category_id') IS NULL
+                 AND ia.user_id = ?
+                 AND ia.created_at BETWEEN datetime(?, '-1 minute') AND ?`
+              : "json_extract(ia.new_values, '$.category_id') = ?"
+          }
+          ORDER BY ia.item_id`,
+    args: legacy
+      ? [deletion.user_id, deletion.created_at, deletion.created_at]
+      : [id],
+  });
+
+  return response.rows.map((row) => ({
+    id: Number(row.item_id),
+    is_active: row.was_active !== 0,
+  }));
+};
+
+/**
+ * Restores a soft deleted category, reattaching the items it had and
+ * restoring the items its deletion cascaded to.
+ * @param {Object} turso - Turso client.
+ * @param {number} id - Category ID.
+ * @param {number} userId - ID of the user performing the restore.
+ * @returns {Promise<Object>} Restored category and the affected item IDs.
+ * @throws {Error} If the category cannot be restored or the transaction fails.
+ */
+const restoreCategory = async (turso, id, userId) => {
+  const tx = await turso.transaction();
+
+  try {
+    const categoryResponse = await tx.execute({
+      sql: "SELECT * FROM categories WHERE id = ?",
+      args: [id],
+    });
+
+    if (!categoryResponse?.rows?.length) {
+      throw new NotFoundError("Category not found");
+    }
+
+    if (categoryResponse.rows[0].is_deleted !== 1) {
+      throw new BadRequestError("Category is not deleted");
+    }
+
+    const deletionResponse = await tx.execute({
+      sql: `SELECT user_id, old_values, new_values, created_at
+            FROM categories_audit
+            WHERE category_id = ? AND action_type = 'DELETE'
+            ORDER BY id DESC
+            LIMIT 1`,
+      args: [id],
+    });
+
+    if (!deletionResponse.rows.length) {
+      throw new ConflictError("No deletion record found for this category");
+    }
+
+    const deletion = deletionResponse.rows[0];
+    const oldValues = JSON.parse(deletion.old_values || "{}");
+    const newValues = JSON.parse(deletion.new_values || "{}");
+    const legacy = !Array.isArray(newValues.item_ids);
+
+    const cascadeItems = await findCascadeDeletedItems(
+      tx,
+      id,
+      deletion,
+      legacy
+    );
+    const recordedItemIds = [
+      ...new Set([
+        ...(legacy ? [] : newValues.item_ids),
+        ...cascadeItems.map((item) => item.id),
+      ]),
+    ];
+
+    const isActive = oldValues.is_active !== false;
+
+    await tx.execute({
+      sql: `UPDATE categories
+            SET is_active = ?,
+                is_deleted = 0,
+                edited_at = datetime('now'),
+                edited_by = ?
+            WHERE id = ?`,
+      args: [isActive ? 1 : 0, userId, id],
+    });
+
+    for (const item of cascadeItems) {
+      await tx.execute({
+        sql: `UPDATE items
+              SET is_active = ?,
+                  is_deleted = 0,
+                  edited_at = datetime('now'),
+                  edited_by = ?
+              WHERE id = ?`,
+        args: [item.is_active ? 1 : 0, userId, item.id],
+      });
+
+      await tx.execute({
+        sql: `INSERT INTO items_audit
+              (item_id, user_id, action_type, old_values, new_values)
+              VALUES (?, ?, 'RESTORE', ?, ?)`,
+        args: [
+          item.id,
+          userId,
+          JSON.stringify({ is_active: false, is_deleted: true }),
+          JSON.stringify({
+            is_active: item.is_active,
+            is_deleted: false,
+            category_id: id,
+          }),
+        ],
+      });
+    }
+
+    // Items deleted since the category was are not brought back with it
+    let attachedItemIds = [];
+    if (recordedItemIds.length) {
+      const liveResponse = await tx.execute({
+        sql: `SELECT id FROM items
+              WHERE id IN (${recordedItemIds.map(() => "?").join(",")})
+              AND is_deleted = 0
+              ORDER BY id`,
+        args: recordedItemIds,
+      });
+      attachedItemIds = liveResponse.rows.map((row) => Number(row.id));
+    }
+
+    for (const itemId of attachedItemIds) {
+      await tx.execute({
+        sql: `INSERT OR IGNORE INTO item_categories (item_id, category_id)
+              VALUES (?, ?)`,
+        args: [itemId, id],
+      });
+    }
+
+    await tx.execute({
+      sql: `INSERT INTO categories_audit
+            (category_id, user_id, action_type, old_values, new_values)
+            VALUES (?, ?, 'RESTORE', ?, ?)`,
+      args: [
+        id,
+        userId,
+        JSON.stringify({ is_active: false, is_deleted: true }),
+        JSON.stringify({
+          is_active: isActive,
+          is_deleted: false,
+          item_ids: attachedItemIds,
+          restored_item_ids: cascadeItems.map((item) => item.id),
+        }),
+      ],
+    });
+
+    const restoredResponse = await tx.execute({
+      sql: "SELECT * FROM categories WHERE id = ?",
+      args: [id],
+    });
+
+    await tx.commit();
+
+    return {
+      category: restoredResponse.rows[0],
+      reattached_item_ids: attachedItemIds,
+      restored_item_ids: cascadeItems.map((item) => item.id),
+    };
+  } catch (error) {
+    console.error("[ERROR] Transaction failed:", error);
+    await tx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Handles incoming requests to restore a deleted category.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<Response>} HTTP response containing the restored category or an error message.
+ */
+export default createEdgeHandler({
+  name: "restore-category",
+  methods: ["POST"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
+    const requestData = await readJsonBody(request);
+    const { id, user_id } = validateRequestData(requestData);
+    await authorizePermission(turso, request, user_id, "categories.restore");
+
+    const result = await restoreCategory(turso, id, user_id);
+
+    console.log("[SUCCESS] Category restored:", {
+      id,
+      restored_items: result.restored_item_ids,
+    });
+
+    return jsonResponse(result);
+  },
+});
@@ -0,0 +1,203 @@
+// restore-item.js
+
+import { BadRequestError, NotFoundError } from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import { authorizePermission } from "./_shared/permissions.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
+
+/**
+ * Validates the request data.
+ * @param {Object} requestData - Request data.
+ * @returns {Object} Sanitized data.
+ * @throws {BadRequestError} If the data is not valid.
+ */
+const validateRequestData = (requestData) => {
+  if (!requestData || typeof requestData !== "object") {
+    throw new BadRequestError("Invalid request data");
+  }
+
+  const { id, user_id, categories } = requestData;
+
+  if (!id || !user_id) {
+    throw new BadRequestError("All fields are required: id and user_id");
+  }
+
+  const sanitizedId = parseInt(id, 10);
+  const sanitizedUserId = parseInt(user_id, 10);
+
+  if (isNaN(sanitizedId) || isNaN(sanitizedUserId)) {
+    throw new BadRequestError("Invalid ID or user ID");
+  }
+
+  // Categories are only needed when the item has none left
+  let sanitizedCategories = [];
+  if (categories !== undefined) {
+    if (!Array.isArray(categories)) {
+      throw new BadRequestError("categories must be an array");
+    }
+    sanitizedCategories = categories.map((categoryId) =>
+      parseInt(categoryId, 10)
+    );
+    if (sanitizedCategories.some((categoryId) => isNaN(categoryId))) {
+      throw new BadRequestError("Invalid category ID format");
+    }
+  }
+
+  return {
+    id: sanitizedId,
+    user_id: sanitizedUserId,
+    categories: sanitizedCategories,
+  };
+};
+
+/**
+ * Validates that the categories exist and are not deleted.
+ * @param {Object} tx - Turso transaction.
+ * @param {number[]} categories - Category IDs.
+ * @throws {BadRequestError} If any category does not exist or is deleted.
+ */
+const validateCategoriesExist = async (tx, categories) => {
+  const placeholders = categories.map(() => "?").join(",");
+  const response = await tx.execute({
+    sql: `SELECT id FROM categories WHERE id IN (${placeholders}) AND is_deleted = 0`,
+    args: categories,
+  });
+
+  if (response.rows.length !== categories.length) {
+    const foundIds = response.rows.map((row) => row.id);
+    const missingIds = categories.filter((id) => !foundIds.includes(id));
+    throw new BadRequestError(`Categories not found: ${missingIds.join(", ")}`);
+  }
+};
+
+/**
+ * Restores a soft deleted item with the active state it had before.
+ * @param {Object} turso - Turso client.
+ * @param {number} id - Item ID.
+ * @param {number} userId - ID of the user performing the restore.
+ * @param {number[]} categories - Categories to add to the item.
+ * @returns {Promise<Object>} Restored item.
+ * @throws {Error} If the item cannot be restored or the transaction fails.
+ */
+const restoreItem = async (turso, id, userId, categories) => {
+  const tx = await turso.transaction();
+
+  try {
+    const itemResponse = await tx.execute({
+      sql: "SELECT * FROM items WHERE id = ?",
+      args: [id],
+    });
+
+    if (!itemResponse?.rows?.length) {
+      throw new NotFoundError("Item not found");
+    }
+
+    if (itemResponse.rows[0].is_deleted !== 1) {
+      throw new BadRequestError("Item is not deleted");
+    }
+
+    if (categories.length) {
+      await validateCategoriesExist(tx, categories);
+      for (const categoryId of categories) {
+        await tx.execute({
+          sql: "INSERT OR IGNORE INTO item_categories (item_id, category_id) VALUES (?, ?)",
+          args: [id, categoryId],
+        });
+      }
+    }
+
+    const categoriesResponse = await tx.execute({
+      sql: `SELECT ic.category_id
+            FROM item_categories ic
+            INNER JOIN categories c ON c.id = ic.category_id AND c.is_deleted = 0
+            WHERE ic.item_id = ?`,
+      args: [id],
+    });
+
+    if (!categoriesResponse.rows.length) {
+      throw new BadRequestError("At least one category is required");
+    }
+
+    const deletionResponse = await tx.execute({
+      sql: `SELECT json_extract(old_values, '$.is_active') AS was_active
+            FROM items_audit
+            WHERE item_id = ? AND action_type = 'DELETE'
+            ORDER BY id DESC
+            LIMIT 1`,
+      args: [id],
+    });
+    const isActive = deletionResponse.rows[0]?.was_active !== 0;
+
+    await tx.execute({
+      sql: `UPDATE items
+            SET is_active = ?,
+                is_deleted = 0,
+                edited_at = datetime('now'),
+                edited_by = ?
+            WHERE id = ?`,
+      args: [isActive ? 1 : 0, userId, id],
+    });
+
+    const categoryIds = categoriesResponse.rows.map((row) =>
+      Number(row.category_id)
+    );
+
+    await tx.execute({
+      sql: `INSERT INTO items_audit
+            (item_id, user_id, action_type, old_values, new_values)
+            VALUES (?, ?, 'RESTORE', ?, ?)`,
+      args: [
+        id,
+        userId,
+        JSON.stringify({ is_active: false, is_deleted: true }),
+        JSON.stringify({
+          is_active: isActive,
+          is_deleted: false,
+          categories: categoryIds,
+        }),
+      ],
+    });
+
+    const restoredResponse = await tx.execute({
+      sql: "SELECT * FROM items WHERE id = ?",
+      args: [id],
+    });
+
+    await tx.commit();
+
+    const item = restoredResponse.rows[0];
+    item.categories = categoryIds;
+    return item;
+  } catch (error) {
+    console.error("[ERROR] Transaction failed:", error);
+    await tx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Handles incoming requests to restore a deleted item.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<Response>} HTTP response containing the restored item or an error message.
+ */
+export default createEdgeHandler({
+  name: "restore-item",
+  methods: ["POST"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
+    const requestData = await readJsonBody(request);
+    const { id, user_id, categories } = validateRequestData(requestData);
+    await authorizePermission(turso, request, user_id, "items.restore");
+
+    const item = await restoreItem(turso, id, user_id, categories);
+
+    console.log("[SUCCESS] Item restored:", { id: item.id, name: item.name });
+
+    return jsonResponse(item);
+  },
+});
@@ -0,0 +1,235 @@
+// sell-items.js
+
+import { authorizeUser } from "./_shared/auth.js";
+import { applyCreditDelta } from "./_shared/credits.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import {
+  applyBagDelta,
+  applyInventoryDelta,
+  getInventoryRows,
+  sanitizeItemList,
+} from "./_shared/inventory.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
+import { getSellBackPercent } from "./_shared/sell-back.js";
+
+/**
+ * Validates and sanitizes the sell request.
+ * @param {Object} data - Request data.
+ * @returns {Object} Sanitized user_id, source and items.
+ * @throws {BadRequestError} If the data is not valid.
+ */
+const validateSellData = (data) => {
+  if (!data || typeof data !== "object") {
+    throw new BadRequestError("Invalid request data");
+  }
+
+  const userId = parseInt(data.user_id, 10);
+
+  if (isNaN(userId)) {
+    throw new BadRequestError("Invalid user ID");
+  }
+
+  const from = data.from ?? "inventory";
+  if (!["bag", "inventory"].includes(from)) {
+    throw new BadRequestError("from must be 'bag' or 'inventory'");
+  }
+
+  return {
+    user_id: userId,
+    from,
+    items: sanitizeItemList(data.items, "items"),
+  };
+};
+
+/**
+ * Prices the items being sold. The item's own share wins, then the lowest
+ * share among its categories, then the global one.
+ * @param {Object} tx - Turso transaction.
+ * @param {Array<{item_id: number, quantity: number}>} items - Items to sell.
+ * @param {number} globalPercent - Share used when nothing overrides it.
+ * @returns {Promise<Object[]>} Items with sell_back_percent and unit_price.
+ * @throws {Error} If an item does not exist or cannot be sold back.
+ */
+const priceSellBack = async (tx, items, globalPercent) => {
+  const itemIds = items.map((item) => item.item_id);
+  const placeholders = itemIds.map(() => "?").join(",");
+
+  const response = await tx.execute({
+    sql: `SELECT i.id, i.price, i.sell_back_percent,
+                 MIN(c.sell_back_percent) AS category_percent
+          FROM items i
+          LEFT JOIN item_categories ic ON ic.item_id = i.id
+          LEFT JOIN categories c ON c.id = ic.category_id AND c.is_deleted = 0
+          WHERE i.id IN (${placeholders})
+          GROUP BY i.id`,
+    args: itemIds,
+  });
+
+  return items.map((item) => {
+    const row = response.rows.find((entry) => entry.id === item.item_id);
+
+    if (!row) {
+      throw new NotFoundError(`Item ${item.item_id} not found`);
+    }
+
+    const percent =
+      row.sell_back_percent ?? row.category_percent ?? globalPercent;
+
+    if (!(percent > 0)) {
+      throw new ConflictError(`Item ${item.item_id} cannot be sold back`);
+    }
+
+    return {
+      ...item,
+      sell_back_percent: Number(percent),
+      unit_price: Math.round(Number(row.price) * percent) / 100,
+    };
+  });
+};
+
+/**
+ * Sells items back to the shop in a single transaction. The sale is stored
+ * as a purchase transaction with negative quantities and a negative total.
+ * @param {Object} turso - Turso client.
+ * @param {Object} sale - Sanitized sell data.
+ * @returns {Promise<Object>} Sale result.
+ * @throws {Error} If the user does not have the units or the transaction fails.
+ */
+const processSale = async (turso, { user_id, from, items }) => {
+  const tx = await turso.transaction();
+
+  try {
+    const pricedItems = await priceSellBack(tx, items, getSellBackPercent());
+    const totalEarned = pricedItems.reduce(
+      (sum, item) => sum + item.unit_price * item.quantity,
+      0
+    );
+
+    const userResponse = await tx.execute({
+      sql: "SELECT credits FROM users WHERE user_id = ?",
+      args: [user_id],
+    });
+
+    if (!userResponse.rows.length) {
+      throw new NotFoundError("User not found");
+    }
+
+    const creditsBefore = Number(userResponse.rows[0].credits);
+
+    const transactionResponse = await tx.execute({
+      sql: `INSERT INTO purchase_transactions
+            (user_id, credits_before, credits_after, total_credits_spent)
+            VALUES (?, ?, ?, ?)`,
+      args: [user_id, creditsBefore, creditsBefore + totalEarned, -totalEarned],
+    });
+    const transactionId = Number(transactionResponse.lastInsertRowid);
+
+    for (const item of pricedItems) {
+      const change = {
+        userId: user_id,
+        itemId: item.item_id,
+        delta: -item.quantity,
+        reason: "sell_back",
+        actorId: user_id,
+        referenceType: "purchase",
+        referenceId: transactionId,
+      };
+
+      // Units sold from the bag leave the bag first, then the inventory
+      if (from === "bag") {
+        await applyBagDelta(tx, change);
+      }
+      await applyInventoryDelta(tx, change);
+
+      await tx.execute({
+        sql: `INSERT INTO purchase_items
+              (transaction_id, item_id, quantity, item_price)
+              VALUES (?, ?, ?, ?)`,
+        args: [transactionId, item.item_id, -item.quantity, item.unit_price],
+      });
+
+      await tx.execute({
+        sql: "UPDATE items SET stock = stock + ? WHERE id = ? AND stock IS NOT NULL",
+        args: [item.quantity, item.item_id],
+      });
+    }
+
+    const ledgerEntry = await applyCreditDelta(tx, {
+      userId: user_id,
+      delta: totalEarned,
+      reason: "sell_back",
+      actorId: user_id,
+      referenceType: "purchase",
+      referenceId: transactionId,
+    });
+
+    await tx.execute({
+      sql: `INSERT INTO purchases_audit
+            (transaction_id, user_id, credits_before, credits_after,
+             total_credits_spent, items_purchased, action, actor_id)
+            VALUES (?, ?, ?, ?, ?, ?, 'sell_back', ?)`,
+      args: [
+        transactionId,
+        user_id,
+        creditsBefore,
+        ledgerEntry.balance_after,
+        -totalEarned,
+        JSON.stringify(pricedItems),
+        user_id,
+      ],
+    });
+
+    const inventory = await getInventoryRows(
+      tx,
+      user_id,
+      items.map((item) => item.item_id)
+    );
+
+    await tx.commit();
+
+    console.log(
+      `[INFO] User ${user_id} sold ${pricedItems.length} item(s) back for ${totalEarned} credits`
+    );
+
+    return {
+      transaction_id: transactionId,
+      credits_earned: totalEarned,
+      credits_remaining: ledgerEntry.balance_after,
+      items: pricedItems,
+      inventory,
+    };
+  } catch (error) {
+    await tx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Handles incoming requests to sell owned items back to the shop.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<Response>} HTTP response containing the sale or an error message.
+ */
+export default createEdgeHandler({
+  name: "sell-items",
+  methods: ["POST"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
+    const data = await readJsonBody(request);
+    const sale = validateSellData(data);
+    await authorizeUser(request, sale.user_id);
+
+    const result = await processSale(turso, sale);
+
+    return jsonResponse(result, 201);
+  },
+});
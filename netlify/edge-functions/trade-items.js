@@ -0,0 +1,515 @@
+// trade-items.js
+
+import { authorizeUser } from "./_shared/auth.js";
+import { applyCreditDelta } from "./_shared/credits.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import { moveInventoryItems, sanitizeItemList } from "./_shared/inventory.js";
+import {
+  PAGINATION_PARAMS,
+  paginate,
+  parsePaginationParams,
+} from "./_shared/pagination.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
+import { registerUser } from "./_shared/users.js";
+
+/**
+ * Hours a trade stays open when the request does not say otherwise.
+ */
+const DEFAULT_EXPIRY_HOURS = 72;
+
+/**
+ * Longest time a trade can stay open, in hours.
+ */
+const MAX_EXPIRY_HOURS = 168;
+
+/**
+ * SQL expression for a trade's status, reporting pending trades past their
+ * expiry as expired before anyone touches them.
+ */
+const STATUS_SQL = `CASE
+  WHEN status = 'pending' AND expires_at <= datetime('now') THEN 'expired'
+  ELSE status
+END`;
+
+/**
+ * Parses a credits amount that may be left out.
+ * @param {*} value - Value sent by the client.
+ * @param {string} field - Field name used in error messages.
+ * @returns {number} Credits, 0 when left out.
+ * @throws {BadRequestError} If the amount is not valid.
+ */
+const sanitizeCredits = (value, field) => {
+  if (value === undefined || value === null || value === "") return 0;
+
+  const credits = Number(value);
+  if (isNaN(credits) || credits < 0) {
+    throw new BadRequestError(`Invalid ${field}`);
+  }
+  return credits;
+};
+
+/**
+ * Validates and sanitizes a new trade offer.
+ * @param {Object} data - Request data.
+ * @returns {Object} Sanitized trade.
+ * @throws {BadRequestError} If the data is not valid.
+ */
+const validateTradeData = (data) => {
+  if (!data || typeof data !== "object") {
+    throw new BadRequestError("Invalid request data");
+  }
+
+  const fromUserId = parseInt(data.from_user_id, 10);
+  const toUserId = parseInt(data.to_user_id, 10);
+
+  if (isNaN(fromUserId) || isNaN(toUserId)) {
+    throw new BadRequestError("Invalid from_user_id or to_user_id");
+  }
+
+  if (fromUserId === toUserId) {
+    throw new BadRequestError("Cannot trade with yourself");
+  }
+
+  const trade = {
+    from_user_id: fromUserId,
+    to_user_id: toUserId,
+    offered_items: sanitizeItemList(data.offered_items, "offered_items", {
+      allowEmpty: true,
+    }),
+    offered_credits: sanitizeCredits(data.offered_credits, "offered_credits"),
+    requested_items: sanitizeItemList(data.requested_items, "requested_items", {
+      allowEmpty: true,
+    }),
+    requested_credits: sanitizeCredits(
+      data.requested_credits,
+      "requested_credits"
+    ),
+    expires_in_hours: DEFAULT_EXPIRY_HOURS,
+  };
+
+  if (!trade.offered_items.length && !trade.offered_credits) {
+    throw new BadRequestError("The offer must include items or credits");
+  }
+
+  if (!trade.requested_items.length && !trade.requested_credits) {
+    throw new BadRequestError("The request must include items or credits");
+  }
+
+  if (data.expires_in_hours !== undefined) {
+    const hours = Number(data.expires_in_hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_EXPIRY_HOURS) {
+      throw new BadRequestError(
+        `expires_in_hours must be between 1 and ${MAX_EXPIRY_HOURS}`
+      );
+    }
+    trade.expires_in_hours = hours;
+  }
+
+  return trade;
+};
+
+/**
+ * Validates a response to a trade.
+ * @param {Object} data - Request data.
+ * @returns {Object} Sanitized trade_id, user_id and action.
+ * @throws {BadRequestError} If the data is not valid.
+ */
+const validateResponseData = (data) => {
+  if (!data || typeof data !== "object") {
+    throw new BadRequestError("Invalid request data");
+  }
+
+  const tradeId = parseInt(data.trade_id, 10);
+  const userId = parseInt(data.user_id, 10);
+
+  if (isNaN(tradeId) || isNaN(userId)) {
+    throw new BadRequestError("Invalid trade_id or user_id");
+  }
+
+  if (!["accept", "reject", "cancel"].includes(data.action)) {
+    throw new BadRequestError("action must be 'accept', 'reject' or 'cancel'");
+  }
+
+  return { trade_id: tradeId, user_id: userId, action: data.action };
+};
+
+/**
+ * Checks that a user currently has the items and credits they put in a
+ * trade. Nothing is held; the check is repeated when the trade is accepted.
+ * @param {Object} tx - Turso transaction.
+ * @param {number} userId - Forumotion user ID.
+ * @param {Array} items - Items the user gives.
+ * @param {number} credits - Credits the user gives.
+ * @throws {ConflictError} If the user is missing items or credits.
+ */
+const verifyCanGive = async (tx, userId, items, credits) => {
+  for (const item of items) {
+    const inventoryResponse = await tx.execute({
+      sql: `SELECT total_quantity - quantity_in_bag AS available
+            FROM inventory WHERE user_id = ? AND item_id = ?`,
+      args: [userId, item.item_id],
+    });
+    const available = Number(inventoryResponse.rows[0]?.available ?? 0);
+    if (available < item.quantity) {
+      throw new ConflictError(
+        `User ${userId} does not have ${item.quantity} of item ${item.item_id} available`
+      );
+    }
+  }
+
+  if (credits > 0) {
+    const userResponse = await tx.execute({
+      sql: "SELECT credits FROM users WHERE user_id = ?",
+      args: [userId],
+    });
+    if (Number(userResponse.rows[0]?.credits ?? 0) < credits) {
+      throw new ConflictError(`User ${userId} does not have enough credits`);
+    }
+  }
+};
+
+/**
+ * Columns of a trade as returned to clients.
+ */
+const TRADE_COLUMNS = `id, from_user_id, to_user_id, offered_credits, requested_credits,
+                 ${STATUS_SQL} AS status, expires_at, created_at, resolved_at`;
+
+/**
+ * Order of trade lists, newest first.
+ */
+const TRADE_ORDER = [
+  ["created_at", "DESC"],
+  ["id", "DESC"],
+];
+
+/**
+ * Adds the offered and requested items to trade rows.
+ * @param {Object} turso - Turso client or transaction.
+ * @param {Object[]} rows - Trade rows.
+ * @returns {Promise<Object[]>} Trades with offered_items and requested_items.
+ */
+const attachTradeItems = async (turso, rows) => {
+  const trades = rows.map((trade) => ({
+    ...trade,
+    offered_items: [],
+    requested_items: [],
+  }));
+  if (!trades.length) return trades;
+
+  const tradeIds = trades.map((trade) => trade.id);
+  const itemsResponse = await turso.execute({
+    sql: `SELECT ti.trade_id, ti.side, ti.item_id, ti.quantity,
+                 COALESCE(i.name, json_extract(t.snapshot, '$.name')) AS name
+          FROM trade_items ti
+          LEFT JOIN items i ON i.id = ti.item_id
+          LEFT JOIN catalog_tombstones t
+            ON t.entity = 'item' AND t.entity_id = ti.item_id
+          WHERE ti.trade_id IN (${tradeIds.map(() => "?").join(",")})
+          ORDER BY ti.item_id`,
+    args: tradeIds,
+  });
+
+  const tradesById = new Map(trades.map((trade) => [trade.id, trade]));
+  for (const row of itemsResponse.rows) {
+    const trade = tradesById.get(row.trade_id);
+    const list =
+      row.side === "offer" ? trade.offered_items : trade.requested_items;
+    list.push({ item_id: row.item_id, name: row.name, quantity: row.quantity });
+  }
+
+  return trades;
+};
+
+/**
+ * Retrieves trades with their items.
+ * @param {Object} turso - Turso client or transaction.
+ * @param {string} where - SQL condition on the trades table.
+ * @param {Array} args - Condition arguments.
+ * @returns {Promise<Object[]>} Trades, newest first.
+ */
+const findTrades = async (turso, where, args) => {
+  const tradesResponse = await turso.execute({
+    sql: `SELECT ${TRADE_COLUMNS}
+          FROM trades
+          WHERE ${where}
+          ORDER BY ${TRADE_ORDER.map((key) => key.join(" ")).join(", ")}`,
+    args,
+  });
+
+  return attachTradeItems(turso, tradesResponse.rows);
+};
+
+/**
+ * Retrieves one trade with its items.
+ * @param {Object} turso - Turso client or transaction.
+ * @param {number} tradeId - Trade ID.
+ * @returns {Promise<Object>} Trade.
+ * @throws {NotFoundError} If the trade does not exist.
+ */
+const getTrade = async (turso, tradeId) => {
+  const [trade] = await findTrades(turso, "id = ?", [tradeId]);
+  if (!trade) {
+    throw new NotFoundError("Trade not found");
+  }
+  return trade;
+};
+
+/**
+ * Stores a new trade offer.
+ * @param {Object} turso - Turso client.
+ * @param {Object} trade - Sanitized trade.
+ * @returns {Promise<Object>} Created trade.
+ * @throws {Error} If the proposer cannot cover the offer or the transaction fails.
+ */
+const createTrade = async (turso, trade) => {
+  const tx = await turso.transaction();
+
+  try {
+    await registerUser(tx, trade.from_user_id);
+    await registerUser(tx, trade.to_user_id);
+
+    await verifyCanGive(
+      tx,
+      trade.from_user_id,
+      trade.offered_items,
+      trade.offered_credits
+    );
+
+    const tradeResponse = await tx.execute({
+      sql: `INSERT INTO trades
+            (from_user_id, to_user_id, offered_credits, requested_credits, expires_at)
+            VALUES (?, ?, ?, ?, datetime('now', ?))`,
+      args: [
+        trade.from_user_id,
+        trade.to_user_id,
+        trade.offered_credits,
+        trade.requested_credits,
+        `+${trade.expires_in_hours} hours`,
+      ],
+    });
+    const tradeId = Number(tradeResponse.lastInsertRowid);
+
+    const lines = [
+      ...trade.offered_items.map((item) => ["offer", item]),
+      ...trade.requested_items.map((item) => ["request", item]),
+    ];
+    for (const [side, item] of lines) {
+      await tx.execute({
+        sql: `INSERT INTO trade_items (trade_id, side, item_id, quantity)
+              VALUES (?, ?, ?, ?)`,
+        args: [tradeId, side, item.item_id, item.quantity],
+      });
+    }
+
+    const created = await getTrade(tx, tradeId);
+    await tx.commit();
+    return created;
+  } catch (error) {
+    await tx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Swaps the items and credits of an accepted trade.
+ * @param {Object} tx - Turso transaction.
+ * @param {Object} trade - Trade from getTrade.
+ * @returns {Promise<void>}
+ * @throws {Error} If either side can no longer cover their part.
+ */
+const settleTrade = async (tx, trade) => {
+  const reference = {
+    actorId: trade.to_user_id,
+    referenceType: "trade",
+    referenceId: trade.id,
+  };
+
+  await moveInventoryItems(tx, {
+    fromUserId: trade.from_user_id,
+    toUserId: trade.to_user_id,
+    items: trade.offered_items,
+    reason: "trade",
+    ...reference,
+  });
+  await moveInventoryItems(tx, {
+    fromUserId: trade.to_user_id,
+    toUserId: trade.from_user_id,
+    items: trade.requested_items,
+    reason: "trade",
+    ...reference,
+  });
+
+  const payments = [
+    [trade.from_user_id, trade.to_user_id, trade.offered_credits],
+    [trade.to_user_id, trade.from_user_id, trade.requested_credits],
+  ];
+  for (const [payer, payee, credits] of payments) {
+    if (!credits) continue;
+    await applyCreditDelta(tx, {
+      userId: payer,
+      delta: -credits,
+      reason: "trade_sent",
+      ...reference,
+    });
+    await applyCreditDelta(tx, {
+      userId: payee,
+      delta: credits,
+      reason: "trade_received",
+      ...reference,
+    });
+  }
+};
+
+/**
+ * Accepts, rejects or cancels a pending trade.
+ * @param {Object} turso - Turso client.
+ * @param {Object} response - Sanitized trade_id, user_id and action.
+ * @returns {Promise<Object>} Updated trade.
+ * @throws {Error} If the user cannot respond, the trade is closed or settling fails.
+ */
+const respondToTrade = async (turso, { trade_id, user_id, action }) => {
+  const tx = await turso.transaction();
+
+  try {
+    const trade = await getTrade(tx, trade_id);
+
+    const isRecipientAction = action === "accept" || action === "reject";
+    const allowedUserId = isRecipientAction
+      ? trade.to_user_id
+      : trade.from_user_id;
+    if (user_id !== allowedUserId) {
+      throw new ForbiddenError(
+        isRecipientAction
+          ? "Only the recipient can accept or reject this trade"
+          : "Only the proposer can cancel this trade"
+      );
+    }
+
+    if (trade.status === "expired") {
+      await tx.execute({
+        sql: `UPDATE trades SET status = 'expired', resolved_at = expires_at
+              WHERE id = ? AND status = 'pending'`,
+        args: [trade_id],
+      });
+      await tx.commit();
+      throw new ConflictError("Trade has expired");
+    }
+
+    if (trade.status !== "pending") {
+      throw new ConflictError(`Trade is already ${trade.status}`);
+    }
+
+    if (action === "accept") {
+      await settleTrade(tx, trade);
+    }
+
+    const status = {
+      accept: "accepted",
+      reject: "rejected",
+      cancel: "cancelled",
+    }[action];
+    await tx.execute({
+      sql: `UPDATE trades SET status = ?, resolved_at = datetime('now')
+            WHERE id = ?`,
+      args: [status, trade_id],
+    });
+
+    const updated = await getTrade(tx, trade_id);
+    await tx.commit();
+
+    console.log(`[INFO] Trade ${trade_id} ${status} by user ${user_id}`);
+
+    return updated;
+  } catch (error) {
+    if (!tx.closed) {
+      await tx.rollback();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Handles trade requests: GET lists a user's trades, POST offers a trade and
+ * PATCH accepts, rejects or cancels one.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<Response>} HTTP response containing the trades or an error message.
+ */
+export default createEdgeHandler({
+  name: "trade-items",
+  methods: ["GET", "POST", "PATCH"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
+    if (request.method === "GET") {
+      const url = new URL(request.url);
+      const userId = parseInt(url.searchParams.get("user_id"), 10);
+      const status = url.searchParams.get("status");
+
+      if (isNaN(userId)) {
+        throw new BadRequestError("Invalid user ID");
+      }
+      // Only paginated when asked, so clients that expect the whole array
+      // keep getting it
+      const pagination = PAGINATION_PARAMS.some((param) =>
+        url.searchParams.has(param)
+      )
+        ? parsePaginationParams(url, { defaultLimit: 50, maxLimit: 100 })
+        : null;
+      await authorizeUser(request, userId);
+
+      const where = ["(from_user_id = ? OR to_user_id = ?)"];
+      const args = [userId, userId];
+      if (status) {
+        where.push(`${STATUS_SQL} = ?`);
+        args.push(status);
+      }
+
+      if (pagination) {
+        const { rows, pagination: pageInfo } = await paginate(
+          turso,
+          {
+            select: TRADE_COLUMNS,
+            from: "trades",
+            conditions: where,
+            args,
+            orderBy: TRADE_ORDER,
+          },
+          pagination
+        );
+        return jsonResponse({
+          trades: await attachTradeItems(turso, rows),
+          pagination: pageInfo,
+        });
+      }
+
+      const trades = await findTrades(turso, where.join(" AND "), args);
+      return jsonResponse(trades);
+    }
+
+    const data = await readJsonBody(request);
+
+    if (request.method === "POST") {
+      const proposal = validateTradeData(data);
+      await authorizeUser(request, proposal.from_user_id);
+
+      const trade = await createTrade(turso, proposal);
+      return jsonResponse(trade, 201);
+    }
+
+    const response = validateResponseData(data);
+    await authorizeUser(request, response.user_id);
+
+    const trade = await respondToTrade(turso, response);
+    return jsonResponse(trade);
+  },
+});
@@ -0,0 +1,221 @@
+// transfer-credits.js
+
+import validator from "https://esm.sh/validator@13.7.0";
+import { authorizeUser } from "./_shared/auth.js";
+import { applyCreditDelta, auditCreditChange } from "./_shared/credits.js";
+import { BadRequestError, ForbiddenError } from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
+import { registerUser } from "./_shared/users.js";
+
+/**
+ * Reads the transfer rules from the environment.
+ * TRANSFER_MIN_AMOUNT defaults to 1, TRANSFER_FEE_PERCENT to no fee and
+ * TRANSFER_DAILY_CAP to no cap.
+ * @returns {Object} Minimum amount, fee percentage and daily cap.
+ */
+const getTransferRules = () => {
+  const dailyCap = Deno.env.get("TRANSFER_DAILY_CAP");
+  return {
+    minAmount: Number(Deno.env.get("TRANSFER_MIN_AMOUNT") || 1),
+    feePercent: Number(Deno.env.get("TRANSFER_FEE_PERCENT") || 0),
+    dailyCap: dailyCap ? Number(dailyCap) : null,
+  };
+};
+
+/**
+ * Validates and sanitizes the transfer request.
+ * @param {Object} data - Request data.
+ * @param {Object} rules - Transfer rules from getTransferRules.
+ * @returns {Object} Sanitized from_user_id, to_user_id, amount and note.
+ * @throws {BadRequestError} If the data is not valid.
+ */
+const validateTransferData = (data, rules) => {
+  if (!data || typeof data !== "object") {
+    throw new BadRequestError("Invalid request data");
+  }
+
+  const fromUserId = parseInt(data.from_user_id, 10);
+  const toUserId = parseInt(data.to_user_id, 10);
+
+  if (isNaN(fromUserId) || isNaN(toUserId)) {
+    throw new BadRequestError("Invalid from_user_id or to_user_id");
+  }
+
+  if (fromUserId === toUserId) {
+    throw new BadRequestError("Cannot transfer credits to yourself");
+  }
+
+  const amount = Number(data.amount);
+
+  if (isNaN(amount) || amount <= 0) {
+    throw new BadRequestError("Invalid credits amount");
+  }
+
+  if (amount < rules.minAmount) {
+    throw new BadRequestError(
+      `The minimum transfer is ${rules.minAmount} credits`
+    );
+  }
+
+  let note = null;
+  if (data.note !== undefined && data.note !== null && data.note !== "") {
+    if (
+      typeof data.note !== "string" ||
+      !validator.isLength(data.note.trim(), { min: 1, max: 255 })
+    ) {
+      throw new BadRequestError("note must be between 1 and 255 characters");
+    }
+    note = validator.escape(data.note.trim());
+  }
+
+  return { from_user_id: fromUserId, to_user_id: toUserId, amount, note };
+};
+
+/**
+ * Calculates the fee paid by the sender, rounded to cents.
+ * @param {number} amount - Credits transferred.
+ * @param {number} feePercent - Fee percentage.
+ * @returns {number} Fee.
+ */
+const calculateFee = (amount, feePercent) => {
+  return Math.round(amount * feePercent) / 100;
+};
+
+/**
+ * Verifies that the transfer fits in what the sender can still send within
+ * the last 24 hours.
+ * @param {Object} tx - Turso transaction.
+ * @param {number} userId - Sender.
+ * @param {number} amount - Credits to transfer.
+ * @param {number|null} dailyCap - Daily cap, null for no cap.
+ * @throws {ForbiddenError} If the transfer exceeds the cap.
+ */
+const verifyDailyCap = async (tx, userId, amount, dailyCap) => {
+  if (dailyCap === null) return;
+
+  const sentResponse = await tx.execute({
+    sql: `SELECT COALESCE(SUM(amount), 0) AS sent
+          FROM credit_transfers
+          WHERE from_user_id = ? AND created_at > datetime('now', '-1 day')`,
+    args: [userId],
+  });
+
+  const remaining = Math.max(dailyCap - Number(sentResponse.rows[0].sent), 0);
+
+  if (amount > remaining) {
+    throw new ForbiddenError("Daily transfer cap exceeded", {
+      daily_cap: dailyCap,
+      remaining,
+    });
+  }
+};
+
+/**
+ * Moves credits from one user to another in a single transaction, writing
+ * the ledger entries and users_audit rows for both sides.
+ * @param {Object} turso - Turso client.
+ * @param {Object} transfer - Sanitized transfer data.
+ * @param {Object} rules - Transfer rules from getTransferRules.
+ * @returns {Promise<Object>} Transfer record and the sender's balance.
+ * @throws {Error} If the transfer is not allowed or the transaction fails.
+ */
+const processTransfer = async (turso, transfer, rules) => {
+  const { from_user_id, to_user_id, amount, note } = transfer;
+  const fee = calculateFee(amount, rules.feePercent);
+  const tx = await turso.transaction();
+
+  try {
+    await registerUser(tx, from_user_id);
+    await registerUser(tx, to_user_id);
+
+    await verifyDailyCap(tx, from_user_id, amount, rules.dailyCap);
+
+    const transferResponse = await tx.execute({
+      sql: `INSERT INTO credit_transfers (from_user_id, to_user_id, amount, fee, note)
+            VALUES (?, ?, ?, ?, ?)`,
+      args: [from_user_id, to_user_id, amount, fee, note],
+    });
+    const transferId = Number(transferResponse.lastInsertRowid);
+
+    const reference = {
+      actorId: from_user_id,
+      referenceType: "transfer",
+      referenceId: transferId,
+    };
+
+    let senderEntry = await applyCreditDelta(tx, {
+      userId: from_user_id,
+      delta: -amount,
+      reason: "transfer_sent",
+      ...reference,
+    });
+
+    if (fee > 0) {
+      senderEntry = await applyCreditDelta(tx, {
+        userId: from_user_id,
+        delta: -fee,
+        reason: "transfer_fee",
+        ...reference,
+      });
+    }
+
+    const recipientEntry = await applyCreditDelta(tx, {
+      userId: to_user_id,
+      delta: amount,
+      reason: "transfer_received",
+      ...reference,
+    });
+
+    await auditCreditChange(tx, {
+      userId: from_user_id,
+      before: senderEntry.balance_after + amount + fee,
+      after: senderEntry.balance_after,
+    });
+    await auditCreditChange(tx, {
+      userId: to_user_id,
+      before: recipientEntry.balance_after - amount,
+      after: recipientEntry.balance_after,
+    });
+
+    await tx.commit();
+
+    console.log(
+      `[INFO] Transfer ${transferId}: ${amount} credits from ${from_user_id} to ${to_user_id}, fee ${fee}`
+    );
+
+    return {
+      transfer: { id: transferId, from_user_id, to_user_id, amount, fee, note },
+      credits_remaining: senderEntry.balance_after,
+    };
+  } catch (error) {
+    await tx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Handles incoming requests to transfer credits between users.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<Response>} HTTP response containing the transfer or an error message.
+ */
+export default createEdgeHandler({
+  name: "transfer-credits",
+  methods: ["POST"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
+    const rules = getTransferRules();
+    const data = await readJsonBody(request);
+    const transfer = validateTransferData(data, rules);
+    await authorizeUser(request, transfer.from_user_id);
+
+    const result = await processTransfer(turso, transfer, rules);
+
+    return jsonResponse(result, 201);
+  },
+});
@@ -1,68 +1,40 @@
 // update-category.js
 
-import { createClient } from "https://esm.sh/@libsql/client@0.6.0/web";
 import validator from "https://esm.sh/validator@13.7.0";
-
-/**
- * Creates a new Turso client instance.
- * @returns {Object} Turso client.
- */
-const createTursoClient = () => {
-  return createClient({
-    url: Deno.env.get("TURSO_URL"),
-    authToken: Deno.env.get("TURSO_AUTH_TOKEN"),
-  });
-};
-
-/**
- * Obtains the necessary CORS headers for responses.
- * @returns {Object} CORS headers.
- */
-const getCorsHeaders = () => {
-  const allowedOrigin = Deno.env.get("FORUM_URL");
-  return {
-    "Access-Control-Allow-Origin": allowedOrigin,
-    "Access-Control-Allow-Methods": "PATCH, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-API-KEY",
-  };
-};
-
-/**
- * Validates the API key provided in the headers.
- * @param {string} apiKey - API key to validate.
- * @throws {Error} If the API key is not valid.
- */
-const validateApiKey = (apiKey) => {
-  if (!apiKey) {
-    throw new Error("API key is required");
-  }
-  if (apiKey !== Deno.env.get("API_KEY")) {
-    throw new Error("Invalid API key");
-  }
-};
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "./_shared/errors.js";
+import { createEdgeHandler, jsonResponse } from "./_shared/http.js";
+import { uploadImageToImageKit } from "./_shared/imagekit.js";
+import { authorizePermission } from "./_shared/permissions.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
+import { sanitizeSellBackPercent } from "./_shared/sell-back.js";
+import { readExpectedVersion, versionETag } from "./_shared/versions.js";
 
 /**
  * Validates the request data.
  * @param {Object} requestData - Request data.
  * @returns {Object} Sanitized data.
- * @throws {Error} If the data is not valid.
+ * @throws {BadRequestError} If the data is not valid.
  */
 const validateRequestData = (requestData) => {
   if (!requestData || typeof requestData !== "object") {
-    throw new Error("Invalid request data");
+    throw new BadRequestError("Invalid request data");
   }
 
   const { id, user_id } = requestData;
 
   if (!id || !user_id) {
-    throw new Error("Fields 'id' and 'user_id' are required");
+    throw new BadRequestError("Fields 'id' and 'user_id' are required");
   }
 
   const sanitizedId = parseInt(id, 10);
   const sanitizedUserId = parseInt(user_id, 10);
 
   if (isNaN(sanitizedId) || isNaN(sanitizedUserId)) {
-    throw new Error("Invalid ID or user ID");
+    throw new BadRequestError("Invalid ID or user ID");
   }
 
   return { id: sanitizedId, user_id: sanitizedUserId };
@@ -72,7 +44,7 @@ const validateRequestData = (requestData) => {
  * Sanitizes and validates the data received in the request.
  * @param {Object} data - Request data.
  * @returns {Object} Sanitized data.
- * @throws {Error} If the data is not valid.
+ * @throws {BadRequestError} If the data is not valid.
  */
 const sanitizeData = (data) => {
   const sanitizedName = data.name
@@ -81,66 +53,89 @@ const sanitizeData = (data) => {
   const sanitizedUserId = parseInt(data.user_id, 10);
 
   if (isNaN(sanitizedUserId)) {
-    throw new Error("Invalid user ID");
+    throw new BadRequestError("Invalid user ID");
   }
 
   return {
     name: sanitizedName,
+    sell_back_percent: sanitizeSellBackPercent(data.sell_back_percent),
     user_id: sanitizedUserId,
   };
 };
 
 /**
- * Uploads an image to ImageKit and returns the image URL.
- * @param {File} imageFile - Image file to upload.
- * @returns {Promise<string>} URL of the uploaded image.
- * @throws {Error} If an error occurs during the upload.
+ * Reads the category an update applies to and checks it can still be
+ * updated.
+ * @param {Object} executor - Turso client or transaction.
+ * @param {number} id - Category ID.
+ * @param {number|null} expectedVersion - Version the update was based on, null to skip the check.
+ * @returns {Promise<Object>} Stored category.
+ * @throws {NotFoundError} If the category does not exist.
+ * @throws {BadRequestError} If the category is deleted.
+ * @throws {ConflictError} If the category has changed since expectedVersion; the body holds the current category.
  */
-const uploadImageToImageKit = async (imageFile) => {
-  const allowedTypes = [
-    "image/jpeg",
-    "image/jpg",
-    "image/png",
-    "image/gif",
-    "image/webp",
-  ];
-  if (!allowedTypes.includes(imageFile.type)) {
-    throw new Error("Unsupported image type");
-  }
+const readCategoryToUpdate = async (executor, id, expectedVersion) => {
+  const oldCategoryResponse = await executor.execute({
+    sql: "SELECT * FROM categories WHERE id = ?",
+    args: [id],
+  });
 
-  const maxSize = 1 * 1024 * 1024; // 1 MB
-  if (imageFile.size > maxSize) {
-    throw new Error("Image size exceeds the maximum limit of 1MB");
+  if (!oldCategoryResponse?.rows?.length) {
+    throw new NotFoundError("Category not found");
   }
 
-  const formData = new FormData();
-  formData.append("file", imageFile);
-  formData.append("fileName", `cat_${imageFile.name}`);
-  formData.append(
-    "transformation",
-    JSON.stringify({ pre: "h-100,w-100,c-at_max,q-85" })
-  );
+  const oldCategory = oldCategoryResponse.rows[0];
 
-  const response = await fetch(Deno.env.get("IMAGEKIT_UPLOAD_URL"), {
-    method: "POST",
-    headers: {
-      Authorization: `Basic ${btoa(
-        Deno.env.get("IMAGEKIT_PRIVATE_KEY") + ":"
-      )}`,
-    },
-    body: formData,
-  });
+  if (oldCategory.is_deleted === 1) {
+    throw new BadRequestError("Cannot update a deleted category");
+  }
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("ImageKit Response:", errorText);
-    throw new Error(
-      `Error uploading image to ImageKit: ${response.statusText} - ${errorText}`
+  if (expectedVersion !== null && oldCategory.version !== expectedVersion) {
+    throw new ConflictError(
+      `Category has changed since version ${expectedVersion}`,
+      { current: oldCategory }
     );
   }
 
-  const data = await response.json();
-  return data.url;
+  return oldCategory;
+};
+
+/**
+ * Applies the fields that were sent to the stored category.
+ * @param {Object} oldCategory - Stored category.
+ * @param {Object} changes - name, image, isActive and sellBackPercent as sent.
+ * @returns {Object} Values of the updated category.
+ */
+const mergeCategoryChanges = (
+  oldCategory,
+  { name, image, isActive, sellBackPercent }
+) => {
+  return {
+    name: name || oldCategory.name,
+    image: image || oldCategory.image,
+    is_active:
+      isActive !== null && isActive !== undefined
+        ? isActive === "true" || isActive === true
+          ? 1
+          : 0
+        : oldCategory.is_active,
+    sell_back_percent:
+      sellBackPercent !== undefined
+        ? sellBackPercent
+        : oldCategory.sell_back_percent,
+  };
+};
+
+/**
+ * Checks whether merged values differ from the stored category.
+ * @param {Object} oldCategory - Stored category.
+ * @param {Object} updated - Values from mergeCategoryChanges.
+ * @returns {boolean} True if anything would change.
+ */
+const hasCategoryChanges = (oldCategory, updated) => {
+  return Object.keys(updated).some(
+    (field) => updated[field] !== oldCategory[field]
+  );
 };
 
 /**
@@ -151,63 +146,55 @@ const uploadImageToImageKit = async (imageFile) => {
  * @param {string} image - Category image URL.
  * @param {number} userId - ID of the user performing the update.
  * @param {boolean} isActive - Whether the category is active.
+ * @param {number|null|undefined} sellBackPercent - Sell-back share of the category's items, null for the default, undefined to keep it.
+ * @param {number|null} expectedVersion - Version the update was based on, null to skip the check.
  * @returns {Promise<Object>} Updated category object.
+ * @throws {ConflictError} If the category has changed since expectedVersion; the body holds the current category.
  * @throws {Error} If an error occurs during the transaction.
  */
-const updateCategory = async (turso, id, name, image, userId, isActive) => {
+const updateCategory = async (
+  turso,
+  id,
+  name,
+  image,
+  userId,
+  isActive,
+  sellBackPercent,
+  expectedVersion = null
+) => {
   const tx = await turso.transaction();
 
   try {
-    const oldCategoryResponse = await tx.execute({
-      sql: "SELECT * FROM categories WHERE id = ?",
-      args: [id],
+    const oldCategory = await readCategoryToUpdate(tx, id, expectedVersion);
+    const {
+      name: updatedName,
+      image: updatedImage,
+      is_active: isActiveInt,
+      sell_back_percent: updatedSellBackPercent,
+    } = mergeCategoryChanges(oldCategory, {
+      name,
+      image,
+      isActive,
+      sellBackPercent,
     });
 
-    if (!oldCategoryResponse?.rows?.length) {
-      throw new Error("Category not found");
-    }
-
-    const oldCategory = oldCategoryResponse.rows[0];
-
-    if (oldCategory.is_deleted === 1) {
-      throw new Error("Cannot update a deleted category");
-    }
-
-    const updatedName = name || oldCategory.name;
-    const updatedImage = image || oldCategory.image;
-    const isActiveInt =
-      isActive !== null && isActive !== undefined
-        ? isActive === "true" || isActive === true
-          ? 1
-          : 0
-        : oldCategory.is_active;
-
-    // Check if there are no updates to be made
-    if (
-      updatedName === oldCategory.name &&
-      updatedImage === oldCategory.image &&
-      isActiveInt === oldCategory.is_active
-    ) {
-      return new Response(
-        JSON.stringify({ message: "No updates to be made" }),
-        {
-          status: 200,
-          headers: {
-            "Content-Type": "application/json",
-          },
-        }
-      );
-    }
-
     await tx.execute({
       sql: `UPDATE categories 
             SET name = ?, 
                 image = ?, 
                 is_active = ?, 
+                sell_back_percent = ?,
                 edited_by = ?,
                 edited_at = datetime('now')
             WHERE id = ?`,
-      args: [updatedName, updatedImage, isActiveInt, userId, id],
+      args: [
+        updatedName,
+        updatedImage,
+        isActiveInt,
+        updatedSellBackPercent,
+        userId,
+        id,
+      ],
     });
 
     const updatedCategoryResponse = await tx.execute({
@@ -233,11 +220,13 @@ const updateCategory = async (turso, id, name, image, userId, isActive) => {
           name: oldCategory.name,
           image: oldCategory.image,
           is_active: oldCategory.is_active === 1,
+          sell_back_percent: oldCategory.sell_back_percent,
         }),
         JSON.stringify({
           name: updatedName,
           image: updatedImage,
           is_active: isActiveInt === 1,
+          sell_back_percent: updatedSellBackPercent,
         }),
       ],
     });
@@ -253,28 +242,15 @@ const updateCategory = async (turso, id, name, image, userId, isActive) => {
 
 /**
  * Handles incoming requests to update a category.
- * Applies best practices for Turso connections, error handling, and documentation.
  * @param {Request} request - Incoming request object.
  * @returns {Promise<Response>} HTTP response containing the updated category data or an error message.
  */
-export default async (request) => {
-  const corsHeaders = getCorsHeaders();
-
-  if (request.method === "OPTIONS") {
-    return new Response(null, { headers: corsHeaders });
-  }
-
-  let requestData;
-  const turso = createTursoClient();
-
-  try {
-    if (request.method !== "PATCH") {
-      throw new Error("Method not allowed");
-    }
-
-    const apiKey = request.headers.get("X-API-KEY");
-    validateApiKey(apiKey);
-
+export default createEdgeHandler({
+  name: "update-category",
+  methods: ["PATCH"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
     const formData = await request.formData();
 
     const id = formData.get("id");
@@ -284,15 +260,44 @@ export default async (request) => {
     const imageFile = formData.get("image");
 
     if (!id || !user_id) {
-      throw new Error("Fields 'id' and 'user_id' are required");
+      throw new BadRequestError("Fields 'id' and 'user_id' are required");
     }
 
-    requestData = { id, user_id };
-    const sanitizedData = sanitizeData({ name, user_id });
+    const sanitizedData = sanitizeData({
+      name,
+      sell_back_percent: formData.get("sell_back_percent"),
+      user_id,
+    });
+    const expectedVersion = readExpectedVersion(
+      request,
+      formData.get("version")
+    );
+    await authorizePermission(
+      turso,
+      request,
+      sanitizedData.user_id,
+      "categories.update"
+    );
+
+    // Checked before the upload so a stale write leaves no orphan image;
+    // updateCategory checks again inside its transaction
+    const current = await readCategoryToUpdate(turso, id, expectedVersion);
+    const updated = mergeCategoryChanges(current, {
+      name: sanitizedData.name,
+      image: formData.get("image_url"),
+      isActive: is_active,
+      sellBackPercent: sanitizedData.sell_back_percent,
+    });
+    if (!(imageFile instanceof File) && !hasCategoryChanges(current, updated)) {
+      return jsonResponse({ message: "No updates to be made" });
+    }
 
     let imageUrl = formData.get("image_url");
     if (imageFile instanceof File) {
-      imageUrl = await uploadImageToImageKit(imageFile);
+      imageUrl = await uploadImageToImageKit(imageFile, {
+        prefix: "cat",
+        transformation: "h-100,w-100,c-at_max,q-85",
+      });
     }
 
     console.log("[INFO] Updating category:", {
@@ -309,7 +314,9 @@ export default async (request) => {
       sanitizedData.name,
       imageUrl,
       sanitizedData.user_id,
-      is_active
+      is_active,
+      sanitizedData.sell_back_percent,
+      expectedVersion
     );
 
     console.log("[SUCCESS] Category updated successfully:", {
@@ -317,47 +324,8 @@ export default async (request) => {
       name: category.name,
     });
 
-    return new Response(JSON.stringify(category), {
-      status: 200,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
+    return jsonResponse(category, 200, {
+      ETag: versionETag(category.version),
     });
-  } catch (error) {
-    console.error("[ERROR] Failed to update category:", {
-      error: error.message,
-      category: requestData?.name || "Unknown",
-    });
-
-    let status = 500;
-    if (error.message.includes("Invalid API key")) status = 403;
-    if (error.message.includes("Fields 'id' and 'user_id' are required"))
-      status = 400;
-    if (error.message === "Method not allowed") status = 405;
-    if (error.message === "Category not found") status = 404;
-    if (error.message === "Cannot update a deleted category") status = 400;
-    if (error.message === "Invalid ID or user ID") status = 400;
-
-    return new Response(JSON.stringify({ error: error.message }), {
-      status,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } finally {
-    if (turso) {
-      try {
-        // Close connection without parameters
-        await turso.close();
-        console.log("[INFO] Turso connection closed successfully.");
-      } catch (closeError) {
-        console.error("[ERROR] Failed to close Turso connection:", {
-          name: closeError.name,
-          message: closeError.message,
-        });
-      }
-    }
-  }
-};
+  },
+});
@@ -1,181 +1,148 @@
 // update-credits.js
-import { createClient } from "https://esm.sh/@libsql/client@0.6.0/web";
 
-const createTursoClient = () => {
-  return createClient({
-    url: Deno.env.get("TURSO_URL"),
-    authToken: Deno.env.get("TURSO_AUTH_TOKEN"),
-  });
-};
-
-const getCorsHeaders = () => {
-  const allowedOrigin = Deno.env.get("FORUM_URL");
-  return {
-    "Access-Control-Allow-Origin": allowedOrigin,
-    "Access-Control-Allow-Methods": "PUT, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-API-KEY",
-  };
-};
+import validator from "https://esm.sh/validator@13.7.0";
+import { applyCreditDelta, auditCreditChange } from "./_shared/credits.js";
+import { BadRequestError } from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import { authorizePermission } from "./_shared/permissions.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
 
-const validateApiKey = (apiKey) => {
-  const expectedKey = Deno.env.get("API_KEY");
-  if (!apiKey) {
-    throw new Error("API key is required");
-  }
-  if (apiKey !== expectedKey) {
-    throw new Error("Invalid API key");
-  }
-};
+const ACTIONS = ["add", "subtract"];
 
 const validateRequestData = (requestData) => {
   if (!requestData || typeof requestData !== "object") {
-    throw new Error("Invalid request data");
+    throw new BadRequestError("Invalid request data");
   }
 
-  const { user_id, credits } = requestData;
+  const { user_id, action, amount, reason, actor_id } = requestData;
 
   if (user_id === undefined || user_id === null) {
-    throw new Error("user_id is required");
+    throw new BadRequestError("user_id is required");
   }
 
   const sanitizedUserId = parseInt(user_id, 10);
 
   if (isNaN(sanitizedUserId)) {
-    throw new Error("Invalid user_id");
+    throw new BadRequestError("Invalid user_id");
   }
 
-  if (credits === undefined || credits === null) {
-    throw new Error("credits is required");
+  if (requestData.credits !== undefined && action === undefined) {
+    throw new BadRequestError(
+      "Setting an absolute balance is not supported; send action and amount"
+    );
   }
 
-  const sanitizedCredits = parseFloat(credits);
+  if (!ACTIONS.includes(action)) {
+    throw new BadRequestError("action must be 'add' or 'subtract'");
+  }
 
-  if (isNaN(sanitizedCredits) || sanitizedCredits < 0) {
-    throw new Error("Invalid credits amount");
+  if (amount === undefined || amount === null) {
+    throw new BadRequestError("amount is required");
   }
 
-  return { user_id: sanitizedUserId, credits: sanitizedCredits };
-};
+  const sanitizedAmount = parseFloat(amount);
 
-const updateUserCredits = async (turso, userId, newCredits) => {
-  const tx = await turso.transaction();
+  if (isNaN(sanitizedAmount) || sanitizedAmount <= 0) {
+    throw new BadRequestError("Invalid credits amount");
+  }
 
-  try {
-    const userResponse = await tx.execute({
-      sql: `SELECT id, credits FROM users WHERE user_id = ?`,
-      args: [userId],
-    });
+  if (
+    typeof reason !== "string" ||
+    !validator.isLength(reason.trim(), { min: 1, max: 255 })
+  ) {
+    throw new BadRequestError("reason must be between 1 and 255 characters");
+  }
 
-    if (!userResponse.rows.length) {
-      throw new Error("User not found");
-    }
+  const sanitizedActorId = parseInt(actor_id, 10);
+
+  if (isNaN(sanitizedActorId)) {
+    throw new BadRequestError("Invalid actor_id");
+  }
 
-    const user = userResponse.rows[0];
+  const { reference_type, reference_id } = requestData;
+  let reference = { type: null, id: null };
 
-    if (newCredits < 0) {
-      throw new Error("Credits cannot be negative");
+  if (reference_type !== undefined || reference_id !== undefined) {
+    const sanitizedReferenceId = parseInt(reference_id, 10);
+    if (
+      typeof reference_type !== "string" ||
+      !validator.isLength(reference_type.trim(), { min: 1, max: 50 }) ||
+      isNaN(sanitizedReferenceId)
+    ) {
+      throw new BadRequestError("Invalid reference");
     }
+    reference = {
+      type: validator.escape(reference_type.trim()),
+      id: sanitizedReferenceId,
+    };
+  }
+
+  return {
+    user_id: sanitizedUserId,
+    delta: action === "add" ? sanitizedAmount : -sanitizedAmount,
+    reason: validator.escape(reason.trim()),
+    actor_id: sanitizedActorId,
+    reference,
+  };
+};
+
+const updateUserCredits = async (turso, change) => {
+  const tx = await turso.transaction();
 
-    await tx.execute({
-      sql: `UPDATE users SET credits = ?, edited_at = datetime('now') WHERE id = ?`,
-      args: [newCredits, user.id],
+  try {
+    const entry = await applyCreditDelta(tx, {
+      userId: change.user_id,
+      delta: change.delta,
+      reason: change.reason,
+      actorId: change.actor_id,
+      referenceType: change.reference.type,
+      referenceId: change.reference.id,
     });
 
-    await tx.execute({
-      sql: `
-        INSERT INTO users_audit (user_id, action_type, old_values, new_values) 
-        VALUES (?, 'UPDATE', ?, ?)
-      `,
-      args: [
-        user.id,
-        JSON.stringify({ credits: user.credits }),
-        JSON.stringify({ credits: newCredits }),
-      ],
+    await auditCreditChange(tx, {
+      userId: change.user_id,
+      before: entry.balance_after - entry.delta,
+      after: entry.balance_after,
     });
 
     await tx.commit();
 
     console.log(
-      `[INFO] Créditos actualizados para user_id: ${userId}, nuevos créditos: ${newCredits}`
+      `[INFO] Créditos actualizados para user_id: ${change.user_id}, cambio: ${change.delta}, nuevos créditos: ${entry.balance_after}`
     );
 
-    return { user_id: userId, credits: newCredits };
+    return entry;
   } catch (error) {
     await tx.rollback();
     throw error;
   }
 };
 
-export default async (request) => {
-  const corsHeaders = getCorsHeaders();
-
-  if (request.method === "OPTIONS") {
-    return new Response(null, { headers: corsHeaders });
-  }
-
-  let requestData;
-
-  try {
-    if (request.method !== "PUT") {
-      throw new Error("Method not allowed");
-    }
-
-    const apiKey = request.headers.get("X-API-KEY");
-    validateApiKey(apiKey);
-
-    requestData = await request.json();
-    const { user_id, credits } = validateRequestData(requestData);
-
-    const turso = createTursoClient();
-
-    const updatedUser = await updateUserCredits(turso, user_id, credits);
-
-    return new Response(
-      JSON.stringify({
-        message: "Credits updated successfully",
-        user: updatedUser,
-      }),
-      {
-        status: 200,
-        headers: {
-          ...corsHeaders,
-          "Content-Type": "application/json",
-        },
-      }
+export default createEdgeHandler({
+  name: "update-credits",
+  methods: ["PUT"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
+    const requestData = await readJsonBody(request);
+    const change = validateRequestData(requestData);
+    await authorizePermission(
+      turso,
+      request,
+      change.actor_id,
+      "credits.update"
     );
-  } catch (error) {
-    console.error("[ERROR] update-credits failed:", {
-      error: error.message,
-      requestData: requestData || "Unknown",
-    });
 
-    let status = 500;
-    if (
-      error.message === "API key is required" ||
-      error.message === "Invalid API key"
-    ) {
-      status = 403;
-    } else if (error.message === "Method not allowed") {
-      status = 405;
-    } else if (
-      error.message === "user_id is required" ||
-      error.message === "Invalid user_id" ||
-      error.message === "credits is required" ||
-      error.message === "Invalid credits amount" ||
-      error.message === "Credits cannot be negative" ||
-      error.message === "Invalid request data"
-    ) {
-      status = 400;
-    } else if (error.message === "User not found") {
-      status = 404;
-    }
+    const entry = await updateUserCredits(turso, change);
 
-    return new Response(JSON.stringify({ error: error.message }), {
-      status,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
+    return jsonResponse({
+      message: "Credits updated successfully",
+      user: { user_id: change.user_id, credits: entry.balance_after },
+      ledger_entry: entry,
     });
-  }
-};
+  },
+});
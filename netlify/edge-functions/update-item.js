@@ -1,45 +1,17 @@
 // update-item.js
 
-import { createClient } from "https://esm.sh/@libsql/client@0.6.0/web";
 import validator from "https://esm.sh/validator@13.7.0";
-
-/**
- * Creates a new Turso client instance.
- * @returns {Object} Turso client.
- */
-const createTursoClient = () => {
-  return createClient({
-    url: Deno.env.get("TURSO_URL"),
-    authToken: Deno.env.get("TURSO_AUTH_TOKEN"),
-  });
-};
-
-/**
- * Obtains the necessary CORS headers for responses.
- * @returns {Object} CORS headers.
- */
-const getCorsHeaders = () => {
-  const allowedOrigin = Deno.env.get("FORUM_URL");
-  return {
-    "Access-Control-Allow-Origin": allowedOrigin,
-    "Access-Control-Allow-Methods": "PATCH, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, X-API-KEY",
-  };
-};
-
-/**
- * Validates the API key provided in the headers.
- * @param {string} apiKey - API key to validate.
- * @throws {Error} If the API key is not valid.
- */
-const validateApiKey = (apiKey) => {
-  if (!apiKey) {
-    throw new Error("API key is required");
-  }
-  if (apiKey !== Deno.env.get("API_KEY")) {
-    throw new Error("Invalid API key");
-  }
-};
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "./_shared/errors.js";
+import { createEdgeHandler, jsonResponse } from "./_shared/http.js";
+import { uploadImageToImageKit } from "./_shared/imagekit.js";
+import { authorizePermission } from "./_shared/permissions.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
+import { sanitizeSellBackPercent } from "./_shared/sell-back.js";
+import { readExpectedVersion, versionETag } from "./_shared/versions.js";
 
 /**
  * Checks if any updateable fields are provided in the form data.
@@ -54,6 +26,11 @@ const hasUpdateableFields = (formData) => {
     "image",
     "is_active",
     "categories",
+    "stock",
+    "purchase_limit",
+    "limit_period",
+    "cooldown_seconds",
+    "sell_back_percent",
   ];
   return updateableFields.some((field) => {
     const value = formData.get(field);
@@ -65,34 +42,97 @@ const hasUpdateableFields = (formData) => {
  * Validates the request data.
  * @param {Object} requestData - Request data.
  * @returns {Object} Sanitized data.
- * @throws {Error} If the data is not valid.
+ * @throws {BadRequestError} If the data is not valid.
  */
 const validateRequestData = (requestData) => {
   if (!requestData || typeof requestData !== "object") {
-    throw new Error("Invalid request data");
+    throw new BadRequestError("Invalid request data");
   }
 
   const { id, user_id } = requestData;
 
   if (!id || !user_id) {
-    throw new Error("Fields 'id' and 'user_id' are required");
+    throw new BadRequestError("Fields 'id' and 'user_id' are required");
   }
 
   const sanitizedId = parseInt(id, 10);
   const sanitizedUserId = parseInt(user_id, 10);
 
   if (isNaN(sanitizedId) || isNaN(sanitizedUserId)) {
-    throw new Error("Invalid ID or user ID");
+    throw new BadRequestError("Invalid ID or user ID");
   }
 
   return { id: sanitizedId, user_id: sanitizedUserId };
 };
 
+/**
+ * Periods accepted for per-user purchase limits.
+ */
+const LIMIT_PERIODS = ["day", "week", "lifetime"];
+
+/**
+ * Item columns holding the per-user purchase rules and the sell-back share.
+ */
+const PURCHASE_RULE_FIELDS = [
+  "purchase_limit",
+  "limit_period",
+  "cooldown_seconds",
+  "sell_back_percent",
+];
+
+/**
+ * Sanitizes the per-user purchase rules sent for an update. Fields left out
+ * stay undefined so the current value is kept; "unlimited" removes the limit
+ * and "default" removes the sell-back override.
+ * @param {Object} data - Request data.
+ * @returns {Object} Sanitized purchase_limit, limit_period, cooldown_seconds and sell_back_percent.
+ * @throws {BadRequestError} If any rule is not valid.
+ */
+const sanitizePurchaseRules = (data) => {
+  const isSet = (value) =>
+    value !== undefined && value !== null && value !== "";
+  const rules = {};
+
+  if (data.purchase_limit === "unlimited") {
+    rules.purchase_limit = null;
+    rules.limit_period = null;
+  } else if (isSet(data.purchase_limit)) {
+    rules.purchase_limit = Number(data.purchase_limit);
+    if (!Number.isInteger(rules.purchase_limit) || rules.purchase_limit < 1) {
+      throw new BadRequestError("Invalid purchase limit");
+    }
+  }
+
+  if (isSet(data.limit_period) && data.purchase_limit !== "unlimited") {
+    if (!LIMIT_PERIODS.includes(data.limit_period)) {
+      throw new BadRequestError("Invalid limit period");
+    }
+    rules.limit_period = data.limit_period;
+  }
+
+  if (isSet(data.cooldown_seconds)) {
+    rules.cooldown_seconds = Number(data.cooldown_seconds);
+    if (
+      !Number.isInteger(rules.cooldown_seconds) ||
+      rules.cooldown_seconds < 0
+    ) {
+      throw new BadRequestError("Invalid cooldown");
+    }
+  }
+
+  const sellBackPercent = sanitizeSellBackPercent(data.sell_back_percent);
+  if (sellBackPercent !== undefined) {
+    rules.sell_back_percent = sellBackPercent;
+  }
+
+  return rules;
+};
+
 /**
  * Sanitizes and validates the data received in the request.
  * @param {Object} data - Request data.
  * @returns {Object} Sanitized data.
- * @throws {Error} If the data is not valid.
+ * @throws {BadRequestError} If the data is not valid.
  */
 const sanitizeData = (data) => {
   const sanitizedName = data.name
@@ -111,80 +151,44 @@ const sanitizeData = (data) => {
       !isFinite(sanitizedPrice) ||
       sanitizedPrice < 0
     ) {
-      throw new Error("Invalid price");
+      throw new BadRequestError("Invalid price");
+    }
+  }
+
+  // "unlimited" removes the stock limit, any other value must be a count
+  let sanitizedStock;
+  if (data.stock === "unlimited") {
+    sanitizedStock = null;
+  } else if (
+    data.stock !== undefined &&
+    data.stock !== null &&
+    data.stock !== ""
+  ) {
+    sanitizedStock = Number(data.stock);
+    if (!Number.isInteger(sanitizedStock) || sanitizedStock < 0) {
+      throw new BadRequestError("Invalid stock");
     }
   }
 
   if (isNaN(sanitizedUserId)) {
-    throw new Error("Invalid user ID");
+    throw new BadRequestError("Invalid user ID");
   }
 
   return {
     name: sanitizedName,
     description: sanitizedDescription,
     price: sanitizedPrice,
+    stock: sanitizedStock,
+    purchaseRules: sanitizePurchaseRules(data),
     user_id: sanitizedUserId,
   };
 };
 
-/**
- * Uploads an image to ImageKit and returns the image URL.
- * @param {File} imageFile - Image file to upload.
- * @returns {Promise<string>} URL of the uploaded image.
- * @throws {Error} If an error occurs during the upload.
- */
-const uploadImageToImageKit = async (imageFile) => {
-  const allowedTypes = [
-    "image/jpeg",
-    "image/jpg",
-    "image/png",
-    "image/gif",
-    "image/webp",
-  ];
-  if (!allowedTypes.includes(imageFile.type)) {
-    throw new Error("Unsupported image type");
-  }
-
-  const maxSize = 1 * 1024 * 1024; // 1 MB
-  if (imageFile.size > maxSize) {
-    throw new Error("Image size exceeds the maximum limit of 1MB");
-  }
-
-  const formData = new FormData();
-  formData.append("file", imageFile);
-  formData.append("fileName", `itm_${imageFile.name}`);
-  formData.append(
-    "transformation",
-    JSON.stringify({ pre: "h-200,w-200,c-at_max,q-80" })
-  );
-
-  const response = await fetch(Deno.env.get("IMAGEKIT_UPLOAD_URL"), {
-    method: "POST",
-    headers: {
-      Authorization: `Basic ${btoa(
-        Deno.env.get("IMAGEKIT_PRIVATE_KEY") + ":"
-      )}`,
-    },
-    body: formData,
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("ImageKit Response:", errorText);
-    throw new Error(
-      `Error uploading image to ImageKit: ${response.statusText} - ${errorText}`
-    );
-  }
-
-  const data = await response.json();
-  return data.url;
-};
-
 /**
  * Validates that the provided categories exist and are not deleted.
  * @param {Object} turso - Turso client.
  * @param {Array<number>} categories - Array of category IDs.
- * @throws {Error} If any category does not exist or is deleted.
+ * @throws {BadRequestError} If any category does not exist or is deleted.
  */
 const validateCategoriesExist = async (turso, categories) => {
   const placeholders = categories.map(() => "?").join(",");
@@ -196,10 +200,57 @@ const validateCategoriesExist = async (turso, categories) => {
   if (response.rows.length !== categories.length) {
     const foundIds = response.rows.map((row) => row.id);
     const missingIds = categories.filter((id) => !foundIds.includes(id));
-    throw new Error(`Categories not found: ${missingIds.join(", ")}`);
+    throw new BadRequestError(`Categories not found: ${missingIds.join(", ")}`);
   }
 };
 
+/**
+ * Reads the item an update applies to and checks it can still be updated.
+ * @param {Object} executor - Turso client or transaction.
+ * @param {number} id - Item ID.
+ * @param {number|null} expectedVersion - Version the update was based on, null to skip the check.
+ * @returns {Promise<Object>} Stored item.
+ * @throws {NotFoundError} If the item does not exist.
+ * @throws {BadRequestError} If the item is deleted.
+ * @throws {ConflictError} If the item has changed since expectedVersion; the body holds the current item.
+ */
+const readItemToUpdate = async (executor, id, expectedVersion) => {
+  const oldItemResponse = await executor.execute({
+    sql: "SELECT * FROM items WHERE id = ?",
+    args: [id],
+  });
+
+  if (!oldItemResponse?.rows?.length) {
+    throw new NotFoundError("Item not found");
+  }
+
+  const oldItem = oldItemResponse.rows[0];
+
+  if (oldItem.is_deleted === 1) {
+    throw new BadRequestError("Cannot update a deleted item");
+  }
+
+  if (expectedVersion !== null && oldItem.version !== expectedVersion) {
+    const currentCategoriesResponse = await executor.execute({
+      sql: "SELECT category_id FROM item_categories WHERE item_id = ?",
+      args: [id],
+    });
+    throw new ConflictError(
+      `Item has changed since version ${expectedVersion}`,
+      {
+        current: {
+          ...oldItem,
+          categories: currentCategoriesResponse.rows.map((row) =>
+            Number(row.category_id)
+          ),
+        },
+      }
+    );
+  }
+
+  return oldItem;
+};
+
 /**
  * Updates an item in the database.
  * @param {Object} turso - Turso client.
@@ -211,7 +262,11 @@ const validateCategoriesExist = async (turso, categories) => {
  * @param {number} userId - ID of the user performing the update.
  * @param {boolean} isActive - Whether the item is active.
  * @param {Array<number>} categories - Array of category IDs.
+ * @param {number|null|undefined} stock - New stock, null for unlimited, undefined to keep it.
+ * @param {Object} purchaseRules - Per-user purchase rules to change, see sanitizePurchaseRules.
+ * @param {number|null} expectedVersion - Version the update was based on, null to skip the check.
  * @returns {Promise<Object>} Updated item object.
+ * @throws {ConflictError} If the item has changed since expectedVersion; the body holds the current item.
  * @throws {Error} If an error occurs during the transaction.
  */
 const updateItem = async (
@@ -223,25 +278,15 @@ const updateItem = async (
   image,
   userId,
   isActive,
-  categories
+  categories,
+  stock,
+  purchaseRules = {},
+  expectedVersion = null
 ) => {
   const tx = await turso.transaction();
 
   try {
-    const oldItemResponse = await tx.execute({
-      sql: "SELECT * FROM items WHERE id = ?",
-      args: [id],
-    });
-
-    if (!oldItemResponse?.rows?.length) {
-      throw new Error("Item not found");
-    }
-
-    const oldItem = oldItemResponse.rows[0];
-
-    if (oldItem.is_deleted === 1) {
-      throw new Error("Cannot update a deleted item");
-    }
+    const oldItem = await readItemToUpdate(tx, id, expectedVersion);
 
     // Only update fields that were provided
     const updates = [];
@@ -267,6 +312,28 @@ const updateItem = async (
       args.push(image);
     }
 
+    if (stock !== undefined) {
+      updates.push("stock = ?");
+      args.push(stock);
+    }
+
+    for (const field of PURCHASE_RULE_FIELDS) {
+      if (purchaseRules[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        args.push(purchaseRules[field]);
+      }
+    }
+
+    // A limit needs a period; default to lifetime when none is stored yet
+    if (
+      purchaseRules.purchase_limit &&
+      purchaseRules.limit_period === undefined &&
+      !oldItem.limit_period
+    ) {
+      updates.push("limit_period = ?");
+      args.push("lifetime");
+    }
+
     if (isActive !== null && isActive !== undefined) {
       updates.push("is_active = ?");
       args.push(isActive === "true" || isActive === true ? 1 : 0);
@@ -311,7 +378,7 @@ const updateItem = async (
       });
 
       if (!existingCategoriesResponse.rows.length) {
-        throw new Error("At least one category is required");
+        throw new BadRequestError("At least one category is required");
       }
     }
 
@@ -348,48 +415,21 @@ const updateItem = async (
  * @param {Request} request - Incoming request object.
  * @returns {Promise<Response>} HTTP response containing the updated item data or an error message.
  */
-export default async (request) => {
-  const corsHeaders = getCorsHeaders();
-
-  if (request.method === "OPTIONS") {
-    return new Response(null, { headers: corsHeaders });
-  }
-
-  let requestData;
-  let turso;
-
-  try {
-    if (request.method !== "PATCH") {
-      throw new Error("Method not allowed");
-    }
-
-    const apiKey = request.headers.get("X-API-KEY");
-    validateApiKey(apiKey);
-
+export default createEdgeHandler({
+  name: "update-item",
+  methods: ["PATCH"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
     const formData = await request.formData();
 
     const id = formData.get("id");
     const user_id = formData.get("user_id");
 
     if (!id || !user_id) {
-      throw new Error("Fields 'id' and 'user_id' are required");
+      throw new BadRequestError("Fields 'id' and 'user_id' are required");
     }
 
-    // Early return if no updateable fields are provided
-    if (!hasUpdateableFields(formData)) {
-      return new Response(
-        JSON.stringify({ message: "No updates to be made" }),
-        {
-          status: 200,
-          headers: {
-            ...corsHeaders,
-            "Content-Type": "application/json",
-          },
-        }
-      );
-    }
-
-    requestData = { id, user_id };
     const name = formData.get("name");
     const description = formData.get("description");
     const price = formData.get("price");
@@ -401,16 +441,40 @@ export default async (request) => {
       name,
       description,
       price,
+      stock: formData.get("stock"),
+      purchase_limit: formData.get("purchase_limit"),
+      limit_period: formData.get("limit_period"),
+      cooldown_seconds: formData.get("cooldown_seconds"),
+      sell_back_percent: formData.get("sell_back_percent"),
       user_id,
     });
+    const expectedVersion = readExpectedVersion(
+      request,
+      formData.get("version")
+    );
+    await authorizePermission(
+      turso,
+      request,
+      sanitizedData.user_id,
+      "items.update"
+    );
+
+    // Checked before the upload so a stale write leaves no orphan image;
+    // updateItem checks again inside its transaction
+    await readItemToUpdate(turso, id, expectedVersion);
+
+    if (!hasUpdateableFields(formData)) {
+      return jsonResponse({ message: "No updates to be made" });
+    }
 
     let imageUrl = formData.get("image_url");
     if (imageFile instanceof File) {
-      imageUrl = await uploadImageToImageKit(imageFile);
+      imageUrl = await uploadImageToImageKit(imageFile, {
+        prefix: "itm",
+        transformation: "h-200,w-200,c-at_max,q-80",
+      });
     }
 
-    turso = createTursoClient();
-
     const item = await updateItem(
       turso,
       id,
@@ -420,63 +484,12 @@ export default async (request) => {
       imageUrl,
       sanitizedData.user_id,
       is_active,
-      categories
+      categories,
+      sanitizedData.stock,
+      sanitizedData.purchaseRules,
+      expectedVersion
     );
 
-    if (item.message === "No updates to be made") {
-      return new Response(JSON.stringify(item), {
-        status: 200,
-        headers: {
-          ...corsHeaders,
-          "Content-Type": "application/json",
-        },
-      });
-    }
-
-    return new Response(JSON.stringify(item), {
-      status: 200,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } catch (error) {
-    console.error("[ERROR] Failed to update item:", {
-      error: error.message,
-      item: requestData?.name || "Unknown",
-    });
-
-    let status = 500;
-    if (error.message.includes("Invalid API key")) status = 403;
-    if (error.message.includes("Fields 'id' and 'user_id' are required"))
-      status = 400;
-    if (error.message === "Method not allowed") status = 405;
-    if (error.message === "Item not found") status = 404;
-    if (error.message === "Cannot update a deleted item") status = 400;
-    if (
-      error.message.includes("Invalid ID or user ID") ||
-      error.message.includes("Invalid price")
-    )
-      status = 400;
-
-    return new Response(JSON.stringify({ error: error.message }), {
-      status,
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-      },
-    });
-  } finally {
-    if (turso) {
-      try {
-        await turso.close();
-        console.log("[INFO] Turso connection closed successfully.");
-      } catch (closeError) {
-        console.error("[ERROR] Failed to close Turso connection:", {
-          name: closeError.name,
-          message: closeError.message,
-        });
-      }
-    }
-  }
-};
+    return jsonResponse(item, 200, { ETag: versionETag(item.version) });
+  },
+});
@@ -0,0 +1,107 @@
+// use-items.js
+
+import { authorizeUser } from "./_shared/auth.js";
+import { BadRequestError } from "./_shared/errors.js";
+import {
+  createEdgeHandler,
+  jsonResponse,
+  readJsonBody,
+} from "./_shared/http.js";
+import {
+  applyBagDelta,
+  applyInventoryDelta,
+  getInventoryRows,
+  sanitizeItemList,
+} from "./_shared/inventory.js";
+import { WRITE_RATE_LIMIT } from "./_shared/rate-limit.js";
+
+/**
+ * Validates and sanitizes the use request.
+ * @param {Object} data - Request data.
+ * @returns {Object} Sanitized user_id, source and items.
+ * @throws {BadRequestError} If the data is not valid.
+ */
+const validateUseData = (data) => {
+  if (!data || typeof data !== "object") {
+    throw new BadRequestError("Invalid request data");
+  }
+
+  const userId = parseInt(data.user_id, 10);
+
+  if (isNaN(userId)) {
+    throw new BadRequestError("Invalid user ID");
+  }
+
+  const from = data.from ?? "bag";
+  if (!["bag", "inventory"].includes(from)) {
+    throw new BadRequestError("from must be 'bag' or 'inventory'");
+  }
+
+  return {
+    user_id: userId,
+    from,
+    items: sanitizeItemList(data.items, "items"),
+  };
+};
+
+/**
+ * Consumes units of items in a single transaction.
+ * @param {Object} turso - Turso client.
+ * @param {Object} use - Sanitized use data.
+ * @returns {Promise<Object[]>} Updated inventory rows of the used items.
+ * @throws {Error} If the user does not have the units or the transaction fails.
+ */
+const useItems = async (turso, { user_id, from, items }) => {
+  const tx = await turso.transaction();
+
+  try {
+    for (const item of items) {
+      const change = {
+        userId: user_id,
+        itemId: item.item_id,
+        delta: -item.quantity,
+        reason: "use",
+        actorId: user_id,
+      };
+
+      // Units used from the bag leave the bag first, then the inventory
+      if (from === "bag") {
+        await applyBagDelta(tx, change);
+      }
+      await applyInventoryDelta(tx, change);
+    }
+
+    const rows = await getInventoryRows(
+      tx,
+      user_id,
+      items.map((item) => item.item_id)
+    );
+
+    await tx.commit();
+    return rows;
+  } catch (error) {
+    await tx.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Handles incoming requests to use or consume items.
+ * @param {Request} request - Incoming request object.
+ * @returns {Promise<Response>} HTTP response containing the updated rows or an error message.
+ */
+export default createEdgeHandler({
+  name: "use-items",
+  methods: ["POST"],
+  rateLimit: WRITE_RATE_LIMIT,
+  idempotent: true,
+  handler: async ({ request, turso }) => {
+    const data = await readJsonBody(request);
+    const use = validateUseData(data);
+    await authorizeUser(request, use.user_id);
+
+    const inventory = await useItems(turso, use);
+
+    return jsonResponse({ user_id: use.user_id, inventory });
+  },
+});
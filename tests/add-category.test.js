@@ -0,0 +1,81 @@
+// add-category.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/add-category.js";
+import {
+  call,
+  imageFile,
+  imageKitTest,
+  queryAll,
+  queryOne,
+  seedRole,
+} from "./helpers.js";
+
+const addCategory = (form) =>
+  call(handler, "add-category", {
+    method: "POST",
+    form,
+    asUser: form.user_id && Number(form.user_id),
+  });
+
+imageKitTest(
+  "add-category: uploads the image and stores the category",
+  async ({ client }, imageKit) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const { status, body } = await addCategory({
+      name: "Potions",
+      user_id: 7,
+      image: imageFile("potions.png"),
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.name, "Potions");
+    assert.equal(body.image, "https://ik.imagekit.test/cat_potions.png");
+    assert.equal(body.is_active, 1);
+    assert.deepEqual(imageKit.uploads[0].transformation, {
+      pre: "h-100,w-100,c-at_max,q-85",
+    });
+
+    const audit = await queryOne(
+      client,
+      "SELECT action_type, user_id FROM categories_audit WHERE category_id = ?",
+      [body.id]
+    );
+    assert.equal(audit.action_type, "INSERT");
+    assert.equal(audit.user_id, 7);
+  }
+);
+
+imageKitTest(
+  "add-category: rejects missing fields",
+  async ({ client }, imageKit) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const { status } = await addCategory({ name: "Potions", user_id: 7 });
+
+    assert.equal(status, 400);
+    assert.equal(imageKit.uploads.length, 0);
+    assert.equal(
+      (await queryAll(client, "SELECT id FROM categories")).length,
+      0
+    );
+  }
+);
+
+imageKitTest(
+  "add-category: reports ImageKit failures as 502",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const { status } = await addCategory({
+      name: "Potions",
+      user_id: 7,
+      image: imageFile(),
+    });
+
+    assert.equal(status, 502);
+    assert.equal(
+      (await queryAll(client, "SELECT id FROM categories")).length,
+      0
+    );
+  },
+  { fail: true }
+);
@@ -0,0 +1,159 @@
+// add-item.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/add-item.js";
+import {
+  call,
+  imageKitTest,
+  imageFile,
+  queryAll,
+  queryOne,
+  seedCategory,
+  seedRole,
+} from "./helpers.js";
+
+const addItem = (form) =>
+  call(handler, "add-item", {
+    method: "POST",
+    form,
+    asUser: form.user_id && Number(form.user_id),
+  });
+
+imageKitTest(
+  "add-item: uploads the image and stores the item with its categories",
+  async ({ client }, imageKit) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const potionsId = await seedCategory(client);
+    const weaponsId = await seedCategory(client, { name: "Weapons" });
+
+    const { status, body } = await addItem({
+      name: "Health potion",
+      description: "Restores health",
+      price: 15,
+      stock: 5,
+      purchase_limit: 2,
+      limit_period: "day",
+      categories: [potionsId, weaponsId],
+      user_id: 7,
+      image: imageFile(),
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.name, "Health potion");
+    assert.equal(body.price, 15);
+    assert.equal(body.stock, 5);
+    assert.equal(body.purchase_limit, 2);
+    assert.equal(body.limit_period, "day");
+    assert.deepEqual(body.categories, [potionsId, weaponsId]);
+
+    assert.equal(imageKit.uploads.length, 1);
+    assert.match(imageKit.uploads[0].fileName, /^itm/);
+    assert.equal(
+      body.image,
+      `https://ik.imagekit.test/${imageKit.uploads[0].fileName}`
+    );
+
+    const audit = await queryOne(
+      client,
+      "SELECT action_type, new_values FROM items_audit WHERE item_id = ?",
+      [body.id]
+    );
+    assert.equal(audit.action_type, "INSERT");
+    assert.equal(JSON.parse(audit.new_values).stock, 5);
+  }
+);
+
+imageKitTest(
+  "add-item: rejects missing fields",
+  async ({ client }, imageKit) => {
+    const { status, body } = await addItem({ name: "Health potion" });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /All fields are required/);
+    assert.equal(imageKit.uploads.length, 0);
+    assert.equal((await queryAll(client, "SELECT id FROM items")).length, 0);
+  }
+);
+
+imageKitTest(
+  "add-item: rejects invalid purchase rules before uploading",
+  async ({ client }, imageKit) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+
+    const { status, body } = await addItem({
+      name: "Health potion",
+      description: "Restores health",
+      price: 15,
+      purchase_limit: 2,
+      limit_period: "month",
+      categories: [categoryId],
+      user_id: 7,
+      image: imageFile(),
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "Invalid limit period");
+    assert.equal(imageKit.uploads.length, 0);
+  }
+);
+
+imageKitTest(
+  "add-item: rejects unsupported image types",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+
+    const { status, body } = await addItem({
+      name: "Health potion",
+      description: "Restores health",
+      price: 15,
+      categories: [categoryId],
+      user_id: 7,
+      image: imageFile("notes.txt", "text/plain"),
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "Unsupported image type");
+  }
+);
+
+imageKitTest(
+  "add-item: reports ImageKit failures as 502",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+
+    const { status } = await addItem({
+      name: "Health potion",
+      description: "Restores health",
+      price: 15,
+      categories: [categoryId],
+      user_id: 7,
+      image: imageFile(),
+    });
+
+    assert.equal(status, 502);
+    assert.equal((await queryAll(client, "SELECT id FROM items")).length, 0);
+  },
+  { fail: true }
+);
+
+imageKitTest(
+  "add-item: rejects unknown categories without creating the item",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const { status, body } = await addItem({
+      name: "Health potion",
+      description: "Restores health",
+      price: 15,
+      categories: [99],
+      user_id: 7,
+      image: imageFile(),
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "Categories not found: 99");
+    assert.equal((await queryAll(client, "SELECT id FROM items")).length, 0);
+  }
+);
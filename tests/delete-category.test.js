@@ -0,0 +1,116 @@
+// delete-category.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/delete-category.js";
+import {
+  call,
+  dbTest,
+  failInsertsInto,
+  queryAll,
+  queryOne,
+  seedCategory,
+  seedItem,
+  seedRole,
+} from "./helpers.js";
+
+const deleteCategory = (json) =>
+  call(handler, "delete-category", {
+    method: "DELETE",
+    json,
+    asUser: json.user_id,
+  });
+
+dbTest(
+  "delete-category: deletes the category and the items left without one",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const potionsId = await seedCategory(client);
+    const weaponsId = await seedCategory(client, { name: "Weapons" });
+    const potionId = await seedItem(client, { categories: [potionsId] });
+    const sharedId = await seedItem(client, {
+      name: "Throwing potion",
+      categories: [potionsId, weaponsId],
+    });
+
+    const { status, body } = await deleteCategory({
+      id: potionsId,
+      user_id: 7,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.id, potionsId);
+
+    const category = await queryOne(
+      client,
+      "SELECT is_deleted FROM categories WHERE id = ?",
+      [potionsId]
+    );
+    assert.equal(category.is_deleted, 1);
+
+    const items = await queryAll(
+      client,
+      "SELECT id, is_deleted FROM items ORDER BY id"
+    );
+    assert.deepEqual(
+      items.map((item) => [item.id, item.is_deleted]),
+      [
+        [potionId, 1],
+        [sharedId, 0],
+      ]
+    );
+
+    const links = await queryAll(client, "SELECT item_id FROM item_categories");
+    assert.deepEqual(
+      links.map((link) => link.item_id),
+      [sharedId]
+    );
+  }
+);
+
+dbTest(
+  "delete-category: rejects categories already deleted",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client, { is_deleted: 1 });
+
+    const { status, body } = await deleteCategory({
+      id: categoryId,
+      user_id: 7,
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "Category is already deleted");
+  }
+);
+
+dbTest(
+  "delete-category: returns 404 for unknown categories",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const { status } = await deleteCategory({ id: 99, user_id: 7 });
+
+    assert.equal(status, 404);
+  }
+);
+
+dbTest(
+  "delete-category: rolls back when the audit insert fails",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    const itemId = await seedItem(client, { categories: [categoryId] });
+    await failInsertsInto(client, "categories_audit");
+
+    const { status } = await deleteCategory({ id: categoryId, user_id: 7 });
+
+    assert.equal(status, 500);
+    const item = await queryOne(
+      client,
+      "SELECT is_deleted FROM items WHERE id = ?",
+      [itemId]
+    );
+    assert.equal(item.is_deleted, 0);
+    const links = await queryAll(client, "SELECT item_id FROM item_categories");
+    assert.equal(links.length, 1);
+  }
+);
@@ -0,0 +1,111 @@
+// delete-item.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/delete-item.js";
+import {
+  call,
+  dbTest,
+  queryOne,
+  seedItem,
+  seedRole,
+  userTokenHeaders,
+} from "./helpers.js";
+
+const deleteItem = (json) =>
+  call(handler, "delete-item", {
+    method: "DELETE",
+    json,
+    asUser: json.user_id,
+  });
+
+dbTest("delete-item: soft deletes the item", async ({ client }) => {
+  await seedRole(client, { role: "shop_manager", user_id: 7 });
+  const itemId = await seedItem(client);
+
+  const { status, body } = await deleteItem({ id: itemId, user_id: 7 });
+
+  assert.equal(status, 200);
+  assert.equal(body.is_deleted, 1);
+  assert.equal(body.is_active, 0);
+
+  const audit = await queryOne(
+    client,
+    "SELECT action_type, user_id FROM items_audit WHERE item_id = ?",
+    [itemId]
+  );
+  assert.equal(audit.action_type, "DELETE");
+  assert.equal(audit.user_id, 7);
+});
+
+dbTest("delete-item: rejects items already deleted", async ({ client }) => {
+  await seedRole(client, { role: "shop_manager", user_id: 7 });
+  const itemId = await seedItem(client, { is_deleted: 1 });
+
+  const { status, body } = await deleteItem({ id: itemId, user_id: 7 });
+
+  assert.equal(status, 400);
+  assert.equal(body.error, "Item is already deleted");
+});
+
+dbTest("delete-item: returns 404 for unknown items", async ({ client }) => {
+  await seedRole(client, { role: "shop_manager", user_id: 7 });
+  const { status } = await deleteItem({ id: 99, user_id: 7 });
+
+  assert.equal(status, 404);
+});
+
+dbTest(
+  "delete-item: requires the items.delete permission",
+  async ({ client }) => {
+    const itemId = await seedItem(client);
+    await seedRole(client, { role: "member", user_id: 7 });
+    await seedRole(client, { role: "moderator", user_id: 8 });
+
+    for (const userId of [7, 8, 9]) {
+      const { status, body } = await deleteItem({
+        id: itemId,
+        user_id: userId,
+      });
+      assert.equal(status, 403);
+      assert.deepEqual(body, {
+        error: "Missing permission: items.delete",
+        permission: "items.delete",
+      });
+    }
+    const item = await queryOne(client, "SELECT is_deleted FROM items");
+    assert.equal(item.is_deleted, 0);
+
+    const missingToken = await call(handler, "delete-item", {
+      method: "DELETE",
+      json: { id: itemId, user_id: 7 },
+    });
+    assert.equal(missingToken.status, 401);
+  }
+);
+
+dbTest(
+  "delete-item: grants roles through the user's groups",
+  async ({ client }) => {
+    const itemId = await seedItem(client);
+    await seedRole(client, { role: "shop_manager", group_id: 3 });
+
+    const otherGroup = await call(handler, "delete-item", {
+      method: "DELETE",
+      json: { id: itemId, user_id: 7 },
+      headers: await userTokenHeaders(7, undefined, [2]),
+    });
+    assert.equal(otherGroup.status, 403);
+
+    const { status } = await call(handler, "delete-item", {
+      method: "DELETE",
+      json: { id: itemId, user_id: 7 },
+      headers: await userTokenHeaders(7, undefined, [2, 3]),
+    });
+    assert.equal(status, 200);
+  }
+);
+
+dbTest("delete-item: validates the request body", async () => {
+  assert.equal((await deleteItem({ id: 1 })).status, 400);
+  assert.equal((await deleteItem({ id: "x", user_id: "y" })).status, 400);
+});
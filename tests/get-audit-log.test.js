@@ -0,0 +1,191 @@
+// get-audit-log.test.js
+
+import assert from "node:assert/strict";
+import deleteCategoryHandler from "../netlify/edge-functions/delete-category.js";
+import handler from "../netlify/edge-functions/get-audit-log.js";
+import updateCreditsHandler from "../netlify/edge-functions/update-credits.js";
+import updateItemHandler from "../netlify/edge-functions/update-item.js";
+import {
+  call,
+  dbTest,
+  seedCategory,
+  seedItem,
+  seedRole,
+  seedUser,
+} from "./helpers.js";
+
+const getAuditLog = (query, asUser = 9) =>
+  call(handler, "get-audit-log", { method: "GET", query, asUser });
+
+dbTest(
+  "get-audit-log: shows who changed a price and the diff",
+  async ({ client }) => {
+    await seedRole(client, { role: "moderator", user_id: 9 });
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    const itemId = await seedItem(client, {
+      price: 10,
+      categories: [categoryId],
+    });
+    await call(updateItemHandler, "update-item", {
+      method: "PATCH",
+      asUser: 7,
+      form: { id: itemId, user_id: 7, price: 12 },
+    });
+
+    const { status, body } = await getAuditLog({
+      entity: "item",
+      entity_id: itemId,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.pagination.total, 1);
+
+    const [entry] = body.entries;
+    assert.equal(entry.entity, "item");
+    assert.equal(entry.entity_id, itemId);
+    assert.equal(entry.user_id, 7);
+    assert.equal(entry.action_type, "UPDATE");
+    assert.deepEqual(
+      entry.changes.find((change) => change.field === "price"),
+      { field: "price", old: 10, new: 12 }
+    );
+    assert.ok(!entry.changes.some((change) => change.field === "name"));
+  }
+);
+
+dbTest("get-audit-log: lists every entity together", async ({ client }) => {
+  await seedRole(client, { role: "moderator", user_id: 9 });
+  await seedRole(client, { role: "shop_manager", user_id: 8 });
+  const categoryId = await seedCategory(client);
+  await call(deleteCategoryHandler, "delete-category", {
+    method: "DELETE",
+    asUser: 8,
+    json: { id: categoryId, user_id: 8 },
+  });
+  await client.execute(
+    `INSERT INTO users_audit (user_id, action_type, new_values, created_at)
+     VALUES (1001, 'INSERT', '{"user_id":1001,"credits":100}', '2026-01-01 00:00:00')`
+  );
+
+  const all = await getAuditLog({});
+  assert.deepEqual(
+    all.body.entries.map((entry) => entry.entity),
+    ["category", "user"]
+  );
+
+  const registration = all.body.entries[1];
+  assert.equal(registration.user_id, null);
+  assert.equal(registration.entity_id, 1001);
+  assert.deepEqual(registration.changes, [
+    { field: "credits", old: null, new: 100 },
+    { field: "user_id", old: null, new: 1001 },
+  ]);
+
+  const byActor = await getAuditLog({ user_id: 8, action_type: "delete" });
+  assert.equal(byActor.body.entries.length, 1);
+  assert.equal(byActor.body.entries[0].entity_id, categoryId);
+
+  const byDate = await getAuditLog({ to: "2026-01-01" });
+  assert.deepEqual(
+    byDate.body.entries.map((entry) => entry.entity),
+    ["user"]
+  );
+});
+
+dbTest("get-audit-log: shows credit changes of a user", async ({ client }) => {
+  await seedRole(client, { role: "moderator", user_id: 9 });
+  await seedRole(client, { role: "moderator", user_id: 7 });
+  await seedUser(client, { user_id: 1001, credits: 100 });
+  const update = await call(updateCreditsHandler, "update-credits", {
+    method: "PUT",
+    asUser: 7,
+    json: {
+      user_id: 1001,
+      action: "subtract",
+      amount: 30,
+      reason: "Penalty",
+      actor_id: 7,
+    },
+  });
+  assert.equal(update.status, 200);
+
+  const { status, body } = await getAuditLog({
+    entity: "user",
+    entity_id: 1001,
+  });
+  assert.equal(status, 200);
+  assert.equal(body.entries.length, 1);
+  assert.equal(body.entries[0].action_type, "UPDATE");
+  assert.deepEqual(body.entries[0].changes, [
+    { field: "credits", old: 100, new: 70 },
+  ]);
+});
+
+dbTest(
+  "get-audit-log: pages with cursors across entities with the same ID",
+  async ({ client }) => {
+    await seedRole(client, { role: "moderator", user_id: 9 });
+    for (const [table, column] of [
+      ["items_audit", "item_id"],
+      ["categories_audit", "category_id"],
+    ]) {
+      await client.execute(
+        `INSERT INTO ${table} (id, ${column}, user_id, action_type, created_at)
+         VALUES (1, 1, 7, 'INSERT', '2026-01-01 00:00:00')`
+      );
+    }
+
+    const first = await getAuditLog({ limit: 1 });
+    const second = await getAuditLog({
+      limit: 1,
+      cursor: first.body.pagination.next_cursor,
+    });
+
+    assert.deepEqual(
+      [...first.body.entries, ...second.body.entries].map(
+        (entry) => entry.entity
+      ),
+      ["item", "category"]
+    );
+    assert.equal(second.body.pagination.next_cursor, null);
+  }
+);
+
+dbTest("get-audit-log: validates the parameters", async () => {
+  const entity = await getAuditLog({ entity: "trade" });
+  assert.equal(entity.status, 400);
+  assert.equal(
+    entity.body.error,
+    "entity must be one of: item, category, user"
+  );
+
+  const orphanId = await getAuditLog({ entity_id: 3 });
+  assert.equal(orphanId.body.error, "entity_id requires entity");
+
+  assert.equal((await getAuditLog({ action_type: "1; DROP" })).status, 400);
+  assert.equal((await getAuditLog({ from: "soon" })).status, 400);
+  assert.equal((await getAuditLog({ page: 0 })).status, 400);
+  assert.equal((await getAuditLog({ cursor: "x" })).status, 400);
+});
+
+dbTest(
+  "get-audit-log: is only for staff with audit.read",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 8 });
+
+    const anonymous = await getAuditLog({}, null);
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.error, "User token is required");
+
+    const member = await getAuditLog({}, 1001);
+    assert.equal(member.status, 403);
+    assert.equal(member.body.permission, "audit.read");
+
+    const shopManager = await getAuditLog({}, 8);
+    assert.equal(shopManager.status, 403);
+
+    await seedRole(client, { role: "admin", user_id: 1 });
+    assert.equal((await getAuditLog({}, 1)).status, 200);
+  }
+);
@@ -0,0 +1,64 @@
+// get-bags.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/get-bags.js";
+import {
+  call,
+  dbTest,
+  seedCategory,
+  seedInventory,
+  seedItem,
+  seedUser,
+} from "./helpers.js";
+
+const getBags = (query) => call(handler, "get-bags", { query });
+
+dbTest("get-bags: returns only the items in the bag", async ({ client }) => {
+  await seedUser(client, { user_id: 1001 });
+  const categoryId = await seedCategory(client);
+  const potionId = await seedItem(client, { categories: [categoryId] });
+  const swordId = await seedItem(client, { name: "Sword" });
+  await seedInventory(client, {
+    user_id: 1001,
+    item_id: potionId,
+    total_quantity: 3,
+    quantity_in_bag: 2,
+  });
+  await seedInventory(client, {
+    user_id: 1001,
+    item_id: swordId,
+    total_quantity: 1,
+  });
+
+  const { status, body } = await getBags({ user_id: 1001 });
+
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.bag.map((item) => [item.id, item.quantity]),
+    [[potionId, 2]]
+  );
+  assert.equal(body.bag[0].categories[0].id, categoryId);
+});
+
+dbTest("get-bags: returns several bags keyed by user", async ({ client }) => {
+  await seedUser(client, { user_id: 1001 });
+  const potionId = await seedItem(client);
+  await seedInventory(client, {
+    user_id: 1001,
+    item_id: potionId,
+    total_quantity: 1,
+    quantity_in_bag: 1,
+  });
+
+  const { status, body } = await getBags({ user_ids: "1001,2002" });
+
+  assert.equal(status, 200);
+  assert.equal(body[1001].bag.length, 1);
+  assert.deepEqual(body[2002].bag, []);
+  assert.equal(body[2002].credits, 100);
+});
+
+dbTest("get-bags: validates the user ids", async () => {
+  assert.equal((await getBags()).status, 400);
+  assert.equal((await getBags({ user_id: "abc" })).status, 400);
+});
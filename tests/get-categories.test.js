@@ -0,0 +1,159 @@
+// get-categories.test.js
+
+import assert from "node:assert/strict";
+import deleteCategoryHandler from "../netlify/edge-functions/delete-category.js";
+import handler from "../netlify/edge-functions/get-categories.js";
+import {
+  call,
+  countQueries,
+  dbTest,
+  seedCategory,
+  seedItem,
+  seedRole,
+} from "./helpers.js";
+
+const getCategories = (query) => call(handler, "get-categories", { query });
+
+dbTest("get-categories: lists categories not deleted", async ({ client }) => {
+  const potionsId = await seedCategory(client);
+  await seedCategory(client, { name: "Old", is_deleted: 1 });
+
+  const { status, body } = await getCategories();
+
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.map((category) => category.id),
+    [potionsId]
+  );
+});
+
+dbTest(
+  "get-categories: returns one category with its items",
+  async ({ client }) => {
+    const categoryId = await seedCategory(client);
+    const itemId = await seedItem(client, { categories: [categoryId] });
+    await seedItem(client, {
+      name: "Deleted",
+      is_deleted: 1,
+      categories: [categoryId],
+    });
+
+    const { status, body } = await getCategories({ id: categoryId });
+
+    assert.equal(status, 200);
+    assert.equal(body.name, "Potions");
+    assert.deepEqual(
+      body.items.map((item) => item.id),
+      [itemId]
+    );
+  }
+);
+
+dbTest(
+  "get-categories: returns 404 for deleted categories",
+  async ({ client }) => {
+    const categoryId = await seedCategory(client, { is_deleted: 1 });
+
+    const { status, body } = await getCategories({ id: categoryId });
+
+    assert.equal(status, 404);
+    assert.equal(body.error, "Category not found");
+  }
+);
+
+dbTest("get-categories: paginates only when asked to", async ({ client }) => {
+  const ids = [];
+  for (const name of ["Potions", "Scrolls", "Weapons"]) {
+    ids.push(await seedCategory(client, { name }));
+  }
+
+  const whole = await getCategories();
+  assert.ok(Array.isArray(whole.body));
+
+  const first = await getCategories({ limit: 2 });
+  assert.deepEqual(
+    first.body.categories.map((category) => category.id),
+    ids.slice(0, 2)
+  );
+  assert.equal(first.body.pagination.total, 3);
+
+  const second = await getCategories({
+    limit: 2,
+    cursor: first.body.pagination.next_cursor,
+  });
+  assert.deepEqual(
+    second.body.categories.map((category) => category.id),
+    ids.slice(2)
+  );
+  assert.equal(second.body.pagination.next_cursor, null);
+
+  const withId = await getCategories({ id: ids[0], limit: 2 });
+  assert.equal(withId.status, 400);
+  assert.equal(withId.body.error, "Pagination is not available with id");
+});
+
+dbTest("get-categories: rejects invalid parameters", async () => {
+  assert.equal((await getCategories({ name: "x" })).status, 400);
+  assert.equal((await getCategories({ id: "abc" })).status, 400);
+});
+
+dbTest(
+  "get-categories: query count does not grow with the number of items",
+  async ({ client }) => {
+    const categoryId = await seedCategory(client);
+    await seedCategory(client, { name: "Scrolls" });
+    for (let i = 0; i < 5; i++) {
+      await seedItem(client, { name: `Potion ${i}`, categories: [categoryId] });
+    }
+
+    const list = await countQueries(client, () => getCategories());
+    const single = await countQueries(client, () =>
+      getCategories({ id: categoryId })
+    );
+
+    assert.equal(list.result.body.length, 2);
+    assert.equal(single.result.body.items.length, 5);
+    // The catalog version comes first
+    assert.equal(list.statements.length, 2);
+    assert.equal(single.statements.length, 3);
+  }
+);
+
+dbTest(
+  "get-categories: writes make cached copies stale",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    await seedCategory(client, { name: "Scrolls" });
+    await client.execute(
+      "UPDATE catalog_version SET updated_at = datetime('now', '-1 minute')"
+    );
+
+    const first = await getCategories();
+    const etag = first.headers.get("ETag");
+    const lastModified = first.headers.get("Last-Modified");
+
+    const cached = await call(handler, "get-categories", {
+      headers: { "If-None-Match": `W/${etag}` },
+    });
+    assert.equal(cached.status, 304);
+    assert.equal(cached.headers.get("ETag"), etag);
+
+    const notModifiedSince = await call(handler, "get-categories", {
+      headers: { "If-Modified-Since": lastModified },
+    });
+    assert.equal(notModifiedSince.status, 304);
+
+    await call(deleteCategoryHandler, "delete-category", {
+      method: "DELETE",
+      asUser: 7,
+      json: { id: categoryId, user_id: 7 },
+    });
+
+    const stale = await call(handler, "get-categories", {
+      headers: { "If-None-Match": etag },
+    });
+    assert.equal(stale.status, 200);
+    assert.equal(stale.body.length, 1);
+  }
+);
@@ -0,0 +1,133 @@
+// get-inventories.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/get-inventories.js";
+import {
+  call,
+  dbTest,
+  queryAll,
+  seedCategory,
+  seedInventory,
+  seedItem,
+  seedUser,
+} from "./helpers.js";
+
+const getInventories = (query) => call(handler, "get-inventories", { query });
+
+dbTest(
+  "get-inventories: splits the inventory from the bag",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 40 });
+    const categoryId = await seedCategory(client);
+    const potionId = await seedItem(client, { categories: [categoryId] });
+    const swordId = await seedItem(client, { name: "Sword" });
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 3,
+      quantity_in_bag: 1,
+    });
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: swordId,
+      total_quantity: 1,
+      quantity_in_bag: 1,
+    });
+
+    const { status, body } = await getInventories({ user_id: 1001 });
+
+    assert.equal(status, 200);
+    assert.equal(body.credits, 40);
+    assert.deepEqual(
+      body.inventory.map((item) => [item.id, item.quantity]),
+      [[potionId, 2]]
+    );
+    assert.deepEqual(
+      body.bag.map((item) => [item.id, item.quantity]),
+      [
+        [potionId, 1],
+        [swordId, 1],
+      ]
+    );
+    assert.equal(body.inventory[0].categories[0].id, categoryId);
+  }
+);
+
+dbTest("get-inventories: registers unknown users", async ({ client }) => {
+  const { status, body } = await getInventories({ user_id: 2002 });
+
+  assert.equal(status, 200);
+  assert.equal(body.credits, 100);
+  assert.deepEqual(body.inventory, []);
+
+  const audit = await queryAll(
+    client,
+    "SELECT action_type FROM users_audit WHERE user_id = 2002"
+  );
+  assert.equal(audit.length, 1);
+
+  const ledger = await queryAll(
+    client,
+    "SELECT delta, reason FROM credit_ledger WHERE user_id = 2002"
+  );
+  assert.deepEqual(
+    ledger.map((row) => [row.delta, row.reason]),
+    [[100, "registration"]]
+  );
+});
+
+dbTest("get-inventories: returns several users by id", async ({ client }) => {
+  await seedUser(client, { user_id: 1001 });
+
+  const { status, body } = await getInventories({ user_ids: "1001,2002" });
+
+  assert.equal(status, 200);
+  assert.deepEqual(Object.keys(body).sort(), ["1001", "2002"]);
+});
+
+dbTest(
+  "get-inventories: paginates one user's items when asked to",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001 });
+    for (const name of ["Amulet", "Bow", "Cloak"]) {
+      const itemId = await seedItem(client, { name });
+      await seedInventory(client, {
+        user_id: 1001,
+        item_id: itemId,
+        total_quantity: 2,
+        quantity_in_bag: 1,
+      });
+    }
+    const names = (items) => items.map((item) => item.name);
+
+    const first = await getInventories({ user_id: 1001, limit: 2 });
+    assert.deepEqual(names(first.body.inventory), ["Amulet", "Bow"]);
+    assert.deepEqual(names(first.body.bag), ["Amulet", "Bow"]);
+    assert.equal(first.body.pagination.total, 3);
+
+    const second = await getInventories({
+      user_id: 1001,
+      limit: 2,
+      cursor: first.body.pagination.next_cursor,
+    });
+    assert.deepEqual(names(second.body.inventory), ["Cloak"]);
+    assert.equal(second.body.pagination.next_cursor, null);
+
+    const newUser = await getInventories({ user_id: 2002, limit: 2 });
+    assert.deepEqual(newUser.body.inventory, []);
+    assert.equal(newUser.body.pagination.total, 0);
+
+    const several = await getInventories({ user_ids: "1001,2002", limit: 2 });
+    assert.equal(several.status, 400);
+    assert.equal(
+      several.body.error,
+      "Pagination is only available with user_id"
+    );
+  }
+);
+
+dbTest("get-inventories: validates the user ids", async () => {
+  assert.equal((await getInventories()).status, 400);
+  assert.equal((await getInventories({ user_id: "abc" })).status, 400);
+  assert.equal((await getInventories({ user_ids: "1,abc" })).status, 400);
+});
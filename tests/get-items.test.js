@@ -0,0 +1,470 @@
+// get-items.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/get-items.js";
+import {
+  call,
+  countQueries,
+  dbTest,
+  seedCategory,
+  seedItem,
+} from "./helpers.js";
+
+const getItems = (query) => call(handler, "get-items", { query });
+
+dbTest(
+  "get-items: returns one item with its categories and stock status",
+  async ({ client }) => {
+    const categoryId = await seedCategory(client);
+    const deletedCategoryId = await seedCategory(client, {
+      name: "Old",
+      is_deleted: 1,
+    });
+    const itemId = await seedItem(client, {
+      stock: 0,
+      categories: [categoryId, deletedCategoryId],
+    });
+
+    const { status, body } = await getItems({ id: itemId });
+
+    assert.equal(status, 200);
+    assert.equal(body.id, itemId);
+    assert.equal(body.sold_out, true);
+    assert.deepEqual(
+      body.categories.map((category) => category.id),
+      [categoryId]
+    );
+  }
+);
+
+dbTest("get-items: paginates the item list", async ({ client }) => {
+  const categoryId = await seedCategory(client);
+  for (let i = 0; i < 5; i++) {
+    await seedItem(client, { name: `Item ${i}`, categories: [categoryId] });
+  }
+  await seedItem(client, { name: "Deleted", is_deleted: 1 });
+
+  const { status, body } = await getItems({ page: 2, limit: 2 });
+
+  assert.equal(status, 200);
+  assert.equal(body.items.length, 2);
+  const { next_cursor, prev_cursor, ...pages } = body.pagination;
+  assert.deepEqual(pages, { total: 5, page: 2, limit: 2, pages: 3 });
+  assert.equal(typeof next_cursor, "string");
+  assert.equal(typeof prev_cursor, "string");
+  assert.equal(body.items[0].sold_out, false);
+  assert.equal(body.items[0].categories.length, 1);
+});
+
+dbTest(
+  "get-items: filters by category and active status",
+  async ({ client }) => {
+    const potionsId = await seedCategory(client);
+    const weaponsId = await seedCategory(client, { name: "Weapons" });
+    const potionId = await seedItem(client, { categories: [potionsId] });
+    await seedItem(client, {
+      name: "Hidden potion",
+      is_active: 0,
+      categories: [potionsId],
+    });
+    await seedItem(client, { name: "Sword", categories: [weaponsId] });
+
+    const { body } = await getItems({
+      category_id: potionsId,
+      is_active: "true",
+    });
+
+    assert.deepEqual(
+      body.items.map((item) => item.id),
+      [potionId]
+    );
+    assert.equal(body.pagination.total, 1);
+  }
+);
+
+dbTest("get-items: returns 404 for unknown items", async () => {
+  const { status, body } = await getItems({ id: 99 });
+
+  assert.equal(status, 404);
+  assert.equal(body.error, "Item not found");
+});
+
+dbTest("get-items: rejects unknown and invalid parameters", async () => {
+  assert.equal(
+    (await getItems({ color: "red" })).body.error,
+    "Invalid parameter: color"
+  );
+  assert.equal((await getItems({ id: "abc" })).status, 400);
+  assert.equal(
+    (await getItems({ limit: 101 })).body.error,
+    "Invalid limit value"
+  );
+  assert.equal((await getItems({ page: 0 })).body.error, "Invalid page number");
+  assert.equal((await getItems({ category_id: "1,x" })).status, 400);
+  assert.equal((await getItems({ category_match: "some" })).status, 400);
+  assert.equal((await getItems({ min_price: 10, max_price: 5 })).status, 400);
+  assert.equal(
+    (await getItems({ q: "***" })).body.error,
+    "Invalid search query"
+  );
+  assert.equal(
+    (await getItems({ sort: "relevance" })).body.error,
+    "sort must be one of: newest, price_asc, price_desc, name, popularity"
+  );
+});
+
+dbTest("get-items: searches names and descriptions", async ({ client }) => {
+  const potionId = await seedItem(client, {
+    name: "Health potion",
+    description: "Restores 50 health",
+  });
+  const elixirId = await seedItem(client, {
+    name: "Elixir",
+    description: "A potion that restores health and mana",
+  });
+  const swordId = await seedItem(client, {
+    name: "Sword",
+    description: "Sharp",
+  });
+  await client.execute({
+    sql: "UPDATE items SET name = 'Mana elixir' WHERE id = ?",
+    args: [elixirId],
+  });
+
+  const search = async (q) =>
+    (await getItems({ q })).body.items.map((item) => item.id);
+
+  assert.deepEqual(await search("potion"), [potionId, elixirId]);
+  assert.deepEqual(await search("pot heal"), [potionId, elixirId]);
+  assert.deepEqual(await search("mana"), [elixirId]);
+  // Quotes and operators are treated as plain words
+  assert.deepEqual(await search('"sword" OR'), []);
+  assert.deepEqual(await search("sword"), [swordId]);
+});
+
+dbTest(
+  "get-items: filters by price and several categories",
+  async ({ client }) => {
+    const potionsId = await seedCategory(client);
+    const rareId = await seedCategory(client, { name: "Rare" });
+    const potionId = await seedItem(client, {
+      price: 10,
+      categories: [potionsId],
+    });
+    const rareId2 = await seedItem(client, {
+      name: "Rare potion",
+      price: 50,
+      categories: [potionsId, rareId],
+    });
+    const relicId = await seedItem(client, {
+      name: "Relic",
+      price: 80,
+      categories: [rareId],
+    });
+
+    const ids = async (query) =>
+      (await getItems({ sort: "price_asc", ...query })).body.items.map(
+        (item) => item.id
+      );
+
+    assert.deepEqual(await ids({ category_id: `${potionsId},${rareId}` }), [
+      potionId,
+      rareId2,
+      relicId,
+    ]);
+    assert.deepEqual(
+      await ids({
+        category_id: `${potionsId},${rareId}`,
+        category_match: "all",
+      }),
+      [rareId2]
+    );
+    assert.deepEqual(await ids({ min_price: 20, max_price: 60 }), [rareId2]);
+    assert.deepEqual(await ids({ max_price: 10 }), [potionId]);
+  }
+);
+
+dbTest("get-items: sorts by price, name and popularity", async ({ client }) => {
+  const cheapId = await seedItem(client, { name: "b cheap", price: 5 });
+  const dearId = await seedItem(client, { name: "C dear", price: 50 });
+  const midId = await seedItem(client, { name: "a mid", price: 20 });
+  const transaction = await client.execute(
+    `INSERT INTO purchase_transactions
+     (user_id, credits_before, credits_after, total_credits_spent)
+     VALUES (1001, 100, 0, 100)`
+  );
+  await client.execute({
+    sql: `INSERT INTO purchase_items
+          (transaction_id, item_id, quantity, item_price, refunded_quantity)
+          VALUES (?, ?, 3, 20, 0), (?, ?, 5, 5, 4)`,
+    args: [
+      Number(transaction.lastInsertRowid),
+      midId,
+      Number(transaction.lastInsertRowid),
+      cheapId,
+    ],
+  });
+
+  const sorted = async (sort) =>
+    (await getItems({ sort })).body.items.map((item) => item.id);
+
+  assert.deepEqual(await sorted("price_asc"), [cheapId, midId, dearId]);
+  assert.deepEqual(await sorted("price_desc"), [dearId, midId, cheapId]);
+  assert.deepEqual(await sorted("name"), [midId, cheapId, dearId]);
+  assert.deepEqual(await sorted("newest"), [midId, dearId, cheapId]);
+  assert.deepEqual(await sorted("popularity"), [midId, cheapId, dearId]);
+});
+
+dbTest(
+  "get-items: loads the categories of a page in one query",
+  async ({ client }) => {
+    const potionsId = await seedCategory(client);
+    const scrollsId = await seedCategory(client, { name: "Scrolls" });
+    for (let i = 0; i < 5; i++) {
+      await seedItem(client, {
+        name: `Potion ${i}`,
+        categories: [potionsId, scrollsId],
+      });
+    }
+
+    const small = await countQueries(client, () => getItems({ limit: 2 }));
+    const large = await countQueries(client, () => getItems({ limit: 5 }));
+    const filtered = await countQueries(client, () =>
+      getItems({ category_id: potionsId, q: "potion", sort: "popularity" })
+    );
+
+    assert.equal(large.result.body.items.length, 5);
+    assert.deepEqual(
+      large.result.body.items[0].categories.map((category) => category.id),
+      [potionsId, scrollsId]
+    );
+    // Catalog version, page count, page rows and their categories, whatever
+    // the page size
+    assert.equal(small.statements.length, 4);
+    assert.equal(large.statements.length, 4);
+    assert.equal(filtered.statements.length, 4);
+  }
+);
+
+dbTest(
+  "get-items: leaves Last-Modified out in the second of a change",
+  async ({ client }) => {
+    await seedItem(client);
+
+    const fresh = await getItems({});
+    assert.equal(fresh.headers.get("Last-Modified"), null);
+    assert.ok(fresh.headers.get("ETag"));
+
+    const sameSecond = await call(handler, "get-items", {
+      headers: { "If-Modified-Since": new Date().toUTCString() },
+    });
+    assert.equal(sameSecond.status, 200);
+
+    await client.execute(
+      "UPDATE catalog_version SET updated_at = datetime('now', '-1 minute')"
+    );
+    const settled = await getItems({});
+    const notModified = await call(handler, "get-items", {
+      headers: { "If-Modified-Since": settled.headers.get("Last-Modified") },
+    });
+    assert.equal(notModified.status, 304);
+  }
+);
+
+dbTest("get-items: loads one item in three queries", async ({ client }) => {
+  const categoryId = await seedCategory(client);
+  const itemId = await seedItem(client, { categories: [categoryId] });
+
+  const { result, statements } = await countQueries(client, () =>
+    getItems({ id: itemId })
+  );
+
+  assert.equal(result.status, 200);
+  assert.equal(statements.length, 3);
+});
+
+dbTest(
+  "get-items: skips the categories query for empty pages",
+  async ({ client }) => {
+    const { result, statements } = await countQueries(client, () =>
+      getItems({ q: "nothing" })
+    );
+
+    assert.deepEqual(result.body.items, []);
+    assert.equal(statements.length, 3);
+  }
+);
+
+dbTest(
+  "get-items: cursors do not skip or repeat items added meanwhile",
+  async ({ client }) => {
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      ids.push(await seedItem(client, { name: `Item ${i}` }));
+    }
+    const names = (body) => body.items.map((item) => item.name);
+
+    const first = await getItems({ limit: 2 });
+    assert.deepEqual(names(first.body), ["Item 4", "Item 3"]);
+    assert.equal(first.body.pagination.prev_cursor, null);
+
+    // A new item on top would push Item 3 onto the next OFFSET page
+    await seedItem(client, { name: "New" });
+
+    const second = await getItems({
+      limit: 2,
+      cursor: first.body.pagination.next_cursor,
+    });
+    assert.deepEqual(names(second.body), ["Item 2", "Item 1"]);
+    assert.equal(second.body.pagination.page, null);
+
+    const third = await getItems({
+      limit: 2,
+      cursor: second.body.pagination.next_cursor,
+    });
+    assert.deepEqual(names(third.body), ["Item 0"]);
+    assert.equal(third.body.pagination.next_cursor, null);
+
+    const back = await getItems({
+      limit: 2,
+      cursor: third.body.pagination.prev_cursor,
+    });
+    assert.deepEqual(names(back.body), ["Item 2", "Item 1"]);
+
+    const top = await getItems({
+      limit: 2,
+      cursor: back.body.pagination.prev_cursor,
+    });
+    assert.deepEqual(names(top.body), ["Item 4", "Item 3"]);
+    assert.equal(typeof top.body.pagination.prev_cursor, "string");
+  }
+);
+
+dbTest("get-items: cursors follow the chosen sort", async ({ client }) => {
+  for (const [name, price] of [
+    ["Cheap", 5],
+    ["Mid A", 10],
+    ["Mid B", 10],
+    ["Dear", 20],
+  ]) {
+    await seedItem(client, { name, price });
+  }
+
+  const first = await getItems({ sort: "price_asc", limit: 2 });
+  const second = await getItems({
+    sort: "price_asc",
+    limit: 2,
+    cursor: first.body.pagination.next_cursor,
+  });
+
+  assert.deepEqual(
+    [...first.body.items, ...second.body.items].map((item) => item.name),
+    ["Cheap", "Mid B", "Mid A", "Dear"]
+  );
+
+  const otherSort = await getItems({
+    sort: "name",
+    cursor: first.body.pagination.next_cursor,
+  });
+  assert.equal(otherSort.status, 400);
+  assert.equal(otherSort.body.error, "Invalid cursor");
+});
+
+dbTest(
+  "get-items: popularity cursors skip items that sell past them",
+  async ({ client }) => {
+    const ids = {};
+    for (const name of ["Top", "Middle", "Bottom"]) {
+      ids[name] = await seedItem(client, { name });
+    }
+    const transaction = await client.execute(
+      `INSERT INTO purchase_transactions
+       (user_id, credits_before, credits_after, total_credits_spent)
+       VALUES (1001, 100, 0, 100)`
+    );
+    const sell = (itemId, quantity) =>
+      client.execute({
+        sql: `INSERT INTO purchase_items
+              (transaction_id, item_id, quantity, item_price)
+              VALUES (?, ?, ?, 1)`,
+        args: [Number(transaction.lastInsertRowid), itemId, quantity],
+      });
+    await sell(ids.Top, 5);
+    await sell(ids.Middle, 3);
+    await sell(ids.Bottom, 1);
+
+    const first = await getItems({ sort: "popularity", limit: 1 });
+    assert.deepEqual(
+      first.body.items.map((item) => item.name),
+      ["Top"]
+    );
+
+    // Bottom now outsells the last item of the first page
+    await sell(ids.Bottom, 10);
+
+    const second = await getItems({
+      sort: "popularity",
+      limit: 2,
+      cursor: first.body.pagination.next_cursor,
+    });
+    assert.equal(second.status, 200);
+    assert.deepEqual(
+      second.body.items.map((item) => item.name),
+      ["Middle"]
+    );
+    assert.equal(second.body.pagination.next_cursor, null);
+  }
+);
+
+dbTest("get-items: rejects invalid cursors", async () => {
+  assert.equal(
+    (await getItems({ cursor: "nope" })).body.error,
+    "Invalid cursor"
+  );
+  assert.equal(
+    (await getItems({ cursor: btoa("{}") })).body.error,
+    "Invalid cursor"
+  );
+  assert.equal(
+    (await getItems({ cursor: "abc", page: 2 })).body.error,
+    "cursor and page cannot be combined"
+  );
+});
+
+dbTest(
+  "get-items: answers 304 until the catalog changes",
+  async ({ client }) => {
+    const itemId = await seedItem(client);
+    await client.execute(
+      "UPDATE catalog_version SET updated_at = datetime('now', '-1 minute')"
+    );
+
+    const first = await getItems({});
+    const etag = first.headers.get("ETag");
+    assert.match(etag, /^"catalog-\d+"$/);
+    assert.ok(first.headers.get("Last-Modified"));
+    assert.equal(
+      first.headers.get("Cache-Control"),
+      "public, max-age=0, must-revalidate"
+    );
+
+    const { result, statements } = await countQueries(client, () =>
+      call(handler, "get-items", { headers: { "If-None-Match": etag } })
+    );
+    assert.equal(result.status, 304);
+    assert.equal(result.body, null);
+    assert.equal(statements.length, 1);
+
+    await client.execute({
+      sql: "UPDATE items SET price = 99 WHERE id = ?",
+      args: [itemId],
+    });
+
+    const changed = await call(handler, "get-items", {
+      headers: { "If-None-Match": etag },
+    });
+    assert.equal(changed.status, 200);
+    assert.notEqual(changed.headers.get("ETag"), etag);
+    assert.equal(changed.body.items[0].price, 99);
+  }
+);
@@ -0,0 +1,180 @@
+// get-purchases.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/get-purchases.js";
+import { call, dbTest, seedItem, seedRole } from "./helpers.js";
+
+const getPurchases = (query, asUser = 7) =>
+  call(handler, "get-purchases", { method: "GET", query, asUser });
+
+/**
+ * Inserts a purchase transaction with its lines.
+ * @param {Object} client - Database client.
+ * @param {Object} purchase - user_id, created_at and lines.
+ * @returns {Promise<number>} Transaction ID.
+ */
+const seedPurchase = async (client, { user_id, created_at, lines }) => {
+  const total = lines.reduce(
+    (sum, line) => sum + line.price * line.quantity,
+    0
+  );
+  const response = await client.execute({
+    sql: `INSERT INTO purchase_transactions
+          (user_id, credits_before, credits_after, total_credits_spent, created_at)
+          VALUES (?, 100, ?, ?, ?)`,
+    args: [user_id, 100 - total, total, created_at],
+  });
+  const transactionId = Number(response.lastInsertRowid);
+
+  for (const line of lines) {
+    await client.execute({
+      sql: `INSERT INTO purchase_items (transaction_id, item_id, quantity, item_price)
+            VALUES (?, ?, ?, ?)`,
+      args: [transactionId, line.item_id, line.quantity, line.price],
+    });
+  }
+  return transactionId;
+};
+
+/**
+ * Seeds three purchases by two users over three days.
+ * @param {Object} client - Database client.
+ * @returns {Promise<Object>} Item and transaction IDs.
+ */
+const seedHistory = async (client) => {
+  await seedRole(client, { role: "moderator", user_id: 7 });
+  const potionId = await seedItem(client, { price: 10 });
+  const swordId = await seedItem(client, { name: "Sword", price: 25 });
+
+  const first = await seedPurchase(client, {
+    user_id: 1001,
+    created_at: "2026-01-01 10:00:00",
+    lines: [{ item_id: potionId, quantity: 2, price: 10 }],
+  });
+  const second = await seedPurchase(client, {
+    user_id: 1001,
+    created_at: "2026-01-02 10:00:00",
+    lines: [
+      { item_id: potionId, quantity: 1, price: 10 },
+      { item_id: swordId, quantity: 1, price: 25 },
+    ],
+  });
+  const third = await seedPurchase(client, {
+    user_id: 1002,
+    created_at: "2026-01-03 10:00:00",
+    lines: [{ item_id: swordId, quantity: 1, price: 25 }],
+  });
+
+  return { potionId, swordId, first, second, third };
+};
+
+dbTest(
+  "get-purchases: returns transactions with named item lines",
+  async ({ client }) => {
+    const { potionId, swordId, first, second, third } = await seedHistory(
+      client
+    );
+
+    const { status, body } = await getPurchases({});
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.purchases.map((purchase) => purchase.id),
+      [third, second, first]
+    );
+    assert.deepEqual(body.pagination, {
+      total: 3,
+      page: 1,
+      limit: 20,
+      pages: 1,
+      next_cursor: null,
+      prev_cursor: null,
+    });
+
+    const receipt = body.purchases[1];
+    assert.equal(receipt.user_id, 1001);
+    assert.equal(receipt.total_credits_spent, 35);
+    assert.equal(receipt.status, "completed");
+    assert.deepEqual(
+      receipt.items.map((line) => [line.item_id, line.name, line.quantity]),
+      [
+        [potionId, "Health potion", 1],
+        [swordId, "Sword", 1],
+      ]
+    );
+    assert.ok(receipt.items[0].image);
+  }
+);
+
+dbTest("get-purchases: filters and paginates", async ({ client }) => {
+  const { swordId, first, second, third } = await seedHistory(client);
+  const ids = (body) => body.purchases.map((purchase) => purchase.id);
+
+  const byUser = await getPurchases({ user_id: 1001 });
+  assert.deepEqual(ids(byUser.body), [second, first]);
+
+  const byItem = await getPurchases({ item_id: swordId });
+  assert.deepEqual(ids(byItem.body), [third, second]);
+  // The whole receipt is returned, not only the matching line
+  assert.equal(byItem.body.purchases[1].items.length, 2);
+
+  const byDate = await getPurchases({ from: "2026-01-02", to: "2026-01-02" });
+  assert.deepEqual(ids(byDate.body), [second]);
+
+  const byAmount = await getPurchases({ min_amount: 21, max_amount: 30 });
+  assert.deepEqual(ids(byAmount.body), [third]);
+
+  const page = await getPurchases({ limit: 2, page: 2 });
+  assert.deepEqual(ids(page.body), [first]);
+  assert.equal(page.body.pagination.pages, 2);
+
+  const firstPage = await getPurchases({ limit: 2 });
+  const nextPage = await getPurchases({
+    limit: 2,
+    cursor: firstPage.body.pagination.next_cursor,
+  });
+  assert.deepEqual(ids(nextPage.body), [first]);
+  assert.equal(nextPage.body.pagination.next_cursor, null);
+
+  const single = await getPurchases({ id: first });
+  assert.deepEqual(ids(single.body), [first]);
+});
+
+dbTest(
+  "get-purchases: users read only their own purchases",
+  async ({ client }) => {
+    const { first, second } = await seedHistory(client);
+
+    const own = await getPurchases({ user_id: 1001 }, 1001);
+    assert.equal(own.status, 200);
+    assert.deepEqual(
+      own.body.purchases.map((purchase) => purchase.id),
+      [second, first]
+    );
+
+    const anonymous = await getPurchases({ user_id: 1001 }, null);
+    assert.equal(anonymous.status, 401);
+
+    const other = await getPurchases({ user_id: 1001 }, 1002);
+    assert.equal(other.status, 403);
+    assert.equal(other.body.permission, "purchases.read");
+
+    const everyone = await getPurchases({}, 1001);
+    assert.equal(everyone.status, 403);
+    assert.equal(everyone.body.permission, "purchases.read");
+
+    const byId = await getPurchases({ id: first }, 1001);
+    assert.equal(byId.status, 403);
+  }
+);
+
+dbTest("get-purchases: validates the parameters", async () => {
+  const unknown = await getPurchases({ sort: "price" });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error, "Invalid parameter: sort");
+
+  assert.equal((await getPurchases({ user_id: "abc" })).status, 400);
+  assert.equal((await getPurchases({ from: "yesterday" })).status, 400);
+  assert.equal((await getPurchases({ min_amount: "x" })).status, 400);
+  assert.equal((await getPurchases({ limit: 500 })).status, 400);
+});
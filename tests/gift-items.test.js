@@ -0,0 +1,228 @@
+// gift-items.test.js
+
+import assert from "node:assert/strict";
+import getInventoriesHandler from "../netlify/edge-functions/get-inventories.js";
+import handler from "../netlify/edge-functions/gift-items.js";
+import {
+  call,
+  dbTest,
+  queryAll,
+  seedInventory,
+  seedItem,
+  seedUser,
+} from "./helpers.js";
+
+const gift = (json) =>
+  call(handler, "gift-items", {
+    method: "POST",
+    json,
+    asUser: json.from_user_id,
+  });
+
+/**
+ * Reads a user's inventory rows as [item_id, total, in bag] tuples.
+ * @param {Object} client - Database client.
+ * @param {number} userId - Inventory owner.
+ * @returns {Promise<Array>} Inventory rows.
+ */
+const inventoryOf = async (client, userId) => {
+  const rows = await queryAll(
+    client,
+    "SELECT item_id, total_quantity, quantity_in_bag FROM inventory WHERE user_id = ? ORDER BY item_id",
+    [userId]
+  );
+  return rows.map((row) => [
+    row.item_id,
+    row.total_quantity,
+    row.quantity_in_bag,
+  ]);
+};
+
+dbTest(
+  "gift-items: moves items to the recipient and audits both sides",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001 });
+    await seedUser(client, { user_id: 2002 });
+    const potionId = await seedItem(client);
+    const swordId = await seedItem(client, { name: "Sword" });
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 3,
+    });
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: swordId,
+      total_quantity: 1,
+    });
+    await seedInventory(client, {
+      user_id: 2002,
+      item_id: potionId,
+      total_quantity: 1,
+      quantity_in_bag: 1,
+    });
+
+    const { status, body } = await gift({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      items: [
+        { item_id: potionId, quantity: 2 },
+        { item_id: swordId, quantity: 1 },
+      ],
+      note: "Happy birthday",
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.note, "Happy birthday");
+    assert.deepEqual(await inventoryOf(client, 1001), [[potionId, 1, 0]]);
+    assert.deepEqual(await inventoryOf(client, 2002), [
+      [potionId, 3, 1],
+      [swordId, 1, 0],
+    ]);
+
+    const audit = await queryAll(
+      client,
+      `SELECT user_id, item_id, delta, reason FROM inventory_audit
+       WHERE reference_type = 'gift' AND reference_id = ? ORDER BY id`,
+      [body.id]
+    );
+    assert.deepEqual(
+      audit.map((row) => [row.user_id, row.item_id, row.delta, row.reason]),
+      [
+        [1001, potionId, -2, "gift_sent"],
+        [2002, potionId, 2, "gift_received"],
+        [1001, swordId, -1, "gift_sent"],
+        [2002, swordId, 1, "gift_received"],
+      ]
+    );
+  }
+);
+
+dbTest(
+  "gift-items: gifted items show up in the recipient's inventory",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001 });
+    const potionId = await seedItem(client);
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 2,
+    });
+
+    const sent = await gift({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      items: [{ item_id: potionId, quantity: 1 }],
+    });
+    assert.equal(sent.status, 201);
+
+    const { body } = await call(getInventoriesHandler, "get-inventories", {
+      query: { user_ids: "1001,2002" },
+    });
+    for (const userId of [1001, 2002]) {
+      assert.deepEqual(
+        body[userId].inventory.map((item) => [item.id, item.quantity]),
+        [[potionId, 1]]
+      );
+    }
+  }
+);
+
+dbTest(
+  "gift-items: registers recipients seen for the first time",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001 });
+    const potionId = await seedItem(client);
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 1,
+    });
+
+    const { status } = await gift({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      items: [{ item_id: potionId, quantity: 1 }],
+    });
+
+    assert.equal(status, 201);
+    const users = await queryAll(
+      client,
+      "SELECT credits FROM users WHERE user_id = 2002"
+    );
+    assert.equal(users[0].credits, 100);
+  }
+);
+
+dbTest(
+  "gift-items: cannot give items that are in the bag",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001 });
+    const potionId = await seedItem(client);
+    const swordId = await seedItem(client, { name: "Sword" });
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 2,
+    });
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: swordId,
+      total_quantity: 1,
+      quantity_in_bag: 1,
+    });
+
+    const { status, body } = await gift({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      items: [
+        { item_id: potionId, quantity: 1 },
+        { item_id: swordId, quantity: 1 },
+      ],
+    });
+
+    assert.equal(status, 409);
+    assert.equal(
+      body.error,
+      `User 1001 does not have 1 of item ${swordId} available`
+    );
+    assert.deepEqual(await inventoryOf(client, 1001), [
+      [potionId, 2, 0],
+      [swordId, 1, 1],
+    ]);
+    assert.deepEqual(await inventoryOf(client, 2002), []);
+    assert.equal(
+      (await queryAll(client, "SELECT id FROM item_gifts")).length,
+      0
+    );
+  }
+);
+
+dbTest("gift-items: validates the request", async () => {
+  const self = await gift({
+    from_user_id: 1001,
+    to_user_id: 1001,
+    items: [{ item_id: 1, quantity: 1 }],
+  });
+  assert.equal(self.status, 400);
+
+  const empty = await gift({ from_user_id: 1001, to_user_id: 2002, items: [] });
+  assert.equal(empty.body.error, "items must be a non-empty array");
+
+  const duplicate = await gift({
+    from_user_id: 1001,
+    to_user_id: 2002,
+    items: [
+      { item_id: 1, quantity: 1 },
+      { item_id: 1, quantity: 2 },
+    ],
+  });
+  assert.equal(duplicate.body.error, "Duplicate item 1 in items");
+
+  const quantity = await gift({
+    from_user_id: 1001,
+    to_user_id: 2002,
+    items: [{ item_id: 1, quantity: 0 }],
+  });
+  assert.equal(quantity.status, 400);
+});
@@ -0,0 +1,403 @@
+// helpers.js
+//
+// Test harness for the edge functions. Each test gets a fresh SQLite file with
+// every migration applied, the environment variables the handlers read, and
+// optionally a local fake of the ImageKit upload API.
+
+import { createClient } from "npm:@libsql/client@0.6.0/node";
+import { runMigrations } from "../db/migrate.js";
+import { signUserToken } from "../netlify/edge-functions/_shared/tokens.js";
+
+export const API_KEY = "test-api-key";
+export const CRON_JOB_KEY = "test-cron-key";
+export const FORUM_URL = "https://forum.test";
+export const CRON_JOB_URL = "https://cron.test";
+export const TOKEN_ISSUER_KEY = "test-issuer-key";
+
+/**
+ * Creates a migrated SQLite database in a temporary file and points the
+ * handlers at it.
+ * @returns {Promise<Object>} Database client, URL and a close function.
+ */
+export const setupDatabase = async () => {
+  const path = await Deno.makeTempFile({ suffix: ".db" });
+  const url = `file:${path}`;
+  const client = createClient({ url });
+
+  await runMigrations(client);
+
+  Deno.env.set("TURSO_URL", url);
+  Deno.env.set("TURSO_AUTH_TOKEN", "");
+  Deno.env.set("API_KEY", API_KEY);
+  Deno.env.set("FORUM_URL", FORUM_URL);
+  Deno.env.set("CRON_JOB_KEY", CRON_JOB_KEY);
+  Deno.env.set("CRON_JOB_URL", CRON_JOB_URL);
+  Deno.env.set("IMAGEKIT_PRIVATE_KEY", "test-private-key");
+  Deno.env.set("TOKEN_ISSUER_KEY", TOKEN_ISSUER_KEY);
+  Deno.env.set("USER_TOKEN_SECRET", "test-token-secret");
+
+  return {
+    client,
+    url,
+    close: async () => {
+      client.close();
+      await Deno.remove(path).catch(() => {});
+    },
+  };
+};
+
+/**
+ * Registers a test that runs against a fresh database.
+ * @param {string} name - Test name.
+ * @param {Function} fn - Receives the database from setupDatabase.
+ */
+export const dbTest = (name, fn) => {
+  Deno.test(name, async () => {
+    const db = await setupDatabase();
+    try {
+      await fn(db);
+    } finally {
+      await db.close();
+    }
+  });
+};
+
+/**
+ * Starts a local fake of the ImageKit upload endpoint and points
+ * IMAGEKIT_UPLOAD_URL at it.
+ * @param {Object} [options] - Fake options.
+ * @param {boolean} [options.fail=false] - Reject every upload with a 500.
+ * @returns {Object} Recorded uploads and a close function.
+ */
+export const startFakeImageKit = ({ fail = false } = {}) => {
+  const uploads = [];
+  const server = Deno.serve(
+    { hostname: "127.0.0.1", port: 0, onListen: () => {} },
+    async (request) => {
+      const formData = await request.formData();
+      const fileName = formData.get("fileName");
+      uploads.push({
+        fileName,
+        transformation: JSON.parse(formData.get("transformation")),
+        authorization: request.headers.get("Authorization"),
+      });
+
+      if (fail) {
+        return new Response("Upload rejected", {
+          status: 500,
+          statusText: "Internal Server Error",
+        });
+      }
+      return Response.json({ url: `https://ik.imagekit.test/${fileName}` });
+    }
+  );
+
+  Deno.env.set(
+    "IMAGEKIT_UPLOAD_URL",
+    `http://127.0.0.1:${server.addr.port}/api/v1/files/upload`
+  );
+
+  return {
+    uploads,
+    close: () => server.shutdown(),
+  };
+};
+
+/**
+ * Registers a test that runs against a fresh database with the fake ImageKit
+ * server up.
+ * @param {string} name - Test name.
+ * @param {Function} fn - Receives the database and the fake server.
+ * @param {Object} [options] - Fake server options, see startFakeImageKit.
+ */
+export const imageKitTest = (name, fn, options) => {
+  dbTest(name, async (db) => {
+    const imageKit = startFakeImageKit(options);
+    try {
+      await fn(db, imageKit);
+    } finally {
+      await imageKit.close();
+    }
+  });
+};
+
+/**
+ * Creates a small image file for multipart requests.
+ * @param {string} [name="image.png"] - File name.
+ * @param {string} [type="image/png"] - MIME type.
+ * @returns {File} Image file.
+ */
+export const imageFile = (name = "image.png", type = "image/png") => {
+  return new File([new Uint8Array([137, 80, 78, 71])], name, { type });
+};
+
+/**
+ * Converts a plain object to FormData. Array values are appended one by one.
+ * @param {Object} fields - Form fields.
+ * @returns {FormData} Form data.
+ */
+const toFormData = (fields) => {
+  const formData = new FormData();
+  for (const [key, value] of Object.entries(fields)) {
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((entry) =>
+      formData.append(key, entry instanceof File ? entry : String(entry))
+    );
+  }
+  return formData;
+};
+
+/**
+ * Builds a request for an edge function route.
+ * @param {string} route - Route path without the leading slash.
+ * @param {Object} [options] - Request options.
+ * @param {string} [options.method="GET"] - HTTP method.
+ * @param {Object} [options.query] - Query string parameters.
+ * @param {*} [options.json] - JSON body.
+ * @param {Object} [options.form] - Multipart form fields.
+ * @param {string|null} [options.apiKey] - X-API-KEY header, null to omit it.
+ * @param {Object} [options.headers] - Extra headers.
+ * @returns {Request} Request object.
+ */
+export const buildRequest = (
+  route,
+  { method = "GET", query, json, form, apiKey = API_KEY, headers = {} } = {}
+) => {
+  const url = new URL(`https://shop.test/${route}`);
+  for (const [key, value] of Object.entries(query || {})) {
+    url.searchParams.set(key, value);
+  }
+
+  const requestHeaders = new Headers(headers);
+  if (apiKey !== null) requestHeaders.set("X-API-KEY", apiKey);
+
+  let body;
+  if (json !== undefined) {
+    body = JSON.stringify(json);
+    requestHeaders.set("Content-Type", "application/json");
+  } else if (form) {
+    body = toFormData(form);
+  }
+
+  return new Request(url, { method, headers: requestHeaders, body });
+};
+
+/**
+ * Builds the Authorization header of a user token.
+ * @param {number} userId - Forumotion user ID the token is issued to.
+ * @param {number} [ttlSeconds] - Seconds until it expires.
+ * @param {number[]} [groupIds] - Forumotion group IDs of the user.
+ * @returns {Promise<Object>} Headers.
+ */
+export const userTokenHeaders = async (userId, ttlSeconds, groupIds) => {
+  const { token } = await signUserToken(userId, ttlSeconds, groupIds);
+  return { Authorization: `Bearer ${token}` };
+};
+
+/**
+ * Calls a handler and parses its JSON response.
+ * @param {Function} handler - Edge function default export.
+ * @param {string} route - Route path without the leading slash.
+ * @param {Object} [options] - See buildRequest, plus asUser.
+ * @param {number} [options.asUser] - Sends a user token issued to this user.
+ * @returns {Promise<Object>} Status, parsed body and headers.
+ */
+export const call = async (handler, route, options = {}) => {
+  const { asUser, ...requestOptions } = options;
+  if (asUser !== undefined && asUser !== null) {
+    requestOptions.headers = {
+      ...(await userTokenHeaders(asUser)),
+      ...requestOptions.headers,
+    };
+  }
+
+  const response = await handler(buildRequest(route, requestOptions));
+  const text = await response.text();
+  return {
+    status: response.status,
+    body: text ? JSON.parse(text) : null,
+    headers: response.headers,
+  };
+};
+
+/**
+ * Counts the statements the handlers send to the database while fn runs, by
+ * wrapping execute on the client class the handlers share with the tests.
+ * Only meant for read routes: statements inside transactions are not counted.
+ * @param {Object} client - Database client from setupDatabase.
+ * @param {Function} fn - Async function to run.
+ * @returns {Promise<Object>} What fn returned and the statements executed.
+ */
+export const countQueries = async (client, fn) => {
+  const prototype = Object.getPrototypeOf(client);
+  const execute = prototype.execute;
+  const statements = [];
+  prototype.execute = function (statement) {
+    statements.push(typeof statement === "string" ? statement : statement.sql);
+    return execute.call(this, statement);
+  };
+
+  try {
+    return { result: await fn(), statements };
+  } finally {
+    prototype.execute = execute;
+  }
+};
+
+/**
+ * Runs a query and returns all rows.
+ * @param {Object} client - Database client.
+ * @param {string} sql - SQL query.
+ * @param {Array} [args] - Query arguments.
+ * @returns {Promise<Object[]>} Rows.
+ */
+export const queryAll = async (client, sql, args = []) => {
+  return (await client.execute({ sql, args })).rows;
+};
+
+/**
+ * Runs a query and returns the first row.
+ * @param {Object} client - Database client.
+ * @param {string} sql - SQL query.
+ * @param {Array} [args] - Query arguments.
+ * @returns {Promise<Object|undefined>} First row.
+ */
+export const queryOne = async (client, sql, args = []) => {
+  return (await queryAll(client, sql, args))[0];
+};
+
+/**
+ * Inserts a user. Other tables refer to users by their forum user_id, not
+ * users.id, so the new row's ID is not returned.
+ * @param {Object} client - Database client.
+ * @param {Object} user - Forum user_id and credits.
+ * @returns {Promise<void>}
+ */
+export const seedUser = async (client, { user_id, credits = 100 }) => {
+  await client.execute({
+    sql: "INSERT INTO users (user_id, credits) VALUES (?, ?)",
+    args: [user_id, credits],
+  });
+};
+
+/**
+ * Inserts a category.
+ * @param {Object} client - Database client.
+ * @param {Object} [category] - Column overrides.
+ * @returns {Promise<number>} Category ID.
+ */
+export const seedCategory = async (
+  client,
+  {
+    name = "Potions",
+    image = "https://ik.imagekit.test/cat.png",
+    is_active = 1,
+    is_deleted = 0,
+  } = {}
+) => {
+  const response = await client.execute({
+    sql: `INSERT INTO categories (name, image, is_active, is_deleted, created_by, edited_by)
+          VALUES (?, ?, ?, ?, 1, 1)`,
+    args: [name, image, is_active, is_deleted],
+  });
+  return Number(response.lastInsertRowid);
+};
+
+/**
+ * Inserts an item and links it to its categories.
+ * @param {Object} client - Database client.
+ * @param {Object} [item] - Column overrides plus a categories array.
+ * @returns {Promise<number>} Item ID.
+ */
+export const seedItem = async (client, item = {}) => {
+  const {
+    name = "Health potion",
+    description = "Restores health",
+    price = 10,
+    image = "https://ik.imagekit.test/item.png",
+    is_active = 1,
+    is_deleted = 0,
+    stock = null,
+    purchase_limit = null,
+    limit_period = null,
+    cooldown_seconds = null,
+    categories = [],
+  } = item;
+
+  const response = await client.execute({
+    sql: `INSERT INTO items (
+            name, description, price, image, is_active, is_deleted, stock,
+            purchase_limit, limit_period, cooldown_seconds, created_by, edited_by
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, 1)`,
+    args: [
+      name,
+      description,
+      price,
+      image,
+      is_active,
+      is_deleted,
+      stock,
+      purchase_limit,
+      limit_period,
+      cooldown_seconds,
+    ],
+  });
+  const itemId = Number(response.lastInsertRowid);
+
+  for (const categoryId of categories) {
+    await client.execute({
+      sql: "INSERT INTO item_categories (item_id, category_id) VALUES (?, ?)",
+      args: [itemId, categoryId],
+    });
+  }
+
+  return itemId;
+};
+
+/**
+ * Inserts an inventory row.
+ * @param {Object} client - Database client.
+ * @param {Object} row - user_id (the forum user ID, as the routes write it), item_id, total_quantity and quantity_in_bag.
+ * @returns {Promise<void>}
+ */
+export const seedInventory = async (
+  client,
+  { user_id, item_id, total_quantity, quantity_in_bag = 0 }
+) => {
+  await client.execute({
+    sql: `INSERT INTO inventory (user_id, item_id, total_quantity, quantity_in_bag)
+          VALUES (?, ?, ?, ?)`,
+    args: [user_id, item_id, total_quantity, quantity_in_bag],
+  });
+};
+
+/**
+ * Assigns a role to a user or a group.
+ * @param {Object} client - Database client.
+ * @param {Object} assignment - role and either user_id or group_id.
+ * @returns {Promise<void>}
+ */
+export const seedRole = async (
+  client,
+  { role, user_id = null, group_id = null }
+) => {
+  await client.execute({
+    sql: "INSERT INTO role_assignments (role, user_id, group_id) VALUES (?, ?, ?)",
+    args: [role, user_id, group_id],
+  });
+};
+
+/**
+ * Makes every insert into a table fail, to exercise transaction rollbacks.
+ * @param {Object} client - Database client.
+ * @param {string} table - Table name.
+ * @returns {Promise<void>}
+ */
+export const failInsertsInto = async (client, table) => {
+  await client.execute(`
+    CREATE TRIGGER fail_${table}_insert BEFORE INSERT ON ${table}
+    BEGIN
+      SELECT RAISE(ABORT, 'forced failure');
+    END
+  `);
+};
@@ -0,0 +1,284 @@
+// http.test.js
+//
+// Behavior every route shares through createEdgeHandler.
+
+import assert from "node:assert/strict";
+import {
+  API_KEY,
+  CRON_JOB_KEY,
+  CRON_JOB_URL,
+  FORUM_URL,
+  buildRequest,
+  call,
+  dbTest,
+  queryOne,
+} from "./helpers.js";
+
+const ROUTES = [
+  ["add-item", "POST"],
+  ["get-items", "GET"],
+  ["update-item", "PATCH"],
+  ["delete-item", "DELETE"],
+  ["get-categories", "GET"],
+  ["add-category", "POST"],
+  ["update-category", "PATCH"],
+  ["delete-category", "DELETE"],
+  ["get-bags", "GET"],
+  ["get-inventories", "GET"],
+  ["purchase-items", "POST"],
+  ["request-service", "GET"],
+  ["update-credits", "PUT"],
+  ["transfer-credits", "POST"],
+  ["gift-items", "POST"],
+  ["trade-items", ["GET", "POST", "PATCH"]],
+  ["move-bag-items", "POST"],
+  ["use-items", "POST"],
+  ["refund-purchase", "POST"],
+  ["sell-items", "POST"],
+  ["get-purchases", "GET"],
+  ["get-audit-log", "GET"],
+  ["restore-item", "POST"],
+  ["restore-category", "POST"],
+  ["issue-user-token", "POST"],
+];
+
+const ALL_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+const loadHandler = async (route) => {
+  return (await import(`../netlify/edge-functions/${route}.js`)).default;
+};
+
+for (const [route, allowed] of ROUTES) {
+  const methods = [].concat(allowed);
+  const method = methods[0];
+  const isCron = route === "request-service";
+  const apiKey = isCron ? CRON_JOB_KEY : API_KEY;
+
+  dbTest(`${route}: answers CORS preflight`, async () => {
+    const handler = await loadHandler(route);
+    const response = await handler(
+      buildRequest(route, { method: "OPTIONS", apiKey: null })
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(
+      response.headers.get("Access-Control-Allow-Origin"),
+      isCron ? CRON_JOB_URL : FORUM_URL
+    );
+    assert.equal(
+      response.headers.get("Access-Control-Allow-Methods"),
+      `${methods.join(", ")}, OPTIONS`
+    );
+  });
+
+  dbTest(`${route}: rejects other methods with 405`, async () => {
+    const handler = await loadHandler(route);
+    const otherMethod = ALL_METHODS.find((name) => !methods.includes(name));
+    const { status, body } = await call(handler, route, {
+      method: otherMethod,
+      apiKey,
+    });
+
+    assert.equal(status, 405);
+    assert.deepEqual(body, { error: "Method not allowed" });
+  });
+
+  dbTest(`${route}: requires an API key`, async () => {
+    const handler = await loadHandler(route);
+    const { status, body } = await call(handler, route, {
+      method,
+      apiKey: null,
+    });
+
+    assert.equal(status, 403);
+    assert.deepEqual(body, { error: "API key is required" });
+  });
+
+  dbTest(`${route}: rejects an invalid API key`, async () => {
+    const handler = await loadHandler(route);
+    const { status, body, headers } = await call(handler, route, {
+      method,
+      apiKey: "wrong-key",
+    });
+
+    assert.equal(status, 403);
+    assert.deepEqual(body, { error: "Invalid API key" });
+    assert.equal(headers.get("Content-Type"), "application/json");
+  });
+}
+
+dbTest(
+  "rate limits: answer 429 with Retry-After once a user's bucket is empty",
+  async ({ client }) => {
+    const handler = await loadHandler("purchase-items");
+    const purchase = (userId) =>
+      call(handler, "purchase-items", {
+        method: "POST",
+        json: {},
+        asUser: userId,
+      });
+
+    assert.equal((await purchase(1001)).status, 400);
+    const bucket = await queryOne(
+      client,
+      "SELECT tokens FROM rate_limit_buckets WHERE key = ?",
+      ["purchase-items:user:1001"]
+    );
+    assert.equal(bucket.tokens, 19);
+
+    await client.execute({
+      sql: "UPDATE rate_limit_buckets SET tokens = 0, updated_at = ?",
+      args: [Date.now() / 1000],
+    });
+    const { status, body, headers } = await purchase(1001);
+
+    assert.equal(status, 429);
+    assert.deepEqual(body, {
+      error: "Too many requests",
+      retry_after: 1,
+      limit: "user",
+    });
+    assert.equal(headers.get("Retry-After"), "1");
+    assert.equal(headers.get("Access-Control-Allow-Origin"), FORUM_URL);
+    assert.equal((await purchase(2002)).status, 400);
+
+    // A second later the bucket has a token again
+    await client.execute({
+      sql: "UPDATE rate_limit_buckets SET tokens = 0, updated_at = ?",
+      args: [Date.now() / 1000 - 1.5],
+    });
+    assert.equal((await purchase(1001)).status, 400);
+  }
+);
+
+dbTest("rate limits: leave reads alone", async ({ client }) => {
+  await client.execute({
+    sql: `INSERT INTO rate_limit_buckets (key, tokens, updated_at)
+          VALUES ('trade-items:user:1001', 0, ?)`,
+    args: [Date.now() / 1000],
+  });
+  const handler = await loadHandler("trade-items");
+
+  const read = await call(handler, "trade-items", {
+    query: { user_id: 1001 },
+    asUser: 1001,
+  });
+  assert.equal(read.status, 200);
+
+  const write = await call(handler, "trade-items", {
+    method: "POST",
+    json: {},
+    asUser: 1001,
+  });
+  assert.equal(write.status, 429);
+});
+
+// issue-user-token is called by the forum's server, not by users
+const WRITE_ROUTES = ROUTES.filter(
+  ([route, allowed]) =>
+    route !== "issue-user-token" &&
+    [].concat(allowed).some((method) => method !== "GET")
+);
+
+for (const [route, allowed] of WRITE_ROUTES) {
+  const method = [].concat(allowed).find((name) => name !== "GET");
+
+  dbTest(`${route}: writes are rate limited`, async ({ client }) => {
+    await client.execute({
+      sql: `INSERT INTO rate_limit_buckets (key, tokens, updated_at)
+            VALUES (?, 0, ?)`,
+      args: [`${route}:user:1001`, Date.now() / 1000],
+    });
+    const handler = await loadHandler(route);
+
+    const { status } = await call(handler, route, {
+      method,
+      json: {},
+      asUser: 1001,
+    });
+    assert.equal(status, 429);
+  });
+}
+
+dbTest("rate limits: the memory store limits each IP", async () => {
+  Deno.env.set("RATE_LIMIT_STORE", "memory");
+  try {
+    const handler = await loadHandler("use-items");
+    const send = (ip) =>
+      call(handler, "use-items", {
+        method: "POST",
+        json: {},
+        headers: { "X-Nf-Client-Connection-Ip": ip },
+      });
+
+    let allowed = 0;
+    let response = await send("203.0.113.7");
+    while (response.status !== 429 && allowed < 200) {
+      allowed++;
+      response = await send("203.0.113.7");
+    }
+
+    assert.ok(allowed >= 60);
+    assert.equal(response.body.limit, "ip");
+    assert.equal(response.headers.get("Retry-After"), "1");
+    assert.equal((await send("203.0.113.8")).status, 400);
+  } finally {
+    Deno.env.delete("RATE_LIMIT_STORE");
+  }
+});
+
+dbTest(
+  "idempotency keys: are checked and locked while in use",
+  async ({ client }) => {
+    const handler = await loadHandler("use-items");
+    const send = (key) =>
+      call(handler, "use-items", {
+        method: "POST",
+        json: {},
+        asUser: 1001,
+        headers: { "Idempotency-Key": key },
+      });
+
+    const invalid = await send("x".repeat(256));
+    assert.equal(invalid.status, 400);
+    assert.equal(
+      invalid.body.error,
+      "Idempotency-Key must be 1 to 255 printable characters"
+    );
+
+    // A first request with the same body that has not finished yet
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode("POST\n{}")
+    );
+    const requestHash = Array.from(new Uint8Array(digest), (byte) =>
+      byte.toString(16).padStart(2, "0")
+    ).join("");
+    const now = Date.now() / 1000;
+    await client.execute({
+      sql: `INSERT INTO idempotency_keys
+            (scope, idempotency_key, request_hash, created_at, lease_expires_at)
+            VALUES ('use-items:1001', 'running', ?, ?, ?),
+                   ('use-items:1001', 'stopped', ?, ?, ?)`,
+      args: [requestHash, now - 120, now + 30, requestHash, now - 120, now - 1],
+    });
+    const running = await send("running");
+    assert.equal(running.status, 409);
+    assert.equal(
+      running.body.error,
+      "A request with this Idempotency-Key is still in progress"
+    );
+
+    // Once its lease runs out the key is taken over, however old the claim
+    assert.equal((await send("stopped")).status, 400);
+
+    // Another user's key of the same name is separate
+    const otherUser = await call(handler, "use-items", {
+      method: "POST",
+      json: {},
+      asUser: 2002,
+      headers: { "Idempotency-Key": "running" },
+    });
+    assert.equal(otherUser.status, 400);
+  }
+);
@@ -0,0 +1,93 @@
+// issue-user-token.test.js
+
+import assert from "node:assert/strict";
+import deleteItemHandler from "../netlify/edge-functions/delete-item.js";
+import handler from "../netlify/edge-functions/issue-user-token.js";
+import useItemsHandler from "../netlify/edge-functions/use-items.js";
+import {
+  API_KEY,
+  TOKEN_ISSUER_KEY,
+  call,
+  dbTest,
+  seedInventory,
+  seedItem,
+  seedRole,
+  seedUser,
+} from "./helpers.js";
+
+const issueToken = (json, apiKey = TOKEN_ISSUER_KEY) =>
+  call(handler, "issue-user-token", { method: "POST", json, apiKey });
+
+dbTest(
+  "issue-user-token: issues a token the routes accept",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001 });
+    const potionId = await seedItem(client);
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 2,
+    });
+
+    const before = Date.now();
+    const { status, body } = await issueToken({
+      user_id: 1001,
+      ttl_seconds: 60,
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.user_id, 1001);
+    const expiresIn = Date.parse(body.expires_at) - before;
+    assert.ok(expiresIn > 55_000 && expiresIn <= 61_000);
+
+    const used = await call(useItemsHandler, "use-items", {
+      method: "POST",
+      json: {
+        user_id: 1001,
+        from: "inventory",
+        items: [{ item_id: potionId, quantity: 1 }],
+      },
+      headers: { Authorization: `Bearer ${body.token}` },
+    });
+    assert.equal(used.status, 200);
+  }
+);
+
+dbTest(
+  "issue-user-token: carries the user's groups to permission checks",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", group_id: 3 });
+    const itemId = await seedItem(client);
+
+    const { status, body } = await issueToken({ user_id: 7, group_ids: [3] });
+    assert.equal(status, 201);
+    assert.deepEqual(body.group_ids, [3]);
+
+    const deleted = await call(deleteItemHandler, "delete-item", {
+      method: "DELETE",
+      json: { id: itemId, user_id: 7 },
+      headers: { Authorization: `Bearer ${body.token}` },
+    });
+    assert.equal(deleted.status, 200);
+  }
+);
+
+dbTest("issue-user-token: validates the request", async () => {
+  const publicKey = await issueToken({ user_id: 1001 }, API_KEY);
+  assert.equal(publicKey.status, 403);
+  assert.equal(publicKey.body.error, "Invalid API key");
+
+  assert.equal((await issueToken({ user_id: "abc" })).status, 400);
+  assert.equal(
+    (await issueToken({ user_id: 1001, ttl_seconds: 7200 })).body.error,
+    "ttl_seconds must be between 1 and 3600"
+  );
+  assert.equal(
+    (await issueToken({ user_id: 1001, ttl_seconds: 0 })).status,
+    400
+  );
+  assert.equal(
+    (await issueToken({ user_id: 1001, group_ids: [3, "x"] })).body.error,
+    "group_ids must be a list of group IDs"
+  );
+});
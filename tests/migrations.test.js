@@ -0,0 +1,131 @@
+// migrations.test.js
+
+import assert from "node:assert/strict";
+import { createClient } from "npm:@libsql/client@0.6.0/node";
+import { listMigrations, runMigrations } from "../db/migrate.js";
+import { queryAll } from "./helpers.js";
+
+/**
+ * Copies the migrations up to a version into a temporary directory, to build
+ * a database as it was before a later migration.
+ * @param {number} version - Last version to copy.
+ * @returns {Promise<URL>} Directory URL.
+ */
+const migrationsUpTo = async (version) => {
+  const dir = await Deno.makeTempDir();
+  for (const migration of await listMigrations()) {
+    if (migration.version <= version) {
+      await Deno.copyFile(migration.url, `${dir}/${migration.name}`);
+    }
+  }
+  return new URL(`file://${dir}/`);
+};
+
+/**
+ * Runs a test against a temporary database file.
+ * @param {string} name - Test name.
+ * @param {Function} fn - Receives the client.
+ */
+const migrationTest = (name, fn) => {
+  Deno.test(name, async () => {
+    const path = await Deno.makeTempFile({ suffix: ".db" });
+    const client = createClient({ url: `file:${path}` });
+    try {
+      await fn(client);
+    } finally {
+      client.close();
+      await Deno.remove(path);
+    }
+  });
+};
+
+migrationTest("migrations: a second run applies nothing", async (client) => {
+  const first = await runMigrations(client);
+  const second = await runMigrations(client);
+
+  assert.equal(first.length, (await listMigrations()).length);
+  assert.deepEqual(second, []);
+});
+
+migrationTest(
+  "migrations: 0004 carries credit history into the ledger",
+  async (client) => {
+    const dir = await migrationsUpTo(3);
+    await runMigrations(client, dir);
+    await Deno.remove(dir.pathname, { recursive: true });
+
+    // Registered with 100, overwritten to 250, then spent 30 on a purchase
+    await client.executeMultiple(`
+      INSERT INTO users (id, user_id, credits) VALUES (1, 1001, 220);
+      INSERT INTO users (id, user_id, credits) VALUES (2, 2002, 80);
+      INSERT INTO users_audit (user_id, action_type, new_values, created_at)
+        VALUES (1001, 'INSERT', '{"user_id":1001,"credits":100}', '2024-01-01 10:00:00');
+      INSERT INTO users_audit (user_id, action_type, old_values, new_values, created_at)
+        VALUES (1, 'UPDATE', '{"credits":100}', '{"credits":250}', '2024-01-02 10:00:00');
+      INSERT INTO purchase_transactions
+        (id, user_id, credits_before, credits_after, total_credits_spent, created_at)
+        VALUES (5, 1001, 250, 220, 30, '2024-01-03 10:00:00');
+    `);
+
+    await runMigrations(client);
+
+    const ledger = await queryAll(
+      client,
+      `SELECT user_id, delta, balance_after, reason, reference_type, reference_id
+       FROM credit_ledger ORDER BY id`
+    );
+    assert.deepEqual(
+      ledger.map((row) => [
+        row.user_id,
+        row.delta,
+        row.balance_after,
+        row.reason,
+        row.reference_type,
+        row.reference_id,
+      ]),
+      [
+        [1001, 100, 100, "registration", "users_audit", 1],
+        [1001, 150, 250, "adjustment", "users_audit", 2],
+        [1001, -30, 220, "purchase", "purchase", 5],
+        [2002, 80, 80, "reconciliation", null, null],
+      ]
+    );
+  }
+);
+
+migrationTest(
+  "migrations: 0010 keeps purchase lines and lets their items be purged",
+  async (client) => {
+    const dir = await migrationsUpTo(9);
+    await runMigrations(client, dir);
+    await Deno.remove(dir.pathname, { recursive: true });
+
+    await client.executeMultiple(`
+      INSERT INTO items (id, name, description, price) VALUES (3, 'Potion', 'Heals', 10);
+      INSERT INTO purchase_transactions
+        (id, user_id, credits_before, credits_after, total_credits_spent)
+        VALUES (5, 1001, 100, 80, 20);
+      INSERT INTO purchase_items
+        (id, transaction_id, item_id, quantity, item_price, refunded_quantity)
+        VALUES (7, 5, 3, 2, 10, 1);
+    `);
+
+    await runMigrations(client);
+    await client.execute("DELETE FROM items WHERE id = 3");
+
+    const lines = await queryAll(client, "SELECT * FROM purchase_items");
+    assert.deepEqual(
+      lines.map((line) => ({ ...line })),
+      [
+        {
+          id: 7,
+          transaction_id: 5,
+          item_id: 3,
+          quantity: 2,
+          item_price: 10,
+          refunded_quantity: 1,
+        },
+      ]
+    );
+  }
+);
@@ -0,0 +1,166 @@
+// move-bag-items.test.js
+
+import assert from "node:assert/strict";
+import getBagsHandler from "../netlify/edge-functions/get-bags.js";
+import getInventoriesHandler from "../netlify/edge-functions/get-inventories.js";
+import handler from "../netlify/edge-functions/move-bag-items.js";
+import purchaseItemsHandler from "../netlify/edge-functions/purchase-items.js";
+import {
+  call,
+  dbTest,
+  queryAll,
+  queryOne,
+  seedInventory,
+  seedItem,
+  seedUser,
+} from "./helpers.js";
+
+const moveItems = (json) =>
+  call(handler, "move-bag-items", {
+    method: "POST",
+    json,
+    asUser: json.user_id,
+  });
+
+dbTest(
+  "move-bag-items: moves units into and out of the bag",
+  async ({ client }) => {
+    const potionId = await seedItem(client);
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 5,
+      quantity_in_bag: 1,
+    });
+
+    const into = await moveItems({
+      user_id: 1001,
+      to: "bag",
+      items: [{ item_id: potionId, quantity: 3 }],
+    });
+
+    assert.equal(into.status, 200);
+    assert.deepEqual(into.body.inventory, [
+      { item_id: potionId, total_quantity: 5, quantity_in_bag: 4 },
+    ]);
+
+    const out = await moveItems({
+      user_id: 1001,
+      to: "inventory",
+      items: [{ item_id: potionId, quantity: 4 }],
+    });
+
+    assert.equal(out.body.inventory[0].quantity_in_bag, 0);
+
+    const audit = await queryAll(
+      client,
+      "SELECT delta, bag_delta, reason FROM inventory_audit ORDER BY id"
+    );
+    assert.deepEqual(
+      audit.map((row) => [row.delta, row.bag_delta, row.reason]),
+      [
+        [0, 3, "bag_in"],
+        [0, -4, "bag_out"],
+      ]
+    );
+  }
+);
+
+dbTest(
+  "move-bag-items: validates against the stored quantities",
+  async ({ client }) => {
+    const potionId = await seedItem(client);
+    const swordId = await seedItem(client, { name: "Sword" });
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 2,
+      quantity_in_bag: 1,
+    });
+
+    const tooMany = await moveItems({
+      user_id: 1001,
+      to: "bag",
+      items: [{ item_id: potionId, quantity: 2 }],
+    });
+    assert.equal(tooMany.status, 409);
+    assert.equal(
+      tooMany.body.error,
+      `User 1001 does not have 2 of item ${potionId} outside the bag`
+    );
+
+    const notOwned = await moveItems({
+      user_id: 1001,
+      to: "bag",
+      items: [
+        { item_id: potionId, quantity: 1 },
+        { item_id: swordId, quantity: 1 },
+      ],
+    });
+    assert.equal(notOwned.status, 409);
+
+    const row = await queryOne(
+      client,
+      "SELECT quantity_in_bag FROM inventory WHERE item_id = ?",
+      [potionId]
+    );
+    assert.equal(row.quantity_in_bag, 1);
+  }
+);
+
+dbTest(
+  "move-bag-items: purchased units moved to the bag show up in the reads",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 100 });
+    const potionId = await seedItem(client, { price: 10 });
+
+    const purchase = await call(purchaseItemsHandler, "purchase-items", {
+      method: "POST",
+      json: { user_id: 1001, items: [{ item_id: potionId, quantity: 2 }] },
+      asUser: 1001,
+    });
+    assert.equal(purchase.status, 200);
+
+    const move = await moveItems({
+      user_id: 1001,
+      to: "bag",
+      items: [{ item_id: potionId, quantity: 1 }],
+    });
+    assert.equal(move.status, 200);
+
+    const bags = await call(getBagsHandler, "get-bags", {
+      query: { user_id: 1001 },
+    });
+    assert.deepEqual(
+      bags.body.bag.map((item) => [item.id, item.quantity]),
+      [[potionId, 1]]
+    );
+
+    const inventories = await call(getInventoriesHandler, "get-inventories", {
+      query: { user_id: 1001 },
+    });
+    assert.deepEqual(
+      inventories.body.inventory.map((item) => [item.id, item.quantity]),
+      [[potionId, 1]]
+    );
+    assert.deepEqual(
+      inventories.body.bag.map((item) => [item.id, item.quantity]),
+      [[potionId, 1]]
+    );
+  }
+);
+
+dbTest("move-bag-items: validates the request", async () => {
+  const missingTo = await moveItems({
+    user_id: 1001,
+    items: [{ item_id: 1, quantity: 1 }],
+  });
+  assert.equal(missingTo.body.error, "to must be 'bag' or 'inventory'");
+
+  const negative = await moveItems({
+    user_id: 1001,
+    to: "bag",
+    items: [{ item_id: 1, quantity: -1 }],
+  });
+  assert.equal(negative.status, 400);
+});
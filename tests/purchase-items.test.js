@@ -0,0 +1,451 @@
+// purchase-items.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/purchase-items.js";
+import {
+  call,
+  dbTest,
+  failInsertsInto,
+  queryAll,
+  queryOne,
+  seedCategory,
+  seedInventory,
+  seedItem,
+  seedUser,
+  userTokenHeaders,
+} from "./helpers.js";
+
+const purchase = (json) =>
+  call(handler, "purchase-items", {
+    method: "POST",
+    json,
+    asUser: json.user_id,
+  });
+
+dbTest(
+  "purchase-items: charges database prices and fills the inventory",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 100 });
+    const categoryId = await seedCategory(client);
+    const potionId = await seedItem(client, {
+      price: 10,
+      categories: [categoryId],
+    });
+    const swordId = await seedItem(client, {
+      name: "Sword",
+      price: 25,
+      categories: [categoryId],
+    });
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 1,
+    });
+
+    const { status, body } = await purchase({
+      user_id: 1001,
+      items: [
+        { item_id: potionId, quantity: 2 },
+        { item_id: swordId, quantity: 1 },
+      ],
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.credits_spent, 45);
+    assert.equal(body.credits_remaining, 55);
+    assert.equal(body.items_purchased, 2);
+
+    const user = await queryOne(
+      client,
+      "SELECT credits FROM users WHERE user_id = 1001"
+    );
+    assert.equal(user.credits, 55);
+
+    const inventory = await queryAll(
+      client,
+      "SELECT item_id, total_quantity FROM inventory WHERE user_id = 1001 ORDER BY item_id"
+    );
+    assert.deepEqual(
+      inventory.map((row) => [row.item_id, row.total_quantity]),
+      [
+        [potionId, 3],
+        [swordId, 1],
+      ]
+    );
+
+    const lines = await queryAll(
+      client,
+      "SELECT item_id, quantity, item_price FROM purchase_items WHERE transaction_id = ?",
+      [body.transaction_id]
+    );
+    assert.equal(lines.length, 2);
+
+    const audit = await queryOne(client, "SELECT * FROM purchases_audit");
+    assert.equal(audit.transaction_id, body.transaction_id);
+    assert.equal(audit.total_credits_spent, 45);
+
+    const ledger = await queryOne(client, "SELECT * FROM credit_ledger");
+    assert.equal(ledger.user_id, 1001);
+    assert.equal(ledger.delta, -45);
+    assert.equal(ledger.balance_after, 55);
+    assert.equal(ledger.reference_type, "purchase");
+    assert.equal(ledger.reference_id, body.transaction_id);
+  }
+);
+
+dbTest(
+  "purchase-items: rejects a stale client price with the current prices",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001 });
+    const itemId = await seedItem(client, { price: 12 });
+
+    const { status, body } = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 1, price: 10 }],
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.error, "Price changed");
+    assert.deepEqual(body.current_prices, [{ item_id: itemId, price: 12 }]);
+    assert.equal(
+      (await queryAll(client, "SELECT * FROM purchase_transactions")).length,
+      0
+    );
+  }
+);
+
+dbTest(
+  "purchase-items: rejects a cart the user cannot afford",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 5 });
+    const itemId = await seedItem(client, { price: 10 });
+
+    const { status, body } = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 1 }],
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "Insufficient credits");
+  }
+);
+
+dbTest(
+  "purchase-items: replays a retried purchase instead of charging twice",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 100 });
+    const itemId = await seedItem(client, { price: 10 });
+    const cart = { user_id: 1001, items: [{ item_id: itemId, quantity: 2 }] };
+    const send = (json) =>
+      call(handler, "purchase-items", {
+        method: "POST",
+        json,
+        asUser: 1001,
+        headers: { "Idempotency-Key": "checkout-1" },
+      });
+
+    const first = await send(cart);
+    const retry = await send(cart);
+
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get("Idempotent-Replayed"), null);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get("Idempotent-Replayed"), "true");
+    assert.deepEqual(retry.body, first.body);
+
+    const user = await queryOne(client, "SELECT credits FROM users");
+    assert.equal(user.credits, 80);
+    assert.equal(
+      (await queryAll(client, "SELECT * FROM purchase_transactions")).length,
+      1
+    );
+
+    const changed = await send({
+      ...cart,
+      items: [{ item_id: itemId, quantity: 1 }],
+    });
+    assert.equal(changed.status, 409);
+    assert.equal(
+      changed.body.error,
+      "Idempotency-Key was already used for a different request"
+    );
+  }
+);
+
+dbTest(
+  "purchase-items: a failed purchase does not keep its Idempotency-Key",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 5 });
+    const itemId = await seedItem(client, { price: 10 });
+    const send = () =>
+      call(handler, "purchase-items", {
+        method: "POST",
+        json: { user_id: 1001, items: [{ item_id: itemId, quantity: 1 }] },
+        asUser: 1001,
+        headers: { "Idempotency-Key": "checkout-2" },
+      });
+
+    assert.equal((await send()).status, 400);
+    await client.execute("UPDATE users SET credits = 50");
+
+    const retry = await send();
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.credits_remaining, 40);
+  }
+);
+
+dbTest(
+  "purchase-items: reports unknown users and items",
+  async ({ client }) => {
+    const itemId = await seedItem(client);
+
+    let response = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 1 }],
+    });
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, "User not found");
+
+    await seedUser(client, { user_id: 1001 });
+    response = await purchase({
+      user_id: 1001,
+      items: [{ item_id: 999, quantity: 1 }],
+    });
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, "One or more items not found");
+  }
+);
+
+dbTest("purchase-items: refuses inactive items", async ({ client }) => {
+  await seedUser(client, { user_id: 1001 });
+  const itemId = await seedItem(client, { is_active: 0 });
+
+  const { status, body } = await purchase({
+    user_id: 1001,
+    items: [{ item_id: itemId, quantity: 1 }],
+  });
+
+  assert.equal(status, 409);
+  assert.equal(body.error, `Item ${itemId} is not available for purchase`);
+});
+
+dbTest("purchase-items: validates the cart", async () => {
+  let response = await purchase({ user_id: 1001, items: [] });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, "Invalid purchase data structure");
+
+  response = await purchase({
+    user_id: 1001,
+    items: [{ item_id: 1, quantity: -1 }],
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, "Invalid quantity for item at position 0");
+
+  for (const quantity of [0.5, "abc"]) {
+    response = await purchase({
+      user_id: 1001,
+      items: [{ item_id: 1, quantity }],
+    });
+    assert.equal(response.status, 400);
+    assert.equal(
+      response.body.error,
+      "Invalid quantity for item at position 0"
+    );
+  }
+
+  response = await purchase({
+    user_id: 1001,
+    items: [
+      { item_id: 3, quantity: 1 },
+      { item_id: 3, quantity: 2 },
+    ],
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, "Item 3 appears more than once");
+});
+
+dbTest(
+  "purchase-items: decrements limited stock and refuses to oversell",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 1000 });
+    const itemId = await seedItem(client, { stock: 3 });
+
+    let response = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 2 }],
+    });
+    assert.equal(response.status, 200);
+    assert.equal(
+      (await queryOne(client, "SELECT stock FROM items WHERE id = ?", [itemId]))
+        .stock,
+      1
+    );
+
+    response = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 2 }],
+    });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, `Insufficient stock for item ${itemId}`);
+  }
+);
+
+dbTest(
+  "purchase-items: enforces per-user limits with a retry time",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 1000 });
+    const itemId = await seedItem(client, {
+      purchase_limit: 2,
+      limit_period: "day",
+    });
+
+    let response = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 2 }],
+    });
+    assert.equal(response.status, 200);
+
+    response = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 1 }],
+    });
+    assert.equal(response.status, 403);
+    assert.match(
+      response.body.error,
+      /^Purchase limit reached for item \d+, available again at /
+    );
+    assert.ok(new Date(response.body.retry_at) > new Date());
+  }
+);
+
+dbTest(
+  "purchase-items: refunded units do not count toward the limit",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 1000 });
+    const itemId = await seedItem(client, {
+      purchase_limit: 2,
+      limit_period: "day",
+    });
+
+    let response = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 2 }],
+    });
+    assert.equal(response.status, 200);
+    await client.execute({
+      sql: "UPDATE purchase_items SET refunded_quantity = 1 WHERE item_id = ?",
+      args: [itemId],
+    });
+
+    response = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 1 }],
+    });
+    assert.equal(response.status, 200);
+
+    response = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 1 }],
+    });
+    assert.equal(response.status, 403);
+  }
+);
+
+dbTest(
+  "purchase-items: enforces the cooldown between purchases",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 1000 });
+    const itemId = await seedItem(client, { cooldown_seconds: 3600 });
+
+    let response = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 1 }],
+    });
+    assert.equal(response.status, 200);
+
+    response = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 1 }],
+    });
+    assert.equal(response.status, 403);
+    assert.match(response.body.error, /^Purchase cooldown active/);
+  }
+);
+
+dbTest(
+  "purchase-items: rolls back the whole purchase when a write fails",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 100 });
+    const itemId = await seedItem(client, { price: 10, stock: 5 });
+    await failInsertsInto(client, "purchases_audit");
+
+    const { status } = await purchase({
+      user_id: 1001,
+      items: [{ item_id: itemId, quantity: 2 }],
+    });
+
+    assert.equal(status, 500);
+    assert.equal(
+      (await queryOne(client, "SELECT credits FROM users")).credits,
+      100
+    );
+    assert.equal((await queryOne(client, "SELECT stock FROM items")).stock, 5);
+    assert.equal((await queryAll(client, "SELECT * FROM inventory")).length, 0);
+    assert.equal(
+      (await queryAll(client, "SELECT * FROM purchase_transactions")).length,
+      0
+    );
+    assert.equal(
+      (await queryAll(client, "SELECT * FROM purchase_items")).length,
+      0
+    );
+  }
+);
+
+dbTest(
+  "purchase-items: only buys for the user the token was issued to",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 100 });
+    const potionId = await seedItem(client, { price: 10 });
+    const json = {
+      user_id: 1001,
+      items: [{ item_id: potionId, quantity: 1 }],
+    };
+    const buyWith = (headers) =>
+      call(handler, "purchase-items", { method: "POST", json, headers });
+
+    const missing = await buyWith({});
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.error, "User token is required");
+
+    const otherUser = await buyWith(await userTokenHeaders(2002));
+    assert.equal(otherUser.status, 403);
+    assert.equal(
+      otherUser.body.error,
+      "User token was not issued to user 1001"
+    );
+
+    const expired = await buyWith(await userTokenHeaders(1001, -1));
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.error, "User token has expired");
+
+    // Claims rewritten to another user no longer match the signature
+    const { Authorization } = await userTokenHeaders(2002);
+    const [header, payload, signature] = Authorization.slice(7).split(".");
+    const forged = btoa(atob(payload).replace("2002", "1001")).replace(
+      /=+$/,
+      ""
+    );
+    const tampered = await buyWith({
+      Authorization: `Bearer ${header}.${forged}.${signature}`,
+    });
+    assert.equal(tampered.status, 401);
+    assert.equal(tampered.body.error, "Invalid user token");
+
+    const transactions = await queryAll(
+      client,
+      "SELECT id FROM purchase_transactions"
+    );
+    assert.equal(transactions.length, 0);
+  }
+);
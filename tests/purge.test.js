@@ -0,0 +1,205 @@
+// purge.test.js
+
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PURGE_AFTER_DAYS,
+  parsePurgeArgs,
+  purgeDeleted,
+} from "../db/purge.js";
+import getPurchasesHandler from "../netlify/edge-functions/get-purchases.js";
+import {
+  call,
+  dbTest,
+  queryAll,
+  queryOne,
+  seedCategory,
+  seedInventory,
+  seedItem,
+  seedRole,
+} from "./helpers.js";
+
+/**
+ * Marks a record as soft deleted some days ago.
+ * @param {Object} client - Database client.
+ * @param {string} table - "items" or "categories".
+ * @param {number} id - Record ID.
+ * @param {number} days - Days since the deletion.
+ * @returns {Promise<void>}
+ */
+const deletedDaysAgo = async (client, table, id, days) => {
+  await client.execute({
+    sql: `UPDATE ${table}
+          SET is_deleted = 1, is_active = 0, edited_at = datetime('now', ?)
+          WHERE id = ?`,
+    args: [`-${days} days`, id],
+  });
+};
+
+/**
+ * Seeds an old deleted item that is held by a user and was purchased once,
+ * a recently deleted item and an old deleted category.
+ * @param {Object} client - Database client.
+ * @returns {Promise<Object>} Record IDs.
+ */
+const seedDeletedCatalog = async (client) => {
+  const categoryId = await seedCategory(client);
+  const oldCategoryId = await seedCategory(client, { name: "Retired" });
+  const oldItemId = await seedItem(client, {
+    name: "Old potion",
+    categories: [categoryId],
+  });
+  const recentItemId = await seedItem(client, { name: "Recent potion" });
+
+  await seedInventory(client, {
+    user_id: 1001,
+    item_id: oldItemId,
+    total_quantity: 2,
+    quantity_in_bag: 1,
+  });
+  const transaction = await client.execute(
+    `INSERT INTO purchase_transactions
+     (user_id, credits_before, credits_after, total_credits_spent)
+     VALUES (1001, 100, 90, 10)`
+  );
+  await client.execute({
+    sql: `INSERT INTO purchase_items (transaction_id, item_id, quantity, item_price)
+          VALUES (?, ?, 1, 10)`,
+    args: [Number(transaction.lastInsertRowid), oldItemId],
+  });
+
+  await deletedDaysAgo(client, "items", oldItemId, 120);
+  await deletedDaysAgo(client, "items", recentItemId, 10);
+  await deletedDaysAgo(client, "categories", oldCategoryId, 120);
+
+  return { categoryId, oldCategoryId, oldItemId, recentItemId };
+};
+
+dbTest("purge: a dry run reports without removing", async ({ client }) => {
+  const { oldItemId, oldCategoryId } = await seedDeletedCatalog(client);
+
+  const result = await purgeDeleted(client, { dryRun: true });
+
+  assert.equal(result.dry_run, true);
+  assert.deepEqual(
+    result.items.map((item) => [item.id, item.holders, item.purchase_lines]),
+    [[oldItemId, 1, 1]]
+  );
+  assert.deepEqual(
+    result.categories.map((category) => category.id),
+    [oldCategoryId]
+  );
+
+  assert.equal((await queryAll(client, "SELECT id FROM items")).length, 2);
+  assert.equal((await queryAll(client, "SELECT * FROM inventory")).length, 1);
+  assert.deepEqual(
+    await queryAll(client, "SELECT * FROM catalog_tombstones"),
+    []
+  );
+});
+
+dbTest(
+  "purge: removes old records and keeps a tombstone",
+  async ({ client }) => {
+    const { categoryId, oldCategoryId, oldItemId, recentItemId } =
+      await seedDeletedCatalog(client);
+
+    await purgeDeleted(client, { olderThanDays: 90 });
+
+    const items = await queryAll(client, "SELECT id FROM items");
+    assert.deepEqual(
+      items.map((item) => item.id),
+      [recentItemId]
+    );
+    const categories = await queryAll(client, "SELECT id FROM categories");
+    assert.deepEqual(
+      categories.map((category) => category.id),
+      [categoryId]
+    );
+    assert.deepEqual(await queryAll(client, "SELECT * FROM inventory"), []);
+    assert.deepEqual(
+      await queryAll(client, "SELECT * FROM item_categories"),
+      []
+    );
+
+    const tombstone = await queryOne(
+      client,
+      "SELECT snapshot FROM catalog_tombstones WHERE entity = 'item' AND entity_id = ?",
+      [oldItemId]
+    );
+    const snapshot = JSON.parse(tombstone.snapshot);
+    assert.equal(snapshot.name, "Old potion");
+    assert.deepEqual(snapshot.categories, [categoryId]);
+    assert.deepEqual(snapshot.holders, [
+      { user_id: 1001, total_quantity: 2, quantity_in_bag: 1 },
+    ]);
+    assert.ok(
+      await queryOne(
+        client,
+        "SELECT id FROM catalog_tombstones WHERE entity = 'category' AND entity_id = ?",
+        [oldCategoryId]
+      )
+    );
+
+    const audit = await queryOne(
+      client,
+      "SELECT delta, bag_delta, reason FROM inventory_audit"
+    );
+    assert.deepEqual(
+      { ...audit },
+      { delta: -2, bag_delta: -1, reason: "purge" }
+    );
+
+    // Purchase history still names the item
+    await seedRole(client, { role: "moderator", user_id: 7 });
+    const { body } = await call(getPurchasesHandler, "get-purchases", {
+      method: "GET",
+      query: {},
+      asUser: 7,
+    });
+    assert.equal(body.purchases[0].items[0].name, "Old potion");
+  }
+);
+
+dbTest("purge: honours the age threshold", async ({ client }) => {
+  const { recentItemId } = await seedDeletedCatalog(client);
+
+  const result = await purgeDeleted(client, { olderThanDays: 5 });
+
+  assert.equal(result.items.length, 2);
+  assert.ok(result.items.some((item) => item.id === recentItemId));
+  await assert.rejects(purgeDeleted(client, { olderThanDays: -1 }));
+});
+
+Deno.test("purge: parses the command line", () => {
+  assert.deepEqual(parsePurgeArgs([]), {
+    url: null,
+    olderThanDays: DEFAULT_PURGE_AFTER_DAYS,
+    dryRun: false,
+  });
+  assert.deepEqual(
+    parsePurgeArgs(["--dry-run", "--days=30", "file:local.db"]),
+    { url: "file:local.db", olderThanDays: 30, dryRun: true }
+  );
+
+  for (const args of [
+    ["--dryrun"],
+    ["--days", "30"],
+    ["--days="],
+    ["--days=-1"],
+    ["-n"],
+    ["file:a.db", "file:b.db"],
+  ]) {
+    assert.throws(() => parsePurgeArgs(args), /Usage:/, args.join(" "));
+  }
+});
+
+Deno.test("purge: exits with an error for an unknown flag", async () => {
+  const { code, stderr } = await new Deno.Command(Deno.execPath(), {
+    args: ["run", "-A", "db/purge.js", "--dryrun", "file:unused.db"],
+    stdout: "null",
+    stderr: "piped",
+  }).output();
+
+  assert.equal(code, 2);
+  assert.match(new TextDecoder().decode(stderr), /Unknown argument: --dryrun/);
+});
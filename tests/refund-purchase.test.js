@@ -0,0 +1,249 @@
+// refund-purchase.test.js
+
+import assert from "node:assert/strict";
+import getInventoriesHandler from "../netlify/edge-functions/get-inventories.js";
+import purchaseHandler from "../netlify/edge-functions/purchase-items.js";
+import handler from "../netlify/edge-functions/refund-purchase.js";
+import {
+  call,
+  dbTest,
+  queryAll,
+  queryOne,
+  seedItem,
+  seedRole,
+  seedUser,
+} from "./helpers.js";
+
+const refund = (json) =>
+  call(handler, "refund-purchase", {
+    method: "POST",
+    json,
+    asUser: json.actor_id,
+  });
+
+/**
+ * Buys a potion (10 credits) and a sword (25 credits, stock 5) for user 1001.
+ * @param {Object} client - Database client.
+ * @returns {Promise<Object>} Transaction, line and item IDs.
+ */
+const seedPurchase = async (client) => {
+  await seedUser(client, { user_id: 1001, credits: 100 });
+  const potionId = await seedItem(client, { price: 10 });
+  const swordId = await seedItem(client, {
+    name: "Sword",
+    price: 25,
+    stock: 5,
+  });
+
+  const { body } = await call(purchaseHandler, "purchase-items", {
+    method: "POST",
+    asUser: 1001,
+    json: {
+      user_id: 1001,
+      items: [
+        { item_id: potionId, quantity: 2 },
+        { item_id: swordId, quantity: 1 },
+      ],
+    },
+  });
+  const lines = await queryAll(
+    client,
+    "SELECT id, item_id FROM purchase_items ORDER BY id"
+  );
+
+  return {
+    transactionId: body.transaction_id,
+    potionLine: lines[0].id,
+    swordLine: lines[1].id,
+    potionId,
+    swordId,
+  };
+};
+
+dbTest("refund-purchase: refunds a whole transaction", async ({ client }) => {
+  await seedRole(client, { role: "moderator", user_id: 7 });
+  const { transactionId, swordId } = await seedPurchase(client);
+
+  const { status, body } = await refund({
+    transaction_id: transactionId,
+    actor_id: 7,
+    reason: "Bought by mistake",
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.status, "refunded");
+  assert.equal(body.credits_refunded, 45);
+  assert.equal(body.credits_remaining, 100);
+
+  assert.deepEqual(await queryAll(client, "SELECT * FROM inventory"), []);
+  const sword = await queryOne(client, "SELECT stock FROM items WHERE id = ?", [
+    swordId,
+  ]);
+  assert.equal(sword.stock, 5);
+
+  const transaction = await queryOne(
+    client,
+    "SELECT status FROM purchase_transactions WHERE id = ?",
+    [transactionId]
+  );
+  assert.equal(transaction.status, "refunded");
+
+  const audit = await queryOne(
+    client,
+    "SELECT * FROM purchases_audit WHERE action = 'refund'"
+  );
+  assert.equal(audit.credits_before, 55);
+  assert.equal(audit.credits_after, 100);
+  assert.equal(audit.total_credits_spent, -45);
+  assert.equal(audit.actor_id, 7);
+  assert.equal(audit.reason, "Bought by mistake");
+
+  const ledger = await queryOne(
+    client,
+    "SELECT * FROM credit_ledger WHERE reason = 'refund'"
+  );
+  assert.equal(ledger.delta, 45);
+  assert.equal(ledger.reference_id, transactionId);
+
+  const again = await refund({
+    transaction_id: transactionId,
+    actor_id: 7,
+    reason: "Twice",
+  });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, "Transaction is already refunded");
+});
+
+dbTest(
+  "refund-purchase: get-inventories shows what is left after a refund",
+  async ({ client }) => {
+    await seedRole(client, { role: "moderator", user_id: 7 });
+    const { transactionId, potionLine, potionId, swordId } = await seedPurchase(
+      client
+    );
+    const readInventory = async () => {
+      const { body } = await call(getInventoriesHandler, "get-inventories", {
+        query: { user_id: 1001 },
+      });
+      return body.inventory.map((item) => [item.id, item.quantity]);
+    };
+
+    assert.deepEqual(await readInventory(), [
+      [potionId, 2],
+      [swordId, 1],
+    ]);
+
+    await refund({
+      transaction_id: transactionId,
+      actor_id: 7,
+      reason: "One potion was broken",
+      lines: [{ purchase_item_id: potionLine, quantity: 1 }],
+    });
+
+    assert.deepEqual(await readInventory(), [
+      [potionId, 1],
+      [swordId, 1],
+    ]);
+  }
+);
+
+dbTest(
+  "refund-purchase: refunds some lines and then the rest",
+  async ({ client }) => {
+    await seedRole(client, { role: "moderator", user_id: 7 });
+    const { transactionId, potionLine, potionId } = await seedPurchase(client);
+
+    const partial = await refund({
+      transaction_id: transactionId,
+      actor_id: 7,
+      reason: "One potion was broken",
+      lines: [{ purchase_item_id: potionLine, quantity: 1 }],
+    });
+
+    assert.equal(partial.status, 200);
+    assert.equal(partial.body.status, "partially_refunded");
+    assert.equal(partial.body.credits_refunded, 10);
+
+    const potion = await queryOne(
+      client,
+      "SELECT total_quantity FROM inventory WHERE item_id = ?",
+      [potionId]
+    );
+    assert.equal(potion.total_quantity, 1);
+
+    const overRefund = await refund({
+      transaction_id: transactionId,
+      actor_id: 7,
+      reason: "Again",
+      lines: [{ purchase_item_id: potionLine, quantity: 2 }],
+    });
+    assert.equal(overRefund.status, 409);
+    assert.equal(
+      overRefund.body.error,
+      `Line ${potionLine} has 1 unit(s) left to refund`
+    );
+
+    const rest = await refund({
+      transaction_id: transactionId,
+      actor_id: 7,
+      reason: "Closing the order",
+    });
+    assert.equal(rest.body.status, "refunded");
+    assert.equal(rest.body.credits_refunded, 35);
+    assert.equal(rest.body.credits_remaining, 100);
+  }
+);
+
+dbTest(
+  "refund-purchase: refuses items the user no longer holds",
+  async ({ client }) => {
+    await seedRole(client, { role: "moderator", user_id: 7 });
+    const { transactionId, swordId } = await seedPurchase(client);
+    await client.execute({
+      sql: "DELETE FROM inventory WHERE item_id = ?",
+      args: [swordId],
+    });
+
+    const { status } = await refund({
+      transaction_id: transactionId,
+      actor_id: 7,
+      reason: "Sword was sold",
+    });
+
+    assert.equal(status, 409);
+
+    const user = await queryOne(
+      client,
+      "SELECT credits FROM users WHERE user_id = 1001"
+    );
+    assert.equal(user.credits, 55);
+    const transaction = await queryOne(
+      client,
+      "SELECT status FROM purchase_transactions WHERE id = ?",
+      [transactionId]
+    );
+    assert.equal(transaction.status, "completed");
+    assert.equal((await queryAll(client, "SELECT * FROM inventory")).length, 1);
+  }
+);
+
+dbTest("refund-purchase: validates the request", async ({ client }) => {
+  await seedRole(client, { role: "moderator", user_id: 7 });
+  const { transactionId } = await seedPurchase(client);
+  const request = { transaction_id: transactionId, actor_id: 7, reason: "x" };
+
+  assert.equal((await refund({ ...request, transaction_id: 999 })).status, 404);
+  assert.equal((await refund({ ...request, actor_id: null })).status, 400);
+  assert.equal((await refund({ ...request, reason: "" })).status, 400);
+  assert.equal((await refund({ ...request, lines: [] })).status, 400);
+
+  const otherLine = await refund({
+    ...request,
+    lines: [{ purchase_item_id: 999 }],
+  });
+  assert.equal(otherLine.status, 404);
+  assert.equal(
+    otherLine.body.error,
+    "Line 999 is not part of this transaction"
+  );
+});
@@ -0,0 +1,21 @@
+// request-service.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/request-service.js";
+import { CRON_JOB_KEY, CRON_JOB_URL, call, dbTest } from "./helpers.js";
+
+dbTest("request-service: pings the database with the cron key", async () => {
+  const { status, body, headers } = await call(handler, "request-service", {
+    apiKey: CRON_JOB_KEY,
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.status, "Request processed correctly...");
+  assert.equal(headers.get("Access-Control-Allow-Origin"), CRON_JOB_URL);
+});
+
+dbTest("request-service: rejects the forum API key", async () => {
+  const { status } = await call(handler, "request-service");
+
+  assert.equal(status, 403);
+});
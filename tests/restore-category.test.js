@@ -0,0 +1,171 @@
+// restore-category.test.js
+
+import assert from "node:assert/strict";
+import deleteHandler from "../netlify/edge-functions/delete-category.js";
+import handler from "../netlify/edge-functions/restore-category.js";
+import {
+  call,
+  dbTest,
+  queryAll,
+  queryOne,
+  seedCategory,
+  seedItem,
+  seedRole,
+} from "./helpers.js";
+
+const restoreCategory = (json) =>
+  call(handler, "restore-category", {
+    method: "POST",
+    json,
+    asUser: json.user_id,
+  });
+
+const deleteCategory = (json) =>
+  call(deleteHandler, "delete-category", {
+    method: "DELETE",
+    json,
+    asUser: json.user_id,
+  });
+
+dbTest(
+  "restore-category: undoes the deletion and its cascade",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    await seedRole(client, { role: "shop_manager", user_id: 8 });
+    const potionsId = await seedCategory(client);
+    const weaponsId = await seedCategory(client, { name: "Weapons" });
+    const potionId = await seedItem(client, { categories: [potionsId] });
+    const hiddenId = await seedItem(client, {
+      name: "Hidden potion",
+      is_active: 0,
+      categories: [potionsId],
+    });
+    const sharedId = await seedItem(client, {
+      name: "Throwing potion",
+      categories: [potionsId, weaponsId],
+    });
+    await deleteCategory({ id: potionsId, user_id: 7 });
+
+    const { status, body } = await restoreCategory({
+      id: potionsId,
+      user_id: 8,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.category.is_deleted, 0);
+    assert.equal(body.category.is_active, 1);
+    assert.deepEqual(body.restored_item_ids, [potionId, hiddenId]);
+    assert.deepEqual(body.reattached_item_ids, [potionId, hiddenId, sharedId]);
+
+    const items = await queryAll(
+      client,
+      "SELECT id, is_active, is_deleted FROM items ORDER BY id"
+    );
+    assert.deepEqual(
+      items.map((item) => [item.id, item.is_active, item.is_deleted]),
+      [
+        [potionId, 1, 0],
+        [hiddenId, 0, 0],
+        [sharedId, 1, 0],
+      ]
+    );
+
+    const links = await queryAll(
+      client,
+      "SELECT item_id FROM item_categories WHERE category_id = ? ORDER BY item_id",
+      [potionsId]
+    );
+    assert.deepEqual(
+      links.map((link) => link.item_id),
+      [potionId, hiddenId, sharedId]
+    );
+
+    const audit = await queryOne(
+      client,
+      "SELECT user_id, new_values FROM categories_audit WHERE action_type = 'RESTORE'"
+    );
+    assert.equal(audit.user_id, 8);
+    assert.deepEqual(JSON.parse(audit.new_values).restored_item_ids, [
+      potionId,
+      hiddenId,
+    ]);
+  }
+);
+
+dbTest(
+  "restore-category: leaves items changed since the deletion alone",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    await seedRole(client, { role: "shop_manager", user_id: 8 });
+    const potionsId = await seedCategory(client);
+    const potionId = await seedItem(client, { categories: [potionsId] });
+    await deleteCategory({ id: potionsId, user_id: 7 });
+    // The item was edited after the deletion
+    await client.execute({
+      sql: `INSERT INTO items_audit (item_id, user_id, action_type, old_values, new_values)
+            VALUES (?, 7, 'UPDATE', '{}', '{}')`,
+      args: [potionId],
+    });
+
+    const { body } = await restoreCategory({ id: potionsId, user_id: 8 });
+
+    assert.deepEqual(body.restored_item_ids, []);
+    assert.deepEqual(body.reattached_item_ids, []);
+    const item = await queryOne(
+      client,
+      "SELECT is_deleted FROM items WHERE id = ?",
+      [potionId]
+    );
+    assert.equal(item.is_deleted, 1);
+    assert.deepEqual(
+      await queryAll(client, "SELECT * FROM item_categories"),
+      []
+    );
+  }
+);
+
+dbTest(
+  "restore-category: restores deletions recorded before item_ids",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 8 });
+    const potionsId = await seedCategory(client, { is_deleted: 1 });
+    const potionId = await seedItem(client, { is_deleted: 1 });
+    await client.execute({
+      sql: `INSERT INTO items_audit
+            (item_id, user_id, action_type, old_values, new_values, created_at)
+            VALUES (?, 7, 'DELETE', '{"is_active":true,"is_deleted":true}',
+                    '{"is_active":false,"is_deleted":true}', '2025-06-01 10:00:00')`,
+      args: [potionId],
+    });
+    await client.execute({
+      sql: `INSERT INTO categories_audit
+            (category_id, user_id, action_type, old_values, new_values, created_at)
+            VALUES (?, 7, 'DELETE', '{"is_active":true}',
+                    '{"is_active":false,"is_deleted":true}', '2025-06-01 10:00:01')`,
+      args: [potionsId],
+    });
+
+    const { body } = await restoreCategory({ id: potionsId, user_id: 8 });
+
+    assert.deepEqual(body.restored_item_ids, [potionId]);
+    assert.deepEqual(body.reattached_item_ids, [potionId]);
+  }
+);
+
+dbTest("restore-category: rejects invalid restores", async ({ client }) => {
+  await seedRole(client, { role: "shop_manager", user_id: 8 });
+  const activeId = await seedCategory(client);
+  const unauditedId = await seedCategory(client, { is_deleted: 1 });
+
+  const missing = await restoreCategory({ id: 99, user_id: 8 });
+  assert.equal(missing.status, 404);
+
+  const active = await restoreCategory({ id: activeId, user_id: 8 });
+  assert.equal(active.status, 400);
+  assert.equal(active.body.error, "Category is not deleted");
+
+  const unaudited = await restoreCategory({ id: unauditedId, user_id: 8 });
+  assert.equal(unaudited.status, 409);
+
+  assert.equal((await restoreCategory({ id: activeId })).status, 400);
+});
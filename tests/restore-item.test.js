@@ -0,0 +1,110 @@
+// restore-item.test.js
+
+import assert from "node:assert/strict";
+import deleteCategoryHandler from "../netlify/edge-functions/delete-category.js";
+import deleteItemHandler from "../netlify/edge-functions/delete-item.js";
+import handler from "../netlify/edge-functions/restore-item.js";
+import {
+  call,
+  dbTest,
+  queryOne,
+  seedCategory,
+  seedItem,
+  seedRole,
+} from "./helpers.js";
+
+const restoreItem = (json) =>
+  call(handler, "restore-item", {
+    method: "POST",
+    json,
+    asUser: json.user_id,
+  });
+
+dbTest(
+  "restore-item: restores the item as it was before",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    await seedRole(client, { role: "shop_manager", user_id: 8 });
+    const categoryId = await seedCategory(client);
+    const itemId = await seedItem(client, {
+      is_active: 0,
+      categories: [categoryId],
+    });
+    await call(deleteItemHandler, "delete-item", {
+      method: "DELETE",
+      asUser: 7,
+      json: { id: itemId, user_id: 7 },
+    });
+
+    const { status, body } = await restoreItem({ id: itemId, user_id: 8 });
+
+    assert.equal(status, 200);
+    assert.equal(body.is_deleted, 0);
+    assert.equal(body.is_active, 0);
+    assert.deepEqual(body.categories, [categoryId]);
+
+    const audit = await queryOne(
+      client,
+      "SELECT user_id, new_values FROM items_audit WHERE action_type = 'RESTORE'"
+    );
+    assert.equal(audit.user_id, 8);
+    assert.equal(JSON.parse(audit.new_values).is_deleted, false);
+  }
+);
+
+dbTest(
+  "restore-item: needs a category when its own was deleted",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    await seedRole(client, { role: "shop_manager", user_id: 8 });
+    const potionsId = await seedCategory(client);
+    const otherId = await seedCategory(client, { name: "Other" });
+    const itemId = await seedItem(client, { categories: [potionsId] });
+    await call(deleteCategoryHandler, "delete-category", {
+      method: "DELETE",
+      asUser: 7,
+      json: { id: potionsId, user_id: 7 },
+    });
+
+    const orphan = await restoreItem({ id: itemId, user_id: 8 });
+    assert.equal(orphan.status, 400);
+    assert.equal(orphan.body.error, "At least one category is required");
+
+    const deletedCategory = await restoreItem({
+      id: itemId,
+      user_id: 8,
+      categories: [potionsId],
+    });
+    assert.equal(deletedCategory.status, 400);
+    assert.equal(
+      deletedCategory.body.error,
+      `Categories not found: ${potionsId}`
+    );
+
+    const { body } = await restoreItem({
+      id: itemId,
+      user_id: 8,
+      categories: [otherId],
+    });
+    assert.equal(body.is_active, 1);
+    assert.deepEqual(body.categories, [otherId]);
+  }
+);
+
+dbTest("restore-item: rejects invalid restores", async ({ client }) => {
+  await seedRole(client, { role: "shop_manager", user_id: 8 });
+  const itemId = await seedItem(client);
+
+  assert.equal((await restoreItem({ id: 99, user_id: 8 })).status, 404);
+
+  const active = await restoreItem({ id: itemId, user_id: 8 });
+  assert.equal(active.status, 400);
+  assert.equal(active.body.error, "Item is not deleted");
+
+  const categories = await restoreItem({
+    id: itemId,
+    user_id: 8,
+    categories: "1",
+  });
+  assert.equal(categories.body.error, "categories must be an array");
+});
@@ -0,0 +1,237 @@
+// sell-items.test.js
+
+import assert from "node:assert/strict";
+import getInventoriesHandler from "../netlify/edge-functions/get-inventories.js";
+import refundHandler from "../netlify/edge-functions/refund-purchase.js";
+import handler from "../netlify/edge-functions/sell-items.js";
+import {
+  call,
+  dbTest,
+  queryAll,
+  queryOne,
+  seedCategory,
+  seedInventory,
+  seedItem,
+  seedRole,
+  seedUser,
+} from "./helpers.js";
+
+const sell = (json) =>
+  call(handler, "sell-items", { method: "POST", json, asUser: json.user_id });
+
+dbTest(
+  "sell-items: pays the default share and records a negative transaction",
+  async ({ client }) => {
+    await seedRole(client, { role: "moderator", user_id: 7 });
+    await seedUser(client, { user_id: 1001, credits: 100 });
+    const potionId = await seedItem(client, { price: 10, stock: 2 });
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 3,
+      quantity_in_bag: 1,
+    });
+
+    const { status, body } = await sell({
+      user_id: 1001,
+      items: [{ item_id: potionId, quantity: 2 }],
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.credits_earned, 10);
+    assert.equal(body.credits_remaining, 110);
+    assert.deepEqual(body.inventory, [
+      { item_id: potionId, total_quantity: 1, quantity_in_bag: 1 },
+    ]);
+
+    const transaction = await queryOne(
+      client,
+      "SELECT * FROM purchase_transactions WHERE id = ?",
+      [body.transaction_id]
+    );
+    assert.equal(transaction.credits_before, 100);
+    assert.equal(transaction.credits_after, 110);
+    assert.equal(transaction.total_credits_spent, -10);
+
+    const line = await queryOne(client, "SELECT * FROM purchase_items");
+    assert.equal(line.quantity, -2);
+    assert.equal(line.item_price, 5);
+
+    const item = await queryOne(
+      client,
+      "SELECT stock FROM items WHERE id = ?",
+      [potionId]
+    );
+    assert.equal(item.stock, 4);
+
+    const ledger = await queryOne(
+      client,
+      "SELECT delta, reason FROM credit_ledger"
+    );
+    assert.deepEqual({ ...ledger }, { delta: 10, reason: "sell_back" });
+
+    const audit = await queryOne(
+      client,
+      "SELECT action, total_credits_spent FROM purchases_audit"
+    );
+    assert.deepEqual(
+      { ...audit },
+      { action: "sell_back", total_credits_spent: -10 }
+    );
+
+    const refund = await call(refundHandler, "refund-purchase", {
+      method: "POST",
+      asUser: 7,
+      json: {
+        transaction_id: body.transaction_id,
+        actor_id: 7,
+        reason: "Undo",
+      },
+    });
+    assert.equal(refund.status, 409);
+    assert.equal(refund.body.error, "Sell-backs cannot be refunded");
+  }
+);
+
+dbTest(
+  "sell-items: item and category shares override the default",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 0 });
+    const cheapId = await seedCategory(client, { name: "Cheap" });
+    const rareId = await seedCategory(client, { name: "Rare" });
+    const potionId = await seedItem(client, {
+      price: 10,
+      categories: [cheapId, rareId],
+    });
+    const swordId = await seedItem(client, {
+      name: "Sword",
+      price: 10,
+      categories: [cheapId],
+    });
+    await client.execute(
+      "UPDATE categories SET sell_back_percent = CASE name WHEN 'Cheap' THEN 20 ELSE 80 END"
+    );
+    await client.execute({
+      sql: "UPDATE items SET sell_back_percent = 90 WHERE id = ?",
+      args: [swordId],
+    });
+    for (const itemId of [potionId, swordId]) {
+      await seedInventory(client, {
+        user_id: 1001,
+        item_id: itemId,
+        total_quantity: 1,
+      });
+    }
+
+    const { body } = await sell({
+      user_id: 1001,
+      items: [
+        { item_id: potionId, quantity: 1 },
+        { item_id: swordId, quantity: 1 },
+      ],
+    });
+
+    assert.deepEqual(
+      body.items.map((item) => [item.sell_back_percent, item.unit_price]),
+      [
+        [20, 2],
+        [90, 9],
+      ]
+    );
+    assert.equal(body.credits_earned, 11);
+  }
+);
+
+dbTest(
+  "sell-items: does not sell units in the bag unless asked to",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 0 });
+    const potionId = await seedItem(client, { price: 10 });
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 2,
+      quantity_in_bag: 2,
+    });
+
+    const blocked = await sell({
+      user_id: 1001,
+      items: [{ item_id: potionId, quantity: 1 }],
+    });
+    assert.equal(blocked.status, 409);
+    assert.deepEqual(
+      await queryAll(client, "SELECT * FROM purchase_transactions"),
+      []
+    );
+
+    const fromBag = await sell({
+      user_id: 1001,
+      from: "bag",
+      items: [{ item_id: potionId, quantity: 1 }],
+    });
+    assert.equal(fromBag.status, 201);
+    assert.deepEqual(fromBag.body.inventory, [
+      { item_id: potionId, total_quantity: 1, quantity_in_bag: 1 },
+    ]);
+  }
+);
+
+dbTest(
+  "sell-items: get-inventories shows what is left after a sale",
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001 });
+    const potionId = await seedItem(client, { price: 10 });
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 3,
+      quantity_in_bag: 1,
+    });
+
+    const sale = await sell({
+      user_id: 1001,
+      items: [{ item_id: potionId, quantity: 2 }],
+    });
+    assert.equal(sale.status, 201);
+
+    const { body } = await call(getInventoriesHandler, "get-inventories", {
+      query: { user_id: 1001 },
+    });
+    assert.deepEqual(body.inventory, []);
+    assert.deepEqual(
+      body.bag.map((item) => [item.id, item.quantity]),
+      [[potionId, 1]]
+    );
+  }
+);
+
+dbTest("sell-items: refuses items that cannot be sold", async ({ client }) => {
+  await seedUser(client, { user_id: 1001 });
+  const potionId = await seedItem(client);
+  await client.execute("UPDATE items SET sell_back_percent = 0");
+  await seedInventory(client, {
+    user_id: 1001,
+    item_id: potionId,
+    total_quantity: 1,
+  });
+
+  const zero = await sell({
+    user_id: 1001,
+    items: [{ item_id: potionId, quantity: 1 }],
+  });
+  assert.equal(zero.status, 409);
+  assert.equal(zero.body.error, `Item ${potionId} cannot be sold back`);
+
+  const missing = await sell({
+    user_id: 1001,
+    items: [{ item_id: 999, quantity: 1 }],
+  });
+  assert.equal(missing.status, 404);
+
+  const source = await sell({
+    user_id: 1001,
+    from: "shop",
+    items: [{ item_id: potionId, quantity: 1 }],
+  });
+  assert.equal(source.status, 400);
+});
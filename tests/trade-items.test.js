@@ -0,0 +1,327 @@
+// trade-items.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/trade-items.js";
+import {
+  call,
+  dbTest,
+  queryAll,
+  queryOne,
+  seedInventory,
+  seedItem,
+  seedUser,
+} from "./helpers.js";
+
+const offerTrade = (json) =>
+  call(handler, "trade-items", {
+    method: "POST",
+    json,
+    asUser: json.from_user_id,
+  });
+
+const respond = (json) =>
+  call(handler, "trade-items", {
+    method: "PATCH",
+    json,
+    asUser: json.user_id,
+  });
+
+const listTrades = (query) =>
+  call(handler, "trade-items", { query, asUser: Number(query.user_id) });
+
+/**
+ * Seeds two users, a potion owned by the first and a sword owned by the
+ * second.
+ * @param {Object} client - Database client.
+ * @returns {Promise<Object>} Item IDs.
+ */
+const seedTraders = async (client) => {
+  await seedUser(client, { user_id: 1001, credits: 100 });
+  await seedUser(client, { user_id: 2002, credits: 100 });
+  const potionId = await seedItem(client);
+  const swordId = await seedItem(client, { name: "Sword" });
+  await seedInventory(client, {
+    user_id: 1001,
+    item_id: potionId,
+    total_quantity: 2,
+  });
+  await seedInventory(client, {
+    user_id: 2002,
+    item_id: swordId,
+    total_quantity: 1,
+  });
+  return { potionId, swordId };
+};
+
+/**
+ * Reads the quantity a user holds of an item.
+ * @param {Object} client - Database client.
+ * @param {number} userId - Inventory owner.
+ * @param {number} itemId - Item ID.
+ * @returns {Promise<number>} Total quantity, 0 without a row.
+ */
+const quantityOf = async (client, userId, itemId) => {
+  const row = await queryOne(
+    client,
+    "SELECT total_quantity FROM inventory WHERE user_id = ? AND item_id = ?",
+    [userId, itemId]
+  );
+  return row ? row.total_quantity : 0;
+};
+
+/**
+ * Reads a user's balance.
+ * @param {Object} client - Database client.
+ * @param {number} userId - Forumotion user ID.
+ * @returns {Promise<number>} Credits.
+ */
+const balanceOf = async (client, userId) => {
+  const user = await queryOne(
+    client,
+    "SELECT credits FROM users WHERE user_id = ?",
+    [userId]
+  );
+  return user.credits;
+};
+
+dbTest(
+  "trade-items: swaps items and credits when accepted",
+  async ({ client }) => {
+    const { potionId, swordId } = await seedTraders(client);
+
+    const offer = await offerTrade({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      offered_items: [{ item_id: potionId, quantity: 2 }],
+      offered_credits: 15,
+      requested_items: [{ item_id: swordId, quantity: 1 }],
+    });
+
+    assert.equal(offer.status, 201);
+    assert.equal(offer.body.status, "pending");
+    assert.deepEqual(offer.body.offered_items, [
+      { item_id: potionId, name: "Health potion", quantity: 2 },
+    ]);
+
+    // Nothing moves until the counterparty accepts
+    assert.equal(await quantityOf(client, 1001, potionId), 2);
+
+    const { status, body } = await respond({
+      trade_id: offer.body.id,
+      user_id: 2002,
+      action: "accept",
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.status, "accepted");
+    assert.ok(body.resolved_at);
+    assert.equal(await quantityOf(client, 1001, potionId), 0);
+    assert.equal(await quantityOf(client, 1001, swordId), 1);
+    assert.equal(await quantityOf(client, 2002, potionId), 2);
+    assert.equal(await quantityOf(client, 2002, swordId), 0);
+    assert.equal(await balanceOf(client, 1001), 85);
+    assert.equal(await balanceOf(client, 2002), 115);
+
+    const audit = await queryAll(
+      client,
+      "SELECT id FROM inventory_audit WHERE reference_type = 'trade' AND reference_id = ?",
+      [body.id]
+    );
+    assert.equal(audit.length, 4);
+    const ledger = await queryAll(
+      client,
+      "SELECT user_id, delta FROM credit_ledger WHERE reference_type = 'trade' ORDER BY id"
+    );
+    assert.deepEqual(
+      ledger.map((row) => [row.user_id, row.delta]),
+      [
+        [1001, -15],
+        [2002, 15],
+      ]
+    );
+  }
+);
+
+dbTest(
+  "trade-items: accepting fails whole when a side is short",
+  async ({ client }) => {
+    const { potionId, swordId } = await seedTraders(client);
+    const offer = await offerTrade({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      offered_items: [{ item_id: potionId, quantity: 1 }],
+      requested_items: [{ item_id: swordId, quantity: 1 }],
+      requested_credits: 500,
+    });
+
+    const { status } = await respond({
+      trade_id: offer.body.id,
+      user_id: 2002,
+      action: "accept",
+    });
+
+    assert.equal(status, 400);
+    assert.equal(await quantityOf(client, 1001, potionId), 2);
+    assert.equal(await quantityOf(client, 2002, swordId), 1);
+    const trade = await queryOne(client, "SELECT status FROM trades");
+    assert.equal(trade.status, "pending");
+  }
+);
+
+dbTest(
+  "trade-items: only the right side can respond, once",
+  async ({ client }) => {
+    const { potionId, swordId } = await seedTraders(client);
+    const offer = await offerTrade({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      offered_items: [{ item_id: potionId, quantity: 1 }],
+      requested_items: [{ item_id: swordId, quantity: 1 }],
+    });
+    const tradeId = offer.body.id;
+
+    const proposerAccepts = await respond({
+      trade_id: tradeId,
+      user_id: 1001,
+      action: "accept",
+    });
+    assert.equal(proposerAccepts.status, 403);
+
+    const recipientCancels = await respond({
+      trade_id: tradeId,
+      user_id: 2002,
+      action: "cancel",
+    });
+    assert.equal(recipientCancels.status, 403);
+
+    const rejected = await respond({
+      trade_id: tradeId,
+      user_id: 2002,
+      action: "reject",
+    });
+    assert.equal(rejected.body.status, "rejected");
+
+    const again = await respond({
+      trade_id: tradeId,
+      user_id: 2002,
+      action: "accept",
+    });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, "Trade is already rejected");
+  }
+);
+
+dbTest("trade-items: expired trades cannot be accepted", async ({ client }) => {
+  const { potionId, swordId } = await seedTraders(client);
+  const offer = await offerTrade({
+    from_user_id: 1001,
+    to_user_id: 2002,
+    offered_items: [{ item_id: potionId, quantity: 1 }],
+    requested_items: [{ item_id: swordId, quantity: 1 }],
+    expires_in_hours: 1,
+  });
+  await client.execute({
+    sql: "UPDATE trades SET expires_at = datetime('now', '-1 minute') WHERE id = ?",
+    args: [offer.body.id],
+  });
+
+  const listed = await listTrades({ user_id: 2002, status: "expired" });
+  assert.deepEqual(
+    listed.body.map((trade) => trade.id),
+    [offer.body.id]
+  );
+
+  const { status, body } = await respond({
+    trade_id: offer.body.id,
+    user_id: 2002,
+    action: "accept",
+  });
+
+  assert.equal(status, 409);
+  assert.equal(body.error, "Trade has expired");
+  const trade = await queryOne(client, "SELECT status FROM trades");
+  assert.equal(trade.status, "expired");
+  assert.equal(await quantityOf(client, 2002, potionId), 0);
+});
+
+dbTest("trade-items: lists a user's trades", async ({ client }) => {
+  const { potionId, swordId } = await seedTraders(client);
+  await offerTrade({
+    from_user_id: 1001,
+    to_user_id: 2002,
+    offered_items: [{ item_id: potionId, quantity: 1 }],
+    requested_items: [{ item_id: swordId, quantity: 1 }],
+  });
+
+  const { status, body } = await listTrades({ user_id: 1001 });
+
+  assert.equal(status, 200);
+  assert.equal(body.length, 1);
+  assert.equal(body[0].requested_items[0].item_id, swordId);
+  assert.deepEqual((await listTrades({ user_id: 3003 })).body, []);
+});
+
+dbTest("trade-items: pages a user's trades", async ({ client }) => {
+  const { potionId, swordId } = await seedTraders(client);
+  for (let i = 0; i < 3; i++) {
+    await offerTrade({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      offered_items: [{ item_id: potionId, quantity: 1 }],
+      requested_items: [{ item_id: swordId, quantity: 1 }],
+    });
+  }
+
+  const first = await listTrades({ user_id: 1001, limit: 2 });
+  assert.equal(first.status, 200);
+  assert.deepEqual(
+    first.body.trades.map((trade) => trade.id),
+    [3, 2]
+  );
+  assert.equal(first.body.trades[0].offered_items[0].item_id, potionId);
+  assert.equal(first.body.pagination.total, 3);
+
+  const second = await listTrades({
+    user_id: 1001,
+    limit: 2,
+    cursor: first.body.pagination.next_cursor,
+  });
+  assert.deepEqual(
+    second.body.trades.map((trade) => trade.id),
+    [1]
+  );
+  assert.equal(second.body.pagination.next_cursor, null);
+});
+
+dbTest(
+  "trade-items: rejects offers the proposer cannot cover",
+  async ({ client }) => {
+    const { potionId, swordId } = await seedTraders(client);
+
+    const items = await offerTrade({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      offered_items: [{ item_id: potionId, quantity: 5 }],
+      requested_items: [{ item_id: swordId, quantity: 1 }],
+    });
+    assert.equal(items.status, 409);
+
+    const credits = await offerTrade({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      offered_credits: 500,
+      requested_items: [{ item_id: swordId, quantity: 1 }],
+    });
+    assert.equal(credits.status, 409);
+
+    const oneSided = await offerTrade({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      offered_credits: 10,
+    });
+    assert.equal(
+      oneSided.body.error,
+      "The request must include items or credits"
+    );
+  }
+);
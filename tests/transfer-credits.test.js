@@ -0,0 +1,209 @@
+// transfer-credits.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/transfer-credits.js";
+import { call, dbTest, queryAll, queryOne, seedUser } from "./helpers.js";
+
+const transfer = (json) =>
+  call(handler, "transfer-credits", {
+    method: "POST",
+    json,
+    asUser: json.from_user_id,
+  });
+
+/**
+ * Registers a database test that runs with the given transfer rules.
+ * @param {string} name - Test name.
+ * @param {Object} env - Environment variables to set for the test.
+ * @param {Function} fn - Receives the database.
+ */
+const transferTest = (name, env, fn) => {
+  dbTest(name, async (db) => {
+    for (const [key, value] of Object.entries(env)) Deno.env.set(key, value);
+    try {
+      await fn(db);
+    } finally {
+      for (const key of Object.keys(env)) Deno.env.delete(key);
+    }
+  });
+};
+
+/**
+ * Reads a user's balance.
+ * @param {Object} client - Database client.
+ * @param {number} userId - Forumotion user ID.
+ * @returns {Promise<number>} Credits.
+ */
+const balanceOf = async (client, userId) => {
+  const user = await queryOne(
+    client,
+    "SELECT credits FROM users WHERE user_id = ?",
+    [userId]
+  );
+  return user.credits;
+};
+
+transferTest(
+  "transfer-credits: moves credits and charges the fee to the sender",
+  { TRANSFER_FEE_PERCENT: "10" },
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 100 });
+    await seedUser(client, { user_id: 2002, credits: 5 });
+
+    const { status, body } = await transfer({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      amount: 50,
+      note: "Thanks!",
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.transfer.amount, 50);
+    assert.equal(body.transfer.fee, 5);
+    assert.equal(body.credits_remaining, 45);
+    assert.equal(await balanceOf(client, 1001), 45);
+    assert.equal(await balanceOf(client, 2002), 55);
+
+    const ledger = await queryAll(
+      client,
+      `SELECT user_id, delta, reason, reference_id FROM credit_ledger
+       WHERE reference_type = 'transfer' ORDER BY id`
+    );
+    assert.deepEqual(
+      ledger.map((row) => [row.user_id, row.delta, row.reason]),
+      [
+        [1001, -50, "transfer_sent"],
+        [1001, -5, "transfer_fee"],
+        [2002, 50, "transfer_received"],
+      ]
+    );
+    assert.ok(ledger.every((row) => row.reference_id === body.transfer.id));
+
+    const audit = await queryAll(
+      client,
+      `SELECT user_id, old_values, new_values FROM users_audit
+       WHERE action_type = 'UPDATE' ORDER BY id`
+    );
+    assert.deepEqual(
+      audit.map((row) => [
+        row.user_id,
+        JSON.parse(row.old_values).credits,
+        JSON.parse(row.new_values).credits,
+      ]),
+      [
+        [1001, 100, 45],
+        [2002, 5, 55],
+      ]
+    );
+  }
+);
+
+transferTest(
+  "transfer-credits: registers users seen for the first time",
+  {},
+  async ({ client }) => {
+    const { status } = await transfer({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      amount: 30,
+    });
+
+    assert.equal(status, 201);
+    assert.equal(await balanceOf(client, 1001), 70);
+    assert.equal(await balanceOf(client, 2002), 130);
+
+    const audit = await queryAll(
+      client,
+      "SELECT user_id FROM users_audit WHERE action_type = 'INSERT' ORDER BY user_id"
+    );
+    assert.deepEqual(
+      audit.map((row) => row.user_id),
+      [1001, 2002]
+    );
+  }
+);
+
+transferTest(
+  "transfer-credits: enforces the minimum amount",
+  { TRANSFER_MIN_AMOUNT: "10" },
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001 });
+
+    const { status, body } = await transfer({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      amount: 5,
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "The minimum transfer is 10 credits");
+  }
+);
+
+transferTest(
+  "transfer-credits: enforces the daily cap",
+  { TRANSFER_DAILY_CAP: "50" },
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 500 });
+    await client.execute(`
+      INSERT INTO credit_transfers (from_user_id, to_user_id, amount, created_at)
+      VALUES (1001, 2002, 100, datetime('now', '-2 days'))
+    `);
+
+    const first = await transfer({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      amount: 40,
+    });
+    assert.equal(first.status, 201);
+
+    const second = await transfer({
+      from_user_id: 1001,
+      to_user_id: 3003,
+      amount: 20,
+    });
+    assert.equal(second.status, 403);
+    assert.equal(second.body.error, "Daily transfer cap exceeded");
+    assert.equal(second.body.remaining, 10);
+    assert.equal(await balanceOf(client, 1001), 460);
+  }
+);
+
+transferTest(
+  "transfer-credits: rejects transfers the sender cannot cover",
+  { TRANSFER_FEE_PERCENT: "10" },
+  async ({ client }) => {
+    await seedUser(client, { user_id: 1001, credits: 100 });
+    await seedUser(client, { user_id: 2002, credits: 0 });
+
+    const { status, body } = await transfer({
+      from_user_id: 1001,
+      to_user_id: 2002,
+      amount: 100,
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "Insufficient credits");
+    assert.equal(await balanceOf(client, 1001), 100);
+    assert.equal(await balanceOf(client, 2002), 0);
+    const transfers = await queryAll(client, "SELECT id FROM credit_transfers");
+    assert.equal(transfers.length, 0);
+  }
+);
+
+transferTest("transfer-credits: validates the request", {}, async () => {
+  const self = await transfer({
+    from_user_id: 1001,
+    to_user_id: 1001,
+    amount: 10,
+  });
+  assert.equal(self.status, 400);
+  assert.equal(self.body.error, "Cannot transfer credits to yourself");
+
+  assert.equal(
+    (await transfer({ from_user_id: 1001, to_user_id: 2002, amount: -1 }))
+      .status,
+    400
+  );
+  assert.equal((await transfer({ amount: 10 })).status, 400);
+});
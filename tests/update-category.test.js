@@ -0,0 +1,193 @@
+// update-category.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/update-category.js";
+import {
+  call,
+  dbTest,
+  imageFile,
+  imageKitTest,
+  queryOne,
+  seedCategory,
+  seedRole,
+} from "./helpers.js";
+
+const updateCategory = (form) =>
+  call(handler, "update-category", {
+    method: "PATCH",
+    form,
+    asUser: form.user_id && Number(form.user_id),
+  });
+
+dbTest("update-category: renames and deactivates", async ({ client }) => {
+  await seedRole(client, { role: "shop_manager", user_id: 7 });
+  const categoryId = await seedCategory(client);
+
+  const { status, body, headers } = await updateCategory({
+    id: categoryId,
+    user_id: 7,
+    name: "Elixirs",
+    is_active: "false",
+  });
+
+  assert.equal(status, 200);
+  assert.equal(headers.get("ETag"), '"2"');
+  assert.equal(body.name, "Elixirs");
+  assert.equal(body.is_active, 0);
+  assert.equal(body.edited_by, 7);
+
+  const audit = await queryOne(
+    client,
+    "SELECT old_values, new_values FROM categories_audit WHERE category_id = ?",
+    [categoryId]
+  );
+  assert.equal(JSON.parse(audit.old_values).name, "Potions");
+  assert.equal(JSON.parse(audit.new_values).name, "Elixirs");
+});
+
+dbTest(
+  "update-category: rejects a write based on an older version",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    await updateCategory({ id: categoryId, user_id: 7, name: "Elixirs" });
+
+    const { status, body } = await call(handler, "update-category", {
+      method: "PATCH",
+      form: { id: categoryId, user_id: 7, is_active: "false" },
+      asUser: 7,
+      headers: { "If-Match": '"1"' },
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.error, "Category has changed since version 1");
+    assert.equal(body.current.name, "Elixirs");
+    assert.equal(body.current.version, 2);
+    const category = await queryOne(client, "SELECT is_active FROM categories");
+    assert.equal(category.is_active, 1);
+  }
+);
+
+dbTest(
+  "update-category: sets the sell-back share of its items",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+
+    const { body } = await updateCategory({
+      id: categoryId,
+      user_id: 7,
+      sell_back_percent: 25,
+    });
+    assert.equal(body.sell_back_percent, 25);
+
+    const audit = await queryOne(
+      client,
+      "SELECT new_values FROM categories_audit WHERE category_id = ?",
+      [categoryId]
+    );
+    assert.equal(JSON.parse(audit.new_values).sell_back_percent, 25);
+
+    const same = await updateCategory({
+      id: categoryId,
+      user_id: 7,
+      sell_back_percent: 25,
+    });
+    assert.equal(same.body.message, "No updates to be made");
+  }
+);
+
+imageKitTest(
+  "update-category: uploads a new image",
+  async ({ client }, imageKit) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+
+    const { body } = await updateCategory({
+      id: categoryId,
+      user_id: 7,
+      image: imageFile("new.png"),
+    });
+
+    assert.equal(imageKit.uploads.length, 1);
+    assert.equal(body.image, "https://ik.imagekit.test/cat_new.png");
+  }
+);
+
+imageKitTest(
+  "update-category: uploads nothing for a stale version",
+  async ({ client }, imageKit) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    await updateCategory({ id: categoryId, user_id: 7, name: "Elixirs" });
+
+    const { status } = await call(handler, "update-category", {
+      method: "PATCH",
+      form: { id: categoryId, user_id: 7, image: imageFile("new.png") },
+      asUser: 7,
+      headers: { "If-Match": '"1"' },
+    });
+
+    assert.equal(status, 409);
+    assert.equal(imageKit.uploads.length, 0);
+  }
+);
+
+dbTest("update-category: reports when nothing changes", async ({ client }) => {
+  await seedRole(client, { role: "shop_manager", user_id: 7 });
+  const categoryId = await seedCategory(client);
+
+  const { status, body } = await updateCategory({
+    id: categoryId,
+    user_id: 7,
+    name: "Potions",
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.message, "No updates to be made");
+  const audit = await queryOne(
+    client,
+    "SELECT COUNT(*) AS count FROM categories_audit"
+  );
+  assert.equal(audit.count, 0);
+});
+
+dbTest(
+  "update-category: checks permission and version before an empty update",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    await updateCategory({ id: categoryId, user_id: 7, name: "Elixirs" });
+
+    const forbidden = await updateCategory({ id: categoryId, user_id: 8 });
+    assert.equal(forbidden.status, 403);
+
+    const stale = await call(handler, "update-category", {
+      method: "PATCH",
+      form: { id: categoryId, user_id: 7, name: "Elixirs" },
+      asUser: 7,
+      headers: { "If-Match": '"1"' },
+    });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.error, "Category has changed since version 1");
+  }
+);
+
+dbTest(
+  "update-category: rejects unknown and deleted categories",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const deletedId = await seedCategory(client, { is_deleted: 1 });
+
+    const missing = await updateCategory({ id: 99, user_id: 7, name: "X" });
+    assert.equal(missing.status, 404);
+
+    const deleted = await updateCategory({
+      id: deletedId,
+      user_id: 7,
+      name: "X",
+    });
+    assert.equal(deleted.status, 400);
+    assert.equal(deleted.body.error, "Cannot update a deleted category");
+  }
+);
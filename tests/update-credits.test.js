@@ -0,0 +1,236 @@
+// update-credits.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/update-credits.js";
+import {
+  call,
+  dbTest,
+  queryAll,
+  queryOne,
+  seedRole,
+  seedUser,
+} from "./helpers.js";
+
+const updateCredits = (json) =>
+  call(handler, "update-credits", {
+    method: "PUT",
+    json,
+    asUser: json.actor_id,
+  });
+
+dbTest(
+  "update-credits: adds credits and records them in the ledger",
+  async ({ client }) => {
+    await seedRole(client, { role: "moderator", user_id: 7 });
+    await seedUser(client, { user_id: 1001, credits: 100 });
+
+    const { status, body } = await updateCredits({
+      user_id: 1001,
+      action: "add",
+      amount: 50,
+      reason: "Event prize",
+      actor_id: 7,
+      reference_type: "event",
+      reference_id: 3,
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.user, { user_id: 1001, credits: 150 });
+    assert.equal(body.ledger_entry.delta, 50);
+
+    const entry = await queryOne(
+      client,
+      "SELECT * FROM credit_ledger WHERE user_id = 1001"
+    );
+    assert.equal(entry.delta, 50);
+    assert.equal(entry.balance_after, 150);
+    assert.equal(entry.reason, "Event prize");
+    assert.equal(entry.actor_id, 7);
+    assert.equal(entry.reference_type, "event");
+    assert.equal(entry.reference_id, 3);
+  }
+);
+
+dbTest(
+  "update-credits: grants based on the same balance are both kept",
+  async ({ client }) => {
+    await seedRole(client, { role: "moderator", user_id: 7 });
+    await seedUser(client, { user_id: 1001, credits: 100 });
+
+    const grant = (amount) =>
+      updateCredits({
+        user_id: 1001,
+        action: "add",
+        amount,
+        reason: "Grant",
+        actor_id: 7,
+      });
+    // Two moderators who both saw a balance of 100
+    await grant(10);
+    await grant(20);
+
+    const user = await queryOne(
+      client,
+      "SELECT credits FROM users WHERE user_id = 1001"
+    );
+    assert.equal(user.credits, 130);
+
+    const ledger = await queryAll(
+      client,
+      "SELECT balance_after FROM credit_ledger ORDER BY id"
+    );
+    assert.deepEqual(
+      ledger.map((row) => row.balance_after),
+      [110, 130]
+    );
+  }
+);
+
+dbTest(
+  "update-credits: applies a change sent twice with one key once",
+  async ({ client }) => {
+    await seedRole(client, { role: "moderator", user_id: 7 });
+    await seedUser(client, { user_id: 1001, credits: 100 });
+    const send = () =>
+      call(handler, "update-credits", {
+        method: "PUT",
+        json: {
+          user_id: 1001,
+          action: "add",
+          amount: 50,
+          reason: "Event prize",
+          actor_id: 7,
+        },
+        asUser: 7,
+        headers: { "Idempotency-Key": "event-prize-1001" },
+      });
+
+    const first = await send();
+    const retry = await send();
+
+    assert.equal(retry.status, first.status);
+    assert.deepEqual(retry.body, first.body);
+    const user = await queryOne(client, "SELECT credits FROM users");
+    assert.equal(user.credits, 150);
+    assert.equal(
+      (await queryAll(client, "SELECT * FROM credit_ledger")).length,
+      1
+    );
+  }
+);
+
+dbTest(
+  "update-credits: requires the credits.update permission",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    await seedUser(client, { user_id: 1001, credits: 100 });
+
+    const { status, body } = await updateCredits({
+      user_id: 1001,
+      action: "add",
+      amount: 50,
+      reason: "Event prize",
+      actor_id: 7,
+    });
+
+    assert.equal(status, 403);
+    assert.equal(body.permission, "credits.update");
+    const user = await queryOne(client, "SELECT credits FROM users");
+    assert.equal(user.credits, 100);
+  }
+);
+
+dbTest(
+  "update-credits: subtracts without going below zero",
+  async ({ client }) => {
+    await seedRole(client, { role: "moderator", user_id: 7 });
+    await seedUser(client, { user_id: 1001, credits: 30 });
+    const subtract = (amount) =>
+      updateCredits({
+        user_id: 1001,
+        action: "subtract",
+        amount,
+        reason: "Penalty",
+        actor_id: 7,
+      });
+
+    const ok = await subtract(20);
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.user.credits, 10);
+
+    const overdraft = await subtract(20);
+    assert.equal(overdraft.status, 400);
+    assert.equal(overdraft.body.error, "Insufficient credits");
+
+    const ledger = await queryAll(client, "SELECT delta FROM credit_ledger");
+    assert.deepEqual(
+      ledger.map((row) => row.delta),
+      [-20]
+    );
+  }
+);
+
+dbTest("update-credits: returns 404 for unknown users", async ({ client }) => {
+  await seedRole(client, { role: "moderator", user_id: 7 });
+  const { status } = await updateCredits({
+    user_id: 1001,
+    action: "add",
+    amount: 10,
+    reason: "Grant",
+    actor_id: 7,
+  });
+
+  assert.equal(status, 404);
+});
+
+dbTest("update-credits: rejects invalid changes", async ({ client }) => {
+  await seedRole(client, { role: "moderator", user_id: 7 });
+  await seedUser(client, { user_id: 1001 });
+  const change = {
+    user_id: 1001,
+    action: "add",
+    amount: 10,
+    reason: "Grant",
+    actor_id: 7,
+  };
+
+  const absolute = await updateCredits({ user_id: 1001, credits: 500 });
+  assert.equal(absolute.status, 400);
+  assert.match(absolute.body.error, /absolute balance is not supported/);
+
+  assert.equal((await updateCredits({ ...change, action: "set" })).status, 400);
+  assert.equal(
+    (await updateCredits({ ...change, amount: -5 })).body.error,
+    "Invalid credits amount"
+  );
+  assert.equal((await updateCredits({ ...change, reason: " " })).status, 400);
+  assert.equal(
+    (await updateCredits({ ...change, actor_id: undefined })).status,
+    400
+  );
+  assert.equal(
+    (await updateCredits({ ...change, reference_type: "event" })).body.error,
+    "Invalid reference"
+  );
+});
+
+dbTest("update-credits: the ledger cannot be rewritten", async ({ client }) => {
+  await seedRole(client, { role: "moderator", user_id: 7 });
+  await seedUser(client, { user_id: 1001 });
+  await updateCredits({
+    user_id: 1001,
+    action: "add",
+    amount: 10,
+    reason: "Grant",
+    actor_id: 7,
+  });
+
+  await assert.rejects(
+    client.execute("UPDATE credit_ledger SET delta = 1000"),
+    /append-only/
+  );
+  await assert.rejects(
+    client.execute("DELETE FROM credit_ledger"),
+    /append-only/
+  );
+});
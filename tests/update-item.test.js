@@ -0,0 +1,392 @@
+// update-item.test.js
+
+import assert from "node:assert/strict";
+import getItemsHandler from "../netlify/edge-functions/get-items.js";
+import handler from "../netlify/edge-functions/update-item.js";
+import {
+  call,
+  dbTest,
+  failInsertsInto,
+  imageFile,
+  imageKitTest,
+  queryAll,
+  queryOne,
+  seedCategory,
+  seedItem,
+  seedRole,
+} from "./helpers.js";
+
+const updateItem = (form) =>
+  call(handler, "update-item", {
+    method: "PATCH",
+    form,
+    asUser: form.user_id && Number(form.user_id),
+  });
+
+dbTest(
+  "update-item: changes only the fields that were sent",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    const itemId = await seedItem(client, {
+      price: 10,
+      categories: [categoryId],
+    });
+
+    const { status, body } = await updateItem({
+      id: itemId,
+      user_id: 7,
+      price: 12,
+      stock: 3,
+      purchase_limit: 1,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.price, 12);
+    assert.equal(body.stock, 3);
+    assert.equal(body.purchase_limit, 1);
+    assert.equal(body.limit_period, "lifetime");
+    assert.equal(body.name, "Health potion");
+    assert.equal(body.edited_by, 7);
+
+    const audit = await queryOne(
+      client,
+      "SELECT action_type, old_values, new_values FROM items_audit WHERE item_id = ?",
+      [itemId]
+    );
+    assert.equal(audit.action_type, "UPDATE");
+    assert.equal(JSON.parse(audit.old_values).price, 10);
+    assert.equal(JSON.parse(audit.new_values).price, 12);
+  }
+);
+
+dbTest(
+  "update-item: rejects a write based on an older version",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    await seedRole(client, { role: "shop_manager", user_id: 8 });
+    const categoryId = await seedCategory(client);
+    const itemId = await seedItem(client, {
+      price: 10,
+      categories: [categoryId],
+    });
+
+    // Both staff loaded version 1; the first save wins
+    const first = await call(handler, "update-item", {
+      method: "PATCH",
+      form: { id: itemId, user_id: 7, price: 12 },
+      asUser: 7,
+      headers: { "If-Match": '"1"' },
+    });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.version, 2);
+    assert.equal(first.headers.get("ETag"), '"2"');
+
+    const stale = await updateItem({
+      id: itemId,
+      user_id: 8,
+      price: 15,
+      version: 1,
+    });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.error, "Item has changed since version 1");
+    assert.equal(stale.body.current.price, 12);
+    assert.equal(stale.body.current.version, 2);
+    assert.deepEqual(stale.body.current.categories, [categoryId]);
+
+    const item = await queryOne(client, "SELECT price, edited_by FROM items");
+    assert.deepEqual({ ...item }, { price: 12, edited_by: 7 });
+
+    const merged = await updateItem({
+      id: itemId,
+      user_id: 8,
+      price: 15,
+      version: 2,
+    });
+    assert.equal(merged.status, 200);
+    assert.equal(merged.body.version, 3);
+  }
+);
+
+dbTest(
+  "update-item: replays a retried update instead of a conflict",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    const itemId = await seedItem(client, {
+      price: 10,
+      categories: [categoryId],
+    });
+    const send = () =>
+      call(handler, "update-item", {
+        method: "PATCH",
+        form: { id: itemId, user_id: 7, price: 12 },
+        asUser: 7,
+        headers: { "If-Match": '"1"', "Idempotency-Key": "price-change-1" },
+      });
+
+    const first = await send();
+    const retry = await send();
+
+    assert.equal(first.status, 200);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get("Idempotent-Replayed"), "true");
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(retry.body.version, 2);
+    assert.equal(retry.headers.get("ETag"), '"2"');
+
+    const audits = await queryAll(
+      client,
+      "SELECT id FROM items_audit WHERE item_id = ?",
+      [itemId]
+    );
+    assert.equal(audits.length, 1);
+  }
+);
+
+dbTest(
+  "update-item: takes the version read from get-items",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    const itemId = await seedItem(client, {
+      price: 10,
+      categories: [categoryId],
+    });
+    const read = await call(getItemsHandler, "get-items", {
+      query: { id: itemId },
+    });
+    const patch = (ifMatch) =>
+      call(handler, "update-item", {
+        method: "PATCH",
+        form: { id: itemId, user_id: 7, price: 12 },
+        asUser: 7,
+        headers: { "If-Match": ifMatch },
+      });
+
+    const catalogTag = await patch(read.headers.get("ETag"));
+    assert.equal(catalogTag.status, 400);
+    assert.equal(
+      catalogTag.body.error,
+      'If-Match takes the version of the record, e.g. "3", not the catalog ETag'
+    );
+
+    const updated = await patch(`"${read.body.version}"`);
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.version, read.body.version + 1);
+  }
+);
+
+dbTest("update-item: validates the expected version", async ({ client }) => {
+  await seedRole(client, { role: "shop_manager", user_id: 7 });
+  const itemId = await seedItem(client, {
+    categories: [await seedCategory(client)],
+  });
+  const send = (headers, version) =>
+    call(handler, "update-item", {
+      method: "PATCH",
+      form: { id: itemId, user_id: 7, price: 12, ...(version && { version }) },
+      asUser: 7,
+      headers,
+    });
+
+  assert.equal(
+    (await send({ "If-Match": "1" })).body.error,
+    "If-Match must be an ETag of the record"
+  );
+  assert.equal((await send({}, "x")).body.error, "Invalid version");
+  assert.equal(
+    (await send({ "If-Match": '"1"' }, 2)).body.error,
+    "If-Match and version do not match"
+  );
+  assert.equal((await send({ "If-Match": "*" })).status, 200);
+});
+
+dbTest(
+  "update-item: clears stock and limits with 'unlimited'",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    const itemId = await seedItem(client, {
+      stock: 4,
+      purchase_limit: 2,
+      limit_period: "week",
+      categories: [categoryId],
+    });
+
+    const { body } = await updateItem({
+      id: itemId,
+      user_id: 7,
+      stock: "unlimited",
+      purchase_limit: "unlimited",
+    });
+
+    assert.equal(body.stock, null);
+    assert.equal(body.purchase_limit, null);
+    assert.equal(body.limit_period, null);
+  }
+);
+
+dbTest(
+  "update-item: sets and removes the sell-back share",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    const itemId = await seedItem(client, { categories: [categoryId] });
+
+    const set = await updateItem({
+      id: itemId,
+      user_id: 7,
+      sell_back_percent: 30,
+    });
+    assert.equal(set.body.sell_back_percent, 30);
+
+    const reset = await updateItem({
+      id: itemId,
+      user_id: 7,
+      sell_back_percent: "default",
+    });
+    assert.equal(reset.body.sell_back_percent, null);
+
+    const invalid = await updateItem({
+      id: itemId,
+      user_id: 7,
+      sell_back_percent: 150,
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, "Invalid sell-back percent");
+  }
+);
+
+dbTest("update-item: replaces the categories", async ({ client }) => {
+  await seedRole(client, { role: "shop_manager", user_id: 7 });
+  const potionsId = await seedCategory(client);
+  const weaponsId = await seedCategory(client, { name: "Weapons" });
+  const itemId = await seedItem(client, { categories: [potionsId] });
+
+  const { status } = await updateItem({
+    id: itemId,
+    user_id: 7,
+    categories: [weaponsId],
+  });
+
+  assert.equal(status, 200);
+  const links = await queryAll(
+    client,
+    "SELECT category_id FROM item_categories WHERE item_id = ?",
+    [itemId]
+  );
+  assert.deepEqual(
+    links.map((row) => row.category_id),
+    [weaponsId]
+  );
+});
+
+imageKitTest(
+  "update-item: uploads a new image",
+  async ({ client }, imageKit) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    const itemId = await seedItem(client, { categories: [categoryId] });
+
+    const { body } = await updateItem({
+      id: itemId,
+      user_id: 7,
+      image: imageFile("new.png"),
+    });
+
+    assert.equal(imageKit.uploads[0].fileName, "itm_new.png");
+    assert.equal(body.image, "https://ik.imagekit.test/itm_new.png");
+  }
+);
+
+imageKitTest(
+  "update-item: uploads nothing for a stale version",
+  async ({ client }, imageKit) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const itemId = await seedItem(client, {
+      categories: [await seedCategory(client)],
+    });
+    await updateItem({ id: itemId, user_id: 7, price: 12 });
+
+    const { status } = await call(handler, "update-item", {
+      method: "PATCH",
+      form: { id: itemId, user_id: 7, image: imageFile("new.png") },
+      asUser: 7,
+      headers: { "If-Match": '"1"' },
+    });
+
+    assert.equal(status, 409);
+    assert.equal(imageKit.uploads.length, 0);
+  }
+);
+
+dbTest(
+  "update-item: reports missing, deleted and empty updates",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const itemId = await seedItem(client, { is_deleted: 1 });
+
+    const missing = await updateItem({ id: 99, user_id: 7, price: 5 });
+    assert.equal(missing.status, 404);
+
+    const deleted = await updateItem({ id: itemId, user_id: 7, price: 5 });
+    assert.equal(deleted.status, 400);
+    assert.equal(deleted.body.error, "Cannot update a deleted item");
+
+    const emptyDeleted = await updateItem({ id: itemId, user_id: 7 });
+    assert.equal(emptyDeleted.status, 400);
+
+    const liveId = await seedItem(client);
+    const empty = await updateItem({ id: liveId, user_id: 7 });
+    assert.equal(empty.status, 200);
+    assert.equal(empty.body.message, "No updates to be made");
+  }
+);
+
+dbTest(
+  "update-item: checks permission and version before an empty update",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const itemId = await seedItem(client, {
+      categories: [await seedCategory(client)],
+    });
+    const updated = await updateItem({ id: itemId, user_id: 7, price: 12 });
+    assert.equal(updated.status, 200);
+
+    const forbidden = await updateItem({ id: itemId, user_id: 8 });
+    assert.equal(forbidden.status, 403);
+
+    const stale = await call(handler, "update-item", {
+      method: "PATCH",
+      form: { id: itemId, user_id: 7 },
+      asUser: 7,
+      headers: { "If-Match": '"1"' },
+    });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.error, "Item has changed since version 1");
+  }
+);
+
+dbTest(
+  "update-item: rolls back when the audit insert fails",
+  async ({ client }) => {
+    await seedRole(client, { role: "shop_manager", user_id: 7 });
+    const categoryId = await seedCategory(client);
+    const itemId = await seedItem(client, {
+      price: 10,
+      categories: [categoryId],
+    });
+    await failInsertsInto(client, "items_audit");
+
+    const { status } = await updateItem({ id: itemId, user_id: 7, price: 99 });
+
+    assert.equal(status, 500);
+    const item = await queryOne(
+      client,
+      "SELECT price FROM items WHERE id = ?",
+      [itemId]
+    );
+    assert.equal(item.price, 10);
+  }
+);
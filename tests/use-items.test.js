@@ -0,0 +1,109 @@
+// use-items.test.js
+
+import assert from "node:assert/strict";
+import handler from "../netlify/edge-functions/use-items.js";
+import { call, dbTest, queryAll, seedInventory, seedItem } from "./helpers.js";
+
+const useItems = (json) =>
+  call(handler, "use-items", { method: "POST", json, asUser: json.user_id });
+
+dbTest("use-items: consumes units from the bag", async ({ client }) => {
+  const potionId = await seedItem(client);
+  await seedInventory(client, {
+    user_id: 1001,
+    item_id: potionId,
+    total_quantity: 3,
+    quantity_in_bag: 2,
+  });
+
+  const { status, body } = await useItems({
+    user_id: 1001,
+    items: [{ item_id: potionId, quantity: 2 }],
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.inventory, [
+    { item_id: potionId, total_quantity: 1, quantity_in_bag: 0 },
+  ]);
+
+  const audit = await queryAll(
+    client,
+    "SELECT delta, bag_delta, reason FROM inventory_audit ORDER BY id"
+  );
+  assert.deepEqual(
+    audit.map((row) => [row.delta, row.bag_delta, row.reason]),
+    [
+      [0, -2, "use"],
+      [-2, 0, "use"],
+    ]
+  );
+});
+
+dbTest(
+  "use-items: consumes from the inventory and removes empty rows",
+  async ({ client }) => {
+    const potionId = await seedItem(client);
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 1,
+    });
+
+    const { body } = await useItems({
+      user_id: 1001,
+      from: "inventory",
+      items: [{ item_id: potionId, quantity: 1 }],
+    });
+
+    assert.deepEqual(body.inventory, [
+      { item_id: potionId, total_quantity: 0, quantity_in_bag: 0 },
+    ]);
+    assert.deepEqual(await queryAll(client, "SELECT * FROM inventory"), []);
+  }
+);
+
+dbTest(
+  "use-items: refuses units the user does not have",
+  async ({ client }) => {
+    const potionId = await seedItem(client);
+    await seedInventory(client, {
+      user_id: 1001,
+      item_id: potionId,
+      total_quantity: 2,
+      quantity_in_bag: 1,
+    });
+
+    const fromBag = await useItems({
+      user_id: 1001,
+      items: [{ item_id: potionId, quantity: 2 }],
+    });
+    assert.equal(fromBag.status, 409);
+
+    // Units in the bag are not free to use from the inventory
+    const fromInventory = await useItems({
+      user_id: 1001,
+      from: "inventory",
+      items: [{ item_id: potionId, quantity: 2 }],
+    });
+    assert.equal(fromInventory.status, 409);
+
+    const rows = await queryAll(
+      client,
+      "SELECT total_quantity, quantity_in_bag FROM inventory"
+    );
+    assert.deepEqual(
+      rows.map((row) => [row.total_quantity, row.quantity_in_bag]),
+      [[2, 1]]
+    );
+  }
+);
+
+dbTest("use-items: validates the request", async () => {
+  const source = await useItems({
+    user_id: 1001,
+    from: "shop",
+    items: [{ item_id: 1, quantity: 1 }],
+  });
+  assert.equal(source.body.error, "from must be 'bag' or 'inventory'");
+  assert.equal((await useItems({ user_id: "x", items: [] })).status, 400);
+});